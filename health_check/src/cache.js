@@ -0,0 +1,164 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getCacheSettings } from "./policy.js";
+
+/**
+ * Shared cache for readings that are expensive to query (PowerShell, WMI, network probes).
+ * Concurrent lookups of a missing or expired reading share one query, a reading past its TTL
+ * is still served for its stale window while a new one is fetched in the background, and each
+ * lookup made during a tool call is reported in that call's cacheInfo.
+ * TTLs per source come from the policy file (cache section, defaults in CACHE_SOURCES).
+ */
+
+// "<source>" or "<source>:<key>" -> { source, value, fetchedAt, pending }
+const entries = new Map();
+// Lookups made by the tool call in progress, collected for its cacheInfo
+const tracker = new AsyncLocalStorage();
+
+// Lookups answered without starting a query
+const HIT_STATUSES = ["hit", "stale", "shared"];
+// Keyed readings kept per source, so clients sending many distinct probe lists can't grow the cache without bound
+const MAX_KEYS_PER_SOURCE = 50;
+
+/**
+ * Run a query for an entry, shared by every caller until it settles
+ * A failed query leaves the previous reading (if any) in place.
+ */
+function startQuery(entry, load) {
+  entry.pending = Promise.resolve()
+    .then(load)
+    .then(value => {
+      entry.value = value;
+      entry.fetchedAt = Date.now();
+      return value;
+    })
+    .finally(() => {
+      entry.pending = null;
+    });
+  return entry.pending;
+}
+
+/**
+ * Drop readings past their stale window, and when a keyed entry is about to be added,
+ * the oldest keyed readings of its source beyond MAX_KEYS_PER_SOURCE
+ * Entries with a query running are kept so its callers still share it.
+ * @param {string} addingTo - Source about to get a new keyed entry, if any
+ */
+function evictEntries(addingTo) {
+  const now = Date.now();
+  const keyed = [];
+  for (const [id, entry] of entries) {
+    if (entry.pending) continue;
+    const { ttlSeconds, staleSeconds } = getCacheSettings(entry.source);
+    if (entry.fetchedAt === null || now - entry.fetchedAt >= (ttlSeconds + staleSeconds) * 1000) {
+      entries.delete(id);
+    } else if (entry.source === addingTo && id !== addingTo) {
+      keyed.push([id, entry]);
+    }
+  }
+
+  keyed.sort(([, a], [, b]) => a.fetchedAt - b.fetchedAt);
+  for (const [id] of keyed.slice(0, Math.max(0, keyed.length - MAX_KEYS_PER_SOURCE + 1))) {
+    entries.delete(id);
+  }
+}
+
+/**
+ * Note a lookup for the cacheInfo of the tool call in progress - the first lookup of each entry counts
+ */
+function recordLookup(id, lookup) {
+  const lookups = tracker.getStore();
+  if (lookups && !lookups.some(existing => existing.id === id)) {
+    lookups.push({ id, ...lookup });
+  }
+}
+
+/**
+ * Get a reading from the cache, querying it with load() when missing or expired
+ * Status of the lookup: hit (fresh), stale (served while refreshing), shared (joined a running query),
+ * miss (queried now), refreshed (forced query) or failed (the query threw).
+ * @param {string} source - Key of CACHE_SOURCES, which sets the TTL
+ * @param {Function} load - Async function that queries the reading
+ * @param {Object} options - Optional configuration
+ * @param {string} options.key - Cache separately per key within the source, e.g. per probe list
+ * @param {boolean} options.forceRefresh - Ignore a cached reading and query now, sharing a query already running (default: false)
+ * @returns {Promise<*>} The reading
+ * @throws {Error} Whatever load() throws when no reading could be served
+ */
+export async function fromCache(source, load, options = {}) {
+  const { key, forceRefresh = false } = options;
+  const id = key === undefined ? source : `${source}:${key}`;
+  const { ttlSeconds, staleSeconds } = getCacheSettings(source);
+  const ttlMs = ttlSeconds * 1000;
+
+  evictEntries(key !== undefined && !entries.has(id) ? source : undefined);
+  let entry = entries.get(id);
+  if (!entry) {
+    entry = { source, value: undefined, fetchedAt: null, pending: null };
+    entries.set(id, entry);
+  }
+  const ageMs = entry.fetchedAt === null ? null : Date.now() - entry.fetchedAt;
+
+  let status;
+  let value;
+  if (!forceRefresh && ageMs !== null && ageMs < ttlMs) {
+    status = "hit";
+    value = entry.value;
+  } else if (!forceRefresh && ageMs !== null && ageMs < ttlMs + staleSeconds * 1000) {
+    status = "stale";
+    value = entry.value;
+    if (!entry.pending) {
+      startQuery(entry, load).catch(() => {});
+    }
+  } else {
+    status = entry.pending ? "shared" : forceRefresh && ageMs !== null ? "refreshed" : "miss";
+    try {
+      value = await (entry.pending ?? startQuery(entry, load));
+    } catch (error) {
+      recordLookup(id, { source, status: "failed", cachedAt: null, ageMs: null, ttlMs, error: error.message });
+      throw error;
+    }
+  }
+
+  // A stale lookup's refresh settles later, so fetchedAt is still that of the value served
+  recordLookup(id, {
+    source,
+    status,
+    cachedAt: new Date(entry.fetchedAt).toISOString(),
+    ageMs: Date.now() - entry.fetchedAt,
+    ttlMs,
+  });
+  return value;
+}
+
+/**
+ * Drop cached readings so the next lookup queries again
+ * Queries already running still answer their callers but are not cached.
+ * @param {string} source - Only drop this source (default: every source)
+ */
+export function invalidateCache(source) {
+  for (const [id, entry] of entries) {
+    if (source === undefined || entry.source === source) {
+      entries.delete(id);
+    }
+  }
+}
+
+/**
+ * Run a tool call and describe the cache lookups it made
+ * @param {Function} run - Async function making the call
+ * @returns {Promise<{result: *, cacheInfo: Object}>} The call's result and { hits, misses, lookups }
+ */
+export async function trackCacheUse(run) {
+  const lookups = [];
+  const result = await tracker.run(lookups, run);
+  const described = lookups.map(({ id, ...lookup }) => lookup);
+
+  return {
+    result,
+    cacheInfo: {
+      hits: described.filter(lookup => HIT_STATUSES.includes(lookup.status)).length,
+      misses: described.filter(lookup => !HIT_STATUSES.includes(lookup.status)).length,
+      lookups: described,
+    },
+  };
+}
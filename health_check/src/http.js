@@ -0,0 +1,264 @@
+import http from "http";
+import fs from "fs";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8765;
+// Sessions with no open request or stream for this long are closed
+const DEFAULT_SESSION_TIMEOUT_SECONDS = 1800;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Read HTTP transport settings from environment variables
+ * @throws {Error} If no token is configured or the port or session timeout is invalid
+ */
+export function getHttpConfig(env = process.env) {
+  let token = env.HEALTH_CHECK_HTTP_TOKEN;
+  if (!token && env.HEALTH_CHECK_HTTP_TOKEN_FILE) {
+    try {
+      token = fs.readFileSync(env.HEALTH_CHECK_HTTP_TOKEN_FILE, "utf8").trim();
+    } catch (error) {
+      throw new Error(`Unable to read HEALTH_CHECK_HTTP_TOKEN_FILE (${error.code || error.message})`);
+    }
+  }
+  if (!token) {
+    throw new Error("HTTP transport requires HEALTH_CHECK_HTTP_TOKEN or HEALTH_CHECK_HTTP_TOKEN_FILE");
+  }
+
+  const port = Number(env.HEALTH_CHECK_HTTP_PORT ?? DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HEALTH_CHECK_HTTP_PORT: ${env.HEALTH_CHECK_HTTP_PORT}`);
+  }
+
+  const sessionTimeoutSeconds = Number(env.HEALTH_CHECK_HTTP_SESSION_TIMEOUT ?? DEFAULT_SESSION_TIMEOUT_SECONDS);
+  if (!Number.isFinite(sessionTimeoutSeconds) || sessionTimeoutSeconds < 0) {
+    throw new Error(`Invalid HEALTH_CHECK_HTTP_SESSION_TIMEOUT: ${env.HEALTH_CHECK_HTTP_SESSION_TIMEOUT}`);
+  }
+
+  return {
+    host: env.HEALTH_CHECK_HTTP_HOST || DEFAULT_HOST,
+    port,
+    token,
+    sessionTimeoutSeconds,
+  };
+}
+
+/**
+ * Constant-time check of the Authorization: Bearer header against sha256(token)
+ */
+export function isAuthorized(req, expectedDigest) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  if (!match) return false;
+  const digest = createHash("sha256").update(match[1].trim()).digest();
+  return timingSafeEqual(digest, expectedDigest);
+}
+
+/**
+ * Send a JSON-RPC error without an id (transport-level failures)
+ */
+function sendError(res, status, code, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error("Request body too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw Object.assign(new Error("Parse error: body is not valid JSON"), { status: 400, code: -32700 });
+  }
+}
+
+/**
+ * Serve MCP over Streamable HTTP (/mcp) and the legacy SSE transport (/sse + /messages)
+ * Every request must carry Authorization: Bearer <token>. Each session gets its own
+ * server from createServer(); sessions end on DELETE, disconnect (SSE), idle timeout or close().
+ * @param {Object} options
+ * @param {Function} options.createServer - Returns a new MCP server for a session
+ * @param {string} options.token - Bearer token clients must present
+ * @param {string} options.host - Bind address (default: 127.0.0.1)
+ * @param {number} options.port - Port, 0 for any free port (default: 8765)
+ * @param {number} options.sessionTimeoutSeconds - Idle session lifetime; 0 disables expiry (default: 1800)
+ * @returns {Promise<{ url: string, sessionCount: Function, close: Function }>}
+ */
+export async function startHttpServer(options) {
+  const {
+    createServer,
+    token,
+    host = DEFAULT_HOST,
+    port = DEFAULT_PORT,
+    sessionTimeoutSeconds = DEFAULT_SESSION_TIMEOUT_SECONDS,
+  } = options;
+
+  if (!token) {
+    throw new Error("HTTP transport requires a token");
+  }
+  const tokenDigest = createHash("sha256").update(token).digest();
+
+  // sessionId -> { transport, server, openRequests, lastSeen }
+  const sessions = new Map();
+
+  const openSession = async (transport) => {
+    const server = createServer();
+    const session = { transport, server, openRequests: 0, lastSeen: Date.now() };
+    // Set before connect - the server chains its own close handler onto this one
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    return session;
+  };
+
+  // Count a request against its session so streams in progress keep it alive
+  const track = (session, res) => {
+    session.openRequests++;
+    session.lastSeen = Date.now();
+    res.on("close", () => {
+      session.openRequests--;
+      session.lastSeen = Date.now();
+    });
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendError(res, 404, -32001, "Session not found");
+        return;
+      }
+      track(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      sendError(res, 400, -32000, "Bad Request: missing Mcp-Session-Id header (only initialize may start a session)");
+      return;
+    }
+
+    let session;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        sessions.set(id, session);
+      },
+    });
+    session = await openSession(transport);
+    track(session, res);
+    try {
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // A rejected initialize never gets a session id, so nothing else would close its server
+      if (!transport.sessionId) {
+        await session.server.close().catch(() => {});
+      }
+    }
+  };
+
+  const handleLegacySSE = async (req, res, url) => {
+    if (req.method === "GET" && url.pathname === "/sse") {
+      const transport = new SSEServerTransport("/messages", res);
+      const session = await openSession(transport);
+      sessions.set(transport.sessionId, session);
+      track(session, res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/messages") {
+      const session = sessions.get(url.searchParams.get("sessionId"));
+      if (!session || !(session.transport instanceof SSEServerTransport)) {
+        sendError(res, 404, -32001, "Session not found");
+        return;
+      }
+      track(session, res);
+      await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+      return;
+    }
+
+    sendError(res, 405, -32000, "Method not allowed");
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (!isAuthorized(req, tokenDigest)) {
+      sendError(res, 401, -32001, "Unauthorized", { "WWW-Authenticate": 'Bearer realm="health_check"' });
+      return;
+    }
+
+    try {
+      if (url.pathname === "/mcp") {
+        await handleStreamable(req, res);
+      } else if (url.pathname === "/sse" || url.pathname === "/messages") {
+        await handleLegacySSE(req, res, url);
+      } else {
+        sendError(res, 404, -32000, `Not found: ${url.pathname} (use /mcp, or /sse for legacy clients)`);
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        sendError(res, error.status ?? 500, error.code ?? -32603, error.message);
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Expire idle sessions
+  let sweeper = null;
+  if (sessionTimeoutSeconds > 0) {
+    sweeper = setInterval(() => {
+      const cutoff = Date.now() - sessionTimeoutSeconds * 1000;
+      for (const session of sessions.values()) {
+        if (session.openRequests === 0 && session.lastSeen < cutoff) {
+          session.server.close().catch(() => {});
+        }
+      }
+    }, Math.min(sessionTimeoutSeconds * 1000, 60000));
+    sweeper.unref();
+  }
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const urlHost = address.family === "IPv6" ? `[${address.address}]` : address.address;
+
+  return {
+    url: `http://${urlHost}:${address.port}`,
+    sessionCount: () => sessions.size,
+    /**
+     * Stop accepting connections, close every session, then wait for the listener to finish
+     */
+    async close() {
+      if (sweeper) clearInterval(sweeper);
+      const closed = new Promise(resolve => httpServer.close(resolve));
+      await Promise.all([...sessions.values()].map(session => session.server.close().catch(() => {})));
+      sessions.clear();
+      httpServer.closeAllConnections();
+      await closed;
+    },
+  };
+}
@@ -1,183 +1,88 @@
 #!/usr/bin/env node
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
-import { getFullHealthReport } from "./system/health.js";
-import { getPerformanceStats } from "./system/performance.js";
-import { getBatteryStatus } from "./system/battery.js";
-import { getThermalStatus } from "./system/thermal.js";
-import { getNetworkStatus } from "./system/network.js";
-import { getSystemHealth } from "./system/systemHealth.js";
-import { getHealthAlerts } from "./system/alerts.js";
+import { createServer } from "./server.js";
+import { getHttpConfig, startHttpServer } from "./http.js";
+import { startHistorySampler, stopHistorySampler } from "./system/history.js";
+import { startBaselineLearning, saveBaseline } from "./system/baseline.js";
+import { loadHealthPolicy } from "./policy.js";
+import { startNotifications, flushNotifications } from "./notifications.js";
+import { getMetricsConfig, startMetricsServer } from "./metrics.js";
 
-const server = new Server(
-  {
-    name: "system-health-mcp",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {}
-    }
-  }
-);
+// Give in-flight requests this long to finish on shutdown
+const SHUTDOWN_TIMEOUT_MS = 5000;
 
+const transportName = (process.env.HEALTH_CHECK_TRANSPORT || "stdio").toLowerCase();
+if (!["stdio", "http"].includes(transportName)) {
+  console.error(`Unknown HEALTH_CHECK_TRANSPORT "${transportName}" (use stdio or http)`);
+  process.exit(1);
+}
 
-// Handle list_tools request
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "get_health_alerts",
-        description: "🎯 PRIMARY ENTRYPOINT: System health overview with alerts and next-steps guidance. Call this first for vague requests. Returns severity-categorized alerts, health score, and actionable recommendations for which deep tools to investigate. Fast and lightweight.",
-        primaryUse: "Initial system health assessment, determining what to investigate",
-        relatedAlerts: "All severity levels",
-        safetyNote: "✅ Read-only, no system modifications",
-        fallbacks: "Graceful degradation - may skip expensive checks if unavailable",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_performance_stats",
-        description: "🔍 DEEP TOOL: CPU usage, memory breakdown, disk I/O rates, and top 5 processes. USE AFTER: alerts show high CPU/memory. Provides process-level visibility to identify resource hogs.",
-        primaryUse: "Investigate CPU or memory alerts; identify resource-consuming processes",
-        relatedAlerts: ["CPU > 80%", "Memory > 85%"],
-        safetyNote: "✅ Read-only, minimal OS calls",
-        fallbacks: "Top processes may be incomplete without admin privileges",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_battery_status",
-        description: "🔋 DEEP TOOL: Battery state (charge %, health %, power plan, chemistry). USE AFTER: alerts show low battery or degraded health. Desktop systems report 'Desktop System' status.",
-        primaryUse: "Investigate battery-related alerts; check power efficiency",
-        relatedAlerts: ["Battery < 25%", "Battery health < 80%"],
-        safetyNote: "✅ Read-only; may require admin privileges for full data",
-        fallbacks: "Health % may be N/A (requires admin); desktops always show 'Desktop System'",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_thermal_status",
-        description: "🌡️ DEEP TOOL: CPU/GPU temperatures, thermal throttling detection, and fan status. USE AFTER: alerts show high temperatures or throttling. Returns temperature thresholds and throttling warnings.",
-        primaryUse: "Investigate thermal alerts; check for overheating or thermal throttling",
-        relatedAlerts: ["CPU temp > 85°C", "Thermal throttling detected"],
-        safetyNote: "✅ Read-only; WMI queries",
-        fallbacks: "GPU temp may be N/A (NVIDIA-specific); fan data unavailable on standard APIs",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_network_status",
-        description: "🌐 DEEP TOOL: Active network interfaces, IPs, internet connectivity check (ping 8.8.8.8), USB/Bluetooth device counts. USE AFTER: alerts show connectivity issues or use for network diagnostics.",
-        primaryUse: "Investigate network connectivity or device enumeration",
-        relatedAlerts: ["No internet connectivity", "Device count N/A"],
-        safetyNote: "✅ Read-only; includes external ping (8.8.8.8)",
-        fallbacks: "USB/Bluetooth counts may be N/A (requires admin); ping may timeout on restricted networks",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_system_health",
-        description: "🛡️ DEEP TOOL: Security status (Defender, Firewall), Windows updates, system event log errors (24h), disk space warnings. USE AFTER: alerts show security or stability issues.",
-        primaryUse: "Investigate security or stability alerts; check update status",
-        relatedAlerts: ["Antivirus disabled", "Firewall disabled", "Low disk space", "System errors > 5"],
-        safetyNote: "✅ Read-only; queries Defender, Firewall, Event logs",
-        fallbacks: "Update count may be N/A on some systems (requires DCOM); event log may show 0 errors if unavailable",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-      {
-        name: "get_full_health_report",
-        description: "📊 LEGACY/OPTIONAL: Quick snapshot combining CPU, memory, disk, uptime, process count. Superseded by get_health_alerts + targeted deep tools. Use only if you need a single unified call.",
-        primaryUse: "Legacy entrypoint; use get_health_alerts instead for better guidance",
-        relatedAlerts: "N/A - returns raw data only",
-        safetyNote: "✅ Read-only",
-        fallbacks: "Less granular than deep tools",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
-        },
-      },
-    ],
-  };
-});
+// Load alert thresholds - refuse to start on an invalid policy file
+try {
+  loadHealthPolicy();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// Handle call_tool request
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    let result;
+// Push alert transitions to the policy's notification sinks
+startNotifications();
+
+// Learn this host's usual readings per hour of day from the background samples
+startBaselineLearning();
 
-    switch (request.params.name) {
-      case "get_full_health_report":
-        result = await getFullHealthReport();
-        break;
-      case "get_performance_stats":
-        result = await getPerformanceStats();
-        break;
-      case "get_battery_status":
-        result = await getBatteryStatus();
-        break;
-      case "get_thermal_status":
-        result = await getThermalStatus();
-        break;
-      case "get_network_status":
-        result = await getNetworkStatus();
-        break;
-      case "get_system_health":
-        result = await getSystemHealth();
-        break;
-      case "get_health_alerts":
-        result = await getHealthAlerts();
-        break;
-      default:
-        throw new Error(`Unknown tool: ${request.params.name}`);
-    }
+// Record metric history in the background
+startHistorySampler();
+
+// Serve Prometheus/OpenMetrics gauges when HEALTH_CHECK_METRICS_PORT is set
+let metricsServer = null;
+try {
+  const metricsConfig = getMetricsConfig();
+  if (metricsConfig) {
+    metricsServer = await startMetricsServer(metricsConfig);
+    console.error(`Metrics exporter listening on ${metricsServer.url}`);
+  }
+} catch (error) {
+  console.error(`Unable to start metrics exporter: ${error.message}`);
+  process.exit(1);
+}
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+let stop;
+
+if (transportName === "http") {
+  let httpServer;
+  try {
+    httpServer = await startHttpServer({ createServer, ...getHttpConfig() });
   } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            error: error.message,
-            tool: request.params.name,
-          }, null, 2),
-        },
-      ],
-      isError: true,
-    };
+    console.error(`Unable to start HTTP transport: ${error.message}`);
+    process.exit(1);
   }
-});
+  console.error(`System health MCP server listening on ${httpServer.url}/mcp (legacy SSE: ${httpServer.url}/sse)`);
+  stop = () => httpServer.close();
+} else {
+  // Start server on stdio (default)
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  stop = () => server.close();
+}
+
+/**
+ * Close sessions and stop sampling, forcing exit if that hangs
+ */
+async function shutdown(signal) {
+  process.off("SIGINT", shutdown);
+  process.off("SIGTERM", shutdown);
+  console.error(`Received ${signal}, shutting down`);
+
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+  stopHistorySampler();
+  saveBaseline();
+  await stop().catch(() => {});
+  await metricsServer?.close().catch(() => {});
+  await flushNotifications();
+  process.exit(0);
+}
 
-// Start server on stdio
-const transport = new StdioServerTransport();
-await server.connect(transport);
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,191 @@
+import os from "os";
+import http from "http";
+import { createHash } from "crypto";
+import { isAuthorized } from "./http.js";
+import { getHealthAlerts } from "./system/alerts.js";
+import { getThermalStatus } from "./system/thermal.js";
+import { checkConnectivity } from "./system/network.js";
+import { getLatestSample } from "./system/history.js";
+
+/**
+ * Optional Prometheus/OpenMetrics exporter on its own port (GET /metrics).
+ * Every gauge comes from a tool's cached result, so a scrape costs no more
+ * than the tool calls it stands in for and shares their cached readings:
+ * get_health_alerts (3s by default), get_thermal_status (10s), the connectivity
+ * probes (30s) and the background sampler's latest battery reading.
+ */
+
+const DEFAULT_HOST = "127.0.0.1";
+const CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+/**
+ * Read exporter settings from environment variables
+ * @returns {Object|null} { host, port, token } or null when HEALTH_CHECK_METRICS_PORT is unset
+ * @throws {Error} If the port is invalid
+ */
+export function getMetricsConfig(env = process.env) {
+  if (!env.HEALTH_CHECK_METRICS_PORT) {
+    return null;
+  }
+
+  const port = Number(env.HEALTH_CHECK_METRICS_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HEALTH_CHECK_METRICS_PORT: ${env.HEALTH_CHECK_METRICS_PORT}`);
+  }
+
+  return {
+    host: env.HEALTH_CHECK_METRICS_HOST || DEFAULT_HOST,
+    port,
+    token: env.HEALTH_CHECK_METRICS_TOKEN || null,
+  };
+}
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Render one gauge family: HELP, TYPE and a line per sample
+ */
+function renderGauge(name, help, samples, hostLabel) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+  for (const { labels = {}, value } of samples) {
+    const pairs = Object.entries({ host: hostLabel, ...labels }).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+    lines.push(`${name}{${pairs.join(",")}} ${value}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * { <instance>: number } readings as samples labelled by instance
+ */
+function perInstance(readings, label, extra = {}) {
+  return Object.entries(readings ?? {})
+    .filter(([, value]) => typeof value === "number")
+    .map(([instance, value]) => ({ labels: { ...extra, [label]: instance }, value }));
+}
+
+/**
+ * Collect every gauge and render them in OpenMetrics text format
+ * Sources that fail are reported as health_source_up 0 instead of failing the scrape.
+ */
+export async function renderMetrics() {
+  const [alerts, thermal, connectivity] = await Promise.all([
+    getHealthAlerts().catch(() => null),
+    getThermalStatus().catch(() => null),
+    checkConnectivity().catch(() => null),
+  ]);
+  const latest = getLatestSample();
+  const readings = alerts?.readings ?? {};
+
+  const gauges = [
+    ["health_cpu_usage_percent", "CPU usage in percent.",
+      typeof readings.cpu === "number" ? [{ value: readings.cpu }] : []],
+    ["health_memory_usage_percent", "Memory usage in percent.",
+      typeof readings.memory === "number" ? [{ value: readings.memory }] : []],
+    ["health_volume_free_percent", "Free space per fixed volume in percent.", perInstance(readings.diskFree, "volume")],
+    ["health_volume_inodes_free_percent", "Free inodes per volume in percent (Linux).", perInstance(readings.inodeFree, "volume")],
+    ["health_temperature_celsius", "Temperature per sensor in degrees Celsius.",
+      (thermal?.sensors ?? []).map(sensor => ({ labels: { sensor: sensor.name, label: sensor.label, kind: sensor.kind }, value: sensor.celsius }))],
+    ["health_fan_speed_rpm", "Fan speed in revolutions per minute.",
+      thermal?.fans?.available ? thermal.fans.fans.map(fan => ({ labels: { fan: fan.label }, value: fan.rpm })) : []],
+    ["health_battery_charge_percent", "Battery charge in percent, from the background sampler.",
+      typeof latest?.batteryCharge === "number" ? [{ value: latest.batteryCharge }] : []],
+    ["health_connectivity_up", "Whether the connectivity probes reach the internet (1 = up, 0 = down).",
+      typeof connectivity?.connected === "boolean" ? [{ value: connectivity.connected ? 1 : 0 }] : []],
+    ["health_security_feature_enabled", "Whether a security feature is on (1) or off (0).", [
+      ...perInstance(readings.antivirusEnabled, "product", { feature: "antivirus" }),
+      ...perInstance(readings.firewallEnabled, "product", { feature: "firewall" }),
+    ]],
+    ["health_alerts", "Firing alerts by severity.",
+      alerts ? ["critical", "warning", "info"].map(severity => ({ labels: { severity }, value: alerts.alertCount[severity] })) : []],
+    ["health_alerts_pending", "Alerts whose condition holds but has not lasted long enough to fire.",
+      alerts ? [{ value: alerts.pending.length }] : []],
+    ["health_score", "Overall health score from 0 to 100.",
+      alerts ? [{ value: alerts.systemHealthScore.score }] : []],
+    ["health_category_score", "Health score of each category that has a reading, from 0 to 100.",
+      Object.entries(alerts?.systemHealthScore.categories ?? {})
+        .filter(([, category]) => category.score !== null)
+        .map(([category, { score }]) => ({ labels: { category }, value: score }))],
+    ["health_source_up", "Whether a data source answered this scrape (1) or failed (0).", [
+      { labels: { source: "alerts" }, value: alerts ? 1 : 0 },
+      { labels: { source: "thermal" }, value: thermal ? 1 : 0 },
+      { labels: { source: "connectivity" }, value: connectivity ? 1 : 0 },
+      { labels: { source: "history" }, value: latest ? 1 : 0 },
+    ]],
+  ];
+
+  const hostLabel = os.hostname();
+  const families = gauges
+    .filter(([, , samples]) => samples.length > 0)
+    .map(([name, help, samples]) => renderGauge(name, help, samples, hostLabel));
+  return `${families.join("\n")}\n# EOF\n`;
+}
+
+/**
+ * Serve GET /metrics, optionally behind Authorization: Bearer <token>
+ * @param {Object} options
+ * @param {string} options.host - Bind address (default: 127.0.0.1)
+ * @param {number} options.port - Port, 0 for any free port
+ * @param {string} options.token - Bearer token scrapers must present (default: none)
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export async function startMetricsServer(options) {
+  const { host = DEFAULT_HOST, port, token = null } = options;
+  const tokenDigest = token ? createHash("sha256").update(token).digest() : null;
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (tokenDigest && !isAuthorized(req, tokenDigest)) {
+      res.writeHead(401, { "Content-Type": "text/plain", "WWW-Authenticate": 'Bearer realm="health_check"' });
+      res.end("Unauthorized\n");
+      return;
+    }
+    if (url.pathname !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end(`Not found: ${url.pathname} (use /metrics)\n`);
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { "Content-Type": "text/plain", Allow: "GET, HEAD" });
+      res.end("Method not allowed\n");
+      return;
+    }
+
+    try {
+      const body = await renderMetrics();
+      res.writeHead(200, { "Content-Type": CONTENT_TYPE });
+      res.end(req.method === "HEAD" ? undefined : body);
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(`Unable to collect metrics: ${error.message}\n`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const urlHost = address.family === "IPv6" ? `[${address.address}]` : address.address;
+
+  return {
+    url: `http://${urlHost}:${address.port}/metrics`,
+    /**
+     * Stop accepting scrapes and wait for the listener to finish
+     */
+    async close() {
+      const closed = new Promise(resolve => httpServer.close(resolve));
+      httpServer.closeAllConnections();
+      await closed;
+    },
+  };
+}
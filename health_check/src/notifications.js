@@ -0,0 +1,218 @@
+import os from "os";
+import fs from "fs";
+import net from "net";
+import http from "http";
+import https from "https";
+import dgram from "dgram";
+import { execFile } from "child_process";
+import { getNotificationSinks, SYSLOG_FACILITIES } from "./policy.js";
+import { onAlertTransition } from "./system/rules.js";
+import { alertText } from "./system/alerts.js";
+
+/**
+ * Pushes alert transitions (firing/resolved) from the rule engine to the sinks
+ * listed under notificationSinks in the policy file. Each sink delivers in order,
+ * retrying failures with exponential backoff; failures that outlast the retries are logged to stderr.
+ */
+
+const DEFAULTS = {
+  minSeverity: "warning",
+  events: ["firing", "resolved"],
+  maxPerMinute: 10,
+  retries: 3,
+  retryDelayMs: 1000,
+  timeoutMs: 5000,
+};
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+// Syslog severities: critical → crit, warning → warning, info and resolved → info
+const SYSLOG_SEVERITY = { critical: 2, warning: 4, info: 6 };
+
+// { config, name, queue, sentAt, suppressed }
+let sinks = [];
+let listening = false;
+
+/**
+ * Start pushing alert transitions to the configured sinks
+ * @param {Object[]} list - Sink definitions (default: notificationSinks from the policy file)
+ */
+export function startNotifications(list = getNotificationSinks() ?? []) {
+  sinks = list.map(config => ({
+    config: { ...DEFAULTS, ...config },
+    name: config.name ?? config.url ?? config.path ?? config.command?.[0] ?? `syslog ${config.host ?? "127.0.0.1"}`,
+    queue: Promise.resolve(),
+    sentAt: [],
+    suppressed: 0,
+  }));
+
+  if (!listening) {
+    onAlertTransition(notify);
+    listening = true;
+  }
+}
+
+/**
+ * Wait until every queued notification has been delivered or given up on
+ */
+export async function flushNotifications() {
+  await Promise.all(sinks.map(sink => sink.queue));
+}
+
+/**
+ * Whether a sink wants this alert transition
+ */
+function wants(config, alert) {
+  return config.events.includes(alert.state) &&
+    SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[config.minSeverity] &&
+    (!config.rules || config.rules.includes(alert.rule));
+}
+
+/**
+ * Whether a sink has used up its notifications for the rolling minute
+ */
+function isRateLimited(sink, now) {
+  sink.sentAt = sink.sentAt.filter(time => now - time < 60000);
+  if (sink.sentAt.length >= sink.config.maxPerMinute) {
+    return true;
+  }
+  sink.sentAt.push(now);
+  return false;
+}
+
+/**
+ * Queue one alert transition on every sink that wants it
+ */
+function notify(alert) {
+  const now = Date.now();
+  const host = os.hostname();
+  const payload = {
+    timestamp: new Date(now).toISOString(),
+    host,
+    event: alert.state,
+    severity: alert.severity,
+    title: `${host}: ${alert.state === "resolved" ? "resolved" : alert.severity} alert`,
+    text: alert.state === "resolved" ? `Resolved: ${alert.message}` : alertText(alert),
+    alert,
+  };
+
+  for (const sink of sinks) {
+    if (!wants(sink.config, alert)) continue;
+
+    if (isRateLimited(sink, now)) {
+      sink.suppressed++;
+      continue;
+    }
+
+    const delivery = { ...payload };
+    if (sink.suppressed > 0) {
+      delivery.suppressed = sink.suppressed;
+      sink.suppressed = 0;
+    }
+    sink.queue = sink.queue.then(() => deliver(sink, delivery));
+  }
+}
+
+/**
+ * Send one payload, retrying with exponential backoff
+ */
+async function deliver(sink, payload) {
+  const { type, retries, retryDelayMs } = sink.config;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await SENDERS[type](sink.config, payload);
+      return;
+    } catch (error) {
+      if (attempt >= retries) {
+        console.error(`Alert notification to ${sink.name} failed after ${attempt + 1} attempt${attempt !== 0 ? "s" : ""}: ${error.message}`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * POST the payload as JSON, succeeding on any 2xx answer
+ */
+function sendWebhook({ url, timeoutMs }, payload) {
+  const body = JSON.stringify(payload);
+  const client = url.startsWith("https:") ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: "POST",
+      agent: false,
+      timeout: timeoutMs,
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+    }, response => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve();
+      } else {
+        reject(new Error(`webhook answered HTTP ${response.statusCode}`));
+      }
+    });
+    request.on("timeout", () => request.destroy(new Error(`webhook timed out after ${timeoutMs}ms`)));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Append the payload to an NDJSON file
+ */
+function sendFile({ path }, payload) {
+  return fs.promises.appendFile(path, JSON.stringify(payload) + "\n");
+}
+
+/**
+ * Send an RFC 5424 syslog message over UDP
+ */
+function sendSyslog({ host = "127.0.0.1", port = 514, facility = "user" }, payload) {
+  const severity = payload.event === "resolved" ? SYSLOG_SEVERITY.info : SYSLOG_SEVERITY[payload.severity];
+  const priority = SYSLOG_FACILITIES[facility] * 8 + severity;
+  const message = Buffer.from(`<${priority}>1 ${payload.timestamp} ${payload.host} health-check ${process.pid} ${payload.event} - ${payload.text}`);
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+    socket.send(message, port, host, error => {
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Run a notification program (e.g. notify-send) with the alert filled into its arguments
+ */
+function sendCommand({ command, timeoutMs }, payload) {
+  const fields = {
+    title: payload.title,
+    text: payload.text,
+    event: payload.event,
+    severity: payload.severity,
+    rule: payload.alert.rule,
+    host: payload.host,
+  };
+  const [program, ...args] = command.map(part =>
+    part.replace(/\{(\w+)\}/g, (match, name) => (name in fields ? fields[name] : match))
+  );
+
+  return new Promise((resolve, reject) => {
+    execFile(program, args, { timeout: timeoutMs, windowsHide: true }, error => {
+      if (error) {
+        reject(new Error(error.killed ? `${program} timed out after ${timeoutMs}ms` : `${program} failed: ${error.message.trim()}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+const SENDERS = { webhook: sendWebhook, file: sendFile, syslog: sendSyslog, command: sendCommand };
@@ -0,0 +1,37 @@
+import os from "os";
+import path from "path";
+import * as windows from "./windows.js";
+import * as linux from "./linux.js";
+import { getReplayPlatform } from "./runner.js";
+
+const backends = {
+  win32: windows,
+  linux,
+};
+
+/**
+ * Platform the server is reporting on
+ * HEALTH_CHECK_PLATFORM overrides detection; replayed fixtures report the platform they were recorded on
+ */
+export function getPlatformName() {
+  return process.env.HEALTH_CHECK_PLATFORM || getReplayPlatform() || os.platform();
+}
+
+/**
+ * Get the data backend for the current platform
+ * Unsupported platforms use the Windows backend, whose queries degrade to "N/A"
+ */
+export function getBackend() {
+  return backends[getPlatformName()] || windows;
+}
+
+/**
+ * Per-user directory for files the server keeps, outside the install directory:
+ * %LOCALAPPDATA%\\health_check on Windows, $XDG_STATE_HOME/health_check (default ~/.local/state) elsewhere
+ */
+export function getDataDir() {
+  if (os.platform() === "win32") {
+    return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), "AppData", "Local"), "health_check");
+  }
+  return path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), ".local", "state"), "health_check");
+}
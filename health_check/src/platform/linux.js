@@ -0,0 +1,1216 @@
+import path from "path";
+import { runCommand, readFile, readDir, readLink, statFs } from "./runner.js";
+
+// Kernel clock ticks per second used by /proc/<pid>/stat (USER_HZ)
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+const SECTOR_SIZE = 512;
+
+export const name = "linux";
+
+/**
+ * Platform-specific wording used in recommendations
+ */
+export const hints = {
+  antivirusName: "ClamAV",
+  firewallName: "Firewall",
+  enableAntivirus: "Run: sudo systemctl enable --now clamav-daemon",
+  enableFirewall: "Run: sudo ufw enable (or sudo systemctl enable --now firewalld)",
+  diskCleanup: "Clear package caches (apt clean / dnf clean all), old journals (journalctl --vacuum-size) and unused files",
+  eventLog: "Review the system journal (journalctl -p err -b) for stability issues",
+  updateSource: "package",
+  updates: "Install pending package updates when convenient",
+  renewNetwork: "Try: sudo systemctl restart NetworkManager (or sudo dhclient -r && sudo dhclient)",
+  dnsFlush: "Try: resolvectl flush-caches, then check the DNS servers listed by resolvectl status",
+  elevated: "Run the server with sudo",
+  sensors: "Install lm-sensors and run sudo sensors-detect to load the hwmon drivers for per-core, drive and fan readings",
+  systemVolume: "/",
+};
+
+/**
+ * Read a sysfs/procfs file, returning trimmed contents or null
+ */
+async function readSysFile(filePath) {
+  try {
+    return (await readFile(filePath)).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List directory entries, returning an empty list if the directory is missing
+ */
+async function listDir(dirPath) {
+  try {
+    return await readDir(dirPath);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Cumulative per-core CPU times in clock ticks from /proc/stat
+ */
+export async function getCPUTimes() {
+  const content = await readSysFile("/proc/stat");
+  if (!content) {
+    throw new Error("/proc/stat unavailable");
+  }
+
+  return content
+    .split("\n")
+    .filter(line => /^cpu\d+ /.test(line))
+    .map(line => {
+      // cpuN user nice system idle iowait irq softirq steal
+      const [user, nice, system, idle, iowait, irq, softirq, steal] = line
+        .trim()
+        .split(/\s+/)
+        .slice(1)
+        .map(value => parseInt(value, 10) || 0);
+      return {
+        user: user + nice,
+        system: system + irq + softirq + steal,
+        idle,
+        iowait,
+      };
+    });
+}
+
+// Filesystems that don't hold user data (or aren't local disks) and are skipped when listing volumes
+const SKIPPED_FILESYSTEMS = new Set([
+  "proc", "sysfs", "devtmpfs", "devpts", "tmpfs", "ramfs", "securityfs", "cgroup", "cgroup2", "pstore",
+  "bpf", "tracefs", "debugfs", "configfs", "fusectl", "mqueue", "hugetlbfs", "autofs", "binfmt_misc",
+  "rpc_pipefs", "nsfs", "squashfs", "efivarfs", "selinuxfs", "nfsd", "fuse.lxcfs", "fuse.gvfsd-fuse",
+  "fuse.portal", "nfs", "nfs4", "cifs", "smb3", "fuse.sshfs",
+]);
+
+/**
+ * Size, free space and inode counts of a filesystem
+ * @param {string} volume - Mount path (default: /)
+ */
+export async function getDiskUsage(volume = "/") {
+  if (!volume.startsWith("/")) {
+    throw new Error(`Volume must be an absolute mount path on Linux, got "${volume}"`);
+  }
+  const stats = await statFs(volume);
+  return {
+    totalBytes: stats.blocks * stats.bsize,
+    freeBytes: stats.bavail * stats.bsize,
+    // Some filesystems (btrfs, vfat) report no inode limit
+    inodesTotal: stats.files > 0 ? stats.files : null,
+    inodesFree: stats.files > 0 ? stats.ffree : null,
+  };
+}
+
+/**
+ * Undo the octal escapes /proc/self/mounts uses for spaces and tabs in paths
+ */
+function decodeMountPath(value) {
+  return value.replace(/\\([0-7]{3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+/**
+ * Every mounted local filesystem with its usage, skipping pseudo and network filesystems
+ * Bind mounts of the same device are reported once, under the first mount point.
+ */
+export async function listVolumes() {
+  const content = await readSysFile("/proc/self/mounts");
+  if (!content) {
+    throw new Error("/proc/self/mounts unavailable");
+  }
+
+  const seenDevices = new Set();
+  const volumes = [];
+
+  for (const line of content.split("\n")) {
+    const [device, mountPoint, fileSystem] = line.split(" ");
+    if (!mountPoint || SKIPPED_FILESYSTEMS.has(fileSystem) || seenDevices.has(device)) continue;
+
+    let usage;
+    try {
+      usage = await getDiskUsage(decodeMountPath(mountPoint));
+    } catch {
+      continue;
+    }
+    if (!(usage.totalBytes > 0)) continue;
+
+    seenDevices.add(device);
+    volumes.push({
+      volume: decodeMountPath(mountPoint),
+      label: device,
+      fileSystem,
+      ...usage,
+    });
+  }
+
+  return volumes;
+}
+
+/**
+ * PIDs of all running processes
+ */
+async function listPids() {
+  const entries = await readDir("/proc");
+  return entries.filter(entry => /^\d+$/.test(entry));
+}
+
+/**
+ * Number of running processes
+ */
+export async function getProcessCount() {
+  return (await listPids()).length;
+}
+
+/**
+ * Parse /proc/<pid>/stat; the command name may contain spaces and parentheses
+ */
+function parseProcStat(content) {
+  const open = content.indexOf("(");
+  const close = content.lastIndexOf(")");
+  const fields = content.slice(close + 2).split(" ");
+  return {
+    name: content.slice(open + 1, close),
+    // Offsets are relative to field 3 (state)
+    parentPid: parseInt(fields[1], 10),
+    utime: parseInt(fields[11], 10),
+    stime: parseInt(fields[12], 10),
+    threads: parseInt(fields[17], 10),
+    startTicks: parseInt(fields[19], 10),
+    rssPages: parseInt(fields[21], 10),
+  };
+}
+
+/**
+ * Total CPU time of all cores (busy and idle) in clock ticks from the aggregate /proc/stat line
+ */
+function totalCPUTicks(procStat) {
+  const line = procStat.split("\n").find(candidate => candidate.startsWith("cpu "));
+  // user nice system idle iowait irq softirq steal (guest time is already counted in user)
+  return line
+    .trim()
+    .split(/\s+/)
+    .slice(1, 9)
+    .reduce((sum, value) => sum + (parseInt(value, 10) || 0), 0);
+}
+
+/**
+ * Bytes read and written to storage by a process, or null when /proc/<pid>/io is not readable
+ */
+async function readProcessIO(pid) {
+  const content = await readSysFile(`/proc/${pid}/io`);
+  const field = fieldName => content?.match(new RegExp(`^${fieldName}:\\s*(\\d+)`, "m"))?.[1];
+  if (field("read_bytes") === undefined) {
+    return null;
+  }
+  return parseInt(field("read_bytes"), 10) + parseInt(field("write_bytes"), 10);
+}
+
+/**
+ * Number of open file descriptors, or null when /proc/<pid>/fd is not readable
+ */
+async function countOpenFiles(pid) {
+  try {
+    return (await readDir(`/proc/${pid}/fd`)).length;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cumulative CPU time, memory, I/O and open file descriptor counts of every process
+ * totalCpuSeconds is the CPU time of all cores (busy and idle), so it grows by elapsed time × cores.
+ */
+export async function getProcessSnapshot() {
+  const procStat = await readSysFile("/proc/stat");
+  if (!procStat) {
+    throw new Error("/proc/stat unavailable");
+  }
+
+  const processes = [];
+  for (const pid of await listPids()) {
+    const content = await readSysFile(`/proc/${pid}/stat`);
+    if (!content) continue;
+
+    const stat = parseProcStat(content);
+    // statm: size resident shared ... in pages
+    const [, resident, shared] = ((await readSysFile(`/proc/${pid}/statm`)) ?? "").split(" ").map(Number);
+
+    processes.push({
+      pid: Number(pid),
+      parentPid: stat.parentPid,
+      name: stat.name,
+      cpuSeconds: (stat.utime + stat.stime) / CLOCK_TICKS,
+      workingSetBytes: stat.rssPages * PAGE_SIZE,
+      privateBytes: Number.isFinite(shared) ? (resident - shared) * PAGE_SIZE : null,
+      ioBytes: await readProcessIO(pid),
+      handles: await countOpenFiles(pid),
+      threads: stat.threads,
+    });
+  }
+
+  return {
+    totalCpuSeconds: totalCPUTicks(procStat) / CLOCK_TICKS,
+    processes,
+  };
+}
+
+/**
+ * Value of a "Key:  value" line in /proc/<pid>/status
+ */
+function statusField(status, key) {
+  return status.match(new RegExp(`^${key}:\\s*(.+)$`, "m"))?.[1].trim() ?? null;
+}
+
+/**
+ * User name for a numeric UID from /etc/passwd, falling back to the UID itself
+ */
+async function lookupUser(uid) {
+  const passwd = await readSysFile("/etc/passwd");
+  const entry = passwd?.split("\n").find(line => line.split(":")[2] === uid);
+  return entry ? entry.split(":")[0] : uid;
+}
+
+/**
+ * Parse a "1234 kB" status value to bytes
+ */
+function kilobytes(value) {
+  return value === null ? null : parseInt(value, 10) * 1024;
+}
+
+// Open file paths listed per process; the descriptor count is always reported in full
+const MAX_OPEN_FILES = 50;
+
+/**
+ * Command line, executable, start time, owner, open files and memory split of one process
+ * @param {number} pid - Process ID
+ */
+export async function getProcessDetails(pid) {
+  if (!Number.isInteger(pid) || pid < 0) {
+    throw new Error(`PID must be a non-negative integer, got "${pid}"`);
+  }
+
+  const [content, status, cmdline, procStat] = await Promise.all([
+    readSysFile(`/proc/${pid}/stat`),
+    readSysFile(`/proc/${pid}/status`),
+    readSysFile(`/proc/${pid}/cmdline`),
+    readSysFile("/proc/stat"),
+  ]);
+  if (!content || !status) {
+    throw new Error(`No process with PID ${pid}`);
+  }
+
+  const stat = parseProcStat(content);
+  const bootTime = parseInt(procStat?.match(/^btime (\d+)$/m)?.[1], 10);
+  const uid = statusField(status, "Uid")?.split(/\s+/)[0];
+
+  let executablePath = null;
+  try {
+    executablePath = await readLink(`/proc/${pid}/exe`);
+  } catch {
+    // Other users' processes (and kernel threads) hide their executable
+  }
+
+  let openFiles = null;
+  try {
+    const descriptors = await readDir(`/proc/${pid}/fd`);
+    const targets = [];
+    for (const fd of descriptors) {
+      try {
+        targets.push(await readLink(`/proc/${pid}/fd/${fd}`));
+      } catch {
+        // Descriptor closed while listing
+      }
+    }
+    // Sockets, pipes and anonymous inodes show as "socket:[123]" etc.; keep real paths
+    openFiles = [...new Set(targets.filter(target => target.startsWith("/")))].slice(0, MAX_OPEN_FILES);
+  } catch {
+    // Not readable without root for other users' processes
+  }
+
+  return {
+    // Arguments are NUL-separated; kernel threads have an empty command line
+    commandLine: cmdline ? cmdline.split("\0").filter(Boolean).join(" ") : null,
+    executablePath,
+    startTime: Number.isFinite(bootTime)
+      ? new Date((bootTime + stat.startTicks / CLOCK_TICKS) * 1000).toISOString()
+      : null,
+    user: uid === undefined ? null : await lookupUser(uid),
+    openFiles,
+    // File-backed and shared memory pages count towards the working set but not private memory
+    sharedBytes: statusField(status, "RssFile") === null
+      ? null
+      : kilobytes(statusField(status, "RssFile")) + (kilobytes(statusField(status, "RssShmem")) ?? 0),
+    swapBytes: kilobytes(statusField(status, "VmSwap")),
+  };
+}
+
+/**
+ * Whole-disk block devices (skips partitions, loop, ram and device-mapper devices)
+ */
+async function listPhysicalDisks() {
+  const devices = await listDir("/sys/block");
+  return devices.filter(device => !/^(loop|ram|zram|dm-|md|sr)/.test(device));
+}
+
+/**
+ * Total sectors read and written across physical disks
+ */
+async function readDiskSectors() {
+  const disks = new Set(await listPhysicalDisks());
+  const content = await readSysFile("/proc/diskstats");
+  if (!content) {
+    throw new Error("/proc/diskstats unavailable");
+  }
+
+  let readSectors = 0;
+  let writeSectors = 0;
+
+  for (const line of content.split("\n")) {
+    const fields = line.trim().split(/\s+/);
+    if (!disks.has(fields[2])) continue;
+    readSectors += parseInt(fields[5], 10);
+    writeSectors += parseInt(fields[9], 10);
+  }
+
+  return { readSectors, writeSectors };
+}
+
+/**
+ * Disk read/write throughput sampled over one second, in bytes per second
+ */
+export async function getDiskIOStats() {
+  const before = await readDiskSectors();
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  const after = await readDiskSectors();
+
+  return {
+    readBytesPerSec: (after.readSectors - before.readSectors) * SECTOR_SIZE,
+    writeBytesPerSec: (after.writeSectors - before.writeSectors) * SECTOR_SIZE,
+  };
+}
+
+/**
+ * Normalized ATA attribute value (100 = new) of the first wear indicator present
+ */
+function ataWearRemaining(attributes) {
+  // 177 Wear_Leveling_Count, 231 SSD_Life_Left, 233 Media_Wearout_Indicator
+  const wear = attributes.find(attribute => [177, 231, 233].includes(attribute.id));
+  return wear ? wear.value : null;
+}
+
+/**
+ * Map one smartctl --json report to the shared physical disk shape
+ */
+function parseSmartctlReport(report, device) {
+  const attributes = report.ata_smart_attributes?.table ?? [];
+  const nvmeLog = report.nvme_smart_health_information_log;
+
+  let mediaType = "Unknown";
+  if (report.device?.type === "nvme" || report.rotation_rate === 0) {
+    mediaType = "SSD";
+  } else if (report.rotation_rate > 0) {
+    mediaType = "HDD";
+  }
+
+  let wearPercentUsed = null;
+  if (typeof nvmeLog?.percentage_used === "number") {
+    wearPercentUsed = nvmeLog.percentage_used;
+  } else if (mediaType === "SSD" && ataWearRemaining(attributes) !== null) {
+    wearPercentUsed = 100 - ataWearRemaining(attributes);
+  }
+
+  const reallocated = attributes.find(attribute => attribute.id === 5);
+  const passed = report.smart_status?.passed;
+
+  const disk = {
+    name: device,
+    model: report.model_name ?? report.model_family ?? "Unknown",
+    mediaType,
+    sizeBytes: report.user_capacity?.bytes ?? report.nvme_total_capacity ?? null,
+    smartStatus: passed === true ? "Passed" : passed === false ? "Failed" : "Unknown",
+    wearPercentUsed,
+    reallocatedSectors: reallocated ? reallocated.raw.value : null,
+    temperatureCelsius: report.temperature?.current ?? null,
+    method: "smartctl",
+  };
+
+  if (passed === undefined && report.smartctl?.messages?.length > 0) {
+    disk.note = report.smartctl.messages[0].string;
+  }
+
+  return disk;
+}
+
+/**
+ * SMART health of every physical disk via smartctl --json (smartmontools)
+ * smartctl sets exit status bits for failing disks, so its JSON is read from failed runs too.
+ */
+export async function getPhysicalDiskHealth() {
+  const disks = [];
+
+  for (const device of await listPhysicalDisks()) {
+    let stdout;
+    try {
+      ({ stdout } = await runCommand(`smartctl --json -a /dev/${device}`));
+    } catch (error) {
+      if (error.code === 127 || /not found/i.test(error.stderr ?? error.message)) {
+        throw new Error("smartctl not installed (install smartmontools)");
+      }
+      stdout = error.stdout;
+    }
+
+    let report;
+    try {
+      report = JSON.parse(stdout);
+    } catch {
+      continue;
+    }
+    disks.push(parseSmartctlReport(report, device));
+  }
+
+  return disks;
+}
+
+/**
+ * State of a systemd unit ("active", "inactive", ...), or null if systemd is unavailable
+ */
+async function getUnitState(unit) {
+  try {
+    const { stdout } = await runCommand(`systemctl is-active ${unit}`);
+    return stdout.trim();
+  } catch (error) {
+    // is-active exits non-zero for inactive units but still prints the state
+    return error.stdout?.trim() || null;
+  }
+}
+
+/**
+ * ClamAV on-access daemon state
+ */
+export async function getAntivirusStatus() {
+  const state = await getUnitState("clamav-daemon");
+  if (!state || state === "unknown") {
+    throw new Error("No supported antivirus service found");
+  }
+
+  return {
+    product: hints.antivirusName,
+    realTimeMonitoring: state === "active",
+  };
+}
+
+/**
+ * Whether ufw, firewalld or nftables is enforcing rules
+ */
+export async function getFirewallStatus() {
+  const candidates = [
+    { product: "ufw", unit: "ufw" },
+    { product: "firewalld", unit: "firewalld" },
+    { product: "nftables", unit: "nftables" },
+  ];
+
+  let detected = null;
+  for (const candidate of candidates) {
+    const state = await getUnitState(candidate.unit);
+    if (state === "active") {
+      return { product: candidate.product, enabledProfiles: 1 };
+    }
+    if (state && state !== "unknown" && !detected) {
+      detected = candidate.product;
+    }
+  }
+
+  if (!detected) {
+    throw new Error("No supported firewall service found");
+  }
+
+  return { product: detected, enabledProfiles: 0 };
+}
+
+/**
+ * Number of pending package updates (apt or dnf)
+ */
+export async function getPendingUpdateCount() {
+  try {
+    const { stdout } = await runCommand("apt-get -s -o Debug::NoLocking=1 upgrade");
+    return stdout.split("\n").filter(line => line.startsWith("Inst ")).length;
+  } catch {
+    // Not a Debian-based system - try dnf
+  }
+
+  try {
+    await runCommand("dnf -q check-update");
+    return 0;
+  } catch (error) {
+    // dnf exits with 100 when updates are available
+    if (error.code === 100) {
+      return error.stdout.split("\n").filter(line => /^\S+\.\S+\s+\S+\s+\S+/.test(line)).length;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Number of journal entries at priority "err" or worse in the last N hours
+ * @param {number} hours - Window to count over (default: 24)
+ */
+export async function getSystemErrorCount(hours = 24) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    throw new Error(`Event log window must be a positive whole number of hours, got ${hours}`);
+  }
+  const { stdout } = await runCommand(
+    `journalctl -p err --since "${hours} hours ago" -q --no-pager -o cat`,
+    { maxBuffer: 16 * 1024 * 1024 }
+  );
+  return stdout.split("\n").filter(line => line.trim() !== "").length;
+}
+
+/**
+ * Power supplies of the given type ("Battery" or "Mains")
+ */
+async function listPowerSupplies(type) {
+  const root = "/sys/class/power_supply";
+  const supplies = [];
+
+  for (const entry of await listDir(root)) {
+    const dir = path.join(root, entry);
+    const supplyType = await readSysFile(path.join(dir, "type"));
+    // Peripheral batteries (mice, headsets) report scope "Device"
+    const scope = await readSysFile(path.join(dir, "scope"));
+    if (supplyType === type && scope !== "Device") {
+      supplies.push(dir);
+    }
+  }
+
+  return supplies;
+}
+
+// Event levels by syslog priority (0 emerg ... 4 warning)
+const JOURNAL_LEVELS = { 0: "critical", 1: "critical", 2: "critical", 3: "error", 4: "warning" };
+
+/**
+ * Journal MESSAGE field, which journald stores as a byte array when it isn't valid UTF-8
+ */
+function journalMessage(value) {
+  if (Array.isArray(value)) {
+    return Buffer.from(value).toString("utf8");
+  }
+  return value ?? null;
+}
+
+/**
+ * Critical, error and (optionally) warning journal entries, newest first
+ * "System" is the system journal (kernel and system units), "Application" the user units' journals.
+ * @param {Object} options
+ * @param {number} options.hours - Window in whole hours
+ * @param {string[]} options.logs - "System" and/or "Application"
+ * @param {boolean} options.includeWarnings - Include warning-priority entries
+ * @param {number} options.maxEvents - Most recent entries to read
+ * @returns {Promise<Array>} [{ time, log, level, source, eventId, message }]
+ */
+export async function getEventLogEntries({ hours, logs, includeWarnings, maxEvents }) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    throw new Error(`Event log window must be a positive whole number of hours, got ${hours}`);
+  }
+  const scope = logs.includes("System") && logs.includes("Application") ? "" : logs.includes("System") ? " --system" : " --user";
+  const { stdout } = await runCommand(
+    `journalctl${scope} -p ${includeWarnings ? "warning" : "err"} --since "${hours} hours ago" -n ${maxEvents} -r -q --no-pager -o json`,
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+
+  return stdout.split("\n").filter(line => line.trim() !== "").map(line => {
+    const entry = JSON.parse(line);
+    const unit = entry._SYSTEMD_USER_UNIT ?? entry._SYSTEMD_UNIT;
+    return {
+      time: new Date(Number(entry.__REALTIME_TIMESTAMP) / 1000).toISOString(),
+      log: entry._SYSTEMD_USER_UNIT ? "Application" : "System",
+      level: JOURNAL_LEVELS[entry.PRIORITY] ?? "warning",
+      source: entry._TRANSPORT === "kernel" ? "kernel" : unit ?? entry.SYSLOG_IDENTIFIER ?? entry._COMM ?? "unknown",
+      // Only structured messages (systemd and a few daemons) carry an ID
+      eventId: entry.MESSAGE_ID ?? null,
+      message: journalMessage(entry.MESSAGE),
+    };
+  });
+}
+
+/**
+ * Whether a battery is present
+ */
+export async function hasBattery() {
+  return (await listPowerSupplies("Battery")).length > 0;
+}
+
+/**
+ * Charge, status and chemistry of the first system battery
+ */
+export async function getBatteryBasic() {
+  const [battery] = await listPowerSupplies("Battery");
+  if (!battery) {
+    throw new Error("Battery data unavailable");
+  }
+
+  const capacity = parseInt(await readSysFile(path.join(battery, "capacity")), 10);
+  if (isNaN(capacity)) {
+    throw new Error("Battery data unavailable");
+  }
+
+  const statusMap = {
+    Discharging: "Discharging",
+    Charging: "AC Power",
+    "Not charging": "AC Power",
+    Full: "Fully Charged",
+  };
+  const status = await readSysFile(path.join(battery, "status"));
+
+  return {
+    chargePercent: capacity,
+    status: statusMap[status] || "Unknown",
+    chemistry: (await readSysFile(path.join(battery, "technology"))) || "Unknown",
+    method: "sysfs",
+  };
+}
+
+/**
+ * Design vs full-charge capacity and cycle count of the first system battery
+ * Batteries report energy_* (µWh) or, on some firmware, charge_* (µAh) instead. A cycle_count of 0 means not reported.
+ */
+export async function getBatteryWear() {
+  const [battery] = await listPowerSupplies("Battery");
+  if (!battery) {
+    throw new Error("Battery data unavailable");
+  }
+  const read = async name => parseInt(await readSysFile(path.join(battery, name)), 10);
+
+  let unit = "mWh";
+  let design = await read("energy_full_design");
+  let full = await read("energy_full");
+  if (!(design > 0)) {
+    unit = "mAh";
+    design = await read("charge_full_design");
+    full = await read("charge_full");
+  }
+  if (!(design > 0 && full > 0)) {
+    throw new Error("Battery firmware does not report its capacity");
+  }
+  const cycleCount = await read("cycle_count");
+
+  return {
+    manufacturer: await readSysFile(path.join(battery, "manufacturer")),
+    model: await readSysFile(path.join(battery, "model_name")),
+    chemistry: await readSysFile(path.join(battery, "technology")),
+    batteryCount: 1,
+    designCapacity: Math.round(design / 1000),
+    fullChargeCapacity: Math.round(full / 1000),
+    unit,
+    cycleCount: cycleCount > 0 ? cycleCount : null,
+    // The kernel keeps no capacity history
+    history: null,
+    method: "sysfs",
+  };
+}
+
+/**
+ * Active platform power profile, falling back to the CPU frequency governor
+ */
+export async function getPowerPlan() {
+  const profile = await readSysFile("/sys/firmware/acpi/platform_profile");
+  if (profile) {
+    return profile;
+  }
+
+  const governor = await readSysFile("/sys/devices/system/cpu/cpu0/cpufreq/scaling_governor");
+  return governor ? `${governor} (CPU governor)` : "Unknown";
+}
+
+/**
+ * AC adapter status fallback
+ */
+export async function getACStatus() {
+  for (const supply of await listPowerSupplies("Mains")) {
+    if ((await readSysFile(path.join(supply, "online"))) === "1") {
+      return "AC Power";
+    }
+  }
+  return "Discharging";
+}
+
+/**
+ * CPU thermal zone readings in °C (falls back to every zone if none is CPU-specific)
+ */
+export async function getCPUTemperatures() {
+  const root = "/sys/class/thermal";
+  const cpuZones = [];
+  const otherZones = [];
+
+  for (const entry of await listDir(root)) {
+    if (!entry.startsWith("thermal_zone")) continue;
+
+    const type = (await readSysFile(path.join(root, entry, "type"))) || "";
+    const milliCelsius = parseInt(await readSysFile(path.join(root, entry, "temp")), 10);
+    if (isNaN(milliCelsius) || milliCelsius <= 0) continue;
+
+    const celsius = milliCelsius / 1000;
+    if (/cpu|pkg|x86|soc|coretemp|k10temp/i.test(type)) {
+      cpuZones.push(celsius);
+    } else {
+      otherZones.push(celsius);
+    }
+  }
+
+  return cpuZones.length > 0 ? cpuZones : otherZones;
+}
+
+/**
+ * hwmon devices keyed by driver name
+ */
+async function listHwmon() {
+  const root = "/sys/class/hwmon";
+  const devices = [];
+
+  for (const entry of await listDir(root)) {
+    const dir = path.join(root, entry);
+    devices.push({ dir, name: (await readSysFile(path.join(dir, "name"))) || entry });
+  }
+
+  return devices;
+}
+
+/**
+ * GPU temperature in °C (NVIDIA via nvidia-smi, AMD via hwmon), or null if unavailable
+ */
+export async function getGPUTemperature() {
+  const { stdout } = await runCommand(
+    "nvidia-smi --query-gpu=temperature.gpu --format=csv,noheader,nounits"
+  ).catch(() => ({ stdout: null }));
+
+  const nvidiaTemp = parseInt(stdout?.trim());
+  if (!isNaN(nvidiaTemp)) {
+    return nvidiaTemp;
+  }
+
+  for (const device of await listHwmon()) {
+    if (device.name !== "amdgpu") continue;
+    const milliCelsius = parseInt(await readSysFile(path.join(device.dir, "temp1_input")), 10);
+    if (!isNaN(milliCelsius)) {
+      return Math.round(milliCelsius / 1000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Average CPU frequency as % of maximum, plus the cumulative thermal and power-limit throttle
+ * counters from each CPU's thermal_throttle directory. Package counters repeat on every CPU
+ * of a package, so they are read once per topology/physical_package_id.
+ */
+export async function getThrottleState() {
+  const root = "/sys/devices/system/cpu";
+  const ratios = [];
+  const packages = new Set();
+  // Cumulative counters; null when the kernel doesn't expose them (non-Intel CPUs)
+  let thermalEvents = null;
+  let powerLimitEvents = null;
+  const add = (sum, value) => (isNaN(value) ? sum : (sum ?? 0) + value);
+
+  for (const entry of await listDir(root)) {
+    if (!/^cpu\d+$/.test(entry)) continue;
+
+    const current = parseInt(await readSysFile(path.join(root, entry, "cpufreq", "scaling_cur_freq")), 10);
+    const max = parseInt(await readSysFile(path.join(root, entry, "cpufreq", "cpuinfo_max_freq")), 10);
+    if (current > 0 && max > 0) {
+      ratios.push((current / max) * 100);
+    }
+
+    const counters = path.join(root, entry, "thermal_throttle");
+    thermalEvents = add(thermalEvents, parseInt(await readSysFile(path.join(counters, "core_throttle_count")), 10));
+    powerLimitEvents = add(powerLimitEvents, parseInt(await readSysFile(path.join(counters, "core_power_limit_count")), 10));
+
+    // Without topology every CPU is taken to share one package
+    const packageId = await readSysFile(path.join(root, entry, "topology", "physical_package_id"));
+    if (!packages.has(packageId)) {
+      packages.add(packageId);
+      thermalEvents = add(thermalEvents, parseInt(await readSysFile(path.join(counters, "package_throttle_count")), 10));
+      powerLimitEvents = add(powerLimitEvents, parseInt(await readSysFile(path.join(counters, "package_power_limit_count")), 10));
+    }
+  }
+
+  if (ratios.length === 0 && thermalEvents === null) {
+    throw new Error("cpufreq and thermal_throttle data unavailable");
+  }
+
+  return {
+    frequencyPercent: ratios.length > 0 ? Math.round((ratios.reduce((a, b) => a + b) / ratios.length) * 10) / 10 : null,
+    performanceLimitPercent: null,
+    thermalEvents,
+    powerLimitEvents,
+  };
+}
+
+// hwmon driver names and thermal zone types by sensor kind
+const SENSOR_KINDS = [
+  [/^(coretemp|k10temp|zenpower|cpu_thermal|x86_pkg_temp|tcpu|b0d4)/i, "cpu"],
+  [/^(amdgpu|nouveau|radeon|gpu)/i, "gpu"],
+  [/^(nvme|drivetemp)/i, "storage"],
+  [/^pch_/i, "chipset"],
+  [/^(bat|battery)/i, "battery"],
+  [/^acpitz/i, "zone"],
+];
+
+/**
+ * Sensor kind for a hwmon driver name or thermal zone type
+ */
+function sensorKind(name) {
+  return SENSOR_KINDS.find(([pattern]) => pattern.test(name))?.[1] ?? "other";
+}
+
+/**
+ * Millidegree sysfs value to °C, or null
+ */
+async function readMilliCelsius(filePath) {
+  const value = parseInt(await readSysFile(filePath), 10);
+  return isNaN(value) ? null : value / 1000;
+}
+
+/**
+ * Every temperature sensor: hwmon inputs with their max/crit limits, plus thermal zones
+ * not already exposed through hwmon with their passive/hot and critical trip points
+ * @returns {Promise<Array>} [{ name, label, kind, source, celsius, highCelsius, criticalCelsius }]
+ */
+export async function getThermalSensors() {
+  const sensors = [];
+  const hwmonNames = new Set();
+
+  for (const device of await listHwmon()) {
+    hwmonNames.add(device.name);
+    for (const file of await listDir(device.dir)) {
+      const match = file.match(/^temp(\d+)_input$/);
+      if (!match) continue;
+
+      const celsius = await readMilliCelsius(path.join(device.dir, file));
+      if (celsius === null) continue;
+
+      const prefix = path.join(device.dir, `temp${match[1]}`);
+      const label = await readSysFile(`${prefix}_label`);
+      sensors.push({
+        name: `${device.name}/temp${match[1]}`,
+        label: label || `${device.name} temp${match[1]}`,
+        kind: sensorKind(device.name),
+        source: "hwmon",
+        celsius,
+        highCelsius: await readMilliCelsius(`${prefix}_max`),
+        criticalCelsius: await readMilliCelsius(`${prefix}_crit`),
+      });
+    }
+  }
+
+  const root = "/sys/class/thermal";
+  for (const entry of await listDir(root)) {
+    if (!entry.startsWith("thermal_zone")) continue;
+
+    const dir = path.join(root, entry);
+    const type = (await readSysFile(path.join(dir, "type"))) || entry;
+    // acpitz and friends appear under hwmon too
+    if (hwmonNames.has(type)) continue;
+
+    const celsius = await readMilliCelsius(path.join(dir, "temp"));
+    if (celsius === null || celsius <= 0) continue;
+
+    // Passive and hot trips are where the firmware starts cooling; active trips only switch fan stages
+    const high = [];
+    let criticalCelsius = null;
+    for (const file of await listDir(dir)) {
+      const match = file.match(/^trip_point_(\d+)_type$/);
+      if (!match) continue;
+      const tripType = await readSysFile(path.join(dir, file));
+      const tripCelsius = await readMilliCelsius(path.join(dir, `trip_point_${match[1]}_temp`));
+      if (tripCelsius === null || tripCelsius <= 0) continue;
+      if (tripType === "critical") {
+        criticalCelsius = tripCelsius;
+      } else if (tripType === "passive" || tripType === "hot") {
+        high.push(tripCelsius);
+      }
+    }
+
+    sensors.push({
+      name: entry,
+      label: type,
+      kind: sensorKind(type),
+      source: "thermal zone",
+      celsius,
+      highCelsius: high.length > 0 ? Math.min(...high) : null,
+      criticalCelsius,
+    });
+  }
+
+  if (sensors.length === 0) {
+    throw new Error("No temperature sensors readable under /sys/class/hwmon or /sys/class/thermal");
+  }
+  return sensors;
+}
+
+/**
+ * Fan readings from hwmon
+ */
+export async function getFanSpeeds() {
+  const fans = [];
+
+  for (const device of await listHwmon()) {
+    for (const file of await listDir(device.dir)) {
+      const match = file.match(/^fan(\d+)_input$/);
+      if (!match) continue;
+
+      const rpm = parseInt(await readSysFile(path.join(device.dir, file)), 10);
+      if (isNaN(rpm)) continue;
+
+      const label = await readSysFile(path.join(device.dir, `fan${match[1]}_label`));
+      fans.push({ label: label || `${device.name} fan${match[1]}`, rpm });
+    }
+  }
+
+  return fans;
+}
+
+/**
+ * Single ICMP echo to the given host
+ * @returns {Promise<Object>} { reachable, latencyMs } or { reachable: false, status }
+ */
+export async function ping(host, timeoutMs = 2000) {
+  try {
+    const { stdout } = await runCommand(`ping -c 1 -W ${Math.ceil(timeoutMs / 1000)} ${host}`);
+    const time = stdout.match(/time[=<]([\d.]+) ms/);
+    return { reachable: true, latencyMs: time ? parseFloat(time[1]) : null };
+  } catch (error) {
+    // Exit code 1 means no reply; anything else means ping itself failed
+    if (error.code === 1) {
+      return { reachable: false, status: "TimedOut" };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Network interfaces with link state and speed from /sys/class/net
+ * @returns {Promise<Object[]>} { name, description, up, speedMbps, mac, virtual }
+ */
+export async function getNetworkAdapters() {
+  const names = await readDir("/sys/class/net");
+
+  return Promise.all(names.map(async name => {
+    const base = `/sys/class/net/${name}`;
+    const [operstate, flags, speed, address, devicePath] = await Promise.all([
+      readSysFile(`${base}/operstate`),
+      readSysFile(`${base}/flags`),
+      // Reading speed fails with EINVAL while the link is down and on most virtual interfaces
+      readSysFile(`${base}/speed`),
+      readSysFile(`${base}/address`),
+      readLink(base).catch(() => ""),
+    ]);
+    const speedMbps = parseInt(speed, 10);
+
+    return {
+      name,
+      description: null,
+      // Loopback and tunnels report "unknown"; fall back to the administrative IFF_UP flag
+      up: operstate === "up" || (operstate === "unknown" && (parseInt(flags, 16) & 0x1) === 1),
+      speedMbps: speedMbps > 0 ? speedMbps : null,
+      mac: address && address !== "00:00:00:00:00:00" ? address : null,
+      // Software interfaces (loopback, bridges, veth, tun) live under /sys/devices/virtual
+      virtual: devicePath.includes("/devices/virtual/"),
+    };
+  }));
+}
+
+/**
+ * Cumulative byte, error and drop counters per interface from /proc/net/dev
+ * @returns {Promise<Object>} Interface name → { rxBytes, txBytes, rxErrors, txErrors, rxDropped, txDropped }
+ */
+export async function getNetworkCounters() {
+  const content = await readFile("/proc/net/dev");
+  const counters = {};
+
+  // Two header lines, then "  eth0: rx bytes packets errs drop fifo frame compressed multicast tx bytes packets errs drop ..."
+  for (const line of content.split("\n").slice(2)) {
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const fields = line.slice(separator + 1).trim().split(/\s+/).map(Number);
+    counters[line.slice(0, separator).trim()] = {
+      rxBytes: fields[0],
+      txBytes: fields[8],
+      rxErrors: fields[2],
+      txErrors: fields[10],
+      rxDropped: fields[3],
+      txDropped: fields[11],
+    };
+  }
+
+  return counters;
+}
+
+/**
+ * IPv4 default route with the lowest metric from /proc/net/route
+ * @returns {Promise<Object|null>} { interface, gateway } or null without a default route
+ */
+export async function getDefaultRoute() {
+  const content = await readFile("/proc/net/route");
+  const routes = content.trim().split("\n").slice(1)
+    .map(line => line.trim().split(/\s+/))
+    .filter(([, destination, , , , , , mask]) => destination === "00000000" && mask === "00000000")
+    .sort((a, b) => parseInt(a[6], 10) - parseInt(b[6], 10));
+
+  if (routes.length === 0) {
+    return null;
+  }
+  const [iface, , gateway] = routes[0];
+  // Addresses are little-endian hex: 0101A8C0 is 192.168.1.1
+  const octets = gateway.match(/../g).map(byte => parseInt(byte, 16)).reverse();
+  return {
+    interface: iface,
+    gateway: gateway === "00000000" ? null : octets.join("."),
+  };
+}
+
+// TCP states by their hex code in /proc/net/tcp
+const TCP_STATES = {
+  "01": "ESTABLISHED",
+  "02": "SYN_SENT",
+  "03": "SYN_RECV",
+  "04": "FIN_WAIT1",
+  "05": "FIN_WAIT2",
+  "06": "TIME_WAIT",
+  "07": "CLOSE",
+  "08": "CLOSE_WAIT",
+  "09": "LAST_ACK",
+  "0A": "LISTEN",
+  "0B": "CLOSING",
+};
+
+/**
+ * Decode a /proc/net address; IPv4 is one little-endian word, IPv6 four of them
+ */
+function decodeSocketAddress(hex) {
+  const words = hex.match(/.{8}/g).map(word => word.match(/../g).reverse().join(""));
+  const toIPv4 = word => word.match(/../g).map(byte => parseInt(byte, 16)).join(".");
+
+  if (words.length === 1) {
+    return toIPv4(words[0]);
+  }
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d)
+  if (words[0] === "00000000" && words[1] === "00000000" && words[2] === "0000FFFF") {
+    return `::ffff:${toIPv4(words[3])}`;
+  }
+  // Let the URL parser produce the compressed form
+  const groups = words.join("").match(/.{4}/g).join(":");
+  return new URL(`http://[${groups}]`).hostname.slice(1, -1);
+}
+
+/**
+ * Sockets from one /proc/net table; a missing table (e.g. IPv6 disabled) yields none
+ */
+async function readSocketTable(file, protocol) {
+  const content = await readSysFile(file);
+  if (!content) {
+    return [];
+  }
+
+  return content.split("\n").slice(1).map(line => {
+    const fields = line.trim().split(/\s+/);
+    const [localHex, localPort] = fields[1].split(":");
+    const [remoteHex, remotePort] = fields[2].split(":");
+    // Unconnected UDP sockets show state 07 (CLOSE); they are what netstat calls listening
+    const state = protocol === "udp" ? (fields[3] === "01" ? "ESTABLISHED" : "LISTEN") : TCP_STATES[fields[3]] ?? fields[3];
+    const listening = state === "LISTEN";
+    return {
+      protocol,
+      localAddress: decodeSocketAddress(localHex),
+      localPort: parseInt(localPort, 16),
+      remoteAddress: listening ? null : decodeSocketAddress(remoteHex),
+      remotePort: listening ? null : parseInt(remotePort, 16),
+      state,
+      inode: fields[9],
+    };
+  });
+}
+
+/**
+ * Map socket inodes to the PID holding them by scanning /proc/<pid>/fd
+ * Other users' descriptors are unreadable without root, so their sockets stay unowned.
+ */
+async function mapSocketOwners(inodes) {
+  const owners = new Map();
+  const pids = await listPids();
+
+  await Promise.all(pids.map(async pid => {
+    const descriptors = await listDir(`/proc/${pid}/fd`);
+    await Promise.all(descriptors.map(async fd => {
+      const target = await readLink(`/proc/${pid}/fd/${fd}`).catch(() => "");
+      const inode = target.match(/^socket:\[(\d+)\]$/)?.[1];
+      if (inode && inodes.has(inode) && !owners.has(inode)) {
+        owners.set(inode, parseInt(pid, 10));
+      }
+    }));
+  }));
+
+  return owners;
+}
+
+/**
+ * Every TCP and UDP socket with its owning process, from /proc/net/{tcp,tcp6,udp,udp6} and /proc/<pid>/fd
+ * @returns {Promise<Object[]>} { protocol, localAddress, localPort, remoteAddress, remotePort, state, pid, process }
+ */
+export async function getSockets() {
+  const tables = await Promise.all([
+    readSocketTable("/proc/net/tcp", "tcp"),
+    readSocketTable("/proc/net/tcp6", "tcp"),
+    readSocketTable("/proc/net/udp", "udp"),
+    readSocketTable("/proc/net/udp6", "udp"),
+  ]);
+  const sockets = tables.flat();
+  if (sockets.length === 0) {
+    throw new Error("No socket tables readable under /proc/net");
+  }
+
+  // Inode 0 belongs to sockets in TIME_WAIT, which no process holds any more
+  const owners = await mapSocketOwners(new Set(sockets.map(socket => socket.inode).filter(inode => inode !== "0")));
+  const names = new Map();
+  for (const pid of new Set(owners.values())) {
+    names.set(pid, await readSysFile(`/proc/${pid}/comm`));
+  }
+
+  return sockets.map(({ inode, ...socket }) => {
+    const pid = owners.get(inode) ?? null;
+    return { ...socket, pid, process: pid === null ? null : names.get(pid) };
+  });
+}
+
+/**
+ * USB and Bluetooth device counts from sysfs and bluetoothctl
+ */
+export async function getConnectedDevices() {
+  // Device entries look like "1-2" or "1-2.3"; interfaces contain ":" and root hubs start with "usb"
+  const usbDevices = (await listDir("/sys/bus/usb/devices"))
+    .filter(entry => !entry.includes(":") && !entry.startsWith("usb"))
+    .length;
+
+  let bluetoothDevices = "N/A";
+  try {
+    const { stdout } = await runCommand("bluetoothctl devices Connected");
+    bluetoothDevices = stdout.split("\n").filter(line => line.startsWith("Device ")).length;
+  } catch {
+    // bluetoothctl missing or no adapter
+  }
+
+  const result = {
+    usbDevices,
+    bluetoothDevices,
+    totalConnectedDevices: usbDevices + (typeof bluetoothDevices === "number" ? bluetoothDevices : 0),
+    method: "sysfs",
+  };
+
+  if (bluetoothDevices === "N/A") {
+    result.note = "Bluetooth device count requires bluetoothctl and an active adapter";
+  }
+
+  return result;
+}
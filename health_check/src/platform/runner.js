@@ -0,0 +1,257 @@
+import fs from "fs";
+import os from "os";
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import { exec } from "child_process";
+import { promisify } from "util";
+
+const execPromise = promisify(exec);
+
+/**
+ * Shared command runner for every platform backend, plus the network probes
+ * (DNS, TCP, HTTP) used for connectivity checks.
+ *
+ * Modes:
+ * - live: run commands and read files for real (default)
+ * - record: run for real and append every result to a fixture file (HEALTH_CHECK_RECORD=<file>)
+ * - replay: serve results from a fixture file without touching the system (HEALTH_CHECK_REPLAY=<file>)
+ *
+ * A fixture is JSON: { platform, recordedAt, entries: [{ kind, target, result | error }] }.
+ * Repeated calls to the same target replay entries in recorded order, then repeat the last one.
+ */
+
+let mode = "live";
+let fixture = null;
+let fixturePath = null;
+const cursors = new Map();
+
+/**
+ * Switch between live, record and replay modes
+ * @param {Object} options
+ * @param {string} [options.record] - Fixture file to record into
+ * @param {string} [options.replay] - Fixture file to replay from
+ * @param {Object} [options.fixture] - In-memory fixture to replay from
+ */
+export function configureRunner(options = {}) {
+  cursors.clear();
+
+  if (options.fixture || options.replay) {
+    mode = "replay";
+    fixturePath = options.replay || null;
+    fixture = options.fixture || JSON.parse(fs.readFileSync(options.replay, "utf8"));
+  } else if (options.record) {
+    mode = "record";
+    fixturePath = options.record;
+    fixture = {
+      platform: process.env.HEALTH_CHECK_PLATFORM || os.platform(),
+      recordedAt: new Date().toISOString(),
+      entries: [],
+    };
+  } else {
+    mode = "live";
+    fixturePath = null;
+    fixture = null;
+  }
+}
+
+/**
+ * Current runner mode ("live", "record" or "replay")
+ */
+export function getRunnerMode() {
+  return mode;
+}
+
+/**
+ * Platform a replayed fixture was recorded on, or null when not replaying
+ */
+export function getReplayPlatform() {
+  return mode === "replay" ? fixture.platform || null : null;
+}
+
+/**
+ * Execute a shell command, resolving to { stdout, stderr }
+ * Rejects like child_process.exec: the error carries code, stdout and stderr.
+ */
+export async function runCommand(command, options = {}) {
+  return call("exec", command, () => execPromise(command, options).then(({ stdout, stderr }) => ({ stdout, stderr })));
+}
+
+/**
+ * Read a text file
+ */
+export async function readFile(filePath) {
+  return call("readFile", filePath, () => fs.promises.readFile(filePath, "utf8"));
+}
+
+/**
+ * List directory entries
+ */
+export async function readDir(dirPath) {
+  return call("readDir", dirPath, () => fs.promises.readdir(dirPath));
+}
+
+/**
+ * Target of a symbolic link (e.g. /proc/<pid>/fd/<n>)
+ */
+export async function readLink(linkPath) {
+  return call("readLink", linkPath, () => fs.promises.readlink(linkPath));
+}
+
+/**
+ * Filesystem statistics (block counts and sizes only)
+ */
+export async function statFs(filePath) {
+  return call("statFs", filePath, async () => {
+    const { bsize, blocks, bfree, bavail, files, ffree } = await fs.promises.statfs(filePath);
+    return { bsize, blocks, bfree, bavail, files, ffree };
+  });
+}
+
+/**
+ * Error raised when a network probe runs out of time
+ */
+function timeoutError(what, timeoutMs) {
+  return Object.assign(new Error(`${what} timed out after ${timeoutMs}ms`), { code: "ETIMEDOUT" });
+}
+
+/**
+ * Run a network operation with a deadline, adding latencyMs to its result
+ */
+async function timed(what, timeoutMs, operation) {
+  const started = Date.now();
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(timeoutError(what, timeoutMs)), timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([operation(), deadline]);
+    return { ...result, latencyMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Resolve a hostname to IPv4/IPv6 addresses, resolving to { addresses, latencyMs }
+ * Uses the system resolver, as applications do, unless a DNS server ("ip" or "ip:port") is given.
+ */
+export async function resolveHost(host, options = {}) {
+  const { server, timeoutMs = 3000 } = options;
+  return call("dns", server ? `${host}@${server}` : host, () => timed(`DNS lookup of ${host}`, timeoutMs, async () => {
+    if (server) {
+      const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 1 });
+      resolver.setServers([server]);
+      return { addresses: await resolver.resolve4(host) };
+    }
+    const results = await dns.promises.lookup(host, { all: true });
+    return { addresses: results.map(result => result.address) };
+  }));
+}
+
+/**
+ * Open (and immediately close) a TCP connection, resolving to { latencyMs }
+ */
+export async function connectTcp(host, port, options = {}) {
+  const { timeoutMs = 3000 } = options;
+  return call("tcp", `${host}:${port}`, () => timed(`TCP connect to ${host}:${port}`, timeoutMs, () => new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(timeoutError(`TCP connect to ${host}:${port}`, timeoutMs)));
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve({});
+    });
+    socket.once("error", reject);
+  })));
+}
+
+/**
+ * Send an HTTP(S) HEAD request without following redirects, resolving to { status, location, latencyMs }
+ */
+export async function requestHead(url, options = {}) {
+  const { timeoutMs = 3000 } = options;
+  const client = url.startsWith("https:") ? https : http;
+  return call("http", url, () => timed(`HEAD ${url}`, timeoutMs, () => new Promise((resolve, reject) => {
+    const request = client.request(url, { method: "HEAD", agent: false, timeout: timeoutMs }, response => {
+      response.resume();
+      resolve({ status: response.statusCode, location: response.headers.location ?? null });
+    });
+    request.on("timeout", () => request.destroy(timeoutError(`HEAD ${url}`, timeoutMs)));
+    request.on("error", reject);
+    request.end();
+  })));
+}
+
+/**
+ * Dispatch a call according to the current mode
+ */
+async function call(kind, target, live) {
+  if (mode === "replay") {
+    return replay(kind, target);
+  }
+
+  if (mode === "live") {
+    return live();
+  }
+
+  try {
+    const result = await live();
+    saveEntry({ kind, target, result });
+    return result;
+  } catch (error) {
+    saveEntry({ kind, target, error: serializeError(error) });
+    throw error;
+  }
+}
+
+/**
+ * Serve the next recorded entry for a target
+ */
+function replay(kind, target) {
+  const key = `${kind}:${target}`;
+  const matches = fixture.entries.filter(entry => entry.kind === kind && entry.target === target);
+
+  if (matches.length === 0) {
+    const error = new Error(`No recorded ${kind} entry for: ${target}`);
+    error.code = "ENOFIXTURE";
+    throw error;
+  }
+
+  const index = cursors.get(key) || 0;
+  cursors.set(key, index + 1);
+  const entry = matches[Math.min(index, matches.length - 1)];
+
+  if (entry.error) {
+    throw Object.assign(new Error(entry.error.message), entry.error);
+  }
+
+  return entry.result;
+}
+
+/**
+ * Append an entry to the fixture file being recorded
+ */
+function saveEntry(entry) {
+  fixture.entries.push(entry);
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Keep the fields callers inspect on exec and fs errors
+ */
+function serializeError(error) {
+  const serialized = { message: error.message };
+  for (const field of ["code", "stdout", "stderr"]) {
+    if (error[field] !== undefined) {
+      serialized[field] = error[field];
+    }
+  }
+  return serialized;
+}
+
+configureRunner({
+  record: process.env.HEALTH_CHECK_RECORD,
+  replay: process.env.HEALTH_CHECK_REPLAY,
+});
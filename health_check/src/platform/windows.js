@@ -0,0 +1,772 @@
+import os from "os";
+import { runCommand } from "./runner.js";
+
+export const name = "windows";
+
+/**
+ * Platform-specific wording used in recommendations
+ */
+export const hints = {
+  antivirusName: "Windows Defender",
+  firewallName: "Windows Firewall",
+  enableAntivirus: "Run: Set-MpPreference -DisableRealtimeMonitoring $false (as Administrator)",
+  enableFirewall: "Run: Set-NetFirewallProfile -Profile Domain,Public,Private -Enabled True",
+  diskCleanup: "Run Disk Cleanup (cleanmgr) or delete unnecessary files",
+  eventLog: "Review Event Viewer for system stability issues",
+  updateSource: "Windows",
+  updates: "Install pending Windows updates when convenient",
+  renewNetwork: "Try: ipconfig /release && ipconfig /renew (run as Administrator)",
+  dnsFlush: "Try: ipconfig /flushdns, then check the DNS servers listed by ipconfig /all",
+  elevated: "Run PowerShell as Administrator",
+  sensors: "Run LibreHardwareMonitor or OpenHardwareMonitor to expose per-core, drive and GPU temperatures and fan speeds over WMI",
+  systemVolume: "C:",
+};
+
+/**
+ * Cumulative per-core CPU times in milliseconds (Windows does not report iowait)
+ */
+export async function getCPUTimes() {
+  return os.cpus().map(({ times }) => ({
+    user: times.user + times.nice,
+    system: times.sys + times.irq,
+    idle: times.idle,
+    iowait: null,
+  }));
+}
+
+/**
+ * Size and free space of a volume in bytes
+ * @param {string} volume - Drive letter, with or without colon (default: C)
+ */
+export async function getDiskUsage(volume = "C") {
+  const match = /^([A-Za-z]):?$/.exec(volume);
+  if (!match) {
+    throw new Error(`Volume must be a drive letter on Windows, got "${volume}"`);
+  }
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-Volume -DriveLetter ${match[1].toUpperCase()} | Select-Object Size, SizeRemaining | ConvertTo-Json"`
+  );
+  const volInfo = JSON.parse(stdout);
+  return {
+    totalBytes: volInfo.Size,
+    freeBytes: volInfo.SizeRemaining,
+    inodesTotal: null,
+    inodesFree: null,
+  };
+}
+
+// MSFT_Volume.DriveType and MSFT_PhysicalDisk enum values, in case they serialize as numbers
+const DRIVE_TYPES = { 2: "Removable", 3: "Fixed" };
+const MEDIA_TYPES = { 0: "Unknown", 3: "HDD", 4: "SSD", 5: "SCM" };
+const HEALTH_STATUSES = { 0: "Healthy", 1: "Warning", 2: "Unhealthy", 5: "Unknown" };
+
+/**
+ * Every fixed or removable volume with a drive letter, with its usage
+ * NTFS has no inode limit, so inode counts are null.
+ */
+export async function listVolumes() {
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-Volume | Where-Object { $_.DriveLetter -and ($_.DriveType -eq 'Fixed' -or $_.DriveType -eq 'Removable') -and $_.Size -gt 0 } | Select-Object DriveLetter, FileSystemLabel, FileSystem, DriveType, Size, SizeRemaining | ConvertTo-Json"`
+  );
+
+  const parsed = JSON.parse(stdout);
+  const volumes = Array.isArray(parsed) ? parsed : [parsed];
+
+  return volumes.map(volume => ({
+    volume: `${volume.DriveLetter}:`,
+    label: volume.FileSystemLabel || "",
+    fileSystem: volume.FileSystem || "Unknown",
+    driveType: DRIVE_TYPES[volume.DriveType] ?? String(volume.DriveType),
+    totalBytes: volume.Size,
+    freeBytes: volume.SizeRemaining,
+    inodesTotal: null,
+    inodesFree: null,
+  }));
+}
+
+/**
+ * Health of every physical disk from Get-PhysicalDisk and Get-StorageReliabilityCounter
+ * Reliability counters need Administrator; without them wear and temperature are null.
+ */
+export async function getPhysicalDiskHealth() {
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-PhysicalDisk | ForEach-Object { $r = $_ | Get-StorageReliabilityCounter -ErrorAction SilentlyContinue; [PSCustomObject]@{ DeviceId = $_.DeviceId; FriendlyName = $_.FriendlyName; MediaType = $_.MediaType; Size = $_.Size; HealthStatus = $_.HealthStatus; Wear = $r.Wear; Temperature = $r.Temperature } } | ConvertTo-Json"`
+  );
+
+  const parsed = JSON.parse(stdout);
+  const disks = Array.isArray(parsed) ? parsed : [parsed];
+
+  return disks.map(disk => {
+    const health = HEALTH_STATUSES[disk.HealthStatus] ?? disk.HealthStatus;
+    const mediaType = MEDIA_TYPES[disk.MediaType] ?? disk.MediaType;
+    return {
+      name: `PhysicalDisk${disk.DeviceId}`,
+      model: disk.FriendlyName || "Unknown",
+      mediaType: mediaType === "Unspecified" ? "Unknown" : mediaType,
+      sizeBytes: disk.Size ?? null,
+      // Storage Spaces health is Windows' summary of the drive's SMART state
+      smartStatus: health === "Healthy" ? "Passed" : health === "Unhealthy" ? "Failed" : health === "Warning" ? "Warning" : "Unknown",
+      wearPercentUsed: typeof disk.Wear === "number" ? disk.Wear : null,
+      reallocatedSectors: null,
+      temperatureCelsius: typeof disk.Temperature === "number" && disk.Temperature > 0 ? disk.Temperature : null,
+      method: "Get-PhysicalDisk",
+    };
+  });
+}
+
+/**
+ * Number of running processes
+ */
+export async function getProcessCount() {
+  const { stdout } = await runCommand(
+    'powershell -Command "(Get-Process | Measure-Object).Count"'
+  );
+  return parseInt(stdout.trim(), 10) || 0;
+}
+
+/**
+ * Cumulative CPU time, memory, I/O and handle counts of every process
+ * totalCpuSeconds is null: a sum over processes drops whatever exited, so the window is measured by elapsed time.
+ */
+export async function getProcessSnapshot() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-CimInstance Win32_Process | Select-Object ProcessId, ParentProcessId, Name, KernelModeTime, UserModeTime, WorkingSetSize, PrivatePageCount, HandleCount, ThreadCount, ReadTransferCount, WriteTransferCount | ConvertTo-Json"'
+  );
+
+  const parsed = JSON.parse(stdout);
+  const processes = (Array.isArray(parsed) ? parsed : [parsed]).map(process => ({
+    pid: process.ProcessId,
+    parentPid: process.ParentProcessId,
+    name: process.Name.replace(/\.exe$/i, ""),
+    // Kernel and user mode times are in 100ns units
+    cpuSeconds: (Number(process.KernelModeTime) + Number(process.UserModeTime)) / 1e7,
+    workingSetBytes: Number(process.WorkingSetSize),
+    // PrivatePageCount is in bytes despite its name
+    privateBytes: Number(process.PrivatePageCount),
+    ioBytes: Number(process.ReadTransferCount) + Number(process.WriteTransferCount),
+    handles: process.HandleCount,
+    threads: process.ThreadCount,
+  }));
+
+  return { totalCpuSeconds: null, processes };
+}
+
+/**
+ * Parse a date from Windows PowerShell ConvertTo-Json ("/Date(1700000000000)/") or ISO text
+ */
+function parseJsonDate(value) {
+  const match = /Date\((-?\d+)/.exec(value ?? "");
+  if (match) {
+    return new Date(Number(match[1])).toISOString();
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+}
+
+/**
+ * Command line, executable, start time and owner of one process
+ * Listing open files needs Sysinternals handle.exe, so only the handle count (from the snapshot) is available.
+ * @param {number} pid - Process ID
+ */
+export async function getProcessDetails(pid) {
+  if (!Number.isInteger(pid) || pid < 0) {
+    throw new Error(`PID must be a non-negative integer, got "${pid}"`);
+  }
+
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-CimInstance Win32_Process -Filter 'ProcessId = ${pid}' | ForEach-Object { $o = Invoke-CimMethod -InputObject $_ -MethodName GetOwner; [PSCustomObject]@{ CommandLine = $_.CommandLine; ExecutablePath = $_.ExecutablePath; CreationDate = $_.CreationDate; User = if ($o.User) { $o.Domain + '\\' + $o.User } else { $null } } } | ConvertTo-Json"`
+  );
+  if (!stdout.trim()) {
+    throw new Error(`No process with PID ${pid}`);
+  }
+
+  const details = JSON.parse(stdout);
+  return {
+    commandLine: details.CommandLine || null,
+    executablePath: details.ExecutablePath || null,
+    startTime: details.CreationDate ? parseJsonDate(details.CreationDate) : null,
+    user: details.User || null,
+    openFiles: null,
+    openFilesNote: "Windows does not list open files without Sysinternals handle.exe; see the handle count instead",
+  };
+}
+
+/**
+ * Disk read/write throughput from Performance Monitor, in bytes per second
+ */
+export async function getDiskIOStats() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-Counter -Counter \'\\\\PhysicalDisk(_Total)\\\\Disk Read Bytes/sec\', \'\\\\PhysicalDisk(_Total)\\\\Disk Write Bytes/sec\' -SampleInterval 1 -MaxSamples 1 | Select-Object -ExpandProperty CounterSamples | ConvertTo-Json"'
+  );
+
+  const samples = JSON.parse(stdout);
+  const stats = Array.isArray(samples) ? samples : [samples];
+
+  let readBytesPerSec = 0;
+  let writeBytesPerSec = 0;
+
+  // Counter paths come back lower-cased (\\host\physicaldisk(_total)\disk read bytes/sec)
+  stats.forEach(stat => {
+    const counterPath = stat.Path.toLowerCase();
+    if (counterPath.includes('disk read bytes')) {
+      readBytesPerSec = stat.CookedValue;
+    }
+    if (counterPath.includes('disk write bytes')) {
+      writeBytesPerSec = stat.CookedValue;
+    }
+  });
+
+  return { readBytesPerSec, writeBytesPerSec };
+}
+
+/**
+ * Windows Defender real-time monitoring state
+ */
+export async function getAntivirusStatus() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-MpPreference | Select-Object -ExpandProperty DisableRealtimeMonitoring"'
+  );
+
+  const output = stdout.trim();
+  if (output !== "True" && output !== "False") {
+    throw new Error("Unexpected Defender output");
+  }
+
+  return {
+    product: hints.antivirusName,
+    realTimeMonitoring: output === "False",
+  };
+}
+
+/**
+ * Number of enabled Windows Firewall profiles
+ */
+export async function getFirewallStatus() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-NetFirewallProfile | Where-Object {$_.Enabled -eq $true} | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+
+  const enabledProfiles = parseInt(stdout.trim());
+  if (isNaN(enabledProfiles)) {
+    throw new Error("Unexpected firewall output");
+  }
+
+  return {
+    product: hints.firewallName,
+    enabledProfiles,
+  };
+}
+
+/**
+ * Number of pending software updates (Configuration Manager client)
+ */
+export async function getPendingUpdateCount() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject -Namespace "root\\ccm\\clientSDK" -Class CCM_SoftwareUpdate -Filter CompletionState=0 | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+  return parseInt(stdout.trim()) || 0;
+}
+
+/**
+ * Number of System event log errors in the last N hours
+ * @param {number} hours - Window to count over (default: 24)
+ */
+export async function getSystemErrorCount(hours = 24) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    throw new Error(`Event log window must be a positive whole number of hours, got ${hours}`);
+  }
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-EventLog -LogName System -EntryType Error -After (Get-Date).AddHours(-${hours}) | Measure-Object | Select-Object -ExpandProperty Count"`
+  );
+  return parseInt(stdout.trim()) || 0;
+}
+
+// Event levels by Get-WinEvent Level number
+const EVENT_LEVELS = { 1: "critical", 2: "error", 3: "warning" };
+
+/**
+ * Critical, error and (optionally) warning events from the given event logs, newest first
+ * @param {Object} options
+ * @param {number} options.hours - Window in whole hours
+ * @param {string[]} options.logs - "System" and/or "Application"
+ * @param {boolean} options.includeWarnings - Include warning-level events
+ * @param {number} options.maxEvents - Most recent events to read
+ * @returns {Promise<Array>} [{ time, log, level, source, eventId, message }]
+ */
+export async function getEventLogEntries({ hours, logs, includeWarnings, maxEvents }) {
+  if (!Number.isInteger(hours) || hours < 1) {
+    throw new Error(`Event log window must be a positive whole number of hours, got ${hours}`);
+  }
+  const logNames = logs.filter(log => log === "System" || log === "Application").map(log => `'${log}'`).join(",");
+  const levels = includeWarnings ? "1,2,3" : "1,2";
+  // Get-WinEvent errors with "No events were found" on an empty window, hence SilentlyContinue
+  const { stdout } = await runCommand(
+    `powershell -Command "Get-WinEvent -FilterHashtable @{LogName=${logNames}; Level=${levels}; StartTime=(Get-Date).AddHours(-${hours})} -MaxEvents ${maxEvents} -ErrorAction SilentlyContinue | Select-Object TimeCreated, LogName, Level, ProviderName, Id, @{Name='Message';Expression={($_.Message -split '\\r?\\n')[0]}} | ConvertTo-Json"`,
+    { maxBuffer: 16 * 1024 * 1024 }
+  );
+  if (!stdout.trim()) {
+    return [];
+  }
+
+  const parsed = JSON.parse(stdout);
+  return (Array.isArray(parsed) ? parsed : [parsed]).map(event => ({
+    time: parseJsonDate(event.TimeCreated),
+    log: event.LogName,
+    level: EVENT_LEVELS[event.Level] ?? "error",
+    source: event.ProviderName,
+    eventId: event.Id,
+    // Providers without a message template leave Message empty
+    message: event.Message || null,
+  }));
+}
+
+/**
+ * Whether a battery is present
+ */
+export async function hasBattery() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject Win32_Battery | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+  return parseInt(stdout.trim()) > 0;
+}
+
+/**
+ * Lightweight battery info (safe query)
+ */
+export async function getBatteryBasic() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject Win32_Battery | Select-Object EstimatedChargeRemaining,BatteryStatus,Chemistry | ConvertTo-Json"'
+  );
+
+  const battery = JSON.parse(stdout);
+
+  if (!battery || battery.EstimatedChargeRemaining == null) {
+    throw new Error("Battery data unavailable");
+  }
+
+  const statusMap = {
+    1: "Discharging",
+    2: "AC Power",
+    3: "Fully Charged",
+    4: "Low",
+    5: "Critical",
+  };
+
+  return {
+    chargePercent: battery.EstimatedChargeRemaining ?? "N/A",
+    status: statusMap[battery.BatteryStatus] || "Unknown",
+    chemistry: battery.Chemistry || "Unknown",
+    method: "WMI Basic",
+  };
+}
+
+/**
+ * Parse the XML written by powercfg /batteryreport /xml
+ * Capacities of several batteries are summed; CycleCount 0 means the battery doesn't report it.
+ * @param {string} xml - Report contents
+ * @returns {Object} { manufacturer, model, chemistry, batteryCount, designCapacity, fullChargeCapacity, unit, cycleCount, history, method }
+ * @throws {Error} If the report lists no batteries
+ */
+export function parseBatteryReport(xml) {
+  const batteries = [...xml.matchAll(/<Battery>([\s\S]*?)<\/Battery>/g)].map(([, block]) => {
+    const field = name => block.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1].trim() || null;
+    return {
+      id: field("Id"),
+      manufacturer: field("Manufacturer"),
+      chemistry: field("Chemistry"),
+      designCapacity: parseInt(field("DesignCapacity"), 10) || 0,
+      fullChargeCapacity: parseInt(field("FullChargeCapacity"), 10) || 0,
+      cycleCount: parseInt(field("CycleCount"), 10) || null,
+    };
+  });
+  if (batteries.length === 0) {
+    throw new Error("Battery report lists no batteries");
+  }
+
+  const history = [...xml.matchAll(/<HistoryEntry\b([^>]*?)\/?>/g)].map(([, attributes]) => {
+    const attribute = name => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1] ?? null;
+    return {
+      startDate: attribute("StartDate"),
+      endDate: attribute("EndDate"),
+      designCapacity: parseInt(attribute("DesignCapacity"), 10) || null,
+      fullChargeCapacity: parseInt(attribute("FullChargeCapacity"), 10) || null,
+      cycleCount: parseInt(attribute("CycleCount"), 10) || null,
+    };
+  });
+
+  const cycleCounts = batteries.map(battery => battery.cycleCount).filter(count => count !== null);
+  return {
+    manufacturer: batteries[0].manufacturer,
+    model: batteries[0].id,
+    chemistry: batteries[0].chemistry,
+    batteryCount: batteries.length,
+    designCapacity: batteries.reduce((sum, battery) => sum + battery.designCapacity, 0),
+    fullChargeCapacity: batteries.reduce((sum, battery) => sum + battery.fullChargeCapacity, 0),
+    unit: "mWh",
+    cycleCount: cycleCounts.length > 0 ? Math.max(...cycleCounts) : null,
+    history,
+    method: "powercfg /batteryreport",
+  };
+}
+
+/**
+ * Design vs full-charge capacity, cycle count and weekly capacity history from the battery report
+ * powercfg writes the report to a file, so it goes to %TEMP% and is printed and removed in one command.
+ */
+export async function getBatteryWear() {
+  const { stdout } = await runCommand(
+    `powershell -Command "$f = Join-Path $env:TEMP 'health-check-battery-report.xml'; powercfg /batteryreport /xml /output $f | Out-Null; Get-Content -Raw $f; Remove-Item $f"`
+  );
+  return parseBatteryReport(stdout);
+}
+
+/**
+ * Get active power plan
+ */
+export async function getPowerPlan() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject -Namespace root\\\\cimv2\\\\power -Class Win32_PowerPlan -Filter \'IsActive=true\' | Select-Object -ExpandProperty ElementName"'
+  );
+
+  return stdout.trim() || "Unknown";
+}
+
+/**
+ * AC adapter status fallback
+ */
+export async function getACStatus() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject -Class Win32_ACAdapter | Select-Object -ExpandProperty Availability"'
+  );
+
+  const acConnected = stdout.trim() !== "" && stdout.trim() !== "0";
+
+  return acConnected ? "AC Power" : "Discharging";
+}
+
+/**
+ * ACPI thermal zone readings in °C
+ */
+export async function getCPUTemperatures() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-WmiObject MSAcpi_ThermalZoneTemperature -Namespace root/wmi | Select-Object -ExpandProperty CurrentTemperature | ForEach-Object {($_ - 2732) / 10}"'
+  );
+
+  return stdout.trim().split('\n').map(t => parseFloat(t)).filter(t => !isNaN(t));
+}
+
+/**
+ * Tenths of a kelvin (ACPI) to °C, or null for an unset trip point
+ */
+function decikelvinToCelsius(value) {
+  return typeof value === "number" && value > 0 ? Math.round(value - 2732) / 10 : null;
+}
+
+// Hardware monitor identifier prefixes, e.g. "/intelcpu/0/temperature/0"
+const MONITOR_KINDS = [
+  [/^\/(intel|amd)cpu\//, "cpu"],
+  [/^\/(nvidia|ati|amd|intel)gpu|^\/gpu/, "gpu"],
+  [/^\/(nvme|hdd|ssd|storage)\//, "storage"],
+  [/^\/(lpc|mainboard|motherboard)\//, "chipset"],
+  [/^\/battery\//, "battery"],
+];
+
+/**
+ * Temperature and fan sensors published by LibreHardwareMonitor or OpenHardwareMonitor, or [] if neither runs
+ */
+async function getMonitorSensors() {
+  const { stdout } = await runCommand(
+    `powershell -Command "foreach ($ns in 'root/LibreHardwareMonitor','root/OpenHardwareMonitor') { $s = Get-CimInstance -Namespace $ns -ClassName Sensor -ErrorAction SilentlyContinue | Where-Object { $_.SensorType -in 'Temperature','Fan' }; if ($s) { $s | Select-Object Identifier, Name, SensorType, Value | ConvertTo-Json; break } }"`
+  );
+  if (!stdout.trim()) {
+    return [];
+  }
+
+  const parsed = JSON.parse(stdout);
+  return (Array.isArray(parsed) ? parsed : [parsed]).map(sensor => ({
+    ...sensor,
+    kind: MONITOR_KINDS.find(([pattern]) => pattern.test(sensor.Identifier))?.[1] ?? "other",
+  }));
+}
+
+/**
+ * Every temperature sensor: ACPI thermal zones with their passive and critical trip points,
+ * plus hardware monitor sensors (which have no trip points) when one is running
+ * @returns {Promise<Array>} [{ name, label, kind, source, celsius, highCelsius, criticalCelsius }]
+ */
+export async function getThermalSensors() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-CimInstance MSAcpi_ThermalZoneTemperature -Namespace root/wmi | Select-Object InstanceName, CurrentTemperature, PassiveTripPoint, CriticalTripPoint | ConvertTo-Json"'
+  ).catch(() => ({ stdout: "" }));
+  const parsed = stdout.trim() ? JSON.parse(stdout) : [];
+
+  const zones = (Array.isArray(parsed) ? parsed : [parsed]).map(zone => {
+    // e.g. "ACPI\ThermalZone\CPUZ_0"
+    const label = zone.InstanceName.split("\\").pop().replace(/_0$/, "");
+    return {
+      name: zone.InstanceName,
+      label,
+      kind: /cpu|pkg|tcpu/i.test(label) ? "cpu" : /bat/i.test(label) ? "battery" : "zone",
+      source: "ACPI",
+      celsius: decikelvinToCelsius(zone.CurrentTemperature),
+      highCelsius: decikelvinToCelsius(zone.PassiveTripPoint),
+      criticalCelsius: decikelvinToCelsius(zone.CriticalTripPoint),
+    };
+  });
+
+  const monitored = (await getMonitorSensors().catch(() => []))
+    .filter(sensor => sensor.SensorType === "Temperature" && typeof sensor.Value === "number")
+    .map(sensor => ({
+      name: sensor.Identifier,
+      label: sensor.Name,
+      kind: sensor.kind,
+      source: "hardware monitor",
+      celsius: Math.round(sensor.Value * 10) / 10,
+      highCelsius: null,
+      criticalCelsius: null,
+    }));
+
+  const sensors = [...zones, ...monitored].filter(sensor => sensor.celsius !== null);
+  if (sensors.length === 0) {
+    throw new Error("No temperature sensors readable");
+  }
+  return sensors;
+}
+
+/**
+ * GPU temperature in °C (NVIDIA only), or null if unavailable
+ */
+export async function getGPUTemperature() {
+  const { stdout } = await runCommand(
+    'nvidia-smi --query-gpu=temperature.gpu --format=csv,noheader,nounits 2>$null',
+    { shell: "powershell" }
+  ).catch(() => ({ stdout: null }));
+
+  const temp = parseInt(stdout?.trim());
+  return isNaN(temp) ? null : temp;
+}
+
+// Processor Information counters read for throttle detection
+const THROTTLE_COUNTERS = {
+  "% processor performance": "frequencyPercent",
+  "% of maximum frequency": "nominalFrequencyPercent",
+  "% performance limit": "performanceLimitPercent",
+};
+
+/**
+ * Current processor speed and firmware performance limit from performance counters
+ * "% Processor Performance" is the effective speed including turbo (can exceed 100); "% Performance Limit"
+ * drops below 100 when firmware caps the processor for thermal or power reasons.
+ * Windows keeps no throttle event counters, so those are null.
+ */
+export async function getThrottleState() {
+  const { stdout } = await runCommand(
+    `powershell -Command "(Get-Counter '\\Processor Information(_Total)\\% Processor Performance','\\Processor Information(_Total)\\% of Maximum Frequency','\\Processor Information(_Total)\\% Performance Limit' -ErrorAction SilentlyContinue).CounterSamples | Select-Object Path, CookedValue | ConvertTo-Json"`
+  );
+  const parsed = JSON.parse(stdout);
+
+  const values = {};
+  for (const sample of Array.isArray(parsed) ? parsed : [parsed]) {
+    const field = THROTTLE_COUNTERS[sample.Path.split("\\").pop().toLowerCase()];
+    if (field) {
+      values[field] = Math.round(sample.CookedValue * 10) / 10;
+    }
+  }
+
+  return {
+    frequencyPercent: values.frequencyPercent ?? values.nominalFrequencyPercent ?? null,
+    performanceLimitPercent: values.performanceLimitPercent ?? null,
+    thermalEvents: null,
+    powerLimitEvents: null,
+  };
+}
+
+/**
+ * Fan readings from LibreHardwareMonitor or OpenHardwareMonitor - Windows has no standard fan speed API
+ */
+export async function getFanSpeeds() {
+  return (await getMonitorSensors())
+    .filter(sensor => sensor.SensorType === "Fan" && typeof sensor.Value === "number")
+    .map(sensor => ({ label: sensor.Name, rpm: Math.round(sensor.Value) }));
+}
+
+/**
+ * Single ICMP echo to the given host
+ * @returns {Promise<Object>} { reachable, latencyMs } or { reachable: false, status } (e.g. "TimedOut")
+ */
+export async function ping(host, timeoutMs = 2000) {
+  const { stdout, stderr } = await runCommand(
+    `powershell -Command "$r = (New-Object System.Net.NetworkInformation.Ping).Send('${host}', ${timeoutMs}); if ($r.Status -eq 'Success') { $r.RoundtripTime } else { $r.Status }"`
+  );
+
+  const output = stdout.trim();
+  // Send() throws (printing nothing to stdout) when the host name can't be resolved
+  if (!output) {
+    throw new Error(stderr.trim() || `Ping request to ${host} failed`);
+  }
+  if (/^\d+$/.test(output)) {
+    return { reachable: true, latencyMs: parseInt(output, 10) };
+  }
+  return { reachable: false, status: output };
+}
+
+/**
+ * Network adapters with link state and speed from Get-NetAdapter
+ * @returns {Promise<Object[]>} { name, description, up, speedMbps, mac, virtual }
+ */
+export async function getNetworkAdapters() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-NetAdapter | Select-Object Name, InterfaceDescription, Status, Speed, MacAddress, Virtual | ConvertTo-Json"'
+  );
+
+  const parsed = JSON.parse(stdout);
+  const adapters = Array.isArray(parsed) ? parsed : [parsed];
+
+  return adapters.map(adapter => ({
+    name: adapter.Name,
+    description: adapter.InterfaceDescription || null,
+    up: adapter.Status === "Up",
+    // Speed is in bits per second and reports the last negotiated rate while disconnected
+    speedMbps: adapter.Status === "Up" && adapter.Speed > 0 ? adapter.Speed / 1e6 : null,
+    mac: adapter.MacAddress ? adapter.MacAddress.replaceAll("-", ":") : null,
+    virtual: adapter.Virtual === true,
+  }));
+}
+
+/**
+ * Cumulative byte, error and discard counters per adapter from Get-NetAdapterStatistics
+ * @returns {Promise<Object>} Adapter name → { rxBytes, txBytes, rxErrors, txErrors, rxDropped, txDropped }
+ */
+export async function getNetworkCounters() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-NetAdapterStatistics | Select-Object Name, ReceivedBytes, SentBytes, ReceivedPacketErrors, OutboundPacketErrors, ReceivedDiscardedPackets, OutboundDiscardedPackets | ConvertTo-Json"'
+  );
+
+  const parsed = JSON.parse(stdout);
+  const statistics = Array.isArray(parsed) ? parsed : [parsed];
+
+  return Object.fromEntries(statistics.map(adapter => [adapter.Name, {
+    rxBytes: adapter.ReceivedBytes,
+    txBytes: adapter.SentBytes,
+    rxErrors: adapter.ReceivedPacketErrors,
+    txErrors: adapter.OutboundPacketErrors,
+    rxDropped: adapter.ReceivedDiscardedPackets,
+    txDropped: adapter.OutboundDiscardedPackets,
+  }]));
+}
+
+/**
+ * IPv4 default route with the lowest metric
+ * @returns {Promise<Object|null>} { interface, gateway } or null without a default route
+ */
+export async function getDefaultRoute() {
+  const { stdout } = await runCommand(
+    'powershell -Command "Get-NetRoute -DestinationPrefix 0.0.0.0/0 -ErrorAction SilentlyContinue | Sort-Object RouteMetric | Select-Object -First 1 InterfaceAlias, NextHop | ConvertTo-Json"'
+  );
+
+  if (!stdout.trim()) {
+    return null;
+  }
+  const route = JSON.parse(stdout);
+  return {
+    interface: route.InterfaceAlias,
+    // On-link routes (e.g. some VPNs) have no next hop
+    gateway: route.NextHop && route.NextHop !== "0.0.0.0" ? route.NextHop : null,
+  };
+}
+
+/**
+ * Every TCP connection and UDP endpoint with its owning process, from Get-NetTCPConnection and Get-NetUDPEndpoint
+ * States use the Linux names (LISTEN, ESTABLISHED, TIME_WAIT, ...); UDP endpoints are reported as LISTEN.
+ * @returns {Promise<Object[]>} { protocol, localAddress, localPort, remoteAddress, remotePort, state, pid, process }
+ */
+export async function getSockets() {
+  const { stdout } = await runCommand(
+    `powershell -Command "$names = @{}; Get-Process | ForEach-Object { $names[$_.Id] = $_.ProcessName }; $tcp = Get-NetTCPConnection | ForEach-Object { [PSCustomObject]@{ Protocol = 'tcp'; LocalAddress = $_.LocalAddress; LocalPort = $_.LocalPort; RemoteAddress = $_.RemoteAddress; RemotePort = $_.RemotePort; State = [string]$_.State; Pid = $_.OwningProcess; Process = $names[[int]$_.OwningProcess] } }; $udp = Get-NetUDPEndpoint | ForEach-Object { [PSCustomObject]@{ Protocol = 'udp'; LocalAddress = $_.LocalAddress; LocalPort = $_.LocalPort; RemoteAddress = $null; RemotePort = $null; State = 'Listen'; Pid = $_.OwningProcess; Process = $names[[int]$_.OwningProcess] } }; @($tcp) + @($udp) | ConvertTo-Json"`
+  );
+
+  const parsed = JSON.parse(stdout);
+  const sockets = Array.isArray(parsed) ? parsed : [parsed];
+
+  return sockets.map(socket => {
+    // "TimeWait" -> "TIME_WAIT"
+    const state = socket.State.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+    const listening = state === "LISTEN";
+    return {
+      protocol: socket.Protocol,
+      localAddress: socket.LocalAddress,
+      localPort: socket.LocalPort,
+      remoteAddress: listening ? null : socket.RemoteAddress,
+      remotePort: listening ? null : socket.RemotePort,
+      state,
+      pid: socket.Pid,
+      process: socket.Process ?? null,
+    };
+  });
+}
+
+/**
+ * USB and Bluetooth device counts - try multiple methods
+ */
+export async function getConnectedDevices() {
+  // Method 1: Try Get-PnpDevice (more reliable)
+  const pnpData = await getPnpDeviceCount().catch(() => null);
+  if (pnpData) {
+    return pnpData;
+  }
+
+  // Method 2: Try WMI USB query
+  return getWMIDeviceCount();
+}
+
+/**
+ * Get device count via Get-PnpDevice (method 1 - more compatible)
+ */
+async function getPnpDeviceCount() {
+  // Get USB devices
+  const { stdout: usbOutput } = await runCommand(
+    'powershell -Command "Get-PnpDevice -PresentOnly | Where-Object {$_.Class -eq \'USB\'} | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+
+  const usbCount = parseInt(usbOutput.trim()) || 0;
+
+  // Get Bluetooth devices
+  const { stdout: btOutput } = await runCommand(
+    'powershell -Command "Get-PnpDevice -PresentOnly | Where-Object {$_.Class -eq \'Bluetooth\'} | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+
+  const btCount = parseInt(btOutput.trim()) || 0;
+
+  if (usbCount === 0 && btCount === 0) {
+    throw new Error("Device query returned zero results");
+  }
+
+  return {
+    usbDevices: usbCount,
+    bluetoothDevices: btCount,
+    totalConnectedDevices: usbCount + btCount,
+    method: "Get-PnpDevice",
+  };
+}
+
+/**
+ * Get device count via WMI (method 2 - fallback)
+ */
+async function getWMIDeviceCount() {
+  // Get USB devices via WMI
+  const { stdout: usbOutput } = await runCommand(
+    'powershell -Command "Get-WmiObject Win32_USBHub | Measure-Object | Select-Object -ExpandProperty Count"'
+  );
+
+  const usbCount = parseInt(usbOutput.trim()) || 0;
+
+  // Bluetooth devices are harder to enumerate reliably via WMI
+  // Return partial data
+  return {
+    usbDevices: usbCount,
+    bluetoothDevices: "N/A",
+    totalConnectedDevices: usbCount,
+    method: "WMI (USB only)",
+    note: "Bluetooth device count requires elevated permissions",
+  };
+}
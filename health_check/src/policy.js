@@ -0,0 +1,980 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateArguments } from "./validation.js";
+
+const DEFAULT_POLICY_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "health-policy.json");
+
+/**
+ * Built-in thresholds for every severity decision
+ * direction "above": alert when the reading is high; "below": alert when it is low
+ */
+export const DEFAULT_THRESHOLDS = {
+  cpu: { label: "CPU usage", unit: "%", direction: "above", warning: 80, critical: 90 },
+  memory: { label: "Memory usage", unit: "%", direction: "above", warning: 85, critical: 90 },
+  diskFree: { label: "Disk free space", unit: "% free", direction: "below", warning: 20, critical: 5 },
+  inodeFree: { label: "Free inodes", unit: "% free", direction: "below", warning: 10, critical: 5 },
+  diskWear: { label: "SSD wear", unit: "% of rated life used", direction: "above", warning: 80, critical: 95 },
+  diskTemp: { label: "Physical disk temperature", unit: "°C", direction: "above", warning: 60, critical: 70 },
+  reallocatedSectors: { label: "Reallocated sectors", unit: "sectors", direction: "above", warning: 0, critical: 100 },
+  diskReadMBps: { label: "Disk read throughput", unit: "MB/s", direction: "above", warning: 100, critical: null },
+  cpuTemp: { label: "CPU temperature", unit: "°C", direction: "above", warning: 85, critical: 95 },
+  gpuTemp: { label: "GPU temperature", unit: "°C", direction: "above", warning: 85, critical: null },
+  eventErrors: { label: "System event log errors (per event log window, default 24h)", unit: "errors", direction: "above", warning: 5, critical: 10 },
+  batteryCharge: { label: "Battery charge", unit: "%", direction: "below", warning: 25, critical: null },
+  batteryHealth: { label: "Battery health (full-charge vs design capacity)", unit: "% of design", direction: "below", warning: 80, critical: null },
+};
+
+const LEVELS = ["warning", "critical"];
+
+/**
+ * Metrics alert rules can watch
+ * get_health_alerts measures cpu, memory, the per-volume metrics and security on every call;
+ * cpuTemp, batteryCharge and connectivity come from the background sampler.
+ */
+export const RULE_METRICS = {
+  cpu: { label: "CPU", unit: "%" },
+  memory: { label: "Memory", unit: "%" },
+  diskFree: { label: "Free space", unit: "%", perVolume: true },
+  inodeFree: { label: "Free inodes", unit: "%", perVolume: true },
+  cpuTemp: { label: "CPU temperature", unit: "°C" },
+  batteryCharge: { label: "Battery charge", unit: "%" },
+  connectivity: { label: "Internet connectivity (1 = up)", unit: "" },
+  antivirusEnabled: { label: "Antivirus real-time protection (1 = on)", unit: "" },
+  firewallEnabled: { label: "Firewall (1 = on)", unit: "" },
+};
+
+export const RULE_COMPARATORS = [">", ">=", "<", "<=", "==", "!="];
+
+/**
+ * Built-in alert rules behind get_health_alerts
+ * "level" takes the threshold from the policy (per volume for disk metrics) unless a rule sets "threshold";
+ * "clearMargin" is the hysteresis: the reading must move this far back past the threshold to resolve.
+ */
+export const DEFAULT_ALERT_RULES = [
+  { id: "cpu-critical", metric: "cpu", comparator: ">", level: "critical", clearMargin: 5, severity: "critical", forSeconds: 120, message: "CPU critically high: {value}%", nextTool: "get_performance_stats" },
+  { id: "cpu-warning", metric: "cpu", comparator: ">", level: "warning", clearMargin: 5, severity: "warning", forSeconds: 120, message: "CPU elevated: {value}%", nextTool: "get_performance_stats" },
+  { id: "memory-critical", metric: "memory", comparator: ">", level: "critical", clearMargin: 5, severity: "critical", forSeconds: 60, message: "Memory critically high: {value}%", nextTool: "get_performance_stats" },
+  { id: "memory-warning", metric: "memory", comparator: ">", level: "warning", clearMargin: 5, severity: "warning", forSeconds: 60, message: "Memory elevated: {value}%", nextTool: "get_performance_stats" },
+  { id: "disk-free-critical", metric: "diskFree", comparator: "<", level: "critical", severity: "critical", forSeconds: 0, message: "Disk space critical: {value}% free on {instance}", nextTool: "get_system_health" },
+  { id: "disk-free-warning", metric: "diskFree", comparator: "<", level: "warning", severity: "warning", forSeconds: 0, message: "Low disk space: {value}% free on {instance}", nextTool: "get_system_health" },
+  { id: "inode-free-critical", metric: "inodeFree", comparator: "<", level: "critical", severity: "critical", forSeconds: 0, message: "Inodes critical: {value}% free on {instance}", nextTool: "get_system_health" },
+  { id: "inode-free-warning", metric: "inodeFree", comparator: "<", level: "warning", severity: "warning", forSeconds: 0, message: "Low free inodes: {value}% free on {instance}", nextTool: "get_system_health" },
+  { id: "antivirus-disabled", metric: "antivirusEnabled", comparator: "==", threshold: 0, severity: "critical", forSeconds: 0, message: "{instance} is disabled", nextTool: "get_system_health" },
+  { id: "firewall-disabled", metric: "firewallEnabled", comparator: "==", threshold: 0, severity: "critical", forSeconds: 0, message: "{instance} is disabled", nextTool: "get_system_health" },
+];
+
+/**
+ * One alert rule in the policy file; an id matching a built-in rule overrides just the fields given
+ */
+export const ALERT_RULE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: {
+      type: "string",
+      maxLength: 64,
+      pattern: "^[a-z0-9][a-z0-9-]*$",
+      patternDescription: "lowercase letters, digits and dashes",
+      description: "Rule name; reuse a built-in id to override that rule",
+    },
+    metric: { type: "string", enum: Object.keys(RULE_METRICS), description: "Reading the rule watches" },
+    comparator: { type: "string", enum: RULE_COMPARATORS, description: "How the reading is compared with threshold" },
+    threshold: { type: "number", description: "Value that starts the alert" },
+    severity: { type: "string", enum: ["info", "warning", "critical"], description: "Severity while firing" },
+    forSeconds: {
+      type: "integer",
+      minimum: 0,
+      maximum: 86400,
+      description: "How long the condition must hold before the alert fires (default: 0)",
+    },
+    clearThreshold: {
+      type: "number",
+      description: "Value the reading must get back past before a firing alert resolves (default: threshold)",
+    },
+    message: {
+      type: "string",
+      minLength: 1,
+      maxLength: 200,
+      description: "Alert text; {value}, {threshold}, {instance}, {label} and {unit} are filled in",
+    },
+    nextTool: {
+      type: "string",
+      maxLength: 64,
+      pattern: "^get_[a-z_]+$",
+      patternDescription: "a tool name such as get_thermal_status",
+      description: "Deep tool suggested while the alert fires",
+    },
+    enabled: { type: "boolean", description: "Set to false to turn a rule off (default: true)" },
+  },
+  required: ["id"],
+  additionalProperties: false,
+};
+
+// Metrics that can be overridden per volume under "volumes"
+const VOLUME_METRICS = ["diskFree", "inodeFree"];
+
+/**
+ * Health score categories with their default weights
+ * Weights are relative: the overall score is the weighted average of the categories that have readings.
+ */
+export const SCORE_CATEGORIES = {
+  performance: { label: "Performance (CPU, memory)", weight: 25 },
+  storage: { label: "Storage (free space, inodes)", weight: 20 },
+  security: { label: "Security (antivirus, firewall)", weight: 25 },
+  thermal: { label: "Thermal (CPU temperature)", weight: 10 },
+  power: { label: "Power (battery charge)", weight: 10 },
+  network: { label: "Network (internet connectivity)", weight: 10 },
+};
+
+/**
+ * Cached readings shared between tools, with how long each stays fresh by default
+ * Past ttlSeconds a reading is still served for staleSeconds while a new one is fetched in the background.
+ */
+export const CACHE_SOURCES = {
+  alerts: { label: "get_health_alerts result", ttlSeconds: 3, staleSeconds: 0 },
+  thermal: { label: "get_thermal_status result", ttlSeconds: 10, staleSeconds: 20 },
+  connectivity: { label: "Connectivity probe results, per probe list", ttlSeconds: 30, staleSeconds: 60 },
+  antivirus: { label: "Antivirus status", ttlSeconds: 30, staleSeconds: 60 },
+  firewall: { label: "Firewall status", ttlSeconds: 30, staleSeconds: 60 },
+  volumes: { label: "Volume space and inodes", ttlSeconds: 5, staleSeconds: 0 },
+  batteryWear: { label: "Battery capacity report", ttlSeconds: 300, staleSeconds: 3600 },
+};
+const CACHE_SETTINGS = ["ttlSeconds", "staleSeconds"];
+
+// Hostnames and IPs that are safe to pass to ping and PowerShell commands
+export const HOST_PATTERN = "^[A-Za-z0-9][A-Za-z0-9.:-]*$";
+
+/**
+ * One connectivity probe, shared by the get_network_status schema and the policy file
+ * Fields required per type are checked by probeProblem().
+ */
+export const PROBE_SCHEMA = {
+  type: "object",
+  properties: {
+    type: {
+      type: "string",
+      enum: ["dns", "tcp", "http", "icmp"],
+      description: "dns: resolve host; tcp: connect to host:port; http: HEAD url and check the status; icmp: ping host",
+    },
+    name: {
+      type: "string",
+      maxLength: 100,
+      description: "Label used in results (default: the target)",
+    },
+    host: {
+      type: "string",
+      maxLength: 253,
+      pattern: HOST_PATTERN,
+      patternDescription: "a hostname or IP address",
+      description: "Host to resolve (dns), connect to (tcp) or ping (icmp)",
+    },
+    port: {
+      type: "integer",
+      minimum: 1,
+      maximum: 65535,
+      description: "TCP port (tcp)",
+    },
+    url: {
+      type: "string",
+      maxLength: 2048,
+      pattern: "^https?://[^\\s]+$",
+      patternDescription: "an http:// or https:// URL",
+      description: "URL to send a HEAD request to (http)",
+    },
+    expectStatus: {
+      type: "array",
+      items: { type: "integer", minimum: 100, maximum: 599 },
+      minItems: 1,
+      maxItems: 10,
+      description: "HTTP status codes that count as success (default: any 2xx)",
+    },
+    server: {
+      type: "string",
+      maxLength: 100,
+      pattern: "^[0-9A-Fa-f.:\\[\\]]+$",
+      patternDescription: "a DNS server IP, optionally with :port",
+      description: "DNS server to query instead of the system resolver (dns)",
+    },
+    timeoutMs: {
+      type: "integer",
+      minimum: 100,
+      maximum: 30000,
+      description: "Give up after this many milliseconds (default: 3000)",
+    },
+  },
+  required: ["type"],
+  additionalProperties: false,
+};
+
+// Fields each probe type needs
+const PROBE_FIELDS = { dns: ["host"], tcp: ["host", "port"], http: ["url"], icmp: ["host"] };
+
+/**
+ * Describe why a url matching the schema pattern still can't be parsed (e.g. "http://[bad"), or null if it can
+ */
+function urlProblem(url) {
+  try {
+    new URL(url);
+    return null;
+  } catch (error) {
+    return "url is not a valid URL";
+  }
+}
+
+/**
+ * Describe what a schema-valid probe is missing for its type, or why its url can't be parsed, or null if it is complete
+ */
+export function probeProblem(probe) {
+  const missing = PROBE_FIELDS[probe.type].filter(field => probe[field] === undefined);
+  if (missing.length > 0) {
+    return `${probe.type} probes need ${missing.join(" and ")}`;
+  }
+  return probe.url !== undefined ? urlProblem(probe.url) : null;
+}
+
+/**
+ * Syslog facility names accepted by syslog sinks, with their codes
+ */
+export const SYSLOG_FACILITIES = {
+  user: 1, daemon: 3, local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23,
+};
+
+/**
+ * One alert notification sink in the policy file
+ * Fields required per type are checked by sinkProblem().
+ */
+export const NOTIFICATION_SINK_SCHEMA = {
+  type: "object",
+  properties: {
+    type: {
+      type: "string",
+      enum: ["webhook", "file", "syslog", "command"],
+      description: "webhook: POST JSON to url; file: append NDJSON to path; syslog: RFC 5424 over UDP; command: run a program such as notify-send",
+    },
+    name: { type: "string", maxLength: 100, description: "Label used in logs (default: the target)" },
+    url: {
+      type: "string",
+      maxLength: 2048,
+      pattern: "^https?://[^\\s]+$",
+      patternDescription: "an http:// or https:// URL",
+      description: "URL the JSON payload is POSTed to (webhook)",
+    },
+    path: { type: "string", minLength: 1, maxLength: 4096, description: "File the payload is appended to, one JSON object per line (file)" },
+    host: {
+      type: "string",
+      maxLength: 253,
+      pattern: HOST_PATTERN,
+      patternDescription: "a hostname or IP address",
+      description: "Syslog receiver (syslog, default: 127.0.0.1)",
+    },
+    port: { type: "integer", minimum: 1, maximum: 65535, description: "Syslog UDP port (syslog, default: 514)" },
+    facility: { type: "string", enum: Object.keys(SYSLOG_FACILITIES), description: "Syslog facility (syslog, default: user)" },
+    command: {
+      type: "array",
+      items: { type: "string", maxLength: 1000 },
+      minItems: 1,
+      maxItems: 20,
+      description: "Program and arguments, run without a shell; {title}, {text}, {event}, {severity}, {rule} and {host} are filled in (command)",
+    },
+    minSeverity: {
+      type: "string",
+      enum: ["info", "warning", "critical"],
+      description: "Only notify alerts of this severity or worse (default: warning)",
+    },
+    events: {
+      type: "array",
+      items: { type: "string", enum: ["firing", "resolved"] },
+      minItems: 1,
+      maxItems: 2,
+      description: "Transitions to notify (default: both)",
+    },
+    rules: {
+      type: "array",
+      items: { type: "string", maxLength: 64 },
+      minItems: 1,
+      maxItems: 50,
+      description: "Only notify these alert rule ids (default: all)",
+    },
+    maxPerMinute: {
+      type: "integer",
+      minimum: 1,
+      maximum: 600,
+      description: "Notifications sent per rolling minute; the rest are dropped and counted in the next payload (default: 10)",
+    },
+    retries: { type: "integer", minimum: 0, maximum: 10, description: "Retries after a failed delivery (default: 3)" },
+    retryDelayMs: {
+      type: "integer",
+      minimum: 10,
+      maximum: 60000,
+      description: "Wait before the first retry, doubling for each further one (default: 1000)",
+    },
+    timeoutMs: { type: "integer", minimum: 100, maximum: 30000, description: "Give up on one attempt after this many milliseconds (default: 5000)" },
+  },
+  required: ["type"],
+  additionalProperties: false,
+};
+
+// Fields each sink type needs
+const SINK_FIELDS = { webhook: ["url"], file: ["path"], syslog: [], command: ["command"] };
+
+/**
+ * Describe what a schema-valid sink is missing for its type, or why its url can't be parsed, or null if it is complete
+ */
+export function sinkProblem(sink) {
+  const missing = SINK_FIELDS[sink.type].filter(field => sink[field] === undefined);
+  if (missing.length > 0) {
+    return `${sink.type} sinks need ${missing.join(" and ")}`;
+  }
+  return sink.url !== undefined ? urlProblem(sink.url) : null;
+}
+
+let loaded = null;
+
+/**
+ * Build the error thrown for an invalid policy file
+ */
+function policyError(message, filePath) {
+  return new Error(`Invalid health policy${filePath ? ` (${filePath})` : ""}: ${message}`);
+}
+
+/**
+ * Check a thresholds block, throwing on the first problem
+ */
+function validateThresholds(thresholds, where, filePath) {
+  if (typeof thresholds !== "object" || thresholds === null || Array.isArray(thresholds)) {
+    throw policyError(`${where} must be an object`, filePath);
+  }
+
+  for (const [metric, levels] of Object.entries(thresholds)) {
+    if (!DEFAULT_THRESHOLDS[metric]) {
+      throw policyError(
+        `${where}.${metric} is not a known metric (known: ${Object.keys(DEFAULT_THRESHOLDS).join(", ")})`,
+        filePath
+      );
+    }
+    if (typeof levels !== "object" || levels === null || Array.isArray(levels)) {
+      throw policyError(`${where}.${metric} must be an object with warning/critical values`, filePath);
+    }
+
+    for (const [level, value] of Object.entries(levels)) {
+      if (!LEVELS.includes(level)) {
+        throw policyError(`${where}.${metric}.${level} is not a severity (use warning or critical)`, filePath);
+      }
+      if (value !== null && (typeof value !== "number" || !Number.isFinite(value))) {
+        throw policyError(`${where}.${metric}.${level} must be a number or null`, filePath);
+      }
+    }
+  }
+}
+
+/**
+ * Check a volumes block: { "<drive or mount path>": { diskFree, inodeFree } }
+ */
+function validateVolumes(volumes, where, filePath) {
+  if (typeof volumes !== "object" || volumes === null || Array.isArray(volumes)) {
+    throw policyError(`${where} must be an object keyed by drive letter or mount path`, filePath);
+  }
+
+  for (const [volume, thresholds] of Object.entries(volumes)) {
+    validateThresholds(thresholds, `${where}.${volume}`, filePath);
+    const other = Object.keys(thresholds).find(metric => !VOLUME_METRICS.includes(metric));
+    if (other) {
+      throw policyError(`${where}.${volume}.${other} can't be set per volume (allowed: ${VOLUME_METRICS.join(", ")})`, filePath);
+    }
+  }
+}
+
+/**
+ * Check a scoreWeights block: { "<category>": weight from 0 (left out) to 100 }
+ */
+function validateScoreWeights(weights, where, filePath) {
+  if (typeof weights !== "object" || weights === null || Array.isArray(weights)) {
+    throw policyError(`${where} must be an object keyed by score category`, filePath);
+  }
+
+  for (const [category, weight] of Object.entries(weights)) {
+    if (!SCORE_CATEGORIES[category]) {
+      throw policyError(`${where}.${category} is not a score category (known: ${Object.keys(SCORE_CATEGORIES).join(", ")})`, filePath);
+    }
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0 || weight > 100) {
+      throw policyError(`${where}.${category} must be a number from 0 to 100`, filePath);
+    }
+  }
+}
+
+/**
+ * Check a cache block: { "<source>": { ttlSeconds, staleSeconds } } in seconds from 0 to 86400
+ */
+function validateCache(cache, where, filePath) {
+  if (typeof cache !== "object" || cache === null || Array.isArray(cache)) {
+    throw policyError(`${where} must be an object keyed by cache source`, filePath);
+  }
+
+  for (const [source, settings] of Object.entries(cache)) {
+    if (!CACHE_SOURCES[source]) {
+      throw policyError(`${where}.${source} is not a cache source (known: ${Object.keys(CACHE_SOURCES).join(", ")})`, filePath);
+    }
+    if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+      throw policyError(`${where}.${source} must be an object with ttlSeconds/staleSeconds`, filePath);
+    }
+    for (const [setting, value] of Object.entries(settings)) {
+      if (!CACHE_SETTINGS.includes(setting)) {
+        throw policyError(`${where}.${source}.${setting} is not a cache setting (use ttlSeconds or staleSeconds)`, filePath);
+      }
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0 || value > 86400) {
+        throw policyError(`${where}.${source}.${setting} must be a number of seconds from 0 to 86400`, filePath);
+      }
+    }
+  }
+}
+
+/**
+ * Check a connectivityProbes list against the probe schema
+ */
+function validateProbes(probes, where, filePath) {
+  if (!Array.isArray(probes) || probes.length === 0 || probes.length > 10) {
+    throw policyError(`${where} must be an array of 1-10 probes`, filePath);
+  }
+
+  probes.forEach((probe, index) => {
+    const [error] = validateArguments(PROBE_SCHEMA, probe);
+    if (error) {
+      throw policyError(`${error.path.replace(/^arguments/, `${where}[${index}]`)} ${error.message}`, filePath);
+    }
+    const problem = probeProblem(probe);
+    if (problem) {
+      throw policyError(`${where}[${index}]: ${problem}`, filePath);
+    }
+  });
+}
+
+/**
+ * Check a notificationSinks list against the sink schema
+ */
+function validateSinks(sinks, where, filePath) {
+  if (!Array.isArray(sinks) || sinks.length > 10) {
+    throw policyError(`${where} must be an array of at most 10 sinks`, filePath);
+  }
+
+  sinks.forEach((sink, index) => {
+    const [error] = validateArguments(NOTIFICATION_SINK_SCHEMA, sink);
+    if (error) {
+      throw policyError(`${error.path.replace(/^arguments/, `${where}[${index}]`)} ${error.message}`, filePath);
+    }
+    const problem = sinkProblem(sink);
+    if (problem) {
+      throw policyError(`${where}[${index}]: ${problem}`, filePath);
+    }
+  });
+}
+
+/**
+ * Check an alertRules list against the rule schema
+ */
+function validateAlertRules(rules, where, filePath) {
+  if (!Array.isArray(rules) || rules.length > 50) {
+    throw policyError(`${where} must be an array of at most 50 rules`, filePath);
+  }
+
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const [error] = validateArguments(ALERT_RULE_SCHEMA, rule);
+    if (error) {
+      throw policyError(`${error.path.replace(/^arguments/, `${where}[${index}]`)} ${error.message}`, filePath);
+    }
+    if (seen.has(rule.id)) {
+      throw policyError(`${where}[${index}]: rule "${rule.id}" is listed twice`, filePath);
+    }
+    seen.add(rule.id);
+  });
+}
+
+/**
+ * Describe what an effective alert rule is missing or gets wrong, or null if it is usable
+ */
+function alertRuleProblem(rule) {
+  const missing = ["metric", "comparator", "severity"].filter(field => rule[field] === undefined);
+  if (rule.threshold === undefined && rule.level === undefined) {
+    missing.push("threshold");
+  }
+  if (missing.length > 0) {
+    return `rule "${rule.id}" needs ${missing.join(", ")} (only built-in rules can be partly overridden)`;
+  }
+  if (rule.clearThreshold === undefined || rule.threshold === undefined) {
+    return null;
+  }
+  if (["==", "!="].includes(rule.comparator) && rule.clearThreshold !== rule.threshold) {
+    return `rule "${rule.id}": clearThreshold can't be used with ${rule.comparator}`;
+  }
+  const above = rule.comparator.startsWith(">");
+  if (above ? rule.clearThreshold > rule.threshold : rule.clearThreshold < rule.threshold) {
+    return `rule "${rule.id}": clearThreshold (${rule.clearThreshold}) must be ${above ? "at or below" : "at or above"} threshold (${rule.threshold})`;
+  }
+  return null;
+}
+
+/**
+ * Normalize a volume name so "d", "D:" and "D:\\" match, and "/data/" matches "/data"
+ */
+export function normalizeVolume(volume) {
+  const drive = /^([A-Za-z]):?\\?$/.exec(volume);
+  if (drive) {
+    return `${drive[1].toUpperCase()}:`;
+  }
+  return volume.length > 1 ? volume.replace(/\/+$/, "") : volume;
+}
+
+/**
+ * Check a parsed policy file, throwing on the first problem
+ */
+function validatePolicy(policy, filePath) {
+  if (typeof policy !== "object" || policy === null || Array.isArray(policy)) {
+    throw policyError("top level must be an object", filePath);
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!["profile", "thresholds", "volumes", "connectivityProbes", "alertRules", "notificationSinks", "scoreWeights", "cache", "profiles"].includes(key)) {
+      throw policyError(`unknown key "${key}" (allowed: profile, thresholds, volumes, connectivityProbes, alertRules, notificationSinks, scoreWeights, cache, profiles)`, filePath);
+    }
+  }
+
+  if (policy.thresholds !== undefined) {
+    validateThresholds(policy.thresholds, "thresholds", filePath);
+  }
+  if (policy.volumes !== undefined) {
+    validateVolumes(policy.volumes, "volumes", filePath);
+  }
+  if (policy.connectivityProbes !== undefined) {
+    validateProbes(policy.connectivityProbes, "connectivityProbes", filePath);
+  }
+  if (policy.alertRules !== undefined) {
+    validateAlertRules(policy.alertRules, "alertRules", filePath);
+  }
+  if (policy.notificationSinks !== undefined) {
+    validateSinks(policy.notificationSinks, "notificationSinks", filePath);
+  }
+  if (policy.scoreWeights !== undefined) {
+    validateScoreWeights(policy.scoreWeights, "scoreWeights", filePath);
+  }
+  if (policy.cache !== undefined) {
+    validateCache(policy.cache, "cache", filePath);
+  }
+
+  const profiles = policy.profiles ?? {};
+  if (typeof profiles !== "object" || Array.isArray(profiles)) {
+    throw policyError("profiles must be an object keyed by profile name", filePath);
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (typeof profile !== "object" || profile === null || Array.isArray(profile)) {
+      throw policyError(`profiles.${name} must be an object`, filePath);
+    }
+    if (profile.hosts !== undefined &&
+        (!Array.isArray(profile.hosts) || profile.hosts.some(host => typeof host !== "string"))) {
+      throw policyError(`profiles.${name}.hosts must be an array of hostname patterns`, filePath);
+    }
+    if (profile.thresholds !== undefined) {
+      validateThresholds(profile.thresholds, `profiles.${name}.thresholds`, filePath);
+    }
+    if (profile.volumes !== undefined) {
+      validateVolumes(profile.volumes, `profiles.${name}.volumes`, filePath);
+    }
+    if (profile.connectivityProbes !== undefined) {
+      validateProbes(profile.connectivityProbes, `profiles.${name}.connectivityProbes`, filePath);
+    }
+    if (profile.alertRules !== undefined) {
+      validateAlertRules(profile.alertRules, `profiles.${name}.alertRules`, filePath);
+    }
+    if (profile.notificationSinks !== undefined) {
+      validateSinks(profile.notificationSinks, `profiles.${name}.notificationSinks`, filePath);
+    }
+    if (profile.scoreWeights !== undefined) {
+      validateScoreWeights(profile.scoreWeights, `profiles.${name}.scoreWeights`, filePath);
+    }
+    if (profile.cache !== undefined) {
+      validateCache(profile.cache, `profiles.${name}.cache`, filePath);
+    }
+  }
+
+  if (policy.profile !== undefined && !profiles[policy.profile]) {
+    throw policyError(`profile "${policy.profile}" is not defined under profiles`, filePath);
+  }
+}
+
+/**
+ * Match a hostname against a pattern where * matches any run of characters
+ */
+function matchesHost(pattern, hostname) {
+  const regex = new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+  return regex.test(hostname);
+}
+
+/**
+ * Pick the active profile: explicit request, HEALTH_CHECK_PROFILE, the file's default, then hostname match
+ */
+function selectProfile(policy, requested, filePath) {
+  const profiles = policy.profiles ?? {};
+
+  if (requested) {
+    if (!profiles[requested]) {
+      throw policyError(`requested profile "${requested}" is not defined`, filePath);
+    }
+    return { name: requested, selectedBy: "HEALTH_CHECK_PROFILE" };
+  }
+
+  if (policy.profile) {
+    return { name: policy.profile, selectedBy: "policy file default" };
+  }
+
+  const hostname = os.hostname();
+  for (const [name, profile] of Object.entries(profiles)) {
+    if ((profile.hosts ?? []).some(pattern => matchesHost(pattern, hostname))) {
+      return { name, selectedBy: `hostname ${hostname}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that warning/critical are ordered sensibly for the metric's direction
+ */
+function validateOrdering(thresholds, filePath, prefix = "") {
+  for (const [metric, entry] of Object.entries(thresholds)) {
+    const warning = entry.warning.value;
+    const critical = entry.critical.value;
+    if (warning === null || critical === null) continue;
+
+    const ordered = DEFAULT_THRESHOLDS[metric].direction === "above" ? warning <= critical : warning >= critical;
+    if (!ordered) {
+      throw policyError(
+        `${prefix}${metric}: warning (${warning}) must be ${DEFAULT_THRESHOLDS[metric].direction === "above" ? "at or below" : "at or above"} critical (${critical})`,
+        filePath
+      );
+    }
+  }
+}
+
+/**
+ * Load and validate the threshold policy
+ * Looks at HEALTH_CHECK_POLICY, then health-policy.json next to the server; missing file means built-in defaults.
+ * @param {Object} options - Optional configuration
+ * @param {string} options.path - Policy file to load (overrides discovery)
+ * @param {string} options.profile - Profile to apply (overrides HEALTH_CHECK_PROFILE)
+ * @throws {Error} If the file can't be parsed or fails validation
+ */
+export function loadHealthPolicy(options = {}) {
+  const explicitPath = options.path ?? process.env.HEALTH_CHECK_POLICY ?? null;
+  const filePath = explicitPath ?? (fs.existsSync(DEFAULT_POLICY_PATH) ? DEFAULT_POLICY_PATH : null);
+
+  let policy = {};
+  if (filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      throw policyError(`unable to read file (${error.code || error.message})`, filePath);
+    }
+    try {
+      policy = JSON.parse(content);
+    } catch (error) {
+      throw policyError(`not valid JSON (${error.message})`, filePath);
+    }
+    validatePolicy(policy, filePath);
+  }
+
+  const profile = selectProfile(policy, options.profile ?? process.env.HEALTH_CHECK_PROFILE, filePath);
+  const profileThresholds = profile ? policy.profiles[profile.name].thresholds ?? {} : {};
+
+  const thresholds = {};
+  for (const [metric, defaults] of Object.entries(DEFAULT_THRESHOLDS)) {
+    thresholds[metric] = {};
+    for (const level of LEVELS) {
+      let entry = { value: defaults[level], source: "built-in default" };
+      if (policy.thresholds?.[metric]?.[level] !== undefined) {
+        entry = { value: policy.thresholds[metric][level], source: `policy file ${filePath}` };
+      }
+      if (profileThresholds[metric]?.[level] !== undefined) {
+        entry = { value: profileThresholds[metric][level], source: `profile "${profile.name}" in ${filePath}` };
+      }
+      thresholds[metric][level] = entry;
+    }
+  }
+
+  validateOrdering(thresholds, filePath);
+
+  // Per-volume overrides layer on top of the effective thresholds, profile last
+  const volumes = {};
+  const volumeLayers = [
+    [policy.volumes ?? {}, `policy file ${filePath}`],
+    [profile ? policy.profiles[profile.name].volumes ?? {} : {}, profile ? `profile "${profile.name}" in ${filePath}` : null],
+  ];
+  for (const [layer, source] of volumeLayers) {
+    for (const [volume, overrides] of Object.entries(layer)) {
+      const key = normalizeVolume(volume);
+      volumes[key] ??= Object.fromEntries(VOLUME_METRICS.map(metric => [metric, { ...thresholds[metric] }]));
+      for (const [metric, levels] of Object.entries(overrides)) {
+        for (const [level, value] of Object.entries(levels)) {
+          volumes[key][metric][level] = { value, source };
+        }
+      }
+    }
+  }
+  for (const [volume, volumeThresholds] of Object.entries(volumes)) {
+    validateOrdering(volumeThresholds, filePath, `volumes.${volume}.`);
+  }
+
+  // The profile's probe list replaces the top-level one rather than merging
+  let probes = null;
+  if (profile && policy.profiles[profile.name].connectivityProbes) {
+    probes = { list: policy.profiles[profile.name].connectivityProbes, source: `profile "${profile.name}" in ${filePath}` };
+  } else if (policy.connectivityProbes) {
+    probes = { list: policy.connectivityProbes, source: `policy file ${filePath}` };
+  }
+
+  // Like probes, the profile's sink list replaces the top-level one
+  let sinks = null;
+  if (profile && policy.profiles[profile.name].notificationSinks) {
+    sinks = { list: policy.profiles[profile.name].notificationSinks, source: `profile "${profile.name}" in ${filePath}` };
+  } else if (policy.notificationSinks) {
+    sinks = { list: policy.notificationSinks, source: `policy file ${filePath}` };
+  }
+
+  // Score weights merge per category like thresholds, profile last
+  const scoreWeights = {};
+  for (const [category, { weight }] of Object.entries(SCORE_CATEGORIES)) {
+    scoreWeights[category] = { value: weight, source: "built-in default" };
+    if (policy.scoreWeights?.[category] !== undefined) {
+      scoreWeights[category] = { value: policy.scoreWeights[category], source: `policy file ${filePath}` };
+    }
+    if (profile && policy.profiles[profile.name].scoreWeights?.[category] !== undefined) {
+      scoreWeights[category] = { value: policy.profiles[profile.name].scoreWeights[category], source: `profile "${profile.name}" in ${filePath}` };
+    }
+  }
+
+  // Cache settings merge per source and setting, profile last
+  const cache = {};
+  for (const [source, defaults] of Object.entries(CACHE_SOURCES)) {
+    cache[source] = {};
+    for (const setting of CACHE_SETTINGS) {
+      cache[source][setting] = { value: defaults[setting], source: "built-in default" };
+      if (policy.cache?.[source]?.[setting] !== undefined) {
+        cache[source][setting] = { value: policy.cache[source][setting], source: `policy file ${filePath}` };
+      }
+      if (profile && policy.profiles[profile.name].cache?.[source]?.[setting] !== undefined) {
+        cache[source][setting] = { value: policy.profiles[profile.name].cache[source][setting], source: `profile "${profile.name}" in ${filePath}` };
+      }
+    }
+  }
+
+  // Rules merge by id: built-ins, then the file, then the profile
+  const alertRules = DEFAULT_ALERT_RULES.map(rule => ({ ...rule, source: "built-in default" }));
+  const ruleLayers = [
+    [policy.alertRules ?? [], `policy file ${filePath}`],
+    [profile ? policy.profiles[profile.name].alertRules ?? [] : [], profile ? `profile "${profile.name}" in ${filePath}` : null],
+  ];
+  for (const [layer, source] of ruleLayers) {
+    for (const rule of layer) {
+      const index = alertRules.findIndex(existing => existing.id === rule.id);
+      if (index === -1) {
+        alertRules.push({ forSeconds: 0, ...rule, source });
+        continue;
+      }
+      const merged = { ...alertRules[index], ...rule, source };
+      // An explicit threshold replaces the policy level and its margin
+      if (rule.threshold !== undefined) {
+        delete merged.level;
+        delete merged.clearMargin;
+      }
+      alertRules[index] = merged;
+    }
+  }
+  for (const rule of alertRules) {
+    const problem = alertRuleProblem(rule);
+    if (problem) {
+      throw policyError(`alertRules: ${problem}`, filePath);
+    }
+  }
+
+  loaded = { filePath, profile, thresholds, volumes, probes, alertRules, sinks, scoreWeights, cache };
+  return loaded;
+}
+
+/**
+ * Effective thresholds as { metric: { warning, critical } } (null means that severity is never raised)
+ */
+export function getThresholds() {
+  const { thresholds } = loaded ?? loadHealthPolicy();
+
+  const values = {};
+  for (const [metric, entry] of Object.entries(thresholds)) {
+    values[metric] = { warning: entry.warning.value, critical: entry.critical.value };
+  }
+  return values;
+}
+
+/**
+ * Effective diskFree/inodeFree thresholds for one volume, including any per-volume override
+ * @param {string} volume - Drive letter ("D:") or mount path ("/var")
+ */
+export function getVolumeThresholds(volume) {
+  const { volumes } = loaded ?? loadHealthPolicy();
+  const overrides = volumes[normalizeVolume(volume)];
+  const defaults = getThresholds();
+
+  const values = {};
+  for (const metric of VOLUME_METRICS) {
+    values[metric] = overrides
+      ? { warning: overrides[metric].warning.value, critical: overrides[metric].critical.value }
+      : defaults[metric];
+  }
+  return values;
+}
+
+/**
+ * Effective health score weights as { category: weight }
+ */
+export function getScoreWeights() {
+  const { scoreWeights } = loaded ?? loadHealthPolicy();
+  return Object.fromEntries(Object.entries(scoreWeights).map(([category, entry]) => [category, entry.value]));
+}
+
+/**
+ * Effective freshness of one cache source as { ttlSeconds, staleSeconds }
+ * @param {string} source - Key of CACHE_SOURCES
+ */
+export function getCacheSettings(source) {
+  const { cache } = loaded ?? loadHealthPolicy();
+  return { ttlSeconds: cache[source].ttlSeconds.value, staleSeconds: cache[source].staleSeconds.value };
+}
+
+/**
+ * Connectivity probes configured in the policy file, or null to use the built-in set
+ */
+export function getConnectivityProbes() {
+  const { probes } = loaded ?? loadHealthPolicy();
+  return probes?.list ?? null;
+}
+
+/**
+ * Notification sinks configured in the policy file, or null when alerts are not pushed anywhere
+ */
+export function getNotificationSinks() {
+  const { sinks } = loaded ?? loadHealthPolicy();
+  return sinks?.list ?? null;
+}
+
+/**
+ * Effective alert rules in evaluation order, without disabled ones
+ */
+export function getAlertRules() {
+  const { alertRules } = loaded ?? loadHealthPolicy();
+  return alertRules.filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Whether a reading crosses a threshold in the metric's direction
+ * null thresholds and non-numeric readings never cross.
+ */
+export function exceeds(metric, value, threshold) {
+  if (typeof value !== "number" || threshold === null || threshold === undefined) {
+    return false;
+  }
+  return DEFAULT_THRESHOLDS[metric].direction === "above" ? value > threshold : value < threshold;
+}
+
+/**
+ * Sink as get_health_policy reports it - URLs, hosts, paths and command arguments can carry
+ * credentials or internal addresses, so the target is reduced to its kind
+ */
+function describeSink({ url, path: filePath, host, port, command, ...settings }) {
+  const targets = {
+    webhook: () => `${new URL(url).protocol}//<redacted>`,
+    file: () => `<redacted>/${path.win32.basename(filePath)}`,
+    syslog: () => `udp://<redacted>:${port ?? 514}`,
+    command: () => `${path.win32.basename(command[0])} <${command.length - 1} argument${command.length !== 2 ? "s" : ""} redacted>`,
+  };
+  return { ...settings, target: targets[settings.type]() };
+}
+
+/**
+ * Alert rule as get_health_policy reports it, with a policy-level threshold resolved to its value
+ */
+function describeAlertRule({ level, clearMargin, ...rule }, thresholds) {
+  if (level === undefined) {
+    return rule;
+  }
+
+  const threshold = thresholds[rule.metric][level].value;
+  const described = {
+    ...rule,
+    threshold,
+    thresholdFrom: `${level} threshold for ${rule.metric}${RULE_METRICS[rule.metric].perVolume ? " (per-volume overrides apply)" : ""}`,
+  };
+  if (clearMargin && threshold !== null && rule.clearThreshold === undefined) {
+    described.clearThreshold = rule.comparator.startsWith(">") ? threshold - clearMargin : threshold + clearMargin;
+  }
+  return described;
+}
+
+/**
+ * Get the effective health policy - thresholds and where each value came from
+ */
+export async function getHealthPolicy() {
+  const { filePath, profile, thresholds, volumes, probes, alertRules, sinks, scoreWeights, cache } = loaded ?? loadHealthPolicy();
+
+  const metrics = {};
+  let overridden = 0;
+  for (const [metric, defaults] of Object.entries(DEFAULT_THRESHOLDS)) {
+    metrics[metric] = {
+      label: defaults.label,
+      unit: defaults.unit,
+      direction: defaults.direction,
+      warning: thresholds[metric].warning,
+      critical: thresholds[metric].critical,
+    };
+    overridden += LEVELS.filter(level => thresholds[metric][level].source !== "built-in default").length;
+  }
+
+  const recommendations = [];
+  if (!filePath) {
+    recommendations.push(`Create ${DEFAULT_POLICY_PATH} or set HEALTH_CHECK_POLICY to customize thresholds`);
+  }
+
+  let actionableSummary = filePath
+    ? `Policy ${filePath}: ${overridden} threshold${overridden !== 1 ? "s" : ""} overridden`
+    : "Using built-in default thresholds (no policy file)";
+  if (profile) {
+    actionableSummary += `, profile "${profile.name}" (selected by ${profile.selectedBy})`;
+  }
+  const customRules = alertRules.filter(rule => rule.source !== "built-in default").length;
+  if (customRules > 0) {
+    actionableSummary += `, ${customRules} alert rule${customRules !== 1 ? "s" : ""} added or overridden`;
+  }
+  const customWeights = Object.values(scoreWeights).filter(entry => entry.source !== "built-in default").length;
+  if (customWeights > 0) {
+    actionableSummary += `, ${customWeights} score weight${customWeights !== 1 ? "s" : ""} changed`;
+  }
+  const customCache = Object.values(cache).flatMap(Object.values).filter(entry => entry.source !== "built-in default").length;
+  if (customCache > 0) {
+    actionableSummary += `, ${customCache} cache setting${customCache !== 1 ? "s" : ""} changed`;
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    severity: "info",
+    policyFile: filePath || "None (built-in defaults)",
+    profile: profile || "None",
+    thresholds: metrics,
+    volumeOverrides: volumes,
+    connectivityProbes: probes ? { probes: probes.list, source: probes.source } : "built-in defaults",
+    alertRules: alertRules.map(rule => describeAlertRule(rule, thresholds)),
+    notificationSinks: sinks ? { sinks: sinks.list.map(describeSink), source: sinks.source } : "None (alerts are not pushed)",
+    scoreWeights,
+    cache: Object.fromEntries(Object.entries(cache).map(([source, settings]) => [source, { label: CACHE_SOURCES[source].label, ...settings }])),
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck: [],
+  };
+}
@@ -0,0 +1,193 @@
+import {
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { getHealthAlerts } from "./system/alerts.js";
+import { getPerformanceStats } from "./system/performance.js";
+import { getBatteryStatus } from "./system/battery.js";
+import { getThermalStatus } from "./system/thermal.js";
+import { getNetworkStatus } from "./system/network.js";
+import { getSystemHealth } from "./system/systemHealth.js";
+import { trackCacheUse } from "./cache.js";
+
+// How often subscribed resources are re-checked for changes
+const DEFAULT_WATCH_INTERVAL_SECONDS = 15;
+
+/**
+ * Strip numbers from alert messages so "CPU 91%" and "CPU 93%" count as the same alert
+ */
+function normalizeAlert(message) {
+  return message.replace(/\d+(\.\d+)?/g, "#");
+}
+
+/**
+ * Published health snapshots - each returns the same JSON as its tool
+ * signature() decides what counts as a change worth notifying subscribers about
+ */
+export const RESOURCES = {
+  "health://alerts": {
+    name: "Health alerts",
+    description: "Severity-categorized alerts, health score and next steps (same as get_health_alerts)",
+    read: () => getHealthAlerts(),
+    signature: result => JSON.stringify({
+      critical: result.critical.map(normalizeAlert).sort(),
+      warning: result.warning.map(normalizeAlert).sort(),
+    }),
+  },
+  "health://performance": {
+    name: "Performance",
+    description: "CPU, memory, disk I/O and top processes (same as get_performance_stats)",
+    read: () => getPerformanceStats(),
+    signature: result => result.severity,
+  },
+  "health://battery": {
+    name: "Battery",
+    description: "Battery charge, status and power plan (same as get_battery_status)",
+    read: () => getBatteryStatus(),
+    signature: result => result.severity,
+  },
+  "health://thermal": {
+    name: "Thermal",
+    description: "Temperatures, throttling and fans (same as get_thermal_status)",
+    read: () => getThermalStatus(),
+    signature: result => result.severity,
+  },
+  "health://network": {
+    name: "Network",
+    description: "Interfaces, connectivity and connected devices (same as get_network_status)",
+    read: () => getNetworkStatus(),
+    signature: result => result.severity,
+  },
+  "health://system": {
+    name: "System security and stability",
+    description: "Antivirus, firewall, updates, event log errors and disk space (same as get_system_health)",
+    read: () => getSystemHealth(),
+    signature: result => result.severity,
+  },
+};
+
+/**
+ * Look up a published resource or throw
+ */
+function getResource(uri) {
+  const resource = RESOURCES[uri];
+  if (!resource) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  return resource;
+}
+
+/**
+ * Register resource handlers and change notifications on an MCP server
+ * The server must declare the resources capability with subscribe: true.
+ * @param {Server} server - MCP server instance
+ * @param {Object} options - Optional configuration
+ * @param {number} options.watchIntervalSeconds - Seconds between checks of subscribed resources (HEALTH_CHECK_WATCH_INTERVAL, default: 15)
+ * @returns {{ checkSubscriptions: Function, close: Function }} Handle to run a check now or stop the watcher
+ */
+export function registerResources(server, options = {}) {
+  const watchIntervalSeconds = Number(
+    options.watchIntervalSeconds ?? process.env.HEALTH_CHECK_WATCH_INTERVAL ?? DEFAULT_WATCH_INTERVAL_SECONDS
+  );
+
+  // uri -> last signature sent (undefined until the first check)
+  const subscriptions = new Map();
+  let timer = null;
+  let inFlight = null;
+
+  const runCheck = async () => {
+    for (const [uri, previous] of subscriptions) {
+      let signature;
+      try {
+        signature = RESOURCES[uri].signature(await RESOURCES[uri].read());
+      } catch {
+        continue;
+      }
+
+      // Unsubscribed while we were reading
+      if (!subscriptions.has(uri)) continue;
+
+      subscriptions.set(uri, signature);
+      if (previous !== undefined && previous !== signature) {
+        await server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+  };
+
+  // Share a running check rather than overlap a slow one
+  const checkSubscriptions = () => {
+    if (!inFlight) {
+      inFlight = runCheck().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  };
+
+  const updateWatcher = () => {
+    if (subscriptions.size > 0 && !timer && watchIntervalSeconds > 0) {
+      timer = setInterval(checkSubscriptions, watchIntervalSeconds * 1000);
+      timer.unref();
+    } else if (subscriptions.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: Object.entries(RESOURCES).map(([uri, resource]) => ({
+        uri,
+        name: resource.name,
+        description: resource.description,
+        mimeType: "application/json",
+      })),
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const resource = getResource(uri);
+    const { result, cacheInfo } = await trackCacheUse(() => resource.read());
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify({ ...result, cacheInfo }, null, 2),
+        },
+      ],
+    };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    getResource(uri);
+
+    if (!subscriptions.has(uri)) {
+      subscriptions.set(uri, undefined);
+      updateWatcher();
+      // Establish the baseline so the first change can be detected
+      checkSubscriptions();
+    }
+
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    updateWatcher();
+    return {};
+  });
+
+  return {
+    checkSubscriptions,
+    close() {
+      subscriptions.clear();
+      updateWatcher();
+    },
+  };
+}
@@ -0,0 +1,590 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { getFullHealthReport } from "./system/health.js";
+import { getPerformanceStats } from "./system/performance.js";
+import { getProcessDetails } from "./system/processes.js";
+import { getBatteryStatus } from "./system/battery.js";
+import { getThermalStatus } from "./system/thermal.js";
+import { getNetworkStatus } from "./system/network.js";
+import { getSystemHealth } from "./system/systemHealth.js";
+import { getOpenPorts, SOCKET_STATES } from "./system/ports.js";
+import { getEventLogSummary, EVENT_LOGS, EVENT_LEVELS } from "./system/eventLog.js";
+import { getHealthAlerts } from "./system/alerts.js";
+import { getMetricHistory, METRICS } from "./system/history.js";
+import { manageHealthBaseline, BASELINE_METRICS } from "./system/baseline.js";
+import { generateHealthReport, REPORT_FORMATS, REPORT_DIR_PATTERN } from "./system/report.js";
+import { captureHealthSnapshot, compareHealthSnapshots, SNAPSHOT_NAME_PATTERN } from "./system/snapshots.js";
+import { registerResources } from "./resources.js";
+import { getHealthPolicy, HOST_PATTERN, PROBE_SCHEMA } from "./policy.js";
+import { validateArguments } from "./validation.js";
+import { trackCacheUse } from "./cache.js";
+
+/**
+ * Tool definitions advertised to clients; inputSchema is also enforced on every call
+ */
+export const TOOLS = [
+  {
+    name: "get_health_alerts",
+    description: "🎯 PRIMARY ENTRYPOINT: System health overview with alerts and next-steps guidance. Call this first for vague requests. Returns severity-categorized alerts, a health score with per-category sub-scores and the factors that cost points, and actionable recommendations for which deep tools to investigate. Alerts follow rules with a duration and hysteresis: readings that haven't lasted long enough are listed under pending, and alertStates shows when each alert started and resolved. Readings that are unusual for this host at this time of day are listed as anomalies with the expected range. Fast and lightweight.",
+    primaryUse: "Initial system health assessment, determining what to investigate",
+    relatedAlerts: "All severity levels",
+    safetyNote: "✅ Read-only, no system modifications",
+    fallbacks: "Graceful degradation - may skip expensive checks if unavailable",
+    inputSchema: {
+      type: "object",
+      properties: {
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass the cached alerts (3s by default) and the cached disk and security readings, and query the system now (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_performance_stats",
+    description: "🔍 DEEP TOOL: CPU usage, memory breakdown, disk I/O rates, and top processes (default 5, ranked by CPU % sampled over 1s, memory, I/O rate or handle count). USE AFTER: alerts show high CPU/memory. Provides process-level visibility to identify resource hogs; follow up with get_process_details.",
+    primaryUse: "Investigate CPU or memory alerts; identify resource-consuming processes",
+    relatedAlerts: ["CPU > 80%", "Memory > 85%"],
+    safetyNote: "✅ Read-only, minimal OS calls",
+    fallbacks: "Top processes may be incomplete without admin privileges",
+    inputSchema: {
+      type: "object",
+      properties: {
+        includeProcesses: {
+          type: "boolean",
+          description: "Enumerate top processes (default: true; set false for a faster call)",
+        },
+        processLimit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 50,
+          description: "Number of top processes to return (default: 5)",
+        },
+        sortBy: {
+          type: "string",
+          enum: ["cpu", "memory", "io", "handles"],
+          description: "Rank processes by CPU % over a 1s sample, working set memory, disk I/O rate or open handles/file descriptors (default: cpu)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_process_details",
+    description: "🔍 DEEP TOOL: Inspect one process by PID or name: command line, executable, user, start time, CPU % over a 1s sample, threads, handles/open files, working set vs private memory, and its parent chain and child tree. USE AFTER: get_performance_stats names a process worth a closer look.",
+    primaryUse: "Identify what a busy or memory-hungry process is and what started it",
+    relatedAlerts: ["CPU > 80%", "Memory > 85%"],
+    safetyNote: "✅ Read-only; never signals or changes the process",
+    fallbacks: "Command line, user and open files of other users' processes need elevation; Windows reports a handle count instead of open files",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pid: {
+          type: "integer",
+          minimum: 0,
+          maximum: 4294967295,
+          description: "Process ID to inspect",
+        },
+        name: {
+          type: "string",
+          minLength: 1,
+          maxLength: 260,
+          description: "Process name to inspect, case-insensitive (\".exe\" optional); the 5 busiest matches are shown. Ignored when pid is given",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_battery_status",
+    description: "🔋 DEEP TOOL: Battery state (charge %, health % vs design capacity, wear, cycle count, weekly capacity history on Windows, power plan, chemistry). USE AFTER: alerts show low battery or degraded health. Desktop systems report 'Desktop System' status.",
+    primaryUse: "Investigate battery-related alerts; check power efficiency",
+    relatedAlerts: ["Battery < 25%", "Battery health < 80%"],
+    safetyNote: "✅ Read-only; may require admin privileges for full data",
+    fallbacks: "Health % may be N/A (requires admin); desktops always show 'Desktop System'",
+    inputSchema: {
+      type: "object",
+      properties: {
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass the cached battery report (5 min by default) and read capacity now (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_thermal_status",
+    description: "🌡️ DEEP TOOL: Every temperature sensor (CPU package and cores, chipset, NVMe, battery and ACPI zones) with its own high/critical trip points, GPU temperature, throttling detected from frequency under load and throttle counters with its suspected reason (thermal, power limit, battery saver power plan), and fan RPM. USE AFTER: alerts show high temperatures or throttling. Severity follows each sensor's trip points, falling back to the policy thresholds for sensors without them.",
+    primaryUse: "Investigate thermal alerts; check for overheating or thermal throttling",
+    relatedAlerts: ["CPU temp > 85°C", "Thermal throttling detected"],
+    safetyNote: "✅ Read-only; WMI queries",
+    fallbacks: "GPU temp may be N/A (NVIDIA-specific); fan data unavailable on standard APIs",
+    inputSchema: {
+      type: "object",
+      properties: {
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass the cached thermal result (10s by default) and query the system now (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_network_status",
+    description: "🌐 DEEP TOOL: Network interfaces with link state, speed, IPs, throughput (sampled over 1s) and error/drop counters (virtual, VPN and loopback adapters listed separately), default route with gateway latency, internet connectivity from parallel DNS, TCP, HTTP and ICMP probes with a verdict (online, icmp_blocked, partial, proxy_or_captive_portal, dns_broken, no_internet, no_link) and per-probe latency and failure reason, USB/Bluetooth device counts. USE AFTER: alerts show connectivity issues or use for network diagnostics.",
+    primaryUse: "Investigate network connectivity or device enumeration",
+    relatedAlerts: ["No internet connectivity", "DNS not working", "Possible captive portal or proxy", "Gateway not answering", "Interface packet errors", "Device count N/A"],
+    safetyNote: "✅ Read-only; contacts external hosts (connectivitycheck.gstatic.com, 1.1.1.1, 8.8.8.8 or the configured probes)",
+    fallbacks: "USB/Bluetooth counts may be N/A (requires admin); ICMP is often blocked, which alone is reported as icmp_blocked rather than offline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        probes: {
+          type: "array",
+          items: PROBE_SCHEMA,
+          minItems: 1,
+          maxItems: 10,
+          description: "Connectivity probes to run instead of the policy file's connectivityProbes or the built-in set (DNS connectivitycheck.gstatic.com, TCP 1.1.1.1:443, HTTP generate_204, ICMP 8.8.8.8)",
+        },
+        targets: {
+          type: "array",
+          items: {
+            type: "string",
+            maxLength: 253,
+            pattern: HOST_PATTERN,
+            patternDescription: "a hostname or IP address",
+          },
+          minItems: 1,
+          maxItems: 5,
+          description: "Legacy: hosts or IPs to ping (one ICMP probe each) instead of running the probe set",
+        },
+        includeVirtual: {
+          type: "boolean",
+          description: "List virtual, VPN, container and loopback interfaces with the physical ones instead of only naming them in hiddenInterfaces (default: false)",
+        },
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass the cached connectivity result (30s by default) and query the system now (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_system_health",
+    description: "🛡️ DEEP TOOL: Security status (Defender, Firewall, risky services such as RDP or databases listening beyond localhost), Windows updates, system event log error count (default 24h window; get_event_log_summary groups them), free space/inodes on every volume and physical disk SMART health. USE AFTER: alerts show security or stability issues.",
+    primaryUse: "Investigate security or stability alerts; check update status",
+    relatedAlerts: ["Antivirus disabled", "Firewall disabled", "Risky service exposed", "Low disk space", "Low free inodes", "System errors > 5"],
+    safetyNote: "✅ Read-only; queries Defender, Firewall, Event logs",
+    fallbacks: "Update count may be N/A on some systems (requires DCOM); event log may show 0 errors if unavailable; SMART data needs an elevated shell (and smartmontools on Linux)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        volume: {
+          type: "string",
+          maxLength: 4096,
+          pattern: "^([A-Za-z]:?|/[^\\0\"'`$;|&<>]*)$",
+          patternDescription: "a drive letter such as \"D\" or \"D:\" (Windows) or an absolute mount path such as \"/home\" (Linux)",
+          description: "Only check this volume for free space (default: every fixed volume)",
+        },
+        eventLogHours: {
+          type: "integer",
+          minimum: 1,
+          maximum: 720,
+          description: "How many hours of the system event log to count errors over (default: 24)",
+        },
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass the cached antivirus and firewall state (30s by default) and volume space (5s), and query the system now (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_open_ports",
+    description: "🔌 DEEP TOOL: Listening TCP/UDP sockets and active connections with local/remote address, state and owning process; flags listeners reachable beyond localhost and well-known risky services (RDP, VNC, Telnet, databases). Filter by state, port, process or protocol. USE AFTER: get_system_health reports an exposed service, or to answer what is listening or which process holds many connections.",
+    primaryUse: "Inventory what is listening and who holds connections",
+    relatedAlerts: ["Risky service exposed"],
+    safetyNote: "✅ Read-only; lists sockets, never opens or closes them",
+    fallbacks: "Owning process of other users' sockets needs elevation (Linux); shown as N/A",
+    inputSchema: {
+      type: "object",
+      properties: {
+        state: {
+          type: "string",
+          enum: SOCKET_STATES,
+          description: "Only sockets in this state, e.g. listen or established; UDP sockets without a peer count as listen (default: all)",
+        },
+        port: {
+          type: "integer",
+          minimum: 0,
+          maximum: 65535,
+          description: "Only sockets whose local or remote port matches",
+        },
+        process: {
+          type: "string",
+          minLength: 1,
+          maxLength: 260,
+          description: "Only sockets owned by processes with this name, case-insensitive (\".exe\" optional)",
+        },
+        protocol: {
+          type: "string",
+          enum: ["tcp", "udp"],
+          description: "Only TCP or only UDP sockets (default: both)",
+        },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 500,
+          description: "Maximum connections to list (default: 50); listening sockets are always listed",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_event_log_summary",
+    description: "📜 DEEP TOOL: Errors and warnings from the System and Application event logs (journald on Linux) grouped by source and event ID, with counts, first/last occurrence and a sample message for the top recurring issues. USE AFTER: get_system_health reports system errors, or to find out what keeps failing.",
+    primaryUse: "Find the recurring errors behind a high event log error count",
+    relatedAlerts: ["System errors > 5"],
+    safetyNote: "✅ Read-only; reads event logs, never clears them",
+    fallbacks: "Linux user-unit logs (Application) are those of the user running the server; reading other users' journals needs the systemd-journal or adm group",
+    inputSchema: {
+      type: "object",
+      properties: {
+        hours: {
+          type: "integer",
+          minimum: 1,
+          maximum: 720,
+          description: "How many hours of the log to read (default: 24)",
+        },
+        logs: {
+          type: "array",
+          items: { type: "string", enum: EVENT_LOGS },
+          minItems: 1,
+          maxItems: EVENT_LOGS.length,
+          description: "Logs to read: System (kernel and system services) and/or Application (default: both)",
+        },
+        level: {
+          type: "string",
+          enum: EVENT_LEVELS,
+          description: "\"error\" for critical and error events only, \"warning\" to include warnings (default: warning)",
+        },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 50,
+          description: "Recurring issues to list (default: 10)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_metric_history",
+    description: "📈 HISTORY TOOL: CPU, memory, disk free, CPU temperature, battery charge, connectivity, established connections and system errors per hour recorded by a background sampler. Returns downsampled series with min/max/avg/p95 per metric. USE WHEN: the user describes a past problem (\"it was slow ten minutes ago\") or you need to know whether a reading is sustained.",
+    primaryUse: "Look back at recent resource usage, temperatures and connectivity drops",
+    relatedAlerts: ["CPU has been above 90% for the last N minutes"],
+    safetyNote: "✅ Read-only; served from in-memory history",
+    fallbacks: "Empty until the sampler has collected samples; sampling can be disabled with HEALTH_CHECK_HISTORY_INTERVAL=0",
+    inputSchema: {
+      type: "object",
+      properties: {
+        metrics: {
+          type: "array",
+          items: { type: "string", enum: Object.keys(METRICS) },
+          minItems: 1,
+          description: "Metrics to return (default: all)",
+        },
+        windowMinutes: {
+          type: "number",
+          minimum: 1,
+          maximum: 43200,
+          description: "How many minutes back to look (default: 60)",
+        },
+        resolutionSeconds: {
+          type: "number",
+          minimum: 1,
+          maximum: 86400,
+          description: "Bucket size for downsampling in seconds (default: 60)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "manage_health_baseline",
+    description: "📈 HISTORY TOOL: Inspect or reset the per-host baseline learned from the background sampler - the usual CPU, memory, system volume growth, CPU temperature, connection count and system error rate for each hour of the day, which get_health_alerts uses to report anomalies. USE WHEN: an anomaly needs explaining, or after the machine's role or workload changed for good (reset).",
+    primaryUse: "Explain what counts as normal on this host, or start learning again",
+    relatedAlerts: ["Anomaly: Memory usage 91% is unusually high for 14:00-15:00 on this host (expected 68.2-81.4%)"],
+    safetyNote: "⚠️ action \"reset\" discards what was learned; inspect is read-only",
+    fallbacks: "Hours with fewer than 30 samples have no expected range yet and raise no anomalies",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["inspect", "reset"],
+          description: "inspect: show the learned baseline; reset: forget it and start learning again (default: inspect)",
+        },
+        metric: {
+          type: "string",
+          enum: Object.keys(BASELINE_METRICS),
+          description: "Limit to one metric (default: all)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "generate_health_report",
+    description: "📋 REPORT TOOL: Runs get_health_alerts and every deep tool (performance, battery, thermal, network, system health) in parallel and renders one self-contained report: an executive summary with the health score and top issues, a section per tool with a severity badge and tables, and the combined recommendations. Sections whose tool failed or had no data are marked with the reason. Markdown, standalone HTML or JSON; optionally written to a file. USE WHEN: escalating to IT or attaching the machine's state to a ticket.",
+    primaryUse: "One document describing the machine's health for a ticket or hand-off",
+    relatedAlerts: "All severity levels",
+    safetyNote: "✅ Read-only on the system; with outputDir it writes one new file under HEALTH_CHECK_REPORT_DIR (never overwrites)",
+    fallbacks: "Sections that fail or have no data (e.g. no sensors or battery) are marked rather than failing the report",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: REPORT_FORMATS,
+          description: "markdown, html (standalone page, inline styles) or json (default: markdown)",
+        },
+        outputDir: {
+          type: "string",
+          minLength: 1,
+          maxLength: 255,
+          pattern: REPORT_DIR_PATTERN,
+          patternDescription: "a relative directory such as \"tickets/1234\", without \".\" or \"..\" segments",
+          description: "Write the report to a new file in this directory under HEALTH_CHECK_REPORT_DIR (created if missing) and return its path instead of the content (default: return the content)",
+        },
+        forceRefresh: {
+          type: "boolean",
+          description: "Bypass every cached reading (alerts, thermal, connectivity, antivirus, firewall, volumes, battery report) (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "capture_health_snapshot",
+    description: "📋 REPORT TOOL: Runs get_health_alerts and every deep tool (performance, battery, thermal, network, system health) and stores their output as a named, timestamped snapshot on this machine. USE WHEN: the machine works well now and you may later need to know what changed (before an update, driver install or configuration change), or at the start of an investigation.",
+    primaryUse: "Record a known-good (or known-bad) state to compare against later",
+    relatedAlerts: "N/A - stores data for compare_health_snapshots",
+    safetyNote: "✅ Read-only on the system; writes one JSON file to the snapshot directory",
+    fallbacks: "Tools that fail or have no data are stored as such and skipped when comparing",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          pattern: SNAPSHOT_NAME_PATTERN,
+          patternDescription: "letters, digits, '.', '_' or '-', up to 64 characters",
+          description: "Snapshot name, e.g. \"before-update\" (default: snapshot-<time>)",
+        },
+        replace: {
+          type: "boolean",
+          description: "Overwrite an existing snapshot with the same name (default: false)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "compare_health_snapshots",
+    description: "📋 REPORT TOOL: What changed between two health snapshots, or between a snapshot and now - compared semantically, not as a JSON diff: tool severity changes, alerts started or cleared, health score movement, antivirus/firewall turned on or off, risky services newly exposed, free space deltas per volume, processes new to or gone from the top list, interfaces added/removed/up/down, connectivity verdict, USB/Bluetooth device counts and system event error counts. Changes are ordered most severe first. USE WHEN: \"it worked yesterday\" - after capture_health_snapshot was called while it worked.",
+    primaryUse: "Find what changed since the machine last worked",
+    relatedAlerts: "All severity levels",
+    safetyNote: "✅ Read-only; comparing with now runs every deep tool once",
+    fallbacks: "Areas whose tool failed or had no data in either snapshot are listed under notCompared",
+    inputSchema: {
+      type: "object",
+      properties: {
+        from: {
+          type: "string",
+          pattern: SNAPSHOT_NAME_PATTERN,
+          patternDescription: "a snapshot name",
+          description: "Earlier snapshot (default: the most recent one)",
+        },
+        to: {
+          type: "string",
+          pattern: SNAPSHOT_NAME_PATTERN,
+          patternDescription: "a snapshot name",
+          description: "Later snapshot (default: compare with the system now)",
+        },
+      },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_health_policy",
+    description: "⚙️ CONFIG TOOL: Effective alert thresholds (warning/critical per metric), alert rules (condition, duration, clear threshold), notification sinks, the active profile, and where each value came from (built-in default, policy file or profile). USE WHEN: an alert seems too sensitive or too quiet for this machine, or to confirm which policy is loaded.",
+    primaryUse: "Explain why something did or didn't alert on this host",
+    relatedAlerts: "N/A - returns configuration only",
+    safetyNote: "✅ Read-only; policy is loaded once at startup",
+    fallbacks: "Built-in defaults when no policy file is present",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "get_full_health_report",
+    description: "📊 LEGACY/OPTIONAL: Quick snapshot combining CPU, memory, disk, uptime, process count. Superseded by get_health_alerts + targeted deep tools. Use only if you need a single unified call.",
+    primaryUse: "Legacy entrypoint; use get_health_alerts instead for better guidance",
+    relatedAlerts: "N/A - returns raw data only",
+    safetyNote: "✅ Read-only",
+    fallbacks: "Less granular than deep tools",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+      additionalProperties: false,
+    },
+  },
+];
+
+/**
+ * Run a tool with arguments that passed validation
+ */
+async function callTool(name, args) {
+  switch (name) {
+    case "get_full_health_report":
+      return getFullHealthReport();
+    case "get_performance_stats":
+      return getPerformanceStats(args);
+    case "get_process_details":
+      return getProcessDetails(args);
+    case "get_battery_status":
+      return getBatteryStatus(args);
+    case "get_thermal_status":
+      return getThermalStatus(args);
+    case "get_network_status":
+      return getNetworkStatus(args);
+    case "get_open_ports":
+      return getOpenPorts(args);
+    case "get_event_log_summary":
+      return getEventLogSummary(args);
+    case "get_system_health":
+      return getSystemHealth(args);
+    case "get_health_alerts":
+      return getHealthAlerts(args);
+    case "get_metric_history":
+      return getMetricHistory(args);
+    case "manage_health_baseline":
+      return manageHealthBaseline(args);
+    case "generate_health_report":
+      return generateHealthReport(args);
+    case "capture_health_snapshot":
+      return captureHealthSnapshot(args);
+    case "compare_health_snapshots":
+      return compareHealthSnapshots(args);
+    case "get_health_policy":
+      return getHealthPolicy();
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+/**
+ * Create an MCP server with every tool and resource registered
+ * Each connection (stdio, or one HTTP session) gets its own instance; caches and history are shared.
+ * @returns {Server} Server ready to connect to a transport
+ */
+export function createServer() {
+  const server = new Server(
+    {
+      name: "system-health-mcp",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+      }
+    }
+  );
+
+  // Publish health snapshots as resources (health://alerts, ...) with change subscriptions
+  const resources = registerResources(server);
+  server.onclose = () => resources.close();
+
+  // Handle list_tools request
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: TOOLS };
+  });
+
+  // Handle call_tool request
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    try {
+      const tool = TOOLS.find(candidate => candidate.name === request.params.name);
+      const args = request.params.arguments ?? {};
+
+      // Reject bad arguments with a structured error instead of running the tool
+      const validationErrors = tool ? validateArguments(tool.inputSchema, args) : [];
+      if (validationErrors.length > 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                error: "Invalid arguments",
+                tool: request.params.name,
+                validationErrors,
+              }, null, 2),
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      // Every result reports the cached readings it used and how old they were
+      const { result, cacheInfo } = await trackCacheUse(() => callTool(request.params.name, args));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ ...result, cacheInfo }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              error: error.message,
+              tool: request.params.name,
+            }, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+  });
+
+  return server;
+}
@@ -1,77 +1,89 @@
 import os from "os";
-import { exec } from "child_process";
-import { promisify } from "util";
-
-const execPromise = promisify(exec);
-
-// Simple cache to avoid repeated expensive calls (2-5s TTL)
-let alertCache = null;
-let cacheTimestamp = 0;
-const CACHE_TTL = 3000; // 3 seconds
+import { getBackend } from "../platform/index.js";
+import { getCPUUsage } from "./cpu.js";
+import { RULE_METRICS } from "../policy.js";
+import { getVolumes } from "./disks.js";
+import { queryAntivirus, queryFirewall } from "./systemHealth.js";
+import { evaluateRules, getAlertStates } from "./rules.js";
+import { calculateHealthScore } from "./score.js";
+import { detectAnomalies, getRecentObservations } from "./baseline.js";
+import { fromCache } from "../cache.js";
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
 
 /**
  * OPTIMIZED: Get health alerts - PRIMARY ENTRYPOINT
  * Lightweight implementation that only calls cheap functions
  * Defers expensive checks to deep tools
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Ignore the cached alerts (3s by default) and the cached disk and security readings, and re-check now (default: false)
  */
-export async function getHealthAlerts() {
-  const now = Date.now();
-  
-  // Return cached result if fresh
-  if (alertCache && (now - cacheTimestamp) < CACHE_TTL) {
-    return alertCache;
-  }
+export async function getHealthAlerts(options = {}) {
+  const { forceRefresh = false } = options;
+  return fromCache("alerts", () => checkAlerts(forceRefresh), { forceRefresh });
+}
 
-  const alerts = {
-    timestamp: new Date().toISOString(),
-    critical: [],
-    warning: [],
-    info: [],
-  };
+/**
+ * Evaluate the alert rules against new readings
+ */
+async function checkAlerts(forceRefresh) {
+  const now = Date.now();
 
   // Get lightweight metrics only
   const [cpuUsage, memUsage, diskUsage, securityStatus] = await Promise.all([
     getCPUQuick(),
     getMemoryQuick(),
-    getDiskQuickCheck(),
-    getSecurityQuickCheck(),
+    getDiskQuickCheck(forceRefresh),
+    getSecurityQuickCheck(forceRefresh),
   ]);
 
-  // CPU alerts
-  if (cpuUsage > 90) {
-    alerts.critical.push(`⚠️ CPU critically high: ${cpuUsage}%`);
-  } else if (cpuUsage > 80) {
-    alerts.warning.push(`CPU elevated: ${cpuUsage}%`);
-  }
+  const readings = {
+    cpu: cpuUsage,
+    memory: memUsage.usagePercent,
+    diskFree: Object.fromEntries(diskUsage.volumes.map(volume => [volume.volume, volume.percentFree])),
+    inodeFree: Object.fromEntries(diskUsage.volumes.map(volume => [volume.volume, volume.inodesPercentFree])),
+    antivirusEnabled: securityStatus.antivirus,
+    firewallEnabled: securityStatus.firewall,
+  };
+  evaluateRules({ timestamp: now, ...readings });
 
-  // Memory alerts
-  if (memUsage.usagePercent > 90) {
-    alerts.critical.push(`⚠️ Memory critically high: ${memUsage.usagePercent}%`);
-  } else if (memUsage.usagePercent > 85) {
-    alerts.warning.push(`Memory elevated: ${memUsage.usagePercent}%`);
-  }
+  const alertStates = getAlertStates(now);
+  const reported = alertStates.filter(alert => !isOutranked(alert, alertStates));
+  const firing = reported.filter(alert => alert.state === "firing");
 
-  // Disk alerts
-  if (diskUsage.percentFree < 5) {
-    alerts.critical.push(`⚠️ Disk space critical: ${diskUsage.percentFree}% free`);
-  } else if (diskUsage.percentFree < 20) {
-    alerts.warning.push(`Low disk space: ${diskUsage.percentFree}% free`);
-  }
+  const alerts = {
+    timestamp: new Date().toISOString(),
+    critical: firing.filter(alert => alert.severity === "critical").map(alertText),
+    warning: firing.filter(alert => alert.severity === "warning").map(alertText),
+    info: firing.filter(alert => alert.severity === "info").map(alertText),
+  };
 
-  // Security alerts (quick checks)
-  if (securityStatus.defenderDisabled === true) {
-    alerts.critical.push("⚠️ Windows Defender is disabled");
+  // How long duration-gated alerts have been breaching
+  for (const alert of firing) {
+    const minutes = Math.floor((now - Date.parse(alert.since)) / 60000);
+    if (alert.forSeconds > 0 && minutes >= 1) {
+      const { label } = RULE_METRICS[alert.metric];
+      alerts.info.push(`${label} has been ${alert.condition}${alert.instance ? ` on ${alert.instance}` : ""} for the last ${minutes} minute${minutes !== 1 ? "s" : ""}`);
+    }
   }
 
-  if (securityStatus.firewallDisabled === true) {
-    alerts.critical.push("⚠️ Windows Firewall is disabled");
+  // Readings unusual for this host at this time of day, unless a threshold alert already covers the metric
+  const anomalies = detectAnomalies({ ...getRecentObservations(now), cpu: readings.cpu, memory: readings.memory }, now)
+    .filter(anomaly => !reported.some(alert => alert.metric === anomaly.metric && alert.state !== "resolved"));
+  for (const anomaly of anomalies) {
+    alerts[anomaly.severity].push(anomaly.message);
   }
 
+  const pending = reported
+    .filter(alert => alert.state === "pending")
+    .map(alert => `${alert.message} (pending - alerts if it lasts ${formatSeconds(alert.forSeconds)})`);
+
   // Build recommendations for next steps
-  const nextStepsToCheck = buildNextSteps(alerts, cpuUsage, memUsage, diskUsage);
-  const actionableSummary = generateSummary(alerts, nextStepsToCheck);
+  const nextStepsToCheck = buildNextSteps(firing, anomalies);
+  const systemHealthScore = calculateHealthScore(readings, now);
+  const actionableSummary = generateSummary(alerts, pending, nextStepsToCheck, systemHealthScore);
 
-  const result = {
+  return {
     ...alerts,
     alertCount: {
       critical: alerts.critical.length,
@@ -79,31 +91,33 @@ export async function getHealthAlerts() {
       info: alerts.info.length,
       total: alerts.critical.length + alerts.warning.length + alerts.info.length,
     },
-    systemHealthScore: calculateHealthScore(alerts),
+    pending,
+    alertStates,
+    anomalies,
+    readings,   // The values the alert rules were evaluated against
+    systemHealthScore,
     nextStepsToCheck,  // KEY: Tell Claude what to investigate
     actionableSummary, // KEY: Human-readable recommendation
-    cacheInfo: {
-      cachedAt: new Date().toISOString(),
-      staleAfter: CACHE_TTL,
-    },
   };
+}
 
-  // Cache the result
-  alertCache = result;
-  cacheTimestamp = now;
-
-  return result;
+/**
+ * Text of an alert as listed under critical, warning or info
+ * Shared with the notification sinks so pushed alerts read the same as the tool's.
+ */
+export function alertText(alert) {
+  return alert.severity === "critical" ? `⚠️ ${alert.message}` : alert.message;
 }
 
 /**
- * Quick CPU check - just os.loadavg()
+ * Quick CPU check - sampled utilization shared with the deep tools
  */
 async function getCPUQuick() {
-  const cpus = os.cpus();
-  const avgLoad = os.loadavg()[0];
-  const cpuCount = cpus.length;
-  const usage = (avgLoad / cpuCount) * 100;
-  return Math.min(100, Math.round(usage * 100) / 100);
+  try {
+    return (await getCPUUsage()).usagePercent;
+  } catch (error) {
+    return "N/A";
+  }
 }
 
 /**
@@ -124,79 +138,80 @@ function getMemoryQuick() {
 }
 
 /**
- * Quick disk check - C: drive only
+ * Quick disk check - space and inodes on every fixed volume (no SMART queries), cached with get_system_health
  */
-async function getDiskQuickCheck() {
+async function getDiskQuickCheck(forceRefresh) {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-Volume -DriveLetter C | Select-Object @{Name=\'PercentFree\';Expression={[math]::Round((($_.SizeRemaining/$_.Size)*100), 2)}} | Select-Object -ExpandProperty PercentFree"'
-    );
-
-    const percentFree = parseFloat(stdout.trim());
-    return {
-      percentFree: isNaN(percentFree) ? "N/A" : percentFree,
-      warning: percentFree < 20,
-      critical: percentFree < 5,
-    };
+    return { volumes: await getVolumes({ forceRefresh }) };
   } catch (error) {
-    return {
-      percentFree: "N/A",
-      warning: false,
-      critical: false,
-    };
+    return { volumes: [] };
   }
 }
 
 /**
- * Quick security check - just defender and firewall status
+ * Quick security check - just antivirus and firewall status, cached with get_system_health
+ * Each is { <product name>: 1 (on) or 0 (off) }, or null when the state is unknown
  */
-async function getSecurityQuickCheck() {
-  try {
-    const defenderPromise = execPromise(
-      'powershell -Command "Get-MpPreference | Select-Object -ExpandProperty DisableRealtimeMonitoring"'
-    ).catch(() => ({ stdout: "" }));
-
-    const firewallPromise = execPromise(
-      'powershell -Command "Get-NetFirewallProfile | Where-Object {$_.Enabled -eq $true} | Measure-Object | Select-Object -ExpandProperty Count"'
-    ).catch(() => ({ stdout: "" }));
-
-    const [defenderResult, firewallResult] = await Promise.all([
-      defenderPromise,
-      firewallPromise,
-    ]);
-
-    const defenderDisabled = defenderResult.stdout?.trim() === "True";
-    const firewallEnabledProfiles = parseInt(firewallResult.stdout?.trim() || "0");
-
-    return {
-      defenderDisabled,
-      firewallDisabled: firewallEnabledProfiles === 0,
-    };
-  } catch (error) {
-    return {
-      defenderDisabled: false,
-      firewallDisabled: false,
-    };
-  }
+async function getSecurityQuickCheck(forceRefresh) {
+  const backend = getBackend();
+
+  const [antivirus, firewall] = await Promise.all([
+    queryAntivirus({ forceRefresh }).catch(() => null),
+    queryFirewall({ forceRefresh }).catch(() => null),
+  ]);
+
+  const antivirusName = antivirus?.product || backend.hints.antivirusName;
+  const firewallName = firewall?.product || backend.hints.firewallName;
+
+  return {
+    antivirus: typeof antivirus?.realTimeMonitoring === "boolean"
+      ? { [antivirusName]: antivirus.realTimeMonitoring ? 1 : 0 }
+      : null,
+    firewall: typeof firewall?.enabledProfiles === "number"
+      ? { [firewallName]: firewall.enabledProfiles > 0 ? 1 : 0 }
+      : null,
+  };
 }
 
 /**
- * Determine which deep tools to recommend
+ * Whether a more severe alert on the same metric and instance hides this one
+ * e.g. "CPU elevated" is not listed while "CPU critically high" fires.
  */
-function buildNextSteps(alerts, cpuUsage, memUsage, diskUsage) {
-  const nextSteps = [];
+export function isOutranked(alert, alerts) {
+  return alerts.some(other =>
+    other.metric === alert.metric &&
+    other.instance === alert.instance &&
+    other.state !== "resolved" &&
+    SEVERITY_RANK[other.severity] > SEVERITY_RANK[alert.severity] &&
+    (other.state === "firing" || alert.state === "pending")
+  );
+}
 
-  if (cpuUsage > 80 || memUsage.usagePercent > 85) {
-    nextSteps.push("get_performance_stats"); // Check what processes are using resources
-  }
+/**
+ * Seconds as a short duration, e.g. "90s" or "2 min"
+ */
+function formatSeconds(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds}s`;
+}
 
-  if (diskUsage.percentFree < 20) {
-    nextSteps.push("get_system_health"); // Check disk space and system stability
-  }
+/**
+ * Determine which deep tools to recommend - those named by firing rules, most severe first,
+ * then those for warning-level anomalies
+ */
+function buildNextSteps(firing, anomalies) {
+  const nextSteps = [];
 
-  // Only recommend expensive tools if we have specific alerts
-  if (alerts.critical.some(a => a.includes("Defender"))) {
-    nextSteps.push("get_system_health"); // More detailed security check
+  for (const severity of ["critical", "warning", "info"]) {
+    for (const alert of firing) {
+      if (alert.severity === severity && alert.nextTool && !nextSteps.includes(alert.nextTool)) {
+        nextSteps.push(alert.nextTool);
+      }
+    }
+  }
+  for (const anomaly of anomalies) {
+    if (anomaly.severity === "warning" && !nextSteps.includes(anomaly.nextTool)) {
+      nextSteps.push(anomaly.nextTool);
+    }
   }
 
   return nextSteps.slice(0, 2); // Max 2 recommendations
@@ -205,9 +220,7 @@ function buildNextSteps(alerts, cpuUsage, memUsage, diskUsage) {
 /**
  * Generate human-readable actionable summary
  */
-function generateSummary(alerts, nextSteps) {
-  const healthScore = calculateHealthScore(alerts);
-  
+function generateSummary(alerts, pending, nextSteps, healthScore) {
   if (alerts.critical.length > 0) {
     const criticalIssues = alerts.critical.slice(0, 2).join("; ");
     return `🔴 CRITICAL: ${criticalIssues}. Run: ${nextSteps.join(", ") || "get_performance_stats"}`;
@@ -218,31 +231,13 @@ function generateSummary(alerts, nextSteps) {
     return `🟡 WARNING: ${warningIssues}. Run: ${nextSteps.join(", ") || "investigate further"}`;
   }
 
+  if (pending.length > 0) {
+    return `⏳ PENDING: ${pending.slice(0, 2).join("; ")}. Call get_health_alerts again to see whether it persists`;
+  }
+
   if (alerts.info.length > 0) {
     return `ℹ️ INFO: System health good overall. ${alerts.info[0] || "No immediate action needed."}`;
   }
 
   return `✅ System healthy (score: ${healthScore.score}/100)`;
 }
-
-/**
- * Calculate overall system health score (0-100)
- */
-function calculateHealthScore(alerts) {
-  const criticalPenalty = alerts.critical.length * 15;
-  const warningPenalty = alerts.warning.length * 5;
-  const score = Math.max(0, 100 - criticalPenalty - warningPenalty);
-
-  return {
-    score: Math.round(score * 100) / 100,
-    status:
-      score >= 80
-        ? "Good"
-        : score >= 60
-          ? "Fair"
-          : score >= 40
-            ? "Poor"
-            : "Critical",
-  };
-}
-
@@ -0,0 +1,342 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { getDataDir } from "../platform/index.js";
+import { onSample } from "./history.js";
+
+// An hour of the day needs this many observations before its readings are judged
+const MIN_SAMPLES = 30;
+// Observations weigh at least 1/MAX_WEIGHT so an old baseline keeps adapting to how the host is used now
+const MAX_WEIGHT = 1000;
+// Standard deviations from the mean that make a reading an info / warning anomaly
+const INFO_DEVIATIONS = 3;
+const WARNING_DEVIATIONS = 4;
+// System volume growth is measured over at least this long, since free space barely moves between samples
+const DISK_GROWTH_WINDOW_MS = 15 * 60 * 1000;
+// Background readings older than this are not compared with the baseline
+const OBSERVATION_MAX_AGE_MS = 20 * 60 * 1000;
+// Write the baseline file at most this often
+const SAVE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Metrics with a learned baseline
+ * direction "above" flags only unusually high readings, "both" also unusually low ones;
+ * minSpread keeps a very steady metric from flagging tiny changes.
+ */
+export const BASELINE_METRICS = {
+  cpu: { label: "CPU usage", unit: "%", direction: "above", minSpread: 5, min: 0, max: 100, nextTool: "get_performance_stats" },
+  memory: { label: "Memory usage", unit: "%", direction: "above", minSpread: 2, min: 0, max: 100, nextTool: "get_performance_stats" },
+  diskGrowth: { label: "System volume growth", unit: "%/h", direction: "above", minSpread: 0.1, nextTool: "get_system_health" },
+  cpuTemp: { label: "CPU temperature", unit: "°C", direction: "above", minSpread: 2, nextTool: "get_thermal_status" },
+  connections: { label: "Established TCP connections", unit: "", direction: "both", minSpread: 5, min: 0, nextTool: "get_open_ports" },
+  eventErrors: { label: "System errors in the last hour", unit: "", direction: "above", minSpread: 1, min: 0, nextTool: "get_event_log_summary" },
+};
+
+// { <metric>: 24 hour-of-day buckets of { count, mean, variance } or null }
+let baselines = emptyBaselines();
+let learningSince = null;
+// Latest reading per metric: { value, timestamp }
+let observations = {};
+// Oldest system volume reading of the current growth window: { timestamp, diskFree }
+let diskStart = null;
+
+let persistPath = null;
+let lastSaved = 0;
+let listening = false;
+
+/**
+ * A baseline with nothing learned yet
+ */
+function emptyBaselines() {
+  return Object.fromEntries(Object.keys(BASELINE_METRICS).map(metric => [metric, new Array(24).fill(null)]));
+}
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Hour of the day as a range, e.g. "14:00-15:00"
+ */
+function hourRange(hour) {
+  const pad = value => String(value).padStart(2, "0");
+  return `${pad(hour)}:00-${pad((hour + 1) % 24)}:00`;
+}
+
+/**
+ * Start learning from the background sampler, loading the baseline saved by an earlier run
+ * @param {Object} options - Optional configuration
+ * @param {string} options.persistPath - JSON file the baseline is kept in; "" keeps it in memory only
+ *   (HEALTH_CHECK_BASELINE_FILE, default: baseline.json in the per-user data directory)
+ */
+export function startBaselineLearning(options = {}) {
+  persistPath = options.persistPath ?? process.env.HEALTH_CHECK_BASELINE_FILE ?? path.join(getDataDir(), "baseline.json");
+  baselines = emptyBaselines();
+  learningSince = null;
+  observations = {};
+  diskStart = null;
+  lastSaved = Date.now();
+
+  if (persistPath) {
+    loadBaseline();
+  }
+
+  if (!listening) {
+    onSample(learnSample);
+    listening = true;
+  }
+}
+
+/**
+ * Load a saved baseline; one learned on another host is ignored
+ */
+function loadBaseline() {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(persistPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Unable to load health baseline from ${persistPath}: ${error.message}`);
+    }
+    return;
+  }
+
+  if (saved.host !== os.hostname()) {
+    console.error(`Ignoring health baseline in ${persistPath}: it was learned on ${saved.host}`);
+    return;
+  }
+
+  for (const metric of Object.keys(BASELINE_METRICS)) {
+    if (Array.isArray(saved.metrics?.[metric]) && saved.metrics[metric].length === 24) {
+      baselines[metric] = saved.metrics[metric];
+    }
+  }
+  learningSince = saved.learningSince ?? null;
+}
+
+/**
+ * Write the baseline file (when persisting)
+ */
+export function saveBaseline() {
+  lastSaved = Date.now();
+  if (!persistPath) return;
+
+  try {
+    const content = JSON.stringify({ host: os.hostname(), learningSince, savedAt: new Date(lastSaved).toISOString(), metrics: baselines });
+    fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+    fs.writeFileSync(`${persistPath}.tmp`, content);
+    fs.renameSync(`${persistPath}.tmp`, persistPath);
+  } catch (error) {
+    console.error(`Unable to save health baseline: ${error.message}`);
+  }
+}
+
+/**
+ * Fold one reading into the running mean and variance for its hour of the day
+ */
+function learn(metric, value, timestamp) {
+  const hour = new Date(timestamp).getHours();
+  const bucket = baselines[metric][hour] ?? { count: 0, mean: 0, variance: 0 };
+
+  // Exact mean/variance for the first MAX_WEIGHT readings, an exponentially weighted one after that
+  bucket.count++;
+  const weight = 1 / Math.min(bucket.count, MAX_WEIGHT);
+  const difference = value - bucket.mean;
+  bucket.mean += weight * difference;
+  bucket.variance = (1 - weight) * (bucket.variance + weight * difference * difference);
+
+  baselines[metric][hour] = bucket;
+  observations[metric] = { value, timestamp };
+  learningSince ??= new Date(timestamp).toISOString();
+}
+
+/**
+ * Learn from one background sample (registered with the sampler by startBaselineLearning)
+ * @param {Object} sample - History sample: { timestamp, cpu, memory, diskFree, cpuTemp, connections, eventErrors }
+ */
+export function learnSample(sample) {
+  for (const metric of ["cpu", "memory", "cpuTemp", "connections", "eventErrors"]) {
+    if (typeof sample[metric] === "number") {
+      learn(metric, sample[metric], sample.timestamp);
+    }
+  }
+
+  if (typeof sample.diskFree === "number") {
+    const elapsed = diskStart ? sample.timestamp - diskStart.timestamp : -1;
+    // A gap in sampling (server stopped, laptop asleep) starts a new window instead of averaging over it
+    if (elapsed < 0 || elapsed > 4 * DISK_GROWTH_WINDOW_MS) {
+      diskStart = { timestamp: sample.timestamp, diskFree: sample.diskFree };
+    } else if (elapsed >= DISK_GROWTH_WINDOW_MS) {
+      // Used space grows as free space shrinks, in percentage points of the volume per hour
+      const hours = elapsed / 3600000;
+      learn("diskGrowth", round((diskStart.diskFree - sample.diskFree) / hours), sample.timestamp);
+      diskStart = { timestamp: sample.timestamp, diskFree: sample.diskFree };
+    }
+  }
+
+  if (Date.now() - lastSaved >= SAVE_INTERVAL_MS) {
+    saveBaseline();
+  }
+}
+
+/**
+ * Learned mean and spread for an hour, or null until it has enough observations
+ */
+function learnedRange(metric, hour) {
+  const bucket = baselines[metric][hour];
+  if (!bucket || bucket.count < MIN_SAMPLES) {
+    return null;
+  }
+
+  const { minSpread, min, max } = BASELINE_METRICS[metric];
+  const spread = Math.max(Math.sqrt(bucket.variance), minSpread);
+  let low = bucket.mean - INFO_DEVIATIONS * spread;
+  let high = bucket.mean + INFO_DEVIATIONS * spread;
+  if (min !== undefined) low = Math.max(min, low);
+  if (max !== undefined) high = Math.min(max, high);
+
+  return { mean: bucket.mean, spread, low: round(low), high: round(high), samples: bucket.count };
+}
+
+/**
+ * Recent background readings of the metrics get_health_alerts doesn't measure itself
+ * @param {number} now - Current time (default: now)
+ * @returns {Object} { <metric>: value } for diskGrowth, cpuTemp, connections and eventErrors
+ */
+export function getRecentObservations(now = Date.now()) {
+  const recent = {};
+  for (const metric of ["diskGrowth", "cpuTemp", "connections", "eventErrors"]) {
+    const observation = observations[metric];
+    if (observation && now - observation.timestamp <= OBSERVATION_MAX_AGE_MS) {
+      recent[metric] = observation.value;
+    }
+  }
+  return recent;
+}
+
+/**
+ * Readings that are statistically unusual for this host at this time of day
+ * @param {Object} values - { <metric>: number } readings to check
+ * @param {number} now - Time whose hour of day picks the baseline (default: now)
+ * @returns {Object[]} { metric, label, severity, message, value, unit, expected: { low, high }, typical, deviations, hour, nextTool }
+ */
+export function detectAnomalies(values, now = Date.now()) {
+  const hour = new Date(now).getHours();
+  const anomalies = [];
+
+  for (const [metric, { label, unit, direction, nextTool }] of Object.entries(BASELINE_METRICS)) {
+    const value = values[metric];
+    if (typeof value !== "number") continue;
+
+    const range = learnedRange(metric, hour);
+    if (!range) continue;
+
+    const deviations = (value - range.mean) / range.spread;
+    if (Math.abs(deviations) < INFO_DEVIATIONS || (direction === "above" && deviations < 0)) continue;
+
+    const expected = `${range.low}-${range.high}${unit}`;
+    anomalies.push({
+      metric,
+      label,
+      severity: Math.abs(deviations) >= WARNING_DEVIATIONS ? "warning" : "info",
+      message: `Anomaly: ${label} ${round(value)}${unit} is unusually ${deviations > 0 ? "high" : "low"} for ${hourRange(hour)} on this host (expected ${expected})`,
+      value: round(value),
+      unit,
+      expected: { low: range.low, high: range.high },
+      typical: round(range.mean),
+      deviations: round(deviations),
+      hour: hourRange(hour),
+      nextTool,
+    });
+  }
+
+  return anomalies;
+}
+
+/**
+ * Inspect or reset the learned baseline - the manage_health_baseline tool
+ * @param {Object} options - Optional configuration
+ * @param {string} options.action - "inspect" (default) or "reset"
+ * @param {string} options.metric - Limit to one metric (default: all)
+ */
+export async function manageHealthBaseline(options = {}) {
+  const { action = "inspect", metric } = options;
+  const now = Date.now();
+  const metrics = metric ? [metric] : Object.keys(BASELINE_METRICS);
+
+  if (action === "reset") {
+    for (const name of metrics) {
+      baselines[name] = new Array(24).fill(null);
+      delete observations[name];
+    }
+    if (!metric) {
+      learningSince = null;
+      diskStart = null;
+    }
+    saveBaseline();
+
+    return {
+      timestamp: new Date(now).toISOString(),
+      severity: "info",
+      reset: metrics,
+      persistedTo: persistPath || "Not persisted",
+      actionableSummary: `Baseline reset for ${metric ?? "all metrics"} - anomalies are not reported until each hour of the day has ${MIN_SAMPLES} new samples`,
+      recommendations: [],
+      nextStepsToCheck: [],
+    };
+  }
+
+  const currentHour = new Date(now).getHours();
+  const described = {};
+  const learnedCounts = [];
+  let totalLearned = 0;
+  for (const name of metrics) {
+    const { label, unit, direction } = BASELINE_METRICS[name];
+    const hours = [];
+    baselines[name].forEach((bucket, hour) => {
+      if (!bucket) return;
+      const range = learnedRange(name, hour);
+      const entry = { hour: hourRange(hour), samples: bucket.count, mean: round(bucket.mean), stdDev: round(Math.sqrt(bucket.variance)) };
+      if (range) {
+        entry.expected = { low: range.low, high: range.high };
+      }
+      hours.push(entry);
+    });
+    const learned = hours.filter(entry => entry.expected).length;
+    learnedCounts.push(`${name} ${learned}/24`);
+    totalLearned += learned;
+
+    described[name] = { label, unit, flags: direction === "both" ? "unusually high or low" : "unusually high", learnedHours: learned, hours };
+    const current = learnedRange(name, currentHour);
+    if (current) {
+      described[name].now = { hour: hourRange(currentHour), expected: { low: current.low, high: current.high } };
+    }
+    if (observations[name]) {
+      described[name].latest = { value: observations[name].value, at: new Date(observations[name].timestamp).toISOString() };
+    }
+  }
+
+  const recommendations = [];
+  if (!listening) {
+    recommendations.push("Baseline learning is not running - it starts with the server's background sampler");
+  } else if (totalLearned === 0) {
+    recommendations.push(`Nothing learned yet: each hour of the day needs ${MIN_SAMPLES} samples from the background sampler before anomalies are reported`);
+  }
+
+  return {
+    timestamp: new Date(now).toISOString(),
+    severity: "info",
+    host: os.hostname(),
+    learningSince: learningSince ?? "Not started",
+    minSamplesPerHour: MIN_SAMPLES,
+    anomalyAt: `${INFO_DEVIATIONS} standard deviations from the mean (info), ${WARNING_DEVIATIONS} (warning)`,
+    persistedTo: persistPath || "Not persisted (HEALTH_CHECK_BASELINE_FILE is empty)",
+    metrics: described,
+    actionableSummary: `Learned hours of the day: ${learnedCounts.join(", ")}`,
+    recommendations,
+    nextStepsToCheck: [],
+  };
+}
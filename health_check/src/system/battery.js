@@ -1,21 +1,83 @@
-import { exec } from "child_process";
-import { promisify } from "util";
+import { getBackend } from "../platform/index.js";
+import { getThresholds, exceeds } from "../policy.js";
+import { fromCache } from "../cache.js";
 
-const execPromise = promisify(exec);
+// Capacity history entries returned, most recent last
+const HISTORY_ENTRIES = 8;
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Design vs full-charge capacity from the backend, or { error } when the firmware or OS doesn't report it
+ * Cached for 5 minutes by default - capacity changes over weeks, and powercfg takes seconds.
+ */
+function getBatteryWear(forceRefresh) {
+  return fromCache("batteryWear", async () => {
+    try {
+      return await getBackend().getBatteryWear();
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, { forceRefresh });
+}
+
+/**
+ * Health, wear and capacity history fields derived from a battery report
+ */
+function describeWear(wear) {
+  if (wear.error || !(wear.designCapacity > 0)) {
+    return {
+      healthPercent: "N/A",
+      wearPercent: "N/A",
+      cycleCount: "N/A",
+      capacityHistory: "N/A",
+      healthNote: `Battery capacity unavailable: ${wear.error ?? "design capacity not reported"}`,
+    };
+  }
+
+  const healthPercent = round((wear.fullChargeCapacity / wear.designCapacity) * 100);
+  return {
+    healthPercent,
+    wearPercent: round(Math.max(0, 100 - healthPercent)),
+    cycleCount: wear.cycleCount ?? "N/A",
+    designCapacity: `${wear.designCapacity} ${wear.unit}`,
+    fullChargeCapacity: `${wear.fullChargeCapacity} ${wear.unit}`,
+    manufacturer: wear.manufacturer ?? "N/A",
+    capacityHistory: wear.history
+      ? wear.history.slice(-HISTORY_ENTRIES).map(entry => ({
+        ...entry,
+        healthPercent: entry.designCapacity > 0 && entry.fullChargeCapacity !== null
+          ? round((entry.fullChargeCapacity / entry.designCapacity) * 100)
+          : "N/A",
+      }))
+      : "N/A",
+    healthMethod: wear.method,
+  };
+}
 
 /**
  * Stable low-privilege battery status
  * Designed for MCP usage — fast, reliable, read-only.
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Ignore the cached battery report and read capacity now (default: false)
  */
-export async function getBatteryStatus() {
+export async function getBatteryStatus(options = {}) {
+  const { forceRefresh = false } = options;
   try {
     const timestamp = new Date().toISOString();
 
+    const backend = getBackend();
+
     // 1️⃣ Check if battery exists
     const hasBattery = await checkBatteryExists();
 
     // Always get power plan (safe operation)
-    const powerPlan = await getPowerPlanOnly().catch(() => "Unknown");
+    const powerPlan = await backend.getPowerPlan().catch(() => "Unknown");
 
     if (!hasBattery) {
       return {
@@ -34,27 +96,59 @@ export async function getBatteryStatus() {
       };
     }
 
-    // 2️⃣ Try lightweight WMI battery info (no admin required)
-    const basicBattery = await getBatteryBasic().catch(() => null);
+    // 2️⃣ Try lightweight battery info (no admin required)
+    const basicBattery = await backend.getBatteryBasic().catch(() => null);
 
     if (basicBattery) {
-      const severity = basicBattery.chargePercent < 25 ? "warning" : "info";
+      const { batteryCharge, batteryHealth } = getThresholds();
+      const health = describeWear(await getBatteryWear(forceRefresh));
+
+      const chargeLevel = exceeds("batteryCharge", basicBattery.chargePercent, batteryCharge.critical)
+        ? "critical"
+        : exceeds("batteryCharge", basicBattery.chargePercent, batteryCharge.warning) ? "warning" : "info";
+      const healthLevel = exceeds("batteryHealth", health.healthPercent, batteryHealth.critical)
+        ? "critical"
+        : exceeds("batteryHealth", health.healthPercent, batteryHealth.warning) ? "warning" : "info";
+      const severity = [chargeLevel, healthLevel].includes("critical")
+        ? "critical"
+        : [chargeLevel, healthLevel].includes("warning") ? "warning" : "info";
+
+      const recommendations = [];
+      if (chargeLevel !== "info") {
+        recommendations.push("Consider connecting to power soon");
+      }
+      if (healthLevel !== "info") {
+        const cycles = health.cycleCount !== "N/A" ? ` (${health.cycleCount} cycles)` : "";
+        recommendations.push(
+          `Battery holds ${health.healthPercent}% of its design capacity${cycles} - expect shorter runtime; plan a replacement if it no longer lasts the day`
+        );
+      }
+      if (recommendations.length === 0) {
+        recommendations.push("Battery status normal");
+      }
+
+      let actionableSummary = `Battery: ${basicBattery.chargePercent}% (${basicBattery.status})`;
+      if (typeof health.healthPercent === "number") {
+        actionableSummary += `, health ${health.healthPercent}%`;
+        if (health.cycleCount !== "N/A") {
+          actionableSummary += ` (${health.cycleCount} cycles)`;
+        }
+      }
+
       return {
         timestamp,
         ...basicBattery,
         powerPlan,
-        healthPercent:
-          "Unavailable via standard permissions (requires OEM telemetry or battery report)",
-        method: "WMI Basic",
+        ...health,
         severity,
-        actionableSummary: `Battery: ${basicBattery.chargePercent}% (${basicBattery.status})`,
-        recommendations: basicBattery.chargePercent < 25 ? ["Consider connecting to power soon"] : ["Battery status normal"],
+        actionableSummary,
+        recommendations,
         nextStepsToCheck: [],
       };
     }
 
     // 3️⃣ Fallback — only power info
-    const acStatus = await getACStatus().catch(() => "Unknown");
+    const acStatus = await backend.getACStatus().catch(() => "Unknown");
 
     return {
       timestamp,
@@ -68,7 +162,7 @@ export async function getBatteryStatus() {
       method: "Fallback",
       severity: "info",
       actionableSummary: `Power plan: ${powerPlan}. Full battery data unavailable.`,
-      recommendations: ["Run PowerShell as Administrator for detailed battery information"],
+      recommendations: [`${backend.hints.elevated} for detailed battery information`],
       nextStepsToCheck: [],
     };
   } catch (error) {
@@ -93,66 +187,9 @@ export async function getBatteryStatus() {
  */
 async function checkBatteryExists() {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-WmiObject Win32_Battery | Measure-Object | Select-Object -ExpandProperty Count"'
-    );
-
-    return parseInt(stdout.trim()) > 0;
+    return await getBackend().hasBattery();
   } catch {
     // If query fails, assume battery may exist
     return true;
   }
 }
-
-/**
- * Lightweight battery info (safe query)
- */
-async function getBatteryBasic() {
-  const { stdout } = await execPromise(
-    'powershell -Command "Get-WmiObject Win32_Battery | Select-Object EstimatedChargeRemaining,BatteryStatus,Chemistry | ConvertTo-Json"'
-  );
-
-  const battery = JSON.parse(stdout);
-
-  if (!battery || battery.EstimatedChargeRemaining == null) {
-    throw new Error("Battery data unavailable");
-  }
-
-  const statusMap = {
-    1: "Discharging",
-    2: "AC Power",
-    3: "Fully Charged",
-    4: "Low",
-    5: "Critical",
-  };
-
-  return {
-    chargePercent: battery.EstimatedChargeRemaining ?? "N/A",
-    status: statusMap[battery.BatteryStatus] || "Unknown",
-    chemistry: battery.Chemistry || "Unknown",
-  };
-}
-
-/**
- * Get active power plan
- */
-async function getPowerPlanOnly() {
-  const { stdout } = await execPromise(
-    'powershell -Command "Get-WmiObject -Namespace root\\\\cimv2\\\\power -Class Win32_PowerPlan -Filter \'IsActive=true\' | Select-Object -ExpandProperty ElementName"'
-  );
-
-  return stdout.trim() || "Unknown";
-}
-
-/**
- * AC adapter status fallback
- */
-async function getACStatus() {
-  const { stdout } = await execPromise(
-    'powershell -Command "Get-WmiObject -Class Win32_ACAdapter | Select-Object -ExpandProperty Availability"'
-  );
-
-  const acConnected = stdout.trim() !== "" && stdout.trim() !== "0";
-
-  return acConnected ? "AC Power" : "Discharging";
-}
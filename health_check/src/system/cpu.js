@@ -0,0 +1,109 @@
+import { getBackend } from "../platform/index.js";
+
+// Sampling window when no recent snapshot is available
+const DEFAULT_WINDOW_MS = 500;
+// A previous snapshot this old (or older, up to the max) can serve as the window start
+const MIN_WINDOW_MS = 250;
+const MAX_WINDOW_MS = 5000;
+
+let lastSnapshot = null;
+
+/**
+ * Take a timestamped snapshot of per-core CPU times
+ */
+async function takeSnapshot() {
+  const cores = await getBackend().getCPUTimes();
+  const snapshot = { takenAt: Date.now(), cores };
+  lastSnapshot = snapshot;
+  return snapshot;
+}
+
+/**
+ * Sum of every time bucket for a core
+ */
+function totalTime(core) {
+  return core.user + core.system + core.idle + (core.iowait ?? 0);
+}
+
+/**
+ * Percentages for the time spent between two readings of the same core(s)
+ */
+function computePercentages(before, after) {
+  const delta = field => after[field] - before[field];
+  const total = totalTime(after) - totalTime(before);
+
+  if (total <= 0) {
+    return { usage: 0, user: 0, system: 0, idle: 100, iowait: after.iowait === null ? null : 0 };
+  }
+
+  const round = value => Math.round((value / total) * 100 * 100) / 100;
+  const iowait = after.iowait === null ? null : round(delta("iowait"));
+
+  return {
+    usage: round(delta("user") + delta("system")),
+    user: round(delta("user")),
+    system: round(delta("system")),
+    idle: round(delta("idle")),
+    iowait,
+  };
+}
+
+/**
+ * Aggregate per-core times into a single reading
+ */
+function sumCores(cores) {
+  return cores.reduce(
+    (sum, core) => ({
+      user: sum.user + core.user,
+      system: sum.system + core.system,
+      idle: sum.idle + core.idle,
+      iowait: core.iowait === null ? null : (sum.iowait ?? 0) + core.iowait,
+    }),
+    { user: 0, system: 0, idle: 0, iowait: null }
+  );
+}
+
+/**
+ * Get CPU utilization from CPU time deltas over a sampling window
+ * Reuses the previous snapshot as the window start when it is recent, so
+ * back-to-back callers (alerts, deep tools) don't each wait a full window.
+ * @param {Object} options - Optional configuration
+ * @param {number} options.windowMs - Sampling window when a fresh sample is needed (default: 500)
+ * @returns {Promise<Object>} usagePercent, perCore, breakdown and sampleWindowMs
+ */
+export async function getCPUUsage(options = {}) {
+  const { windowMs = DEFAULT_WINDOW_MS } = options;
+
+  let start = lastSnapshot;
+  const age = start ? Date.now() - start.takenAt : Infinity;
+
+  if (age < MIN_WINDOW_MS || age > MAX_WINDOW_MS) {
+    start = await takeSnapshot();
+    await new Promise(resolve => setTimeout(resolve, windowMs));
+  }
+
+  const end = await takeSnapshot();
+
+  // Core count changed (hotplug) - fall back to a fresh window
+  if (start.cores.length !== end.cores.length) {
+    lastSnapshot = null;
+    return getCPUUsage(options);
+  }
+
+  const overall = computePercentages(sumCores(start.cores), sumCores(end.cores));
+
+  return {
+    usagePercent: Math.min(100, overall.usage),
+    perCore: end.cores.map((core, index) => ({
+      core: index,
+      usagePercent: Math.min(100, computePercentages(start.cores[index], core).usage),
+    })),
+    breakdown: {
+      userPercent: overall.user,
+      systemPercent: overall.system,
+      idlePercent: overall.idle,
+      iowaitPercent: overall.iowait ?? "N/A",
+    },
+    sampleWindowMs: end.takenAt - start.takenAt,
+  };
+}
@@ -0,0 +1,157 @@
+import { getBackend } from "../platform/index.js";
+import { getThresholds, getVolumeThresholds, exceeds } from "../policy.js";
+import { fromCache } from "../cache.js";
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Bytes to GB, 2 decimals
+ */
+function toGB(bytes) {
+  return round(bytes / (1024 ** 3));
+}
+
+/**
+ * Worst severity in a list of issues
+ */
+function worstSeverity(issues) {
+  if (issues.some(issue => issue.severity === "critical")) return "critical";
+  if (issues.some(issue => issue.severity === "warning")) return "warning";
+  return "info";
+}
+
+/**
+ * Size, free space and inode usage of a volume, checked against its thresholds
+ */
+function assessVolume(raw) {
+  const thresholds = getVolumeThresholds(raw.volume);
+  const percentFree = round((raw.freeBytes / raw.totalBytes) * 100);
+  const inodesPercentFree = raw.inodesTotal ? round((raw.inodesFree / raw.inodesTotal) * 100) : "N/A";
+
+  const issues = [];
+  if (exceeds("diskFree", percentFree, thresholds.diskFree.critical)) {
+    issues.push({ severity: "critical", message: `Disk space critical: ${percentFree}% free on ${raw.volume}` });
+  } else if (exceeds("diskFree", percentFree, thresholds.diskFree.warning)) {
+    issues.push({ severity: "warning", message: `Low disk space: ${percentFree}% free on ${raw.volume}` });
+  }
+  if (exceeds("inodeFree", inodesPercentFree, thresholds.inodeFree.critical)) {
+    issues.push({ severity: "critical", message: `Inodes critical: ${inodesPercentFree}% free on ${raw.volume}` });
+  } else if (exceeds("inodeFree", inodesPercentFree, thresholds.inodeFree.warning)) {
+    issues.push({ severity: "warning", message: `Low free inodes: ${inodesPercentFree}% free on ${raw.volume}` });
+  }
+
+  const severity = worstSeverity(issues);
+  return {
+    volume: raw.volume,
+    label: raw.label,
+    fileSystem: raw.fileSystem,
+    totalGB: toGB(raw.totalBytes),
+    freeGB: toGB(raw.freeBytes),
+    percentFree,
+    inodesPercentFree,
+    severity,
+    warning: severity === "warning",
+    critical: severity === "critical",
+    issues,
+  };
+}
+
+/**
+ * Every fixed volume (or one chosen volume) with usage and threshold checks
+ * @param {Object} options - Optional configuration
+ * @param {string} options.volume - Only check this drive letter or mount path
+ * @param {boolean} options.forceRefresh - Ignore the cached space readings (default: false)
+ * @returns {Promise<Object[]>} Assessed volumes, worst first
+ * @throws {Error} If volumes can't be enumerated
+ */
+export async function getVolumes(options = {}) {
+  const { forceRefresh = false } = options;
+  const backend = getBackend();
+  let rawVolumes;
+
+  // Raw space is cached; thresholds are applied on every call
+  if (options.volume) {
+    const volume = options.volume.replace(/^([A-Za-z]):?$/, (_, letter) => `${letter.toUpperCase()}:`);
+    const usage = await fromCache("volumes", () => backend.getDiskUsage(options.volume), { key: volume, forceRefresh });
+    rawVolumes = [{ volume, label: "", fileSystem: "Unknown", ...usage }];
+  } else {
+    rawVolumes = await fromCache("volumes", () => backend.listVolumes(), { forceRefresh });
+  }
+
+  const order = { critical: 0, warning: 1, info: 2 };
+  return rawVolumes
+    .filter(raw => raw.totalBytes > 0)
+    .map(assessVolume)
+    .sort((a, b) => order[a.severity] - order[b.severity]);
+}
+
+/**
+ * SMART status, wear, reallocated sectors and temperature of one physical disk, checked against thresholds
+ */
+function assessPhysicalDisk(raw, thresholds) {
+  const name = `${raw.model} (${raw.name})`;
+  const issues = [];
+
+  if (raw.smartStatus === "Failed") {
+    issues.push({ severity: "critical", message: `Disk ${name} SMART status: FAILED - back up now` });
+  } else if (raw.smartStatus === "Warning") {
+    issues.push({ severity: "warning", message: `Disk ${name} reports health Warning` });
+  }
+
+  const checks = [
+    ["diskWear", raw.wearPercentUsed, value => `Disk ${name} wear at ${value}% of rated life`],
+    ["reallocatedSectors", raw.reallocatedSectors, value => `Disk ${name} has ${value} reallocated sector${value !== 1 ? "s" : ""}`],
+    ["diskTemp", raw.temperatureCelsius, value => `Disk ${name} temperature ${value}°C`],
+  ];
+  for (const [metric, value, describe] of checks) {
+    if (exceeds(metric, value, thresholds[metric].critical)) {
+      issues.push({ severity: "critical", message: describe(value) });
+    } else if (exceeds(metric, value, thresholds[metric].warning)) {
+      issues.push({ severity: "warning", message: describe(value) });
+    }
+  }
+
+  const result = {
+    name: raw.name,
+    model: raw.model,
+    mediaType: raw.mediaType,
+    sizeGB: typeof raw.sizeBytes === "number" ? toGB(raw.sizeBytes) : "N/A",
+    smartStatus: raw.smartStatus,
+    wearPercentUsed: raw.wearPercentUsed ?? "N/A",
+    reallocatedSectors: raw.reallocatedSectors ?? "N/A",
+    temperatureCelsius: raw.temperatureCelsius ?? "N/A",
+    severity: worstSeverity(issues),
+    issues,
+    method: raw.method,
+  };
+  if (raw.note) {
+    result.note = raw.note;
+  }
+  return result;
+}
+
+/**
+ * Physical disk health (SMART) for every disk
+ * @returns {Promise<Object>} { available: true, disks } or { available: false, note }
+ */
+export async function getPhysicalDisks() {
+  try {
+    const thresholds = getThresholds();
+    const disks = await getBackend().getPhysicalDiskHealth();
+    return {
+      available: true,
+      disks: disks.map(disk => assessPhysicalDisk(disk, thresholds)),
+    };
+  } catch (error) {
+    return {
+      available: false,
+      disks: [],
+      note: `Physical disk health unavailable: ${error.message}. ${getBackend().hints.elevated} for SMART data.`,
+    };
+  }
+}
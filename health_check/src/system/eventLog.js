@@ -0,0 +1,185 @@
+import { getBackend } from "../platform/index.js";
+import { getThresholds, exceeds } from "../policy.js";
+
+// Most recent events read per call; older ones in the window are left out with a note
+const MAX_EVENTS = 2000;
+// Recurring issues listed when no limit is given
+const DEFAULT_LIMIT = 10;
+// Sample messages are cut to this many characters
+const MAX_MESSAGE_LENGTH = 300;
+// Groups described in recommendations
+const TOP_RECOMMENDED = 3;
+
+/**
+ * Log names accepted by the logs filter
+ */
+export const EVENT_LOGS = ["System", "Application"];
+
+/**
+ * Minimum level accepted by the level filter
+ */
+export const EVENT_LEVELS = ["error", "warning"];
+
+const LEVEL_ORDER = { critical: 0, error: 1, warning: 2 };
+
+// Deep tools that explain events from these sources or messages
+const SOURCE_TOOLS = [
+  [/disk|ntfs|nvme|storahci|stornvme|smartd|ext4|btrfs|xfs|blk_update_request/i, "get_system_health"],
+  [/tcpip|dns|dhcp|netwtw|iwlwifi|e1d|networkmanager|resolved|wlan/i, "get_network_status"],
+  [/thermal|kernel-processor-power/i, "get_thermal_status"],
+];
+
+/**
+ * Message with numbers, hex values and GUIDs masked, so entries differing only in those group together
+ */
+function messageTemplate(message) {
+  return (message ?? "")
+    .replace(/\{?[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\}?/gi, "#")
+    .replace(/\b0x[0-9a-f]+\b/gi, "#")
+    .replace(/\d+/g, "#")
+    .slice(0, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Group events by log, source and event ID (or message template when the source has no IDs)
+ * Worst level first, then most frequent.
+ */
+function groupEvents(events) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const key = [event.log, event.source, event.eventId ?? messageTemplate(event.message)].join("\u0000");
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, {
+        log: event.log,
+        source: event.source,
+        eventId: event.eventId ?? "N/A",
+        level: event.level,
+        count: 1,
+        firstSeen: event.time,
+        lastSeen: event.time,
+        sampleMessage: event.message ? event.message.slice(0, MAX_MESSAGE_LENGTH) : "N/A",
+      });
+      continue;
+    }
+
+    group.count++;
+    if (LEVEL_ORDER[event.level] < LEVEL_ORDER[group.level]) {
+      group.level = event.level;
+    }
+    if (event.time < group.firstSeen) {
+      group.firstSeen = event.time;
+    }
+    if (event.time > group.lastSeen) {
+      group.lastSeen = event.time;
+      if (event.message) {
+        group.sampleMessage = event.message.slice(0, MAX_MESSAGE_LENGTH);
+      }
+    }
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level] || b.count - a.count || b.lastSeen.localeCompare(a.lastSeen)
+  );
+}
+
+/**
+ * Short name for a group in summaries, e.g. "disk (event 7)"
+ */
+function describeGroup(group) {
+  // Journal MESSAGE_IDs are 128-bit hex strings, only Windows event IDs are worth showing
+  return typeof group.eventId === "number" ? `${group.source} (event ${group.eventId})` : group.source;
+}
+
+/**
+ * Summarize recent errors and warnings grouped by source and event ID
+ * @param {Object} options - Optional filters
+ * @param {number} options.hours - Hours of the log to read (default: 24)
+ * @param {string[]} options.logs - "System" and/or "Application" (default: both)
+ * @param {string} options.level - "error" for critical and error events only, "warning" to include warnings (default: "warning")
+ * @param {number} options.limit - Recurring issues to list (default: 10)
+ */
+export async function getEventLogSummary(options = {}) {
+  const { hours = 24, level = "warning", limit = DEFAULT_LIMIT } = options;
+  const logs = [...new Set(options.logs ?? EVENT_LOGS)];
+  const { hints } = getBackend();
+
+  const events = await getBackend().getEventLogEntries({
+    hours,
+    logs,
+    includeWarnings: level === "warning",
+    maxEvents: MAX_EVENTS,
+  });
+  const groups = groupEvents(events);
+
+  const counts = { critical: 0, error: 0, warning: 0, total: events.length };
+  for (const event of events) {
+    counts[event.level]++;
+  }
+  const errorCount = counts.critical + counts.error;
+  const systemErrorCount = events.filter(event => event.log === "System" && event.level !== "warning").length;
+
+  // eventErrors applies to System log errors, as get_system_health counts them: warning is inclusive, critical is strict
+  const { eventErrors } = getThresholds();
+  let severity = "info";
+  if (exceeds("eventErrors", systemErrorCount, eventErrors.critical)) {
+    severity = "critical";
+  } else if ((eventErrors.warning !== null && systemErrorCount >= eventErrors.warning) || counts.critical > 0) {
+    severity = "warning";
+  }
+
+  const recommendations = [];
+  const nextStepsToCheck = [];
+  const errorGroups = groups.filter(group => group.level !== "warning");
+
+  for (const group of errorGroups.slice(0, TOP_RECOMMENDED)) {
+    recommendations.push(
+      `${describeGroup(group)} logged ${group.count} ${group.level}${group.count !== 1 ? "s" : ""} (last ${group.lastSeen}): "${group.sampleMessage}" - look up this source and message, then update or reconfigure the component behind it`
+    );
+  }
+  for (const group of groups.slice(0, limit)) {
+    // Kernel messages name the subsystem only in their text
+    const tool = SOURCE_TOOLS.find(([pattern]) => pattern.test(`${group.source} ${group.sampleMessage}`))?.[1];
+    if (tool && group.level !== "warning" && !nextStepsToCheck.includes(tool)) {
+      nextStepsToCheck.push(tool);
+    }
+  }
+  if (errorGroups.length > 0) {
+    recommendations.push(hints.eventLog);
+  } else if (events.length > 0) {
+    recommendations.push("Only warnings logged - no errors need attention");
+  } else {
+    recommendations.push(`No ${level === "error" ? "errors" : "errors or warnings"} logged in the last ${hours}h`);
+  }
+
+  let actionableSummary = `${errorCount} error${errorCount !== 1 ? "s" : ""}`;
+  if (level === "warning") {
+    actionableSummary += `, ${counts.warning} warning${counts.warning !== 1 ? "s" : ""}`;
+  }
+  actionableSummary += ` in the last ${hours}h (${logs.join(", ")})`;
+  if (groups.length > 0) {
+    actionableSummary += `; top issue: ${describeGroup(groups[0])} ×${groups[0].count}`;
+  }
+  if (severity !== "info") {
+    actionableSummary = `${severity === "critical" ? "🔴" : "🟡"} ${actionableSummary}`;
+  }
+
+  const result = {
+    timestamp: new Date().toISOString(),
+    severity,
+    windowHours: hours,
+    logs,
+    level,
+    counts,
+    uniqueIssues: groups.length,
+    topIssues: groups.slice(0, limit),
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck,
+  };
+  if (events.length >= MAX_EVENTS) {
+    result.note = `Read the ${MAX_EVENTS} most recent events only; shorten hours or set level to "error" to cover the whole window`;
+  }
+  return result;
+}
@@ -1,19 +1,18 @@
 import os from "os";
-import { exec } from "child_process";
-import { promisify } from "util";
-
-const execPromise = promisify(exec);
+import { getBackend } from "../platform/index.js";
+import { getCPUUsage } from "./cpu.js";
+import { getVolumes } from "./disks.js";
 
 /**
- * Get CPU usage percentage
+ * Get sampled CPU usage percentage and the window it covers
  */
-async function getCPUUsage() {
-  const cpus = os.cpus();
-  const avgLoad = os.loadavg()[0];
-  const cpuCount = cpus.length;
-  const usage = (avgLoad / cpuCount) * 100;
-
-  return Math.min(100, Math.round(usage * 100) / 100);
+async function getCPUSample() {
+  try {
+    const { usagePercent, sampleWindowMs } = await getCPUUsage();
+    return { usagePercent, sampleWindowMs };
+  } catch (error) {
+    return { usagePercent: "N/A", sampleWindowMs: "N/A" };
+  }
 }
 
 /**
@@ -34,17 +33,11 @@ function getMemoryUsage() {
 }
 
 /**
- * Get disk usage statistics (Windows)
+ * Get disk usage statistics for the system volume
  */
 async function getDiskUsage() {
   try {
-    // For Windows, get drive C: usage
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-Volume -DriveLetter C | Select-Object Size, SizeRemaining | ConvertTo-Json"'
-    );
-    const volInfo = JSON.parse(stdout);
-    const totalDisk = volInfo.Size;
-    const freeDisk = volInfo.SizeRemaining;
+    const { totalBytes: totalDisk, freeBytes: freeDisk } = await getBackend().getDiskUsage();
     const usedDisk = totalDisk - freeDisk;
     const usagePercent = (usedDisk / totalDisk) * 100;
 
@@ -55,7 +48,7 @@ async function getDiskUsage() {
       usagePercent: Math.round(usagePercent * 100) / 100,
     };
   } catch (error) {
-    // Fallback if PowerShell command fails
+    // Fallback if the platform query fails
     return {
       totalDiskGB: "N/A",
       usedDiskGB: "N/A",
@@ -66,6 +59,20 @@ async function getDiskUsage() {
   }
 }
 
+/**
+ * Get space usage of every fixed volume
+ */
+async function getAllVolumes() {
+  try {
+    const volumes = await getVolumes();
+    return volumes.map(({ volume, label, fileSystem, totalGB, freeGB, percentFree, inodesPercentFree, severity }) => ({
+      volume, label, fileSystem, totalGB, freeGB, percentFree, inodesPercentFree, severity,
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
 /**
  * Get system uptime in seconds
  */
@@ -87,11 +94,7 @@ function getUptime() {
  */
 async function getProcessCount() {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "(Get-Process | Measure-Object).Count"'
-    );
-    const count = parseInt(stdout.trim(), 10);
-    return count || 0;
+    return await getBackend().getProcessCount();
   } catch (error) {
     return "N/A";
   }
@@ -101,10 +104,11 @@ async function getProcessCount() {
  * Get comprehensive system health report
  */
 export async function getFullHealthReport() {
-  const [cpuUsage, memoryUsage, diskUsage, uptime, processCount] = await Promise.all([
-    getCPUUsage(),
+  const [cpu, memoryUsage, diskUsage, volumes, uptime, processCount] = await Promise.all([
+    getCPUSample(),
     Promise.resolve(getMemoryUsage()),
     getDiskUsage(),
+    getAllVolumes(),
     Promise.resolve(getUptime()),
     getProcessCount(),
   ]);
@@ -117,11 +121,12 @@ export async function getFullHealthReport() {
       arch: os.arch(),
       cpuCount: os.cpus().length,
     },
-    cpu: {
-      usagePercent: cpuUsage,
-    },
+    cpu,
     memory: memoryUsage,
-    disk: diskUsage,
+    disk: {
+      ...diskUsage,
+      volumes,
+    },
     uptime: uptime,
     processes: {
       count: processCount,
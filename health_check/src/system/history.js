@@ -0,0 +1,435 @@
+import os from "os";
+import fs from "fs";
+import { getBackend, getPlatformName } from "../platform/index.js";
+import { fromCache } from "../cache.js";
+import { getCPUUsage } from "./cpu.js";
+import { checkConnectivity } from "./network.js";
+import { getThresholds, exceeds } from "../policy.js";
+
+// Defaults: one sample per minute, 24 hours of history
+const DEFAULT_INTERVAL_SECONDS = 60;
+const DEFAULT_CAPACITY = 1440;
+// Connection and event log counts spawn a process on Windows, so they are measured on every 5th sample only
+const SLOW_METRIC_EVERY = 5;
+// Volume getDiskUsage() reads by default, keyed the way getVolumes({ volume }) caches it so both share the reading
+const SYSTEM_VOLUME = { win32: "C:", linux: "/" };
+
+/**
+ * Metrics recorded by the background sampler
+ */
+export const METRICS = {
+  cpu: { label: "CPU usage", unit: "%" },
+  memory: { label: "Memory usage", unit: "%" },
+  diskFree: { label: "System volume free space", unit: "% free" },
+  cpuTemp: { label: "CPU temperature", unit: "°C" },
+  batteryCharge: { label: "Battery charge", unit: "%" },
+  connectivity: { label: "Internet connectivity", unit: "1 = up, 0 = down" },
+  connections: { label: "Established TCP connections", unit: "connections (every 5th sample)" },
+  eventErrors: { label: "System errors logged in the last hour", unit: "errors (every 5th sample)" },
+};
+
+// Ring buffer of samples: { timestamp, cpu, memory, diskFree, cpuTemp, batteryCharge, connectivity, connections, eventErrors }
+let buffer = [];
+let capacity = DEFAULT_CAPACITY;
+let head = 0;
+let count = 0;
+
+let timer = null;
+let intervalSeconds = DEFAULT_INTERVAL_SECONDS;
+let persistPath = null;
+let persistedLines = 0;
+let sampling = false;
+let samplesTaken = 0;
+const sampleListeners = [];
+
+/**
+ * Append a sample, overwriting the oldest once the buffer is full
+ */
+function pushSample(sample) {
+  buffer[head] = sample;
+  head = (head + 1) % capacity;
+  count = Math.min(count + 1, capacity);
+}
+
+/**
+ * Samples in chronological order, optionally only those at or after sinceMs
+ */
+function getSamples(sinceMs = 0) {
+  const samples = [];
+  const start = (head - count + capacity) % capacity;
+  for (let i = 0; i < count; i++) {
+    const sample = buffer[(start + i) % capacity];
+    if (sample.timestamp >= sinceMs) {
+      samples.push(sample);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Reset the buffer with a new capacity
+ */
+function resetBuffer(newCapacity) {
+  capacity = newCapacity;
+  buffer = new Array(capacity);
+  head = 0;
+  count = 0;
+}
+
+/**
+ * Run a metric query, recording null if it fails
+ */
+async function measure(query) {
+  try {
+    const value = await query();
+    return typeof value === "number" && !isNaN(value) ? Math.round(value * 100) / 100 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect one sample of every metric
+ */
+async function collectSample() {
+  const backend = getBackend();
+  const slow = samplesTaken++ % SLOW_METRIC_EVERY === 0;
+
+  const [cpu, diskFree, cpuTemp, batteryCharge, connectivity, connections, eventErrors] = await Promise.all([
+    measure(async () => (await getCPUUsage()).usagePercent),
+    measure(async () => {
+      const key = SYSTEM_VOLUME[getPlatformName()] ?? SYSTEM_VOLUME.win32;
+      const { totalBytes, freeBytes } = await fromCache("volumes", () => backend.getDiskUsage(), { key });
+      return (freeBytes / totalBytes) * 100;
+    }),
+    measure(async () => {
+      const temps = await backend.getCPUTemperatures();
+      // The hottest sensor, so one overheating core isn't averaged away
+      return temps.length > 0 ? Math.max(...temps) : null;
+    }),
+    measure(async () => {
+      if (!(await backend.hasBattery())) return null;
+      return (await backend.getBatteryBasic()).chargePercent;
+    }),
+    measure(async () => {
+      const { connected } = await checkConnectivity();
+      // Probes that could not run leave connectivity unknown rather than down
+      return typeof connected === "boolean" ? Number(connected) : null;
+    }),
+    slow ? measure(async () => (await backend.getSockets()).filter(socket => socket.state === "ESTABLISHED").length) : null,
+    slow ? measure(() => backend.getSystemErrorCount(1)) : null,
+  ]);
+
+  const memory = ((os.totalmem() - os.freemem()) / os.totalmem()) * 100;
+
+  return {
+    timestamp: Date.now(),
+    cpu,
+    memory: Math.round(memory * 100) / 100,
+    diskFree,
+    cpuTemp,
+    batteryCharge,
+    connectivity,
+    connections,
+    eventErrors,
+  };
+}
+
+/**
+ * Take a sample now and store it (and append it to the history file if persisting)
+ */
+export async function recordSample() {
+  const sample = await collectSample();
+  pushSample(sample);
+
+  if (persistPath) {
+    persistSample(sample);
+  }
+
+  for (const listener of sampleListeners) {
+    try {
+      listener(sample);
+    } catch (error) {
+      console.error(`Sample listener failed: ${error.message}`);
+    }
+  }
+
+  return sample;
+}
+
+/**
+ * Call a function with every sample recorded from now on
+ */
+export function onSample(listener) {
+  sampleListeners.push(listener);
+}
+
+/**
+ * Append a sample to the history file, compacting it once it holds twice the buffer
+ */
+function persistSample(sample) {
+  try {
+    if (persistedLines >= capacity * 2) {
+      const lines = getSamples().map(s => JSON.stringify(s)).join("\n");
+      fs.writeFileSync(persistPath, lines + "\n");
+      persistedLines = count;
+    } else {
+      fs.appendFileSync(persistPath, JSON.stringify(sample) + "\n");
+      persistedLines++;
+    }
+  } catch (error) {
+    console.error(`Unable to persist metric history: ${error.message}`);
+  }
+}
+
+/**
+ * Load samples from the history file (NDJSON, one sample per line)
+ */
+function loadPersisted() {
+  let content;
+  try {
+    content = fs.readFileSync(persistPath, "utf8");
+  } catch {
+    return;
+  }
+
+  const lines = content.split("\n").filter(line => line.trim() !== "");
+  persistedLines = lines.length;
+
+  for (const line of lines.slice(-capacity)) {
+    try {
+      const sample = JSON.parse(line);
+      if (typeof sample.timestamp === "number") {
+        pushSample(sample);
+      }
+    } catch {
+      // Skip a partially written line
+    }
+  }
+}
+
+/**
+ * Start the background sampler
+ * @param {Object} options - Optional configuration (defaults come from environment variables)
+ * @param {number} options.intervalSeconds - Seconds between samples; 0 disables sampling (HEALTH_CHECK_HISTORY_INTERVAL, default: 60)
+ * @param {number} options.capacity - Samples kept in memory (HEALTH_CHECK_HISTORY_CAPACITY, default: 1440)
+ * @param {string} options.persistPath - NDJSON file that survives restarts (HEALTH_CHECK_HISTORY_FILE, default: none)
+ */
+export function startHistorySampler(options = {}) {
+  const env = process.env;
+  const interval = Number(options.intervalSeconds ?? env.HEALTH_CHECK_HISTORY_INTERVAL ?? DEFAULT_INTERVAL_SECONDS);
+  const size = Number(options.capacity ?? env.HEALTH_CHECK_HISTORY_CAPACITY ?? DEFAULT_CAPACITY);
+
+  stopHistorySampler();
+  resetBuffer(Number.isInteger(size) && size > 0 ? size : DEFAULT_CAPACITY);
+  persistPath = options.persistPath ?? env.HEALTH_CHECK_HISTORY_FILE ?? null;
+  persistedLines = 0;
+  samplesTaken = 0;
+
+  if (persistPath) {
+    loadPersisted();
+  }
+
+  if (!(interval > 0)) {
+    return;
+  }
+
+  intervalSeconds = interval;
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow sample
+    if (sampling) return;
+    sampling = true;
+    try {
+      await recordSample();
+    } finally {
+      sampling = false;
+    }
+  };
+
+  tick();
+  timer = setInterval(tick, interval * 1000);
+  // Never keep the process alive just for sampling
+  timer.unref();
+}
+
+/**
+ * Stop the background sampler (history is kept)
+ */
+export function stopHistorySampler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Most recent sample, or null if none has been recorded
+ */
+export function getLatestSample() {
+  return count > 0 ? buffer[(head - 1 + capacity) % capacity] : null;
+}
+
+/**
+ * When a metric started continuously satisfying a condition, up to the latest sample
+ * @returns {number|null} Timestamp of the first sample of that run (null if the latest sample doesn't satisfy it)
+ */
+export function getSustainedSince(metric, condition) {
+  const samples = getSamples();
+  let since = null;
+
+  for (let i = samples.length - 1; i >= 0; i--) {
+    const value = samples[i][metric];
+    if (typeof value !== "number" || !condition(value)) break;
+    since = samples[i].timestamp;
+  }
+
+  return since;
+}
+
+/**
+ * Value at a percentile (0-100) of a sorted list
+ */
+function percentile(sorted, p) {
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(sorted.length - 1, index))];
+}
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Downsample one metric into buckets and summarize it
+ */
+function buildSeries(samples, metric, resolutionMs) {
+  const buckets = new Map();
+  const values = [];
+
+  for (const sample of samples) {
+    const value = sample[metric];
+    if (typeof value !== "number") continue;
+
+    values.push(value);
+    const bucketStart = Math.floor(sample.timestamp / resolutionMs) * resolutionMs;
+    if (!buckets.has(bucketStart)) {
+      buckets.set(bucketStart, []);
+    }
+    buckets.get(bucketStart).push(value);
+  }
+
+  const series = [...buckets.entries()].map(([bucketStart, bucketValues]) => ({
+    timestamp: new Date(bucketStart).toISOString(),
+    avg: round(bucketValues.reduce((a, b) => a + b) / bucketValues.length),
+    min: Math.min(...bucketValues),
+    max: Math.max(...bucketValues),
+    samples: bucketValues.length,
+  }));
+
+  if (values.length === 0) {
+    return { ...METRICS[metric], series, summary: "N/A - no samples in window" };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    ...METRICS[metric],
+    series,
+    summary: {
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      avg: round(values.reduce((a, b) => a + b) / values.length),
+      p95: percentile(sorted, 95),
+      latest: values[values.length - 1],
+      samples: values.length,
+    },
+  };
+}
+
+/**
+ * Get downsampled metric history recorded by the background sampler
+ * @param {Object} options - Optional configuration
+ * @param {string[]} options.metrics - Metrics to return (default: all)
+ * @param {number} options.windowMinutes - How far back to look (default: 60)
+ * @param {number} options.resolutionSeconds - Bucket size for downsampling (default: 60)
+ */
+export async function getMetricHistory(options = {}) {
+  const {
+    metrics = Object.keys(METRICS),
+    windowMinutes = 60,
+    resolutionSeconds = 60,
+  } = options;
+
+  const unknown = metrics.filter(metric => !METRICS[metric]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metric(s): ${unknown.join(", ")}. Available: ${Object.keys(METRICS).join(", ")}`);
+  }
+
+  const now = Date.now();
+  const samples = getSamples(now - windowMinutes * 60 * 1000);
+
+  const series = {};
+  for (const metric of metrics) {
+    series[metric] = buildSeries(samples, metric, resolutionSeconds * 1000);
+  }
+
+  const recommendations = [];
+  const nextStepsToCheck = [];
+  let actionableSummary;
+
+  if (samples.length === 0) {
+    actionableSummary = timer
+      ? "No samples recorded in this window yet - the background sampler has just started"
+      : "No history available - background sampling is disabled";
+    recommendations.push(
+      timer
+        ? `Retry after ${intervalSeconds}s or widen windowMinutes`
+        : "Set HEALTH_CHECK_HISTORY_INTERVAL to a positive number of seconds to enable sampling"
+    );
+  } else {
+    const parts = metrics
+      .filter(metric => typeof series[metric].summary === "object")
+      .map(metric => `${metric} avg ${series[metric].summary.avg} / max ${series[metric].summary.max}`);
+    actionableSummary = `${samples.length} samples over the last ${windowMinutes} min: ${parts.join(", ")}`;
+
+    const summaryOf = metric => (typeof series[metric]?.summary === "object" ? series[metric].summary : null);
+    const thresholds = getThresholds();
+    if (exceeds("cpu", summaryOf("cpu")?.p95, thresholds.cpu.warning) ||
+        exceeds("memory", summaryOf("memory")?.p95, thresholds.memory.warning)) {
+      recommendations.push("Resource usage was high for a sustained part of this window");
+      nextStepsToCheck.push("get_performance_stats");
+    }
+    if (exceeds("cpuTemp", summaryOf("cpuTemp")?.max, thresholds.cpuTemp.warning)) {
+      recommendations.push(`CPU temperature peaked above ${thresholds.cpuTemp.warning}°C in this window`);
+      nextStepsToCheck.push("get_thermal_status");
+    }
+    if (summaryOf("connectivity")?.min === 0) {
+      recommendations.push("Connectivity dropped at least once in this window");
+      nextStepsToCheck.push("get_network_status");
+    }
+  }
+
+  return {
+    timestamp: new Date(now).toISOString(),
+    severity: "info",
+    window: {
+      from: new Date(now - windowMinutes * 60 * 1000).toISOString(),
+      to: new Date(now).toISOString(),
+      windowMinutes,
+      resolutionSeconds,
+    },
+    sampler: {
+      running: timer !== null,
+      intervalSeconds,
+      capacity,
+      storedSamples: count,
+      oldestSample: count > 0 ? new Date(getSamples()[0].timestamp).toISOString() : "N/A",
+      persistedTo: persistPath || "Not persisted (set HEALTH_CHECK_HISTORY_FILE)",
+    },
+    metrics: series,
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck,
+  };
+}
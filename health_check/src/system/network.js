@@ -1,197 +1,472 @@
 import os from "os";
-import { exec } from "child_process";
-import { promisify } from "util";
+import { getBackend } from "../platform/index.js";
+import { resolveHost, connectTcp, requestHead } from "../platform/runner.js";
+import { getConnectivityProbes, probeProblem } from "../policy.js";
+import { fromCache } from "../cache.js";
 
-const execPromise = promisify(exec);
+const DEFAULT_TIMEOUT_MS = 3000;
+const GATEWAY_TIMEOUT_MS = 1000;
+// Interval between the two counter reads that interface throughput is measured over
+const SAMPLE_MS = 1000;
 
-// Cache for expensive network ping (30s TTL - connectivity changes slowly)
-let connectivityCache = null;
-let connectivityTimestamp = 0;
-const CONNECTIVITY_CACHE_TTL = 30000; // 30 seconds
+// Virtual interface kinds by name or adapter description, checked in order
+const INTERFACE_KINDS = [
+  [/^lo$|loopback/i, "loopback"],
+  [/^(docker|br-|veth[0-9a-f]{4}|cni|flannel|cali)|docker|container/i, "container"],
+  [/hyper-v|vethernet|virtualbox|vmware|^(virbr|vnet|vmnet|vboxnet)/i, "vm"],
+  [/vpn|^(tun|tap|wg|ppp|utun)|tap-windows|wireguard|wintun|tailscale|zerotier|anyconnect|fortinet|globalprotect/i, "vpn"],
+];
+
+// One probe per layer so a failure can be pinned down: name resolution, raw TCP, web, ICMP
+const DEFAULT_PROBES = [
+  { type: "dns", host: "connectivitycheck.gstatic.com" },
+  { type: "tcp", name: "Cloudflare", host: "1.1.1.1", port: 443 },
+  { type: "http", url: "http://connectivitycheck.gstatic.com/generate_204", expectStatus: [204] },
+  { type: "icmp", name: "Google DNS", host: "8.8.8.8" },
+];
+
+const TARGET_NAMES = { "8.8.8.8": "Google DNS" };
+
+// Error codes that mean the probe ran and the network said no
+const FAILURE_REASONS = {
+  ENOTFOUND: "DNS lookup failed (name not found)",
+  EAI_AGAIN: "DNS lookup failed (resolver unreachable)",
+  ESERVFAIL: "DNS server failed to answer",
+  ECONNREFUSED: "Connection refused",
+  ECONNRESET: "Connection reset",
+  ENETUNREACH: "Network unreachable",
+  EHOSTUNREACH: "Host unreachable",
+  ETIMEDOUT: "Timed out",
+  ETIMEOUT: "Timed out",
+};
+
+// TLS failures on well-known sites usually mean something is intercepting HTTPS
+const TLS_ERROR_CODES = [
+  "CERT_HAS_EXPIRED",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+];
+
+const VERDICTS = {
+  online: { severity: "info", connected: true, description: "All connectivity probes succeeded" },
+  icmp_blocked: { severity: "info", connected: true, description: "Internet reachable; only ICMP ping failed, which many networks block" },
+  partial: { severity: "warning", connected: true, description: "Internet reachable, but some destinations failed" },
+  proxy_or_captive_portal: { severity: "warning", connected: false, description: "Web traffic is intercepted or blocked - a captive portal (Wi-Fi sign-in page) or proxy is likely" },
+  dns_broken: { severity: "critical", connected: false, description: "Name resolution is failing while other traffic gets through" },
+  no_internet: { severity: "critical", connected: false, description: "Network link is up but no probe reached the internet" },
+  no_link: { severity: "critical", connected: false, description: "No active network interface - cable unplugged, Wi-Fi off or adapter disabled" },
+  unknown: { severity: "info", connected: "Unknown", description: "Connectivity not checked - no probe was able to run" },
+};
 
 /**
- * Get network interfaces and IP addresses
+ * Kind of a virtual interface from its name and description; anything else is physical
  */
-async function getNetworkInterfaces() {
-  const interfaces = os.networkInterfaces();
-  const result = [];
+function classifyInterface(name, description, virtual, internal) {
+  const text = `${name} ${description ?? ""}`;
+  const match = INTERFACE_KINDS.find(([pattern]) => pattern.test(text));
+  if (internal || match?.[1] === "loopback") return "loopback";
+  if (match) return match[1];
+  return virtual ? "virtual" : "physical";
+}
 
-  for (const [name, addrs] of Object.entries(interfaces)) {
+/**
+ * Read interface counters twice and derive per-second rates
+ */
+async function sampleCounters(backend) {
+  const before = await backend.getNetworkCounters();
+  const started = Date.now();
+  await new Promise(resolve => setTimeout(resolve, SAMPLE_MS));
+  const after = await backend.getNetworkCounters();
+  const elapsedSeconds = (Date.now() - started) / 1000;
+
+  const rates = {};
+  for (const [name, counters] of Object.entries(after)) {
+    const prior = before[name] ?? counters;
+    const rate = field => Math.round(Math.max(0, counters[field] - prior[field]) / elapsedSeconds);
+    rates[name] = {
+      ...counters,
+      rxBytesPerSec: rate("rxBytes"),
+      txBytesPerSec: rate("txBytes"),
+      newErrors: Math.max(0, counters.rxErrors + counters.txErrors - prior.rxErrors - prior.txErrors),
+    };
+  }
+  return rates;
+}
+
+/**
+ * Get network interfaces with link state, speed, IP addresses, throughput and error counters
+ * Virtual and loopback interfaces are listed separately unless includeVirtual is set.
+ */
+async function getNetworkInterfaces(includeVirtual) {
+  const backend = getBackend();
+  const addresses = os.networkInterfaces();
+
+  let adapters;
+  let counters;
+  try {
+    [adapters, counters] = await Promise.all([backend.getNetworkAdapters(), sampleCounters(backend)]);
+  } catch (error) {
+    adapters = null;
+  }
+
+  const describeAddresses = name => {
+    const addrs = addresses[name] ?? [];
     const ipv4 = addrs.find(a => a.family === "IPv4");
     const ipv6 = addrs.find(a => a.family === "IPv6");
-    
-    if (ipv4 || ipv6) {
-      result.push({
-        name,
-        ipv4: ipv4?.address || "N/A",
-        ipv6: ipv6?.address || "N/A",
-        mac: ipv4?.mac || ipv6?.mac || "N/A",
-      });
+    return {
+      ipv4: ipv4?.address || "N/A",
+      ipv6: ipv6?.address || "N/A",
+      mac: ipv4?.mac || ipv6?.mac || "N/A",
+      internal: addrs.some(a => a.internal),
+    };
+  };
+
+  // Interfaces the OS reports addresses for but the adapter query missed (e.g. Windows loopback)
+  const known = new Set(adapters?.map(adapter => adapter.name) ?? []);
+  const unlisted = Object.keys(addresses).filter(name => !known.has(name)).map(name => ({ name }));
+
+  const all = [...(adapters ?? []), ...unlisted].map(adapter => {
+    const { internal, ...ips } = describeAddresses(adapter.name);
+    const kind = classifyInterface(adapter.name, adapter.description, adapter.virtual, internal);
+    const stats = counters?.[adapter.name];
+    const entry = {
+      name: adapter.name,
+      description: adapter.description ?? "N/A",
+      kind,
+      virtual: kind !== "physical",
+      status: adapter.up === undefined ? (adapters ? "up" : "N/A") : adapter.up ? "up" : "down",
+      speedMbps: adapter.speedMbps ?? "N/A",
+      ...ips,
+      mac: adapter.mac ?? ips.mac,
+      rxBytesPerSec: stats?.rxBytesPerSec ?? "N/A",
+      txBytesPerSec: stats?.txBytesPerSec ?? "N/A",
+      errors: { received: stats?.rxErrors ?? "N/A", sent: stats?.txErrors ?? "N/A" },
+      dropped: { received: stats?.rxDropped ?? "N/A", sent: stats?.txDropped ?? "N/A" },
+    };
+    if (stats?.newErrors > 0) {
+      entry.errorsDuringSample = stats.newErrors;
     }
-  }
+    return entry;
+  });
 
+  const result = {
+    interfaces: includeVirtual ? all : all.filter(entry => !entry.virtual),
+    hiddenInterfaces: includeVirtual ? [] : all.filter(entry => entry.virtual).map(({ name, kind }) => ({ name, kind })),
+  };
+  if (!adapters) {
+    result.note = `Link state, speed and traffic counters unavailable. Try: ${backend.hints.elevated}.`;
+  }
   return result;
 }
 
 /**
- * Check internet connectivity (with caching)
+ * Default route and whether its gateway answers a ping
  */
-async function checkInternetConnectivity() {
-  const now = Date.now();
-
-  // Return cached connectivity result if fresh
-  if (connectivityCache && (now - connectivityTimestamp) < CONNECTIVITY_CACHE_TTL) {
-    return { ...connectivityCache, fromCache: true };
+async function getDefaultGateway() {
+  const backend = getBackend();
+  let route;
+  try {
+    route = await backend.getDefaultRoute();
+  } catch (error) {
+    return { error: "Unable to read the routing table" };
   }
 
-  try {
-    // Try to resolve a reliable DNS
-    const { stdout } = await execPromise(
-      "powershell -Command \"Test-Connection 8.8.8.8 -Count 1 -Quiet\""
-    );
-
-    const isConnected = stdout.trim() === "True";
-    const result = {
-      connected: isConnected,
-      checkedServer: "8.8.8.8 (Google DNS)",
-    };
+  if (!route) {
+    return null;
+  }
+  if (!route.gateway) {
+    return { interface: route.interface, gateway: "N/A", reachable: "N/A", latencyMs: "N/A", note: "On-link default route (no gateway to ping)" };
+  }
 
-    // Cache the result
-    connectivityCache = result;
-    connectivityTimestamp = now;
+  const reply = await backend.ping(route.gateway, GATEWAY_TIMEOUT_MS).catch(() => null);
+  return {
+    interface: route.interface,
+    gateway: route.gateway,
+    reachable: reply ? reply.reachable : "Unknown",
+    latencyMs: reply?.latencyMs ?? "N/A",
+  };
+}
 
-    return result;
-  } catch (error) {
-    const result = {
-      connected: false,
-      checkedServer: "8.8.8.8 (Google DNS)",
-      error: "Unable to verify connectivity",
-    };
+/**
+ * Whether any non-loopback interface has an address
+ */
+function hasNetworkLink() {
+  return Object.values(os.networkInterfaces()).some(addrs => addrs.some(addr => !addr.internal));
+}
 
-    // Cache the error result too (avoid repeated failed pings)
-    connectivityCache = result;
-    connectivityTimestamp = now;
+/**
+ * What a probe checks, as shown in results
+ */
+function describeTarget(probe) {
+  switch (probe.type) {
+    case "dns":
+      return probe.server ? `${probe.host} via ${probe.server}` : probe.host;
+    case "tcp":
+      return `${probe.host}:${probe.port}`;
+    case "http":
+      return probe.url;
+    default:
+      return probe.host;
+  }
+}
 
-    return result;
+/**
+ * Turn a probe error into a readable reason
+ */
+function describeFailure(error) {
+  if (TLS_ERROR_CODES.includes(error.code)) {
+    return { reason: `TLS certificate rejected (${error.code}) - possible intercepting proxy`, tlsError: true };
+  }
+  if (FAILURE_REASONS[error.code]) {
+    return { reason: FAILURE_REASONS[error.code] };
   }
+  // Not a network answer (missing tool, unsupported platform, ...): the probe couldn't run
+  return { reason: `Probe could not run: ${error.message}`, unverified: true };
 }
 
 /**
- * Get connected devices (Bluetooth, USB) - try multiple methods
+ * Run one probe, never throwing
  */
-async function getConnectedDevices() {
+async function runProbe(probe) {
+  const timeoutMs = probe.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const target = describeTarget(probe);
+  const result = { name: probe.name ?? target, type: probe.type, target, ok: false, latencyMs: "N/A" };
+
   try {
-    // Method 1: Try Get-PnpDevice (more reliable)
-    const pnpData = await getPnpDeviceCount().catch(() => null);
-    if (pnpData) {
-      return pnpData;
+    switch (probe.type) {
+      case "dns": {
+        const { addresses, latencyMs } = await resolveHost(probe.host, { server: probe.server, timeoutMs });
+        return { ...result, ok: true, latencyMs, addresses };
+      }
+      case "tcp": {
+        const { latencyMs } = await connectTcp(probe.host, probe.port, { timeoutMs });
+        return { ...result, ok: true, latencyMs };
+      }
+      case "http": {
+        const { status, location, latencyMs } = await requestHead(probe.url, { timeoutMs });
+        const ok = probe.expectStatus ? probe.expectStatus.includes(status) : status >= 200 && status < 300;
+        if (ok) {
+          return { ...result, ok, latencyMs, status };
+        }
+        // A well-known check URL answering differently is the classic captive portal signature
+        const reason = location ? `Unexpected HTTP ${status} redirecting to ${location}` : `Unexpected HTTP ${status}`;
+        return { ...result, latencyMs, status, ...(location ? { location } : {}), reason, intercepted: true };
+      }
+      default: {
+        const reply = await getBackend().ping(probe.host, timeoutMs);
+        return reply.reachable
+          ? { ...result, ok: true, latencyMs: reply.latencyMs ?? "N/A" }
+          : { ...result, reason: `No ICMP reply (${reply.status})` };
+      }
     }
+  } catch (error) {
+    return { ...result, ...describeFailure(error), ...(error.code ? { errorCode: error.code } : {}) };
+  }
+}
 
-    // Method 2: Try WMI USB query
-    const wmiData = await getWMIDeviceCount().catch(() => null);
-    if (wmiData) {
-      return wmiData;
-    }
+/**
+ * Classify probe results into a single verdict
+ */
+function getVerdict(probes) {
+  const failed = probes.filter(probe => !probe.ok);
+  const ofType = (list, type) => list.filter(probe => probe.type === type);
 
-    // Fallback: return N/A with note
-    return {
-      usbDevices: "N/A",
-      bluetoothDevices: "N/A",
-      totalConnectedDevices: "N/A",
-      note: "Device enumeration requires elevated permissions. Try running PowerShell as Administrator.",
-    };
-  } catch (error) {
-    return {
-      usbDevices: "N/A",
-      bluetoothDevices: "N/A",
-      totalConnectedDevices: "N/A",
-      error: error.message,
-    };
+  if (failed.length === 0) {
+    return "online";
+  }
+  // Probes that could not run say nothing about the internet
+  if (probes.every(probe => probe.unverified)) {
+    return "unknown";
+  }
+  if (failed.length === probes.length) {
+    return hasNetworkLink() ? "no_internet" : "no_link";
   }
+  // Only meaningful when another kind of probe proved the internet is reachable
+  if (failed.every(probe => probe.type === "icmp") && probes.some(probe => probe.ok && probe.type !== "icmp")) {
+    return "icmp_blocked";
+  }
+  const dnsProbes = ofType(probes, "dns");
+  if (dnsProbes.length > 0 && ofType(failed, "dns").length === dnsProbes.length) {
+    return "dns_broken";
+  }
+  const webProbes = ofType(probes, "http");
+  if (failed.some(probe => probe.intercepted || probe.tlsError) || (webProbes.length > 0 && ofType(failed, "http").length === webProbes.length)) {
+    return "proxy_or_captive_portal";
+  }
+  return "partial";
 }
 
 /**
- * Get device count via Get-PnpDevice (method 1 - more compatible)
+ * Probes to run: explicit probes, then legacy ping targets, then the policy file, then the built-in set
  */
-async function getPnpDeviceCount() {
-  // Get USB devices
-  const { stdout: usbOutput } = await execPromise(
-    'powershell -Command "Get-PnpDevice -PresentOnly | Where-Object {$_.Class -eq \'USB\'} | Measure-Object | Select-Object -ExpandProperty Count"'
-  );
+function selectProbes(probes, targets) {
+  if (probes) {
+    return { list: probes, source: "arguments" };
+  }
+  if (targets) {
+    return { list: targets.map(host => ({ type: "icmp", host, ...(TARGET_NAMES[host] ? { name: TARGET_NAMES[host] } : {}) })), source: "arguments" };
+  }
+  const configured = getConnectivityProbes();
+  if (configured) {
+    return { list: configured, source: "policy" };
+  }
+  return { list: DEFAULT_PROBES, source: "built-in defaults" };
+}
 
-  const usbCount = parseInt(usbOutput.trim()) || 0;
+/**
+ * Check internet connectivity with DNS, TCP, HTTP and ICMP probes run in parallel (with caching)
+ * @param {Object} options - Optional configuration
+ * @param {Object[]} options.probes - Probes to run (default: policy connectivityProbes, else the built-in set)
+ * @param {string[]} options.targets - Hosts to ping instead, one ICMP probe each
+ * @param {boolean} options.forceRefresh - Ignore the cached result for these probes, kept 30s by default (default: false)
+ * @throws {Error} If a probe lacks the fields its type needs
+ */
+export async function checkConnectivity(options = {}) {
+  const { probes, targets, forceRefresh = false } = options;
+  probes?.forEach((probe, index) => {
+    const problem = probeProblem(probe);
+    if (problem) {
+      throw new Error(`probes[${index}]: ${problem}`);
+    }
+  });
+  const selected = selectProbes(probes, targets);
 
-  // Get Bluetooth devices
-  const { stdout: btOutput } = await execPromise(
-    'powershell -Command "Get-PnpDevice -PresentOnly | Where-Object {$_.Class -eq \'Bluetooth\'} | Measure-Object | Select-Object -ExpandProperty Count"'
-  );
+  // Failures are cached too (avoid repeated slow timeouts)
+  return fromCache("connectivity", () => runProbes(selected), { key: JSON.stringify(selected.list), forceRefresh });
+}
 
-  const btCount = parseInt(btOutput.trim()) || 0;
+/**
+ * Run the selected probes in parallel and give the verdict
+ */
+async function runProbes(selected) {
+  const results = await Promise.all(selected.list.map(runProbe));
+  const verdict = getVerdict(results);
 
-  if (usbCount === 0 && btCount === 0) {
-    throw new Error("Device query returned zero results");
+  const result = {
+    connected: VERDICTS[verdict].connected,
+    verdict,
+    verdictDescription: VERDICTS[verdict].description,
+    probeSource: selected.source,
+    probes: results,
+  };
+  if (results.every(probe => probe.unverified)) {
+    result.error = "Unable to verify connectivity";
   }
 
-  return {
-    usbDevices: usbCount,
-    bluetoothDevices: btCount,
-    totalConnectedDevices: usbCount + btCount,
-    method: "Get-PnpDevice",
-  };
+  return result;
 }
 
 /**
- * Get device count via WMI (method 2 - fallback)
+ * Get connected devices (Bluetooth, USB) - backend tries multiple methods
  */
-async function getWMIDeviceCount() {
-  // Get USB devices via WMI
-  const { stdout: usbOutput } = await execPromise(
-    'powershell -Command "Get-WmiObject Win32_USBHub | Measure-Object | Select-Object -ExpandProperty Count"'
-  );
-
-  const usbCount = parseInt(usbOutput.trim()) || 0;
+async function getConnectedDevices() {
+  try {
+    return await getBackend().getConnectedDevices();
+  } catch (error) {
+    // Fallback: return N/A with note
+    return {
+      usbDevices: "N/A",
+      bluetoothDevices: "N/A",
+      totalConnectedDevices: "N/A",
+      note: `Device enumeration requires elevated permissions. Try: ${getBackend().hints.elevated}.`,
+    };
+  }
+}
 
-  // Bluetooth devices are harder to enumerate reliably via WMI
-  // Return partial data
-  return {
-    usbDevices: usbCount,
-    bluetoothDevices: "N/A",
-    totalConnectedDevices: usbCount,
-    method: "WMI (USB only)",
-    note: "Bluetooth device count requires elevated permissions",
-  };
+/**
+ * Failed probes as "name: reason" for summaries
+ */
+function listFailures(probes) {
+  return probes.filter(probe => !probe.ok).map(probe => `${probe.name}: ${probe.reason}`).join("; ");
 }
 
 /**
  * Get comprehensive network status
+ * @param {Object} options - Optional configuration
+ * @param {Object[]} options.probes - DNS/TCP/HTTP/ICMP probes to run (default: policy connectivityProbes, else the built-in set)
+ * @param {string[]} options.targets - Hosts or IPs to ping instead of running probes
+ * @param {boolean} options.includeVirtual - List virtual, VPN and loopback interfaces with the physical ones (default: false)
+ * @param {boolean} options.forceRefresh - Ignore the cached connectivity result, kept 30s by default (default: false)
  */
-export async function getNetworkStatus() {
-  const [interfaces, connectivity, devices] = await Promise.all([
-    getNetworkInterfaces(),
-    checkInternetConnectivity(),
+export async function getNetworkStatus(options = {}) {
+  const { probes, targets, includeVirtual = false, forceRefresh = false } = options;
+
+  const [network, defaultRoute, connectivity, devices] = await Promise.all([
+    getNetworkInterfaces(includeVirtual),
+    getDefaultGateway(),
+    checkConnectivity({ probes, targets, forceRefresh }),
     getConnectedDevices(),
   ]);
+  const { interfaces } = network;
 
-  // Determine severity
-  let severity = "info";
+  const { hints } = getBackend();
+  const { verdict } = connectivity;
+  let severity = VERDICTS[verdict].severity;
   const recommendations = [];
   const nextStepsToCheck = [];
 
-  // Critical: No internet connectivity
-  if (connectivity.connected === false) {
-    severity = "critical";
-    recommendations.push("No internet connectivity detected");
-    recommendations.push("Check network cables, Wi-Fi connection, or router status");
-    recommendations.push("Try: ipconfig /release && ipconfig /renew (run as Administrator)");
+  switch (verdict) {
+    case "no_link":
+    case "no_internet":
+      recommendations.push("No internet connectivity detected");
+      recommendations.push("Check network cables, Wi-Fi connection, or router status");
+      recommendations.push(hints.renewNetwork);
+      break;
+    case "dns_broken":
+      recommendations.push("DNS resolution is failing - check the configured DNS servers or try a public resolver (1.1.1.1, 8.8.8.8)");
+      recommendations.push(hints.dnsFlush);
+      break;
+    case "proxy_or_captive_portal": {
+      const redirect = connectivity.probes.find(probe => probe.location);
+      recommendations.push(redirect
+        ? `Web requests are redirected to ${redirect.location} - open a browser and complete the network sign-in page`
+        : "Open a browser to check for a network sign-in page");
+      recommendations.push("If this network uses a proxy, check the system proxy settings and its certificate");
+      break;
+    }
+    case "partial":
+      recommendations.push(`Some destinations are unreachable (${listFailures(connectivity.probes)})`);
+      recommendations.push("Check whether a firewall, VPN or proxy blocks these destinations");
+      break;
+    case "icmp_blocked":
+      recommendations.push("Ping (ICMP) is blocked on this network - normal on many corporate and cloud networks, no action needed");
+      break;
+    case "unknown":
+      recommendations.push(`Internet connectivity could not be checked (${listFailures(connectivity.probes)})`);
+      break;
+  }
+
+  // Locate the break: local network (gateway) or beyond it (router uplink / ISP)
+  if (connectivity.connected === false || verdict === "partial") {
+    if (defaultRoute === null) {
+      recommendations.push("No default route - the network did not provide a gateway; reconnect or renew the DHCP lease");
+    } else if (defaultRoute.reachable === false) {
+      recommendations.push(`Default gateway ${defaultRoute.gateway} on ${defaultRoute.interface} is not answering - restart the router or reconnect to the network`);
+    } else if (defaultRoute.reachable === true && verdict !== "partial") {
+      recommendations.push(`Default gateway ${defaultRoute.gateway} answers in ${defaultRoute.latencyMs}ms, so the problem is beyond the local network (router uplink or ISP)`);
+    }
   }
+
+  // Interface errors counted while sampling point at cabling, signal or driver trouble
+  const erroring = interfaces.filter(entry => entry.errorsDuringSample > 0);
+  if (erroring.length > 0) {
+    if (severity === "info") severity = "warning";
+    for (const entry of erroring) {
+      recommendations.push(`${entry.name} reported ${entry.errorsDuringSample} packet error${entry.errorsDuringSample !== 1 ? "s" : ""} in ${SAMPLE_MS / 1000}s - check the cable, Wi-Fi signal or adapter driver`);
+    }
+  }
+
   // Warning: Device enumeration failed
-  else if (devices.usbDevices === "N/A" || devices.bluetoothDevices === "N/A") {
+  if (severity !== "critical" && (devices.usbDevices === "N/A" || devices.bluetoothDevices === "N/A")) {
     severity = "warning";
     recommendations.push("Device enumeration incomplete - requires elevated permissions");
-    recommendations.push("Run PowerShell as Administrator for full device visibility");
+    recommendations.push(`${hints.elevated} for full device visibility`);
   }
   // Info: All good
-  else {
+  else if (severity === "info") {
     recommendations.push("Network status normal");
     if (devices.usbDevices > 0 || devices.bluetoothDevices > 0) {
       recommendations.push(`Connected devices: ${devices.totalConnectedDevices} (${devices.usbDevices} USB, ${devices.bluetoothDevices} Bluetooth)`);
@@ -200,21 +475,39 @@ export async function getNetworkStatus() {
 
   // Build actionable summary
   let actionableSummary = "";
-  const activeInterfaces = interfaces.filter(i => i.ipv4 !== "N/A" || i.ipv6 !== "N/A");
+  const activeInterfaces = interfaces.filter(i => i.status !== "down" && (i.ipv4 !== "N/A" || i.ipv6 !== "N/A"));
+  const interfaceCount = `${activeInterfaces.length} interface${activeInterfaces.length !== 1 ? 's' : ''}`;
 
-  if (connectivity.connected) {
+  if (verdict === "online" || verdict === "icmp_blocked") {
     actionableSummary = `✅ Internet connected (${activeInterfaces.length} active interface${activeInterfaces.length !== 1 ? 's' : ''})`;
+    if (verdict === "icmp_blocked") {
+      actionableSummary += ", ping blocked";
+    }
     if (devices.totalConnectedDevices !== "N/A") {
       actionableSummary += `. ${devices.totalConnectedDevices} device${devices.totalConnectedDevices !== 1 ? 's' : ''}`;
     }
+  } else if (verdict === "partial") {
+    actionableSummary = `🟡 Internet partially reachable - ${listFailures(connectivity.probes)}`;
+  } else if (verdict === "proxy_or_captive_portal") {
+    actionableSummary = `🟡 Possible captive portal or proxy - ${listFailures(connectivity.probes)}`;
+  } else if (verdict === "dns_broken") {
+    actionableSummary = `❌ DNS not working - ${listFailures(connectivity.probes)}`;
+  } else if (verdict === "unknown") {
+    actionableSummary = `⚪ Internet connectivity not checked - probes could not run (${interfaceCount} detected)`;
+  } else if (verdict === "no_link") {
+    actionableSummary = "❌ No internet connectivity - no active network interface";
   } else {
-    actionableSummary = `❌ No internet connectivity - ${activeInterfaces.length} interface${activeInterfaces.length !== 1 ? 's' : ''} detected but unreachable`;
+    actionableSummary = `❌ No internet connectivity - ${interfaceCount} detected but unreachable`;
   }
 
   return {
     timestamp: new Date().toISOString(),
     severity,
     interfaces,
+    hiddenInterfaces: network.hiddenInterfaces,
+    ...(network.note ? { interfaceNote: network.note } : {}),
+    interfaceSampleMs: SAMPLE_MS,
+    defaultRoute,
     internetConnectivity: connectivity,
     connectedDevices: devices,
     actionableSummary,
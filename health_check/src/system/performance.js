@@ -1,32 +1,32 @@
 import os from "os";
-import { exec } from "child_process";
-import { promisify } from "util";
-
-const execPromise = promisify(exec);
+import { getBackend } from "../platform/index.js";
+import { getCPUUsage } from "./cpu.js";
+import { getThresholds, exceeds } from "../policy.js";
+import { getTopProcesses as sampleTopProcesses } from "./processes.js";
 
 /**
- * Get CPU usage percentage
+ * Get sampled CPU utilization, degrading to N/A if CPU times are unavailable
  */
-async function getCPUUsage() {
-  const cpus = os.cpus();
-  const avgLoad = os.loadavg()[0];
-  const cpuCount = cpus.length;
-  const usage = (avgLoad / cpuCount) * 100;
-
-  return Math.min(100, Math.round(usage * 100) / 100);
+async function getCPUStats() {
+  try {
+    return await getCPUUsage();
+  } catch (error) {
+    return {
+      usagePercent: "N/A",
+      perCore: [],
+      breakdown: "N/A",
+      sampleWindowMs: "N/A",
+      error: "Unable to sample CPU times",
+    };
+  }
 }
 
 /**
- * Get top processes by CPU and memory usage
+ * Get top processes ranked by sampled CPU %, memory, I/O rate or handle count
  */
-async function getTopProcesses(limit = 5) {
+async function getTopProcesses(limit = 5, sortBy = "cpu") {
   try {
-    const { stdout } = await execPromise(
-      `powershell -Command "Get-Process | Sort-Object CPU -Descending | Select-Object -First ${limit} @{Name='Name';Expression={$_.ProcessName}},@{Name='CPU';Expression={[math]::Round($_.CPU, 2)}},@{Name='MemoryMB';Expression={[math]::Round($_.WorkingSet/1MB, 2)}} | ConvertTo-Json"`
-    );
-    
-    const processes = JSON.parse(stdout);
-    return Array.isArray(processes) ? processes : [processes];
+    return await sampleTopProcesses(limit, sortBy);
   } catch (error) {
     return [];
   }
@@ -37,29 +37,11 @@ async function getTopProcesses(limit = 5) {
  */
 async function getDiskIOStats() {
   try {
-    // Get disk read/write stats from Performance Monitor
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-Counter -Counter \'\\\\PhysicalDisk(_Total)\\\\Disk Read Bytes/sec\', \'\\\\PhysicalDisk(_Total)\\\\Disk Write Bytes/sec\' -SampleInterval 1 -MaxSamples 1 | Select-Object -ExpandProperty CounterSamples | ConvertTo-Json"'
-    );
-    
-    const samples = JSON.parse(stdout);
-    const stats = Array.isArray(samples) ? samples : [samples];
-    
-    let readBytesPerSec = 0;
-    let writeBytesPerSec = 0;
-    
-    stats.forEach(stat => {
-      if (stat.Path.includes('Disk Read Bytes')) {
-        readBytesPerSec = Math.round(stat.CookedValue / 1024 / 1024 * 100) / 100;
-      }
-      if (stat.Path.includes('Disk Write Bytes')) {
-        writeBytesPerSec = Math.round(stat.CookedValue / 1024 / 1024 * 100) / 100;
-      }
-    });
+    const { readBytesPerSec, writeBytesPerSec } = await getBackend().getDiskIOStats();
 
     return {
-      readMBps: readBytesPerSec,
-      writeMBps: writeBytesPerSec,
+      readMBps: Math.round(readBytesPerSec / 1024 / 1024 * 100) / 100,
+      writeMBps: Math.round(writeBytesPerSec / 1024 / 1024 * 100) / 100,
     };
   } catch (error) {
     return {
@@ -91,33 +73,40 @@ function getMemoryBreakdown() {
  * @param {Object} options - Optional configuration
  * @param {boolean} options.includeProcesses - Whether to enumerate top processes (default: true, can be slow)
  * @param {number} options.processLimit - Number of top processes to return (default: 5)
+ * @param {string} options.sortBy - Rank processes by "cpu" %, "memory", "io" rate or "handles" (default: "cpu")
  */
 export async function getPerformanceStats(options = {}) {
-  const { includeProcesses = true, processLimit = 5 } = options;
+  const { includeProcesses = true, processLimit = 5, sortBy = "cpu" } = options;
 
   // Always get CPU, memory, disk - these are fast
   const baseChecks = [
-    getCPUUsage(),
+    getCPUStats(),
     Promise.resolve(getMemoryBreakdown()),
     getDiskIOStats(),
   ];
 
   // Conditionally add process enumeration (can be slow)
   if (includeProcesses) {
-    baseChecks.push(getTopProcesses(processLimit));
+    baseChecks.push(getTopProcesses(processLimit, sortBy));
   }
 
   const results = await Promise.all(baseChecks);
-  const cpuUsage = results[0];
+  const cpuStats = results[0];
+  const cpuUsage = cpuStats.usagePercent;
   const memory = results[1];
   const diskIO = results[2];
   const topProcesses = includeProcesses ? results[3] : [];
 
   // Determine severity level
+  const thresholds = getThresholds();
+  const cpuHigh = exceeds("cpu", cpuUsage, thresholds.cpu.warning);
+  const memoryHigh = exceeds("memory", memory.usagePercent, thresholds.memory.warning);
   let severity = "info";
-  if (cpuUsage > 90 || memory.usagePercent > 90) {
+  if (exceeds("cpu", cpuUsage, thresholds.cpu.critical) ||
+      exceeds("memory", memory.usagePercent, thresholds.memory.critical) ||
+      exceeds("diskReadMBps", diskIO.readMBps, thresholds.diskReadMBps.critical)) {
     severity = "critical";
-  } else if (cpuUsage > 80 || memory.usagePercent > 85) {
+  } else if (cpuHigh || memoryHigh) {
     severity = "warning";
   }
 
@@ -125,17 +114,17 @@ export async function getPerformanceStats(options = {}) {
   let actionableSummary = `CPU: ${cpuUsage}%, Memory: ${memory.usagePercent}%`;
   if (includeProcesses && topProcesses.length > 0) {
     const topProcess = topProcesses[0];
-    actionableSummary += `. Top process: ${topProcess.Name} (${topProcess.CPU}% CPU, ${topProcess.MemoryMB}MB)`;
+    actionableSummary += `. Top process by ${sortBy}: ${topProcess.name} (PID ${topProcess.pid}, ${topProcess.cpuPercent}% CPU, ${topProcess.memoryMB}MB)`;
   }
 
   const recommendations = [];
-  if (cpuUsage > 80) {
+  if (cpuHigh) {
     recommendations.push("Check top processes for CPU-intensive tasks");
   }
-  if (memory.usagePercent > 85) {
+  if (memoryHigh) {
     recommendations.push("Close unused applications to free memory");
   }
-  if (diskIO.readMBps > 100) {
+  if (exceeds("diskReadMBps", diskIO.readMBps, thresholds.diskReadMBps.warning)) {
     recommendations.push("Disk I/O is high - heavy file operations in progress");
   }
 
@@ -143,7 +132,7 @@ export async function getPerformanceStats(options = {}) {
     timestamp: new Date().toISOString(),
     severity,
     cpu: {
-      usagePercent: cpuUsage,
+      ...cpuStats,
       coreCount: os.cpus().length,
     },
     memory,
@@ -155,6 +144,7 @@ export async function getPerformanceStats(options = {}) {
 
   // Only include processes if requested
   if (includeProcesses) {
+    result.processesRankedBy = sortBy;
     result.topProcesses = topProcesses.slice(0, processLimit);
   } else {
     result.topProcesses = "Skipped (set includeProcesses: true to enumerate)";
@@ -0,0 +1,192 @@
+import { getBackend } from "../platform/index.js";
+
+// Services that usually should not be reachable from other machines
+const RISKY_PORTS = {
+  21: "FTP",
+  23: "Telnet",
+  2375: "Docker API (unauthenticated)",
+  3306: "MySQL",
+  3389: "Remote Desktop",
+  5432: "PostgreSQL",
+  5900: "VNC",
+  6379: "Redis",
+  9200: "Elasticsearch",
+  11211: "Memcached",
+  27017: "MongoDB",
+};
+// Connections listed when no limit is given
+const DEFAULT_LIMIT = 50;
+// Processes shown in topProcessesByConnections
+const TOP_HOLDERS = 5;
+
+/**
+ * Socket states accepted by the state filter (lowercase Linux names)
+ */
+export const SOCKET_STATES = [
+  "listen",
+  "established",
+  "syn_sent",
+  "syn_recv",
+  "fin_wait1",
+  "fin_wait2",
+  "time_wait",
+  "close",
+  "close_wait",
+  "last_ack",
+  "closing",
+];
+
+/**
+ * Whether an address is only reachable from this machine
+ */
+function isLoopback(address) {
+  return address.startsWith("127.") || address === "::1" || address.startsWith("::ffff:127.");
+}
+
+/**
+ * A listening socket as reported, flagged when reachable from other machines
+ */
+function toListener(socket) {
+  const listener = {
+    protocol: socket.protocol,
+    address: socket.localAddress,
+    port: socket.localPort,
+    pid: socket.pid ?? "N/A",
+    process: socket.process ?? "N/A",
+    exposed: !isLoopback(socket.localAddress),
+  };
+  if (listener.exposed && RISKY_PORTS[socket.localPort]) {
+    listener.service = RISKY_PORTS[socket.localPort];
+  }
+  return listener;
+}
+
+/**
+ * Listening sockets reachable from other machines, for the get_system_health security posture
+ * @returns {Promise<Object>} { listening, exposed, risky }
+ */
+export async function getExposedServices() {
+  const sockets = await getBackend().getSockets();
+  const listeners = sockets.filter(socket => socket.state === "LISTEN").map(toListener);
+  const exposed = listeners.filter(listener => listener.exposed);
+
+  return {
+    listening: listeners.length,
+    exposed,
+    risky: exposed.filter(listener => listener.service),
+  };
+}
+
+/**
+ * List listening sockets and connections with their owning processes
+ * @param {Object} options - Optional filters
+ * @param {string} options.state - Only sockets in this state, e.g. "listen" or "established" (default: all)
+ * @param {number} options.port - Only sockets with this local or remote port
+ * @param {string} options.process - Only sockets owned by processes with this name (case-insensitive, ".exe" optional)
+ * @param {string} options.protocol - "tcp" or "udp" (default: both)
+ * @param {number} options.limit - Maximum connections to list (default: 50)
+ */
+export async function getOpenPorts(options = {}) {
+  const { state, port, process: processName, protocol, limit = DEFAULT_LIMIT } = options;
+  const { hints } = getBackend();
+
+  const all = await getBackend().getSockets();
+  const wanted = processName?.toLowerCase().replace(/\.exe$/, "");
+  const sockets = all.filter(socket =>
+    (!state || socket.state === state.toUpperCase()) &&
+    (port === undefined || socket.localPort === port || socket.remotePort === port) &&
+    (!wanted || socket.process?.toLowerCase().replace(/\.exe$/, "") === wanted) &&
+    (!protocol || socket.protocol === protocol)
+  );
+
+  const listening = sockets
+    .filter(socket => socket.state === "LISTEN")
+    .sort((a, b) => a.localPort - b.localPort || a.protocol.localeCompare(b.protocol))
+    .map(toListener);
+  const connections = sockets
+    .filter(socket => socket.state !== "LISTEN")
+    .sort((a, b) => (a.process ?? "").localeCompare(b.process ?? "") || a.localPort - b.localPort)
+    .map(socket => ({
+      protocol: socket.protocol,
+      localAddress: socket.localAddress,
+      localPort: socket.localPort,
+      remoteAddress: socket.remoteAddress,
+      remotePort: socket.remotePort,
+      state: socket.state,
+      pid: socket.pid ?? "N/A",
+      process: socket.process ?? "N/A",
+    }));
+
+  const byState = {};
+  for (const socket of sockets) {
+    byState[socket.state] = (byState[socket.state] ?? 0) + 1;
+  }
+
+  // Who holds the most connections
+  const holders = new Map();
+  for (const socket of sockets.filter(socket => socket.state !== "LISTEN" && socket.pid !== null)) {
+    const holder = holders.get(socket.pid) ?? { process: socket.process ?? "N/A", pid: socket.pid, connections: 0 };
+    holder.connections++;
+    holders.set(socket.pid, holder);
+  }
+  const topProcessesByConnections = [...holders.values()]
+    .sort((a, b) => b.connections - a.connections)
+    .slice(0, TOP_HOLDERS);
+
+  const exposed = listening.filter(listener => listener.exposed);
+  const risky = exposed.filter(listener => listener.service);
+  const unowned = sockets.filter(socket => socket.pid === null && socket.state !== "TIME_WAIT").length;
+
+  let severity = "info";
+  const recommendations = [];
+  const nextStepsToCheck = [];
+
+  for (const listener of risky) {
+    severity = "warning";
+    recommendations.push(
+      `${listener.service} (port ${listener.port}/${listener.protocol}) is listening on ${listener.address} (${listener.pid === "N/A" ? "unknown process" : `${listener.process}, PID ${listener.pid}`}) - bind it to 127.0.0.1 or block it in the firewall if remote access isn't needed`
+    );
+  }
+  if (risky.length > 0) {
+    nextStepsToCheck.push("get_process_details");
+  }
+  if (unowned > 0) {
+    recommendations.push(`${unowned} socket${unowned !== 1 ? "s have" : " has"} no known owner - ${hints.elevated} to see every process`);
+  }
+  if (severity === "info" && sockets.length > 0) {
+    recommendations.push(exposed.length > 0
+      ? `No well-known risky services exposed; ${exposed.length} listener${exposed.length !== 1 ? "s" : ""} reachable from the network`
+      : "Nothing is listening beyond localhost");
+  }
+
+  let actionableSummary = `${listening.length} listening (${exposed.length} exposed beyond localhost), ${connections.length} connection${connections.length !== 1 ? "s" : ""}`;
+  if (topProcessesByConnections.length > 0) {
+    const [top] = topProcessesByConnections;
+    actionableSummary += `; most connections: ${top.process} (PID ${top.pid}, ${top.connections})`;
+  }
+  if (risky.length > 0) {
+    actionableSummary = `🟡 ${risky.map(listener => `${listener.service} exposed on ${listener.address}:${listener.port}`).join("; ")}. ${actionableSummary}`;
+  }
+
+  const result = {
+    timestamp: new Date().toISOString(),
+    severity,
+    filters: { state: state ?? "all", port: port ?? "any", process: processName ?? "any", protocol: protocol ?? "both" },
+    counts: {
+      listening: listening.length,
+      exposed: exposed.length,
+      connections: connections.length,
+      byState,
+    },
+    listening,
+    connections: connections.slice(0, limit),
+    topProcessesByConnections,
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck,
+  };
+  if (connections.length > limit) {
+    result.connectionsNote = `Showing ${limit} of ${connections.length} connections; narrow with state, port or process`;
+  }
+  return result;
+}
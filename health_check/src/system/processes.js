@@ -0,0 +1,267 @@
+import os from "os";
+import { getBackend } from "../platform/index.js";
+import { getThresholds, exceeds } from "../policy.js";
+
+// Interval between the two process snapshots that CPU % and I/O rates are measured over
+const SAMPLE_MS = 1000;
+// Processes reported in detail when a name matches several
+const MAX_MATCHES = 5;
+// Levels of children shown under each process
+const TREE_DEPTH = 2;
+const MB = 1024 * 1024;
+
+/**
+ * Field ranked on for each sortBy option
+ */
+export const SORT_FIELDS = {
+  cpu: "cpuPercent",
+  memory: "memoryMB",
+  io: "ioMBps",
+  handles: "handles",
+};
+
+/**
+ * Round to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Bytes to MB, or "N/A" when unknown
+ */
+function toMB(bytes) {
+  return typeof bytes === "number" && Number.isFinite(bytes) ? round(bytes / MB) : "N/A";
+}
+
+/**
+ * Snapshot every process twice and derive CPU % and I/O rates over the interval
+ * CPU % is a share of the whole machine (all cores), as in Task Manager, not cumulative CPU seconds.
+ * Only processes in both snapshots are measured: one started during the window (such as the
+ * PowerShell taking the second snapshot) would otherwise be charged its whole lifetime.
+ */
+async function sampleProcesses() {
+  const backend = getBackend();
+  const before = await backend.getProcessSnapshot();
+  const startedAt = Date.now();
+  await new Promise(resolve => setTimeout(resolve, SAMPLE_MS));
+  const after = await backend.getProcessSnapshot();
+  const cores = os.cpus().length;
+
+  // Machine-wide CPU time (Linux /proc/stat) measures the window without timer jitter; without it, elapsed time × cores
+  const windowCpuSeconds = typeof before.totalCpuSeconds === "number" && typeof after.totalCpuSeconds === "number"
+    ? after.totalCpuSeconds - before.totalCpuSeconds
+    : ((Date.now() - startedAt) / 1000) * cores;
+  const elapsedSeconds = windowCpuSeconds / cores;
+  const previous = new Map(before.processes.map(process => [process.pid, process]));
+
+  return after.processes.map(process => {
+    const prior = previous.get(process.pid);
+    // Started during the window, or a reused PID
+    const measured = prior !== undefined && prior.name === process.name;
+    const ioKnown = measured && process.ioBytes !== null && prior.ioBytes !== null;
+
+    return {
+      pid: process.pid,
+      parentPid: process.parentPid,
+      name: process.name,
+      cpuPercent: measured && windowCpuSeconds > 0 ? round((Math.max(0, process.cpuSeconds - prior.cpuSeconds) / windowCpuSeconds) * 100) : 0,
+      memoryMB: toMB(process.workingSetBytes),
+      privateMB: toMB(process.privateBytes),
+      ioMBps: ioKnown && elapsedSeconds > 0 ? round(Math.max(0, process.ioBytes - prior.ioBytes) / elapsedSeconds / MB) : "N/A",
+      handles: process.handles ?? "N/A",
+      threads: process.threads ?? "N/A",
+    };
+  });
+}
+
+/**
+ * Sort processes by a field, unknown values last
+ */
+function rank(processes, field) {
+  const value = process => (typeof process[field] === "number" ? process[field] : -1);
+  return [...processes].sort((a, b) => value(b) - value(a));
+}
+
+/**
+ * Top processes by CPU % over a short sampling window, memory, I/O rate or handle count
+ * @param {number} limit - Number of processes to return
+ * @param {string} sortBy - "cpu", "memory", "io" or "handles"
+ */
+export async function getTopProcesses(limit, sortBy = "cpu") {
+  const processes = await sampleProcesses();
+  // PID 0 is the idle/swapper pseudo-process
+  const real = processes.filter(process => process.pid !== 0);
+  return rank(real, SORT_FIELDS[sortBy] ?? SORT_FIELDS.cpu)
+    .slice(0, limit)
+    .map(({ parentPid, ...process }) => process);
+}
+
+/**
+ * Parent chain of a process, nearest first
+ */
+function getAncestors(process, byPid) {
+  const ancestors = [];
+  const seen = new Set([process.pid]);
+  let parent = byPid.get(process.parentPid);
+
+  while (parent && !seen.has(parent.pid)) {
+    ancestors.push({ pid: parent.pid, name: parent.name });
+    seen.add(parent.pid);
+    parent = byPid.get(parent.parentPid);
+  }
+
+  return ancestors;
+}
+
+/**
+ * Children of a process down to TREE_DEPTH levels, busiest first
+ */
+function getChildren(pid, processes, depth = 1) {
+  const children = rank(processes.filter(process => process.parentPid === pid && process.pid !== pid), "cpuPercent");
+
+  return children.map(child => {
+    const node = { pid: child.pid, name: child.name, cpuPercent: child.cpuPercent, memoryMB: child.memoryMB };
+    if (depth < TREE_DEPTH) {
+      node.children = getChildren(child.pid, processes, depth + 1);
+    } else {
+      node.childCount = processes.filter(process => process.parentPid === child.pid).length;
+    }
+    return node;
+  });
+}
+
+/**
+ * Full detail for one sampled process
+ */
+async function describeProcess(process, processes, byPid) {
+  let info;
+  try {
+    info = await getBackend().getProcessDetails(process.pid);
+  } catch (error) {
+    info = { error: error.message };
+  }
+  const ancestors = getAncestors(process, byPid);
+
+  const details = {
+    pid: process.pid,
+    name: process.name,
+    commandLine: info.commandLine ?? "N/A",
+    executablePath: info.executablePath ?? "N/A",
+    user: info.user ?? "N/A",
+    startTime: info.startTime ?? "N/A",
+    cpuPercent: process.cpuPercent,
+    ioMBps: process.ioMBps,
+    threads: process.threads,
+    handles: process.handles,
+    memory: {
+      workingSetMB: process.memoryMB,
+      privateMB: process.privateMB,
+    },
+    openFiles: info.openFiles ?? "N/A",
+    parent: ancestors[0] ?? null,
+    ancestors,
+    children: getChildren(process.pid, processes),
+  };
+
+  if (info.sharedBytes !== undefined) {
+    details.memory.sharedMB = toMB(info.sharedBytes);
+  }
+  if (info.swapBytes !== undefined) {
+    details.memory.swapMB = toMB(info.swapBytes);
+  }
+  if (info.openFilesNote) {
+    details.openFilesNote = info.openFilesNote;
+  }
+  if (info.error) {
+    details.note = `Command line, user and start time unavailable: ${info.error}. ${getBackend().hints.elevated} to inspect other users' processes.`;
+  }
+
+  return details;
+}
+
+/**
+ * One-line description of a process for summaries
+ */
+function describeBriefly(details) {
+  let text = `${details.name} (PID ${details.pid}): ${details.cpuPercent}% CPU, ${details.memory.workingSetMB}MB working set`;
+  if (typeof details.memory.privateMB === "number") {
+    text += ` (${details.memory.privateMB}MB private)`;
+  }
+  text += `, ${details.threads} threads`;
+  if (details.user !== "N/A") {
+    text += `, user ${details.user}`;
+  }
+  return text;
+}
+
+/**
+ * Inspect a process by PID or by name
+ * @param {Object} options
+ * @param {number} [options.pid] - Process ID
+ * @param {string} [options.name] - Process name (case-insensitive, ".exe" optional); the busiest matches are shown
+ * @throws {Error} If neither pid nor name is given
+ */
+export async function getProcessDetails(options = {}) {
+  const { pid, name } = options;
+  if (pid === undefined && !name) {
+    throw new Error("Provide either pid or name");
+  }
+
+  const processes = await sampleProcesses();
+  const byPid = new Map(processes.map(process => [process.pid, process]));
+  const wanted = name?.toLowerCase().replace(/\.exe$/, "");
+  const matches = pid !== undefined
+    ? processes.filter(process => process.pid === pid)
+    : rank(processes.filter(process => process.name.toLowerCase() === wanted), "cpuPercent");
+  const query = pid !== undefined ? `PID ${pid}` : `name "${name}"`;
+
+  if (matches.length === 0) {
+    return {
+      timestamp: new Date().toISOString(),
+      severity: "info",
+      found: false,
+      processes: [],
+      actionableSummary: `No running process matches ${query}`,
+      recommendations: ["List running processes with get_performance_stats to find the right PID or name"],
+      nextStepsToCheck: ["get_performance_stats"],
+    };
+  }
+
+  const shown = matches.slice(0, MAX_MATCHES);
+  const details = await Promise.all(shown.map(process => describeProcess(process, processes, byPid)));
+
+  const { cpu } = getThresholds();
+  let severity = "info";
+  const recommendations = [];
+  for (const process of details) {
+    if (exceeds("cpu", process.cpuPercent, cpu.critical)) {
+      severity = "critical";
+    } else if (exceeds("cpu", process.cpuPercent, cpu.warning) && severity !== "critical") {
+      severity = "warning";
+    }
+    if (exceeds("cpu", process.cpuPercent, cpu.warning)) {
+      recommendations.push(`${process.name} (PID ${process.pid}) is using ${process.cpuPercent}% of total CPU - end or restart it if it shouldn't be busy`);
+    }
+  }
+  if (details.some(process => process.note)) {
+    recommendations.push(getBackend().hints.elevated);
+  }
+
+  let actionableSummary = describeBriefly(details[0]);
+  if (matches.length > 1) {
+    actionableSummary = `${matches.length} processes match ${query}${matches.length > shown.length ? ` (showing the ${shown.length} busiest)` : ""}. Busiest: ${actionableSummary}`;
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    severity,
+    found: true,
+    matchCount: matches.length,
+    sampleWindowMs: SAMPLE_MS,
+    processes: details,
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck: severity === "info" ? [] : ["get_thermal_status"],
+  };
+}
@@ -0,0 +1,677 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getPlatformName, getDataDir } from "../platform/index.js";
+import { getHealthAlerts } from "./alerts.js";
+import { getPerformanceStats } from "./performance.js";
+import { getBatteryStatus } from "./battery.js";
+import { getThermalStatus } from "./thermal.js";
+import { getNetworkStatus } from "./network.js";
+import { getSystemHealth } from "./systemHealth.js";
+
+export const REPORT_FORMATS = ["markdown", "html", "json"];
+// outputDir is a relative path under the reports directory: name segments separated by "/", none of them "." or ".."
+export const REPORT_DIR_PATTERN = "^[A-Za-z0-9][A-Za-z0-9._-]*(/[A-Za-z0-9][A-Za-z0-9._-]*)*$";
+
+const EXTENSIONS = { markdown: "md", html: "html", json: "json" };
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const BADGES = {
+  critical: "🔴 CRITICAL",
+  warning: "🟡 WARNING",
+  info: "🟢 OK",
+  unavailable: "⚪ UNAVAILABLE",
+  failed: "⚫ FAILED",
+};
+const BADGE_COLORS = { critical: "#c62828", warning: "#f9a825", info: "#2e7d32", unavailable: "#9e9e9e", failed: "#424242" };
+
+/**
+ * Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * A reading with its unit, leaving "N/A" and other text as is
+ */
+function show(value, unit = "") {
+  if (value === null || value === undefined || value === "") {
+    return "N/A";
+  }
+  return typeof value === "number" ? `${value}${unit}` : String(value);
+}
+
+/**
+ * Yes/No for a boolean, "N/A" otherwise
+ */
+function yesNo(value) {
+  return typeof value === "boolean" ? (value ? "Yes" : "No") : "N/A";
+}
+
+/**
+ * Two-column table of name/value pairs
+ */
+function details(title, pairs) {
+  return { type: "table", title, columns: ["Item", "Value"], rows: pairs };
+}
+
+/**
+ * Severity of the alerts section: its most severe firing alert
+ */
+function alertSeverity(alerts) {
+  return alerts.critical.length > 0 ? "critical" : alerts.warning.length > 0 ? "warning" : "info";
+}
+
+/**
+ * Tables and lists for get_health_alerts
+ */
+function alertBlocks(alerts) {
+  const firing = ["critical", "warning", "info"].flatMap(severity =>
+    alerts[severity].map(message => `${BADGES[severity]} ${message}`)
+  );
+  const { categories, breakdown } = alerts.systemHealthScore;
+
+  const blocks = [{ type: "list", title: "Firing alerts", items: firing.length > 0 ? firing : ["None"] }];
+  if (alerts.pending.length > 0) {
+    blocks.push({ type: "list", title: "Pending (not lasted long enough to fire)", items: alerts.pending });
+  }
+  if (alerts.anomalies.length > 0) {
+    blocks.push({ type: "list", title: "Anomalies", items: alerts.anomalies.map(anomaly => anomaly.message) });
+  }
+  blocks.push({
+    type: "table",
+    title: "Health score by category",
+    columns: ["Category", "Weight", "Score", "Note"],
+    rows: Object.values(categories).map(category => [category.label, category.weight, show(category.score), category.note ?? ""]),
+  });
+  if (breakdown.length > 0) {
+    blocks.push({
+      type: "table",
+      title: "What cost points",
+      columns: ["Factor", "Detail", "Points"],
+      rows: breakdown.map(factor => [factor.factor, factor.detail, `-${factor.points}`]),
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Tables for get_performance_stats
+ */
+function performanceBlocks(stats) {
+  const { cpu, memory, diskIO } = stats;
+  const blocks = [details("Usage", [
+    ["CPU usage", show(cpu.usagePercent, "%")],
+    ["Cores", show(cpu.coreCount)],
+    ["Memory used", `${show(memory.usedGB, " GB")} of ${show(memory.totalGB, " GB")} (${show(memory.usagePercent, "%")})`],
+    ["Disk read", show(diskIO.readMBps, " MB/s")],
+    ["Disk write", show(diskIO.writeMBps, " MB/s")],
+  ])];
+
+  if (stats.topProcesses?.length > 0) {
+    blocks.push({
+      type: "table",
+      title: `Top processes (by ${stats.processesRankedBy})`,
+      columns: ["PID", "Name", "CPU", "Memory", "Disk I/O"],
+      rows: stats.topProcesses.map(process => [
+        process.pid, process.name, show(process.cpuPercent, "%"), show(process.memoryMB, " MB"), show(process.ioMBps, " MB/s"),
+      ]),
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Table for get_battery_status
+ */
+function batteryBlocks(battery) {
+  return [details("Battery", [
+    ["Charge", show(battery.chargePercent, "%")],
+    ["Status", show(battery.status)],
+    ["Health (of design capacity)", show(battery.healthPercent, "%")],
+    ["Cycle count", show(battery.cycleCount)],
+    ["Design capacity", show(battery.designCapacity)],
+    ["Full charge capacity", show(battery.fullChargeCapacity)],
+    ["Power plan", show(battery.powerPlan)],
+  ])];
+}
+
+/**
+ * Tables for get_thermal_status
+ */
+function thermalBlocks(thermal) {
+  const { throttling } = thermal;
+  const blocks = [
+    {
+      type: "table",
+      title: "Sensors",
+      columns: ["Sensor", "Kind", "Temperature", "High", "Critical", "Severity"],
+      rows: thermal.sensors.map(sensor => [
+        sensor.label, sensor.kind, show(sensor.celsius, "°C"), show(sensor.highCelsius, "°C"), show(sensor.criticalCelsius, "°C"), sensor.severity,
+      ]),
+    },
+    details("Throttling", [
+      ["Throttled", yesNo(throttling.throttled)],
+      ["Reasons", throttling.reasons.length > 0
+        ? throttling.reasons.map(({ reason, evidence }) => `${reason} (${evidence})`).join("; ")
+        : "None"],
+      ["Frequency (of base)", show(throttling.frequencyPercent, "%")],
+      ["GPU temperature", show(thermal.gpu.temperatureCelsius, "°C")],
+    ]),
+  ];
+
+  if (thermal.fans.available) {
+    blocks.push({ type: "table", title: "Fans", columns: ["Fan", "Speed"], rows: thermal.fans.fans.map(fan => [fan.label, `${fan.rpm} RPM`]) });
+  }
+  return blocks;
+}
+
+/**
+ * Bytes per second as KB/s
+ */
+function kilobytesPerSecond(value) {
+  return typeof value === "number" ? `${round(value / 1024)} KB/s` : show(value);
+}
+
+/**
+ * Tables for get_network_status
+ */
+function networkBlocks(network) {
+  const { defaultRoute, internetConnectivity } = network;
+  return [
+    details("Internet connectivity", [
+      ["Verdict", `${internetConnectivity.verdict} - ${internetConnectivity.verdictDescription}`],
+      ["Default route", defaultRoute.error ?? `${show(defaultRoute.gateway)} via ${show(defaultRoute.interface)}`],
+      ["Gateway reachable", yesNo(defaultRoute.reachable)],
+      ["Gateway latency", show(defaultRoute.latencyMs, " ms")],
+    ]),
+    {
+      type: "table",
+      title: "Connectivity probes",
+      columns: ["Probe", "Type", "Target", "Result", "Latency"],
+      rows: internetConnectivity.probes.map(probe => [
+        probe.name, probe.type, probe.target, probe.ok ? "OK" : `Failed${probe.reason ? `: ${probe.reason}` : ""}`, show(probe.latencyMs, " ms"),
+      ]),
+    },
+    {
+      type: "table",
+      title: "Interfaces",
+      columns: ["Interface", "Status", "Speed", "IPv4", "Receive", "Send"],
+      rows: network.interfaces.map(adapter => [
+        adapter.name, adapter.status, show(adapter.speedMbps, " Mbps"), adapter.ipv4,
+        kilobytesPerSecond(adapter.rxBytesPerSec), kilobytesPerSecond(adapter.txBytesPerSec),
+      ]),
+    },
+  ];
+}
+
+/**
+ * Tables for get_system_health
+ */
+function systemHealthBlocks(health) {
+  const { antivirus, firewall, updates, systemLogs, disk, openPorts } = health;
+  const blocks = [
+    details("Security and stability", [
+      ["Antivirus", antivirus.error ?? `${show(antivirus.product)}, real-time protection ${antivirus.realTimeMonitoring ? "on" : "off"}`],
+      ["Firewall", firewall.error ?? `${show(firewall.product)}, ${firewall.active ? "active" : "inactive"}`],
+      ["Pending updates", show(updates.count === "N/A" ? updates.pending : updates.count)],
+      [`System errors (last ${show(systemLogs.windowHours, "h")})`, systemLogs.error ?? show(systemLogs.errorCount)],
+      ["Services listening beyond localhost", openPorts.error ?? `${openPorts.exposed.length} (${openPorts.risky.length} risky)`],
+    ]),
+    {
+      type: "table",
+      title: "Volumes",
+      columns: ["Volume", "Label", "File system", "Free", "Size", "Severity"],
+      rows: disk.volumes.map(volume => [
+        volume.volume, show(volume.label), show(volume.fileSystem), show(volume.percentFree, "%"), show(volume.totalGB, " GB"), volume.severity,
+      ]),
+    },
+  ];
+
+  if (disk.physicalDisks?.length > 0) {
+    blocks.push({
+      type: "table",
+      title: "Physical disks",
+      columns: ["Disk", "Model", "Type", "SMART", "Wear", "Temperature", "Severity"],
+      rows: disk.physicalDisks.map(physical => [
+        physical.name, show(physical.model), show(physical.mediaType), show(physical.smartStatus),
+        show(physical.wearPercentUsed, "%"), show(physical.temperatureCelsius, "°C"), physical.severity,
+      ]),
+    });
+  }
+  if (openPorts.risky?.length > 0) {
+    blocks.push({
+      type: "list",
+      title: "Risky services",
+      items: openPorts.risky.map(listener => `${listener.service} on ${listener.address}:${listener.port} (${show(listener.process)})`),
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Report sections in the order they appear, each backed by one tool
+ * unavailable() returns why a result has nothing to show, or null.
+ */
+const SECTIONS = [
+  {
+    id: "alerts",
+    title: "Alerts and health score",
+    tool: "get_health_alerts",
+    collect: ({ forceRefresh }) => getHealthAlerts({ forceRefresh }),
+    severity: alertSeverity,
+    blocks: alertBlocks,
+  },
+  {
+    id: "performance",
+    title: "Performance",
+    tool: "get_performance_stats",
+    collect: () => getPerformanceStats(),
+    blocks: performanceBlocks,
+  },
+  {
+    id: "battery",
+    title: "Battery and power",
+    tool: "get_battery_status",
+    collect: ({ forceRefresh }) => getBatteryStatus({ forceRefresh }),
+    unavailable: battery => (battery.chargePercent === "N/A" ? battery.note : null),
+    blocks: batteryBlocks,
+  },
+  {
+    id: "thermal",
+    title: "Thermal",
+    tool: "get_thermal_status",
+    collect: ({ forceRefresh }) => getThermalStatus({ forceRefresh }),
+    unavailable: thermal => (thermal.sensors.length === 0 ? thermal.sensorsNote ?? thermal.actionableSummary : null),
+    blocks: thermalBlocks,
+  },
+  {
+    id: "network",
+    title: "Network",
+    tool: "get_network_status",
+    collect: ({ forceRefresh }) => getNetworkStatus({ forceRefresh }),
+    blocks: networkBlocks,
+  },
+  {
+    id: "systemHealth",
+    title: "Security, updates and disks",
+    tool: "get_system_health",
+    collect: ({ forceRefresh }) => getSystemHealth({ forceRefresh }),
+    blocks: systemHealthBlocks,
+  },
+];
+
+/**
+ * Run one section's tool; a rejected call or a result carrying only an error is "failed"
+ */
+async function collectSection(section, options) {
+  const entry = { id: section.id, title: section.title, tool: section.tool };
+
+  let result;
+  try {
+    result = await section.collect(options);
+  } catch (error) {
+    return { ...entry, status: "failed", severity: null, reason: error.message, summary: `${section.tool} failed`, result: null };
+  }
+
+  if (result.error) {
+    return { ...entry, status: "failed", severity: null, reason: result.error, summary: result.actionableSummary, result };
+  }
+  const reason = section.unavailable?.(result) ?? null;
+  if (reason) {
+    return { ...entry, status: "unavailable", severity: null, reason, summary: result.actionableSummary, result };
+  }
+  const severity = section.severity ? section.severity(result) : result.severity;
+  return { ...entry, status: "ok", severity, summary: result.actionableSummary, result };
+}
+
+/**
+ * Badge key for a section: its severity, or why it has none
+ */
+function badgeOf(section) {
+  return section.status === "ok" ? section.severity : section.status;
+}
+
+/**
+ * Recommendations of every section, most severe section first, without repeats
+ */
+function combineRecommendations(sections) {
+  const ranked = sections
+    .filter(section => section.result?.recommendations)
+    .sort((a, b) => (SEVERITY_RANK[b.severity] ?? -1) - (SEVERITY_RANK[a.severity] ?? -1));
+
+  const seen = new Set();
+  const combined = [];
+  for (const section of ranked) {
+    for (const text of section.result.recommendations) {
+      if (!seen.has(text)) {
+        seen.add(text);
+        combined.push({ section: section.title, text });
+      }
+    }
+  }
+  return combined;
+}
+
+/**
+ * Run get_health_alerts and every deep tool in parallel, one section per tool
+ * Shared with health snapshots, which store the sections as they were.
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Bypass every cached reading (default: false)
+ * @returns {Promise<Object[]>} [{ id, title, tool, status ("ok", "unavailable" or "failed"), severity, reason, summary, result }]
+ */
+export function collectSections(options = {}) {
+  return Promise.all(SECTIONS.map(section => collectSection(section, options)));
+}
+
+/**
+ * Collect every section and assemble the report document (the JSON format)
+ */
+async function buildReport(options) {
+  const generatedAt = new Date().toISOString();
+  const sections = await collectSections(options);
+
+  const reported = sections.filter(section => section.status === "ok");
+  const severity = reported.reduce(
+    (worst, section) => (SEVERITY_RANK[section.severity] > SEVERITY_RANK[worst] ? section.severity : worst),
+    "info"
+  );
+  const alerts = sections.find(section => section.id === "alerts");
+  const nextStepsToCheck = [...new Set(sections.flatMap(section => section.result?.nextStepsToCheck ?? []))];
+
+  const executiveSummary = {
+    severity,
+    healthScore: alerts.result?.systemHealthScore
+      ? {
+        score: alerts.result.systemHealthScore.score,
+        status: alerts.result.systemHealthScore.status,
+        explanation: alerts.result.systemHealthScore.explanation,
+      }
+      : null,
+    alertCount: alerts.result?.alertCount ?? null,
+    topIssues: alerts.result ? [...alerts.result.critical, ...alerts.result.warning].slice(0, 5) : [],
+    notReported: sections
+      .filter(section => section.status !== "ok")
+      .map(section => `${section.title}: ${section.reason}`),
+  };
+
+  return {
+    title: `System health report - ${os.hostname()}`,
+    generatedAt,
+    host: {
+      hostname: os.hostname(),
+      platform: getPlatformName(),
+      release: os.release(),
+      arch: os.arch(),
+    },
+    severity,
+    executiveSummary,
+    sections,
+    recommendations: combineRecommendations(sections),
+    nextStepsToCheck,
+  };
+}
+
+/**
+ * Escape a Markdown table cell
+ */
+function markdownCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Render a table or list block as Markdown
+ */
+function markdownBlock(block) {
+  const lines = [`#### ${block.title}`, ""];
+  if (block.type === "list") {
+    lines.push(...block.items.map(item => `- ${item}`));
+  } else if (block.rows.length === 0) {
+    lines.push("_None found_");
+  } else {
+    lines.push(`| ${block.columns.map(markdownCell).join(" | ")} |`);
+    lines.push(`| ${block.columns.map(() => "---").join(" | ")} |`);
+    lines.push(...block.rows.map(row => `| ${row.map(markdownCell).join(" | ")} |`));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Render the report document as Markdown
+ */
+function renderMarkdown(report) {
+  const { executiveSummary: summary } = report;
+  const parts = [
+    `# ${report.title}`,
+    `Generated ${report.generatedAt} on ${report.host.hostname} (${report.host.platform} ${report.host.release}, ${report.host.arch})`,
+    "## Executive summary",
+  ];
+
+  const overview = [`**Overall status:** ${BADGES[report.severity]}`];
+  if (summary.healthScore) {
+    overview.push(`**Health score:** ${summary.healthScore.score}/100 (${summary.healthScore.status}) - ${summary.healthScore.explanation}`);
+  }
+  if (summary.alertCount) {
+    overview.push(`**Alerts:** ${summary.alertCount.critical} critical, ${summary.alertCount.warning} warning, ${summary.alertCount.info} info`);
+  }
+  parts.push(overview.map(line => `- ${line}`).join("\n"));
+  if (summary.topIssues.length > 0) {
+    parts.push(markdownBlock({ type: "list", title: "Top issues", items: summary.topIssues }));
+  }
+  parts.push(markdownBlock({
+    type: "table",
+    title: "Sections",
+    columns: ["Section", "Status", "Summary"],
+    rows: report.sections.map(section => [section.title, BADGES[badgeOf(section)], section.summary ?? ""]),
+  }));
+
+  for (const [index, section] of report.sections.entries()) {
+    parts.push(`## ${index + 1}. ${section.title} - ${BADGES[badgeOf(section)]}`);
+    if (section.status !== "ok") {
+      parts.push(`> **${section.status === "failed" ? "Failed" : "Unavailable"}:** ${section.reason} (\`${section.tool}\`)`);
+      continue;
+    }
+    parts.push(`${section.summary} _(from \`${section.tool}\`)_`);
+    const { blocks } = SECTIONS.find(definition => definition.id === section.id);
+    parts.push(...blocks(section.result).map(markdownBlock));
+  }
+
+  parts.push("## Recommendations");
+  parts.push(report.recommendations.length > 0
+    ? report.recommendations.map(({ section, text }) => `- ${text} _(${section})_`).join("\n")
+    : "No recommendations.");
+  if (report.nextStepsToCheck.length > 0) {
+    parts.push(`**Next tools to run:** ${report.nextStepsToCheck.map(tool => `\`${tool}\``).join(", ")}`);
+  }
+
+  return `${parts.join("\n\n")}\n`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Coloured severity badge
+ */
+function htmlBadge(key) {
+  return `<span class="badge" style="background:${BADGE_COLORS[key]}">${escapeHtml(BADGES[key])}</span>`;
+}
+
+/**
+ * Render a table or list block as HTML
+ */
+function htmlBlock(block) {
+  const title = `<h4>${escapeHtml(block.title)}</h4>`;
+  if (block.type === "list") {
+    return `${title}\n<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+  }
+  if (block.rows.length === 0) {
+    return `${title}\n<p><em>None found</em></p>`;
+  }
+  const head = `<tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join("")}</tr>`;
+  const body = block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n");
+  return `${title}\n<table>\n<thead>${head}</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const HTML_STYLE = `body{font-family:system-ui,-apple-system,"Segoe UI",sans-serif;max-width:1000px;margin:2em auto;padding:0 1em;color:#212121}
+table{border-collapse:collapse;width:100%;margin-bottom:1em}th,td{border:1px solid #ddd;padding:4px 8px;text-align:left}
+th{background:#f5f5f5}.badge{color:#fff;border-radius:4px;padding:2px 8px;font-size:0.8em;font-weight:600;white-space:nowrap}
+.reason{border-left:4px solid #9e9e9e;background:#fafafa;padding:0.5em 1em}.muted{color:#757575}`;
+
+/**
+ * Render the report document as a standalone HTML page (inline styles, no external resources)
+ */
+function renderHtml(report) {
+  const { executiveSummary: summary } = report;
+  const parts = [
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p class="muted">Generated ${escapeHtml(report.generatedAt)} on ${escapeHtml(report.host.hostname)} (${escapeHtml(`${report.host.platform} ${report.host.release}, ${report.host.arch}`)})</p>`,
+    "<h2>Executive summary</h2>",
+  ];
+
+  const overview = [`<li><strong>Overall status:</strong> ${htmlBadge(report.severity)}</li>`];
+  if (summary.healthScore) {
+    overview.push(`<li><strong>Health score:</strong> ${escapeHtml(`${summary.healthScore.score}/100 (${summary.healthScore.status}) - ${summary.healthScore.explanation}`)}</li>`);
+  }
+  if (summary.alertCount) {
+    overview.push(`<li><strong>Alerts:</strong> ${escapeHtml(`${summary.alertCount.critical} critical, ${summary.alertCount.warning} warning, ${summary.alertCount.info} info`)}</li>`);
+  }
+  parts.push(`<ul>${overview.join("")}</ul>`);
+  if (summary.topIssues.length > 0) {
+    parts.push(htmlBlock({ type: "list", title: "Top issues", items: summary.topIssues }));
+  }
+  parts.push("<h4>Sections</h4>");
+  parts.push(`<table>\n<thead><tr><th>Section</th><th>Status</th><th>Summary</th></tr></thead>\n<tbody>\n${report.sections
+    .map(section => `<tr><td><a href="#${section.id}">${escapeHtml(section.title)}</a></td><td>${htmlBadge(badgeOf(section))}</td><td>${escapeHtml(section.summary ?? "")}</td></tr>`)
+    .join("\n")}\n</tbody>\n</table>`);
+
+  for (const [index, section] of report.sections.entries()) {
+    parts.push(`<h2 id="${section.id}">${index + 1}. ${escapeHtml(section.title)} ${htmlBadge(badgeOf(section))}</h2>`);
+    if (section.status !== "ok") {
+      parts.push(`<p class="reason"><strong>${section.status === "failed" ? "Failed" : "Unavailable"}:</strong> ${escapeHtml(section.reason)} <span class="muted">(${section.tool})</span></p>`);
+      continue;
+    }
+    parts.push(`<p>${escapeHtml(section.summary)} <span class="muted">(from ${section.tool})</span></p>`);
+    const { blocks } = SECTIONS.find(definition => definition.id === section.id);
+    parts.push(...blocks(section.result).map(htmlBlock));
+  }
+
+  parts.push("<h2>Recommendations</h2>");
+  parts.push(report.recommendations.length > 0
+    ? `<ul>${report.recommendations.map(({ section, text }) => `<li>${escapeHtml(text)} <span class="muted">(${escapeHtml(section)})</span></li>`).join("\n")}</ul>`
+    : "<p>No recommendations.</p>");
+  if (report.nextStepsToCheck.length > 0) {
+    parts.push(`<p><strong>Next tools to run:</strong> ${report.nextStepsToCheck.map(tool => `<code>${tool}</code>`).join(", ")}</p>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for a report, e.g. health-report-LAPTOP-01-2024-12-15T14-30-45-123Z.md
+ */
+function reportFileName(report, format) {
+  const host = report.host.hostname.replace(/[^A-Za-z0-9._-]/g, "-");
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  return `health-report-${host}-${stamp}.${EXTENSIONS[format]}`;
+}
+
+/**
+ * Directory reports are written under (HEALTH_CHECK_REPORT_DIR, default: reports in the per-user data directory)
+ */
+function getReportDir() {
+  return path.resolve(process.env.HEALTH_CHECK_REPORT_DIR || path.join(getDataDir(), "reports"));
+}
+
+/**
+ * Resolve outputDir under the reports directory
+ * @throws {Error} If it is absolute or leads out of the reports directory
+ */
+function resolveOutputDir(outputDir) {
+  const base = getReportDir();
+  const directory = path.resolve(base, outputDir);
+  const relative = path.relative(base, directory);
+  if (path.isAbsolute(outputDir) || relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new Error(`outputDir must be a directory inside the reports directory ${base}: ${outputDir}`);
+  }
+  return directory;
+}
+
+/**
+ * Generate a health report for escalation: runs get_health_alerts and every deep tool in parallel
+ * and renders an executive summary, a section per tool with a severity badge and tables, and the
+ * combined recommendations. Sections whose tool failed or had no data say why.
+ * @param {Object} options - Optional configuration
+ * @param {string} options.format - "markdown", "html" (standalone page) or "json" (default: markdown)
+ * @param {string} options.outputDir - Write the report to a new file in this directory under HEALTH_CHECK_REPORT_DIR
+ *   (created if missing) and return its path instead of the content (default: return the content)
+ * @param {boolean} options.forceRefresh - Bypass every cached reading (default: false)
+ */
+export async function generateHealthReport(options = {}) {
+  const { format = "markdown", outputDir = null, forceRefresh = false } = options;
+  // Checked before the tools run
+  const directory = outputDir ? resolveOutputDir(outputDir) : null;
+
+  const report = await buildReport({ forceRefresh });
+  const rendered = format === "html" ? renderHtml(report) : format === "json" ? report : renderMarkdown(report);
+
+  const notReported = report.sections.filter(section => section.status !== "ok");
+  let actionableSummary = `${BADGES[report.severity]}: ${report.title}`;
+  if (report.executiveSummary.healthScore) {
+    actionableSummary += `, score ${report.executiveSummary.healthScore.score}/100`;
+  }
+  if (notReported.length > 0) {
+    actionableSummary += `; ${notReported.length} section(s) not reported: ${notReported.map(section => `${section.id} (${section.status})`).join(", ")}`;
+  }
+
+  const result = {
+    timestamp: report.generatedAt,
+    severity: report.severity,
+    format,
+    sections: report.sections.map(({ id, title, status, severity, reason }) => ({ id, title, status, severity, ...(reason ? { reason } : {}) })),
+  };
+
+  if (directory) {
+    const filePath = path.join(directory, reportFileName(report, format));
+    const content = format === "json" ? `${JSON.stringify(rendered, null, 2)}\n` : rendered;
+
+    fs.mkdirSync(directory, { recursive: true });
+    // "wx" never overwrites an existing report
+    fs.writeFileSync(filePath, content, { flag: "wx" });
+
+    result.path = filePath;
+    result.bytes = Buffer.byteLength(content);
+    actionableSummary += `. Saved to ${filePath}`;
+  } else {
+    result.report = rendered;
+  }
+
+  return {
+    ...result,
+    actionableSummary,
+    recommendations: report.recommendations.map(({ text }) => text),
+    nextStepsToCheck: report.nextStepsToCheck,
+  };
+}
@@ -0,0 +1,234 @@
+import { getAlertRules, getThresholds, getVolumeThresholds, RULE_METRICS } from "../policy.js";
+import { getSustainedSince, onSample, METRICS } from "./history.js";
+
+// Resolved alerts stay listed this long after they clear
+const RESOLVED_RETENTION_MS = 60 * 60 * 1000;
+
+const COMPARATORS = {
+  ">": { test: (value, threshold) => value > threshold, words: "above" },
+  ">=": { test: (value, threshold) => value >= threshold, words: "at or above" },
+  "<": { test: (value, threshold) => value < threshold, words: "below" },
+  "<=": { test: (value, threshold) => value <= threshold, words: "at or below" },
+  "==": { test: (value, threshold) => value === threshold, words: "at" },
+  "!=": { test: (value, threshold) => value !== threshold, words: "not at" },
+};
+
+// Alert state per rule and instance (volume, product), keyed "ruleId" or "ruleId@instance"
+// { ruleId, instance, state: pending|firing|resolved, value, threshold, clearThreshold, since, firingSince, resolvedAt }
+const states = new Map();
+const transitionListeners = [];
+
+// Background samples advance pending alerts between get_health_alerts calls.
+// The sampler only records the system volume, so per-volume disk rules wait for get_health_alerts.
+onSample(sample => evaluateRules({ ...sample, diskFree: undefined }));
+
+/**
+ * Threshold and clear threshold of a rule for one instance, or null when the policy turns it off
+ */
+function resolveLimits(rule, instance) {
+  let threshold = rule.threshold;
+  if (threshold === undefined) {
+    const levels = RULE_METRICS[rule.metric].perVolume && instance !== null
+      ? getVolumeThresholds(instance)
+      : getThresholds();
+    threshold = levels[rule.metric][rule.level];
+  }
+  if (threshold === null || threshold === undefined) {
+    return null;
+  }
+
+  let clearThreshold = rule.clearThreshold ?? threshold;
+  if (rule.clearThreshold === undefined && rule.clearMargin) {
+    clearThreshold = rule.comparator.startsWith(">") ? threshold - rule.clearMargin : threshold + rule.clearMargin;
+  }
+  return { threshold, clearThreshold };
+}
+
+/**
+ * When a breach seen now began, looking back through the background history for metrics it records
+ */
+function breachStart(rule, instance, threshold, timestamp) {
+  if (instance !== null || !METRICS[rule.metric]) {
+    return timestamp;
+  }
+  const { test } = COMPARATORS[rule.comparator];
+  const since = getSustainedSince(rule.metric, value => test(value, threshold));
+  return since === null ? timestamp : Math.min(since, timestamp);
+}
+
+/**
+ * Move one rule/instance through pending → firing → resolved for a new reading
+ */
+function updateState(key, rule, instance, value, limits, timestamp) {
+  const { test } = COMPARATORS[rule.comparator];
+  let state = states.get(key);
+
+  if (state?.state === "firing") {
+    state.value = value;
+    // Hysteresis: keep firing until the reading is back past the clear threshold
+    if (!test(value, limits.clearThreshold)) {
+      state.state = "resolved";
+      state.resolvedAt = timestamp;
+      emitTransition(rule, state);
+    }
+    return;
+  }
+
+  if (!test(value, limits.threshold)) {
+    // A pending alert that never lasted long enough is dropped, not resolved
+    if (state?.state === "pending") {
+      states.delete(key);
+    }
+    return;
+  }
+
+  if (!state || state.state === "resolved") {
+    state = { ruleId: rule.id, instance, state: "pending", since: breachStart(rule, instance, limits.threshold, timestamp) };
+    states.set(key, state);
+  }
+  Object.assign(state, { value, ...limits });
+
+  const forMs = (rule.forSeconds ?? 0) * 1000;
+  if (timestamp - state.since >= forMs) {
+    state.state = "firing";
+    state.firingSince = state.since + forMs;
+    emitTransition(rule, state);
+  }
+}
+
+/**
+ * Tell transition listeners an alert started firing or resolved
+ */
+function emitTransition(rule, state) {
+  const alert = describeState(rule, state);
+  for (const listener of transitionListeners) {
+    try {
+      listener(alert);
+    } catch (error) {
+      console.error(`Alert transition listener failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Call a function with every alert that starts firing or resolves from now on
+ * @param {Function} listener - Receives the alert as getAlertStates() describes it
+ */
+export function onAlertTransition(listener) {
+  transitionListeners.push(listener);
+}
+
+/**
+ * Resolve a rule's firing alerts on instances a per-instance reading no longer lists (a removed drive or product)
+ * Pending ones are dropped, as for a reading that recovered.
+ */
+function resolveMissingInstances(rule, reported, timestamp) {
+  for (const [key, state] of states) {
+    if (state.ruleId !== rule.id || state.instance === null || reported.includes(state.instance)) continue;
+
+    if (state.state === "firing") {
+      state.state = "resolved";
+      state.resolvedAt = timestamp;
+      emitTransition(rule, state);
+    } else if (state.state === "pending") {
+      states.delete(key);
+    }
+  }
+}
+
+/**
+ * Evaluate every enabled rule against one sample
+ * @param {Object} sample - { timestamp, <metric>: number or { <instance>: number } }; missing metrics leave their alerts as they are,
+ *   and instances missing from a per-instance metric resolve theirs
+ */
+export function evaluateRules(sample) {
+  const timestamp = sample.timestamp ?? Date.now();
+
+  for (const rule of getAlertRules()) {
+    const reading = sample[rule.metric];
+    if (reading === undefined || reading === null) continue;
+
+    const readings = typeof reading === "object" ? Object.entries(reading) : [[null, reading]];
+    if (typeof reading === "object") {
+      resolveMissingInstances(rule, readings.filter(([, value]) => typeof value === "number").map(([instance]) => instance), timestamp);
+    }
+    for (const [instance, value] of readings) {
+      if (typeof value !== "number") continue;
+
+      const key = instance === null ? rule.id : `${rule.id}@${instance}`;
+      const limits = resolveLimits(rule, instance);
+      if (!limits) {
+        states.delete(key);
+        continue;
+      }
+      updateState(key, rule, instance, value, limits, timestamp);
+    }
+  }
+}
+
+/**
+ * Fill {value}, {threshold}, {instance}, {label} and {unit} into a rule's message
+ */
+function formatMessage(rule, state, condition) {
+  const { label, unit } = RULE_METRICS[rule.metric];
+  const template = rule.message ?? `${label} ${condition}${state.instance !== null ? " on {instance}" : ""}: {value}{unit}`;
+  const fields = { value: state.value, threshold: state.threshold, instance: state.instance ?? "", label, unit };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in fields ? String(fields[name]) : match));
+}
+
+/**
+ * Alert as reported to callers: rule, state, message and times as ISO strings
+ */
+function describeState(rule, state) {
+  const condition = `${COMPARATORS[rule.comparator].words} ${state.threshold}${RULE_METRICS[rule.metric].unit}`;
+  const alert = {
+    rule: rule.id,
+    metric: rule.metric,
+    state: state.state,
+    severity: rule.severity,
+    message: formatMessage(rule, state, condition),
+    condition,
+    value: state.value,
+    threshold: state.threshold,
+    clearThreshold: state.clearThreshold,
+    forSeconds: rule.forSeconds ?? 0,
+    since: new Date(state.since).toISOString(),
+  };
+  if (state.instance !== null) alert.instance = state.instance;
+  if (state.firingSince !== undefined) alert.firingSince = new Date(state.firingSince).toISOString();
+  if (state.resolvedAt !== undefined) alert.resolvedAt = new Date(state.resolvedAt).toISOString();
+  if (rule.nextTool) alert.nextTool = rule.nextTool;
+  return alert;
+}
+
+/**
+ * Current alerts in rule order, dropping resolved ones past retention and those of removed rules
+ * @param {number} now - Time to measure durations against (default: now)
+ * @returns {Object[]} { rule, metric, instance?, state, severity, message, condition, value, threshold, clearThreshold, forSeconds, since, firingSince?, resolvedAt?, nextTool? }
+ */
+export function getAlertStates(now = Date.now()) {
+  const rules = getAlertRules();
+  const alerts = [];
+
+  for (const [key, state] of states) {
+    const order = rules.findIndex(rule => rule.id === state.ruleId);
+    if (order === -1 || (state.state === "resolved" && now - state.resolvedAt > RESOLVED_RETENTION_MS)) {
+      states.delete(key);
+      continue;
+    }
+
+    alerts.push({ ...describeState(rules[order], state), order });
+  }
+
+  // Stable sort keeps instances in the order they first breached
+  return alerts
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...alert }) => alert);
+}
+
+/**
+ * Forget all alert state (after a policy reload, or between tests)
+ */
+export function resetAlertStates() {
+  states.clear();
+}
@@ -0,0 +1,174 @@
+import { DEFAULT_THRESHOLDS, SCORE_CATEGORIES, getScoreWeights, getThresholds, getVolumeThresholds } from "../policy.js";
+import { getLatestSample } from "./history.js";
+
+// Points a reading takes off its category at the critical threshold; the penalty grows in proportion to
+// how far the reading is past the warning threshold, so it keeps growing beyond critical (up to 100)
+const CRITICAL_POINTS = 50;
+// Where the penalty reaches CRITICAL_POINTS for metrics whose critical threshold is turned off
+const WORST_READING = { cpu: 100, memory: 100, diskFree: 0, inodeFree: 0, cpuTemp: 105, batteryCharge: 0 };
+// Points a disabled security feature takes off the security category
+const DISABLED_FEATURE_POINTS = 60;
+// Points lost connectivity takes off the network category
+const OFFLINE_POINTS = 100;
+// Background samples older than this no longer count as a reading
+const SAMPLE_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Factor for a reading past its warning threshold, or null when it is within limits
+ */
+function thresholdFactor(category, metric, name, value, { warning, critical }) {
+  if (typeof value !== "number" || warning === null) {
+    return null;
+  }
+
+  const { unit, direction } = DEFAULT_THRESHOLDS[metric];
+  const excess = direction === "above" ? value - warning : warning - value;
+  if (excess <= 0) {
+    return null;
+  }
+
+  const span = Math.abs((critical ?? WORST_READING[metric]) - warning) || 1;
+  const criticalText = critical !== null ? `, critical at ${critical}${unit}` : "";
+  return {
+    category,
+    factor: `${name} ${value}${unit}`,
+    detail: `${round(excess)} ${direction} the ${warning}${unit} warning threshold${criticalText}`,
+    categoryPoints: round(Math.min(100, (CRITICAL_POINTS * excess) / span)),
+  };
+}
+
+/**
+ * Factors for { <product>: 1 (on) or 0 (off) } security readings
+ */
+function featureFactors(states, feature) {
+  return Object.entries(states ?? {})
+    .filter(([, enabled]) => enabled === 0)
+    .map(([product]) => ({
+      category: "security",
+      factor: `${product} disabled`,
+      detail: `${feature} is off`,
+      categoryPoints: DISABLED_FEATURE_POINTS,
+    }));
+}
+
+/**
+ * Readings and penalties for each category; categories with no reading are left out
+ */
+function collectFactors(readings, sample) {
+  const thresholds = getThresholds();
+  const categories = {};
+
+  if (typeof readings.cpu === "number" || typeof readings.memory === "number") {
+    categories.performance = [
+      thresholdFactor("performance", "cpu", "CPU usage", readings.cpu, thresholds.cpu),
+      thresholdFactor("performance", "memory", "Memory usage", readings.memory, thresholds.memory),
+    ];
+  }
+
+  const volumes = Object.keys(readings.diskFree ?? {});
+  if (volumes.length > 0) {
+    categories.storage = volumes.flatMap(volume => {
+      const limits = getVolumeThresholds(volume);
+      return [
+        thresholdFactor("storage", "diskFree", `Free space on ${volume}`, readings.diskFree[volume], limits.diskFree),
+        thresholdFactor("storage", "inodeFree", `Free inodes on ${volume}`, readings.inodeFree?.[volume], limits.inodeFree),
+      ];
+    });
+  }
+
+  if (readings.antivirusEnabled || readings.firewallEnabled) {
+    categories.security = [
+      ...featureFactors(readings.antivirusEnabled, "Antivirus real-time protection"),
+      ...featureFactors(readings.firewallEnabled, "Firewall"),
+    ];
+  }
+
+  if (typeof sample?.cpuTemp === "number") {
+    categories.thermal = [thresholdFactor("thermal", "cpuTemp", "CPU temperature", sample.cpuTemp, thresholds.cpuTemp)];
+  }
+
+  if (typeof sample?.batteryCharge === "number") {
+    categories.power = [thresholdFactor("power", "batteryCharge", "Battery charge", sample.batteryCharge, thresholds.batteryCharge)];
+  }
+
+  if (typeof sample?.connectivity === "number") {
+    categories.network = sample.connectivity === 0
+      ? [{ category: "network", factor: "Internet unreachable", detail: "connectivity probes failed", categoryPoints: OFFLINE_POINTS }]
+      : [];
+  }
+
+  for (const category of Object.keys(categories)) {
+    categories[category] = categories[category].filter(Boolean);
+  }
+  return categories;
+}
+
+/**
+ * Status band for a score
+ */
+function scoreStatus(score) {
+  return score >= 80 ? "Good" : score >= 60 ? "Fair" : score >= 40 ? "Poor" : "Critical";
+}
+
+/**
+ * Calculate the overall health score (0-100) with per-category sub-scores and what cost points
+ * Each category starts at 100 and loses points per factor; the overall score is the weighted average
+ * of the categories that have readings. A factor's points are its share of the overall score.
+ * @param {Object} readings - get_health_alerts readings: cpu, memory, diskFree, inodeFree, antivirusEnabled, firewallEnabled
+ * @param {number} now - Time used to judge whether the background sample is recent (default: now)
+ * @returns {Object} { score, status, categories, breakdown, explanation }
+ */
+export function calculateHealthScore(readings, now = Date.now()) {
+  const latest = getLatestSample();
+  const sample = latest && now - latest.timestamp <= SAMPLE_MAX_AGE_MS ? latest : null;
+  const weights = getScoreWeights();
+  const found = collectFactors(readings, sample);
+
+  const scored = Object.keys(found).filter(category => weights[category] > 0);
+  const totalWeight = scored.reduce((sum, category) => sum + weights[category], 0);
+
+  const categories = {};
+  const breakdown = [];
+  let weightedSum = 0;
+  for (const [category, { label }] of Object.entries(SCORE_CATEGORIES)) {
+    const entry = { label, weight: weights[category], score: null };
+    categories[category] = entry;
+
+    if (!found[category]) {
+      entry.note = "No reading available";
+      continue;
+    }
+
+    // Penalties past 100 are scaled down so the factors add up to what the category actually lost
+    const penalty = found[category].reduce((sum, factor) => sum + factor.categoryPoints, 0);
+    const scale = penalty > 100 ? 100 / penalty : 1;
+    entry.score = round(100 - penalty * scale);
+
+    if (!scored.includes(category)) {
+      entry.note = "Weight 0 - not counted";
+      continue;
+    }
+    weightedSum += entry.score * weights[category];
+    for (const factor of found[category]) {
+      breakdown.push({ ...factor, points: round((factor.categoryPoints * scale * weights[category]) / totalWeight) });
+    }
+  }
+
+  const score = totalWeight > 0 ? round(weightedSum / totalWeight) : 100;
+  breakdown.sort((a, b) => b.points - a.points);
+
+  const subScores = scored.map(category => `${category} ${categories[category].score}`).join(", ");
+  let explanation = `${score}/100 from ${subScores || "no readings"}`;
+  if (breakdown.length > 0) {
+    explanation += `; biggest impact: ${breakdown[0].factor} (-${breakdown[0].points})`;
+  }
+
+  return { score, status: scoreStatus(score), categories, breakdown, explanation };
+}
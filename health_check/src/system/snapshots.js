@@ -0,0 +1,599 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getPlatformName, getDataDir } from "../platform/index.js";
+import { collectSections } from "./report.js";
+import { alertText, isOutranked } from "./alerts.js";
+import { RULE_METRICS } from "../policy.js";
+
+// Snapshot names double as file names
+export const SNAPSHOT_NAME_PATTERN = "^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$";
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+// Smallest changes worth reporting; smaller ones are noise between two readings
+const SCORE_CHANGE_MIN = 5;
+const DISK_CHANGE_MIN_PERCENT = 1;
+const DISK_CHANGE_MIN_GB = 1;
+// Tool to look at a change with, by area (a section's id for changes in its severity)
+const AREA_TOOLS = {
+  alerts: "get_health_alerts",
+  performance: "get_performance_stats",
+  battery: "get_battery_status",
+  thermal: "get_thermal_status",
+  systemHealth: "get_system_health",
+  security: "get_system_health",
+  disks: "get_system_health",
+  processes: "get_performance_stats",
+  network: "get_network_status",
+  devices: "get_network_status",
+  eventLog: "get_event_log_summary",
+};
+// Snapshots listed in tool results
+const LISTED_SNAPSHOTS = 10;
+
+/**
+ * Directory snapshots are kept in (HEALTH_CHECK_SNAPSHOT_DIR, default: snapshots in the per-user data directory)
+ */
+function getSnapshotDir() {
+  return process.env.HEALTH_CHECK_SNAPSHOT_DIR || path.join(getDataDir(), "snapshots");
+}
+
+/**
+ * Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Difference with its sign, e.g. "+12" or "-180.5 GB"
+ */
+function signed(value, unit = "") {
+  return `${value > 0 ? "+" : ""}${round(value)}${unit}`;
+}
+
+/**
+ * Time between two ISO timestamps, e.g. "1d 2h" or "25 min"
+ */
+function formatElapsed(from, to) {
+  const minutes = Math.round((Date.parse(to) - Date.parse(from)) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Stored snapshots, newest first
+ * @returns {Object[]} [{ name, takenAt }]
+ */
+function listSnapshots() {
+  let files;
+  try {
+    files = fs.readdirSync(getSnapshotDir()).filter(file => file.endsWith(".json"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    try {
+      const { name, takenAt } = JSON.parse(fs.readFileSync(path.join(getSnapshotDir(), file), "utf8"));
+      snapshots.push({ name, takenAt });
+    } catch (error) {
+      console.error(`Skipping unreadable health snapshot ${file}: ${error.message}`);
+    }
+  }
+  return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
+
+/**
+ * Load a stored snapshot
+ * @throws {Error} If there is no snapshot by that name
+ */
+function loadSnapshot(name) {
+  const filePath = path.join(getSnapshotDir(), `${name}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Snapshot "${name}" is unreadable: ${error.message}`);
+    }
+    const known = listSnapshots().map(snapshot => snapshot.name);
+    throw new Error(`No snapshot named "${name}" (stored: ${known.length > 0 ? known.join(", ") : "none"})`);
+  }
+}
+
+/**
+ * Capture every tool's output now
+ */
+async function takeSnapshot(name) {
+  const sections = await collectSections({ forceRefresh: true });
+  return {
+    name,
+    takenAt: new Date().toISOString(),
+    host: {
+      hostname: os.hostname(),
+      platform: getPlatformName(),
+      release: os.release(),
+      arch: os.arch(),
+    },
+    sections,
+  };
+}
+
+/**
+ * Store a named, timestamped snapshot of every tool's output for a later compare_health_snapshots
+ * @param {Object} options - Optional configuration
+ * @param {string} options.name - Snapshot name, e.g. "before-update" (default: snapshot-<time>)
+ * @param {boolean} options.replace - Overwrite a snapshot with the same name (default: false)
+ * @throws {Error} If a snapshot with that name exists and replace is not set
+ */
+export async function captureHealthSnapshot(options = {}) {
+  const { replace = false } = options;
+  const name = options.name ?? `snapshot-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  const directory = getSnapshotDir();
+  const filePath = path.join(directory, `${name}.json`);
+
+  if (!replace && fs.existsSync(filePath)) {
+    throw new Error(`Snapshot "${name}" already exists - pick another name or set replace to overwrite it`);
+  }
+
+  const snapshot = await takeSnapshot(name);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(snapshot));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+
+  const missing = snapshot.sections.filter(section => section.status !== "ok");
+  const severity = snapshot.sections.reduce(
+    (worst, section) => (SEVERITY_RANK[section.severity] > SEVERITY_RANK[worst] ? section.severity : worst),
+    "info"
+  );
+
+  let actionableSummary = `Snapshot "${name}" saved with ${snapshot.sections.length - missing.length} of ${snapshot.sections.length} tools`;
+  if (missing.length > 0) {
+    actionableSummary += ` (${missing.map(section => `${section.id} ${section.status}`).join(", ")})`;
+  }
+
+  return {
+    timestamp: snapshot.takenAt,
+    severity,
+    snapshot: {
+      name,
+      takenAt: snapshot.takenAt,
+      path: filePath,
+      sections: snapshot.sections.map(({ id, status, severity: sectionSeverity, reason }) => ({
+        id, status, severity: sectionSeverity, ...(reason ? { reason } : {}),
+      })),
+    },
+    storedSnapshots: listSnapshots().slice(0, LISTED_SNAPSHOTS),
+    actionableSummary,
+    recommendations: [`Compare later with compare_health_snapshots (from: "${name}") to see what changed`],
+    nextStepsToCheck: [],
+  };
+}
+
+/**
+ * A tool's result in a snapshot, or null when it failed or had no data
+ */
+function resultOf(snapshot, id) {
+  const section = snapshot.sections.find(candidate => candidate.id === id);
+  return section?.status === "ok" ? section.result : null;
+}
+
+/**
+ * Changes in each tool's overall severity and in whether it had data
+ */
+function sectionChanges(from, to) {
+  const changes = [];
+  for (const before of from.sections) {
+    const after = to.sections.find(section => section.id === before.id);
+    if (!after) continue;
+
+    if (before.status !== after.status) {
+      changes.push({
+        area: after.id,
+        change: after.status === "ok"
+          ? `${after.title}: data available again`
+          : `${after.title}: ${after.status === "failed" ? "tool failed" : "no data"} (${after.reason})`,
+        severity: "info",
+        before: before.status,
+        after: after.status,
+      });
+    } else if (after.status === "ok" && before.severity !== after.severity) {
+      changes.push({
+        area: after.id,
+        change: `${after.title} severity ${before.severity} → ${after.severity}`,
+        severity: SEVERITY_RANK[after.severity] > SEVERITY_RANK[before.severity] ? after.severity : "info",
+        before: before.severity,
+        after: after.severity,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Firing alerts listed by get_health_alerts, by rule and instance
+ */
+function firingAlerts(result) {
+  const states = result.alertStates ?? [];
+  return new Map(states
+    .filter(alert => alert.state === "firing" && !isOutranked(alert, states))
+    .map(alert => [alert.instance ? `${alert.rule}@${alert.instance}` : alert.rule, alert]));
+}
+
+/**
+ * Health score movement, alerts that started, cleared or changed, and anomalies that appeared or went
+ * Alerts are matched by rule and instance, since their messages embed the reading.
+ */
+function alertChanges(before, after) {
+  const changes = [];
+  const scoreDelta = after.systemHealthScore.score - before.systemHealthScore.score;
+  if (Math.abs(scoreDelta) >= SCORE_CHANGE_MIN) {
+    changes.push({
+      area: "alerts",
+      change: `Health score ${before.systemHealthScore.score} → ${after.systemHealthScore.score} (${signed(scoreDelta)})`,
+      severity: scoreDelta < 0 ? "warning" : "info",
+      before: before.systemHealthScore.score,
+      after: after.systemHealthScore.score,
+    });
+  }
+
+  const beforeAlerts = firingAlerts(before);
+  const afterAlerts = firingAlerts(after);
+  for (const [key, alert] of afterAlerts) {
+    const previous = beforeAlerts.get(key);
+    const unit = RULE_METRICS[alert.metric]?.unit ?? "";
+    if (!previous) {
+      changes.push({ area: "alerts", change: `New alert: ${alertText(alert)}`, severity: alert.severity, before: null, after: alert.message });
+    } else if (previous.severity !== alert.severity) {
+      changes.push({
+        area: "alerts",
+        change: `Alert ${previous.severity} → ${alert.severity}: ${alertText(alert)}`,
+        severity: SEVERITY_RANK[alert.severity] > SEVERITY_RANK[previous.severity] ? alert.severity : "info",
+        before: previous.severity,
+        after: alert.severity,
+      });
+    } else if (previous.value !== alert.value) {
+      changes.push({
+        area: "alerts",
+        change: `Still firing: ${alertText(alert)} (was ${round(previous.value)}${unit})`,
+        severity: "info",
+        before: previous.value,
+        after: alert.value,
+      });
+    }
+  }
+  for (const [key, alert] of beforeAlerts) {
+    if (!afterAlerts.has(key)) {
+      changes.push({ area: "alerts", change: `Alert cleared: ${alertText(alert)}`, severity: "info", before: alert.message, after: null });
+    }
+  }
+
+  const beforeAnomalies = before.anomalies ?? [];
+  const afterAnomalies = after.anomalies ?? [];
+  for (const anomaly of afterAnomalies.filter(candidate => !beforeAnomalies.some(previous => previous.metric === candidate.metric))) {
+    const { low, high } = anomaly.expected;
+    changes.push({
+      area: "alerts",
+      change: `New anomaly: ${anomaly.label} ${anomaly.value}${anomaly.unit} (expected ${low}-${high}${anomaly.unit})`,
+      severity: anomaly.severity,
+      before: null,
+      after: anomaly.message,
+    });
+  }
+  for (const anomaly of beforeAnomalies.filter(candidate => !afterAnomalies.some(current => current.metric === candidate.metric))) {
+    changes.push({ area: "alerts", change: `Anomaly cleared: ${anomaly.label}`, severity: "info", before: anomaly.message, after: null });
+  }
+  return changes;
+}
+
+/**
+ * Security features as { "<feature>: <product>": true (on) / false (off) }
+ * From the alert readings, or get_system_health when alerts are missing from the snapshot
+ */
+function securityStates(snapshot) {
+  const states = {};
+  const readings = resultOf(snapshot, "alerts")?.readings;
+  const health = resultOf(snapshot, "systemHealth");
+
+  if (readings) {
+    for (const [feature, products] of [["Antivirus", readings.antivirusEnabled], ["Firewall", readings.firewallEnabled]]) {
+      for (const [product, enabled] of Object.entries(products ?? {})) {
+        states[`${feature}: ${product}`] = enabled === 1;
+      }
+    }
+  } else if (health) {
+    if (typeof health.antivirus.realTimeMonitoring === "boolean") {
+      states[`Antivirus: ${health.antivirus.product}`] = health.antivirus.realTimeMonitoring;
+    }
+    if (typeof health.firewall.active === "boolean") {
+      states[`Firewall: ${health.firewall.product}`] = health.firewall.active;
+    }
+  }
+  return states;
+}
+
+/**
+ * Security features turned on or off, and risky services newly exposed or closed
+ */
+function securityChanges(from, to) {
+  const changes = [];
+  const before = securityStates(from);
+  const after = securityStates(to);
+  for (const [feature, enabled] of Object.entries(after)) {
+    if (feature in before && before[feature] !== enabled) {
+      changes.push({
+        area: "security",
+        change: `${feature} turned ${enabled ? "on" : "off"}`,
+        severity: enabled ? "info" : "critical",
+        before: before[feature] ? "on" : "off",
+        after: enabled ? "on" : "off",
+      });
+    }
+  }
+
+  const beforePorts = resultOf(from, "systemHealth")?.openPorts;
+  const afterPorts = resultOf(to, "systemHealth")?.openPorts;
+  if (beforePorts && afterPorts && !beforePorts.error && !afterPorts.error) {
+    const describe = listener => `${listener.service} on ${listener.address}:${listener.port}`;
+    const beforeRisky = beforePorts.risky.map(describe);
+    const afterRisky = afterPorts.risky.map(describe);
+    for (const service of afterRisky.filter(service => !beforeRisky.includes(service))) {
+      changes.push({ area: "security", change: `Newly exposed: ${service}`, severity: "warning", before: null, after: service });
+    }
+    for (const service of beforeRisky.filter(service => !afterRisky.includes(service))) {
+      changes.push({ area: "security", change: `No longer exposed: ${service}`, severity: "info", before: service, after: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Free space deltas per volume, and volumes added or removed
+ */
+function diskChanges(before, after) {
+  const changes = [];
+  for (const volume of after.disk.volumes) {
+    const previous = before.disk.volumes.find(candidate => candidate.volume === volume.volume);
+    if (!previous) {
+      changes.push({ area: "disks", change: `Volume ${volume.volume} added (${volume.percentFree}% free)`, severity: "info", before: null, after: volume.percentFree });
+      continue;
+    }
+
+    const percentDelta = volume.percentFree - previous.percentFree;
+    const gbDelta = volume.freeGB - previous.freeGB;
+    if (Math.abs(percentDelta) >= DISK_CHANGE_MIN_PERCENT || Math.abs(gbDelta) >= DISK_CHANGE_MIN_GB) {
+      changes.push({
+        area: "disks",
+        change: `${volume.volume} free space ${previous.percentFree}% → ${volume.percentFree}% (${signed(gbDelta, " GB")})`,
+        severity: gbDelta < 0 ? volume.severity : "info",
+        before: previous.percentFree,
+        after: volume.percentFree,
+      });
+    }
+  }
+  for (const volume of before.disk.volumes) {
+    if (!after.disk.volumes.some(candidate => candidate.volume === volume.volume)) {
+      changes.push({ area: "disks", change: `Volume ${volume.volume} removed`, severity: "info", before: volume.percentFree, after: null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Processes that entered or left the top process list, by name since PIDs change across restarts
+ */
+function processChanges(before, after) {
+  const names = stats => [...new Set((stats.topProcesses ?? []).map(process => process.name))];
+  const beforeNames = names(before);
+  const afterNames = names(after);
+
+  const changes = [];
+  for (const name of afterNames.filter(candidate => !beforeNames.includes(candidate))) {
+    const top = after.topProcesses.find(process => process.name === name);
+    changes.push({
+      area: "processes",
+      change: `New in top processes (by ${after.processesRankedBy}): ${name} (PID ${top.pid}, ${top.cpuPercent}% CPU, ${top.memoryMB} MB)`,
+      severity: "info",
+      before: null,
+      after: name,
+    });
+  }
+  for (const name of beforeNames.filter(candidate => !afterNames.includes(candidate))) {
+    changes.push({ area: "processes", change: `No longer in top processes: ${name}`, severity: "info", before: name, after: null });
+  }
+  return changes;
+}
+
+/**
+ * Interfaces added, removed, going up or down or changing address, and connectivity verdict changes
+ */
+function networkChanges(before, after) {
+  const changes = [];
+  for (const adapter of after.interfaces) {
+    const previous = before.interfaces.find(candidate => candidate.name === adapter.name);
+    if (!previous) {
+      changes.push({ area: "network", change: `Interface ${adapter.name} added (${adapter.status})`, severity: "info", before: null, after: adapter.status });
+    } else if (previous.status !== adapter.status) {
+      changes.push({
+        area: "network",
+        change: `Interface ${adapter.name} ${previous.status} → ${adapter.status}`,
+        severity: adapter.status === "down" ? "warning" : "info",
+        before: previous.status,
+        after: adapter.status,
+      });
+    } else if (previous.ipv4 !== adapter.ipv4) {
+      changes.push({ area: "network", change: `Interface ${adapter.name} IPv4 ${previous.ipv4} → ${adapter.ipv4}`, severity: "info", before: previous.ipv4, after: adapter.ipv4 });
+    }
+  }
+  for (const adapter of before.interfaces) {
+    if (!after.interfaces.some(candidate => candidate.name === adapter.name)) {
+      changes.push({ area: "network", change: `Interface ${adapter.name} removed`, severity: "info", before: adapter.status, after: null });
+    }
+  }
+
+  const { verdict: beforeVerdict, connected: wasConnected } = before.internetConnectivity;
+  const { verdict: afterVerdict, connected } = after.internetConnectivity;
+  // An unchecked verdict (probes could not run) is no evidence of a change
+  if (beforeVerdict !== afterVerdict && beforeVerdict !== "unknown" && afterVerdict !== "unknown") {
+    const lost = wasConnected === true && connected === false;
+    let severity = ["online", "icmp_blocked"].includes(afterVerdict) ? "info" : "warning";
+    if (lost) severity = "critical";
+    changes.push({
+      area: "network",
+      change: lost
+        ? `Internet connectivity lost (${beforeVerdict} → ${afterVerdict})`
+        : `Internet connectivity ${beforeVerdict} → ${afterVerdict}`,
+      severity,
+      before: beforeVerdict,
+      after: afterVerdict,
+    });
+  }
+
+  if (!before.defaultRoute.error && !after.defaultRoute.error && before.defaultRoute.gateway !== after.defaultRoute.gateway) {
+    changes.push({
+      area: "network",
+      change: `Default gateway ${before.defaultRoute.gateway} → ${after.defaultRoute.gateway}`,
+      severity: "info",
+      before: before.defaultRoute.gateway,
+      after: after.defaultRoute.gateway,
+    });
+  }
+  return changes;
+}
+
+/**
+ * USB and Bluetooth device count changes
+ */
+function deviceChanges(before, after) {
+  const changes = [];
+  for (const [field, label] of [["usbDevices", "USB devices"], ["bluetoothDevices", "Bluetooth devices"]]) {
+    const previous = before.connectedDevices[field];
+    const current = after.connectedDevices[field];
+    if (typeof previous === "number" && typeof current === "number" && previous !== current) {
+      changes.push({ area: "devices", change: `${label} ${previous} → ${current} (${signed(current - previous)})`, severity: "info", before: previous, after: current });
+    }
+  }
+  return changes;
+}
+
+/**
+ * System event log error count changes over the same window
+ */
+function eventLogChanges(before, after) {
+  const { errorCount: previous, windowHours } = before.systemLogs;
+  const { errorCount: current } = after.systemLogs;
+  if (previous === current || windowHours !== after.systemLogs.windowHours) {
+    return [];
+  }
+
+  const severity = current < previous ? "info" : after.systemLogs.critical === true ? "critical" : after.systemLogs.warning === true ? "warning" : "info";
+  return [{
+    area: "eventLog",
+    change: `System errors in the last ${windowHours}h ${previous} → ${current} (${signed(current - previous)})`,
+    severity,
+    before: previous,
+    after: current,
+  }];
+}
+
+/**
+ * Areas compared from one tool's result; available() tells whether a result has the data
+ */
+const COMPARISONS = [
+  { id: "alerts", label: "Alerts and health score", compare: alertChanges },
+  { id: "systemHealth", label: "Disk usage", available: health => !health.disk.error, compare: diskChanges },
+  { id: "performance", label: "Top processes", compare: processChanges },
+  { id: "network", label: "Network interfaces and connectivity", compare: networkChanges },
+  { id: "network", label: "Connected devices", available: network => typeof network.connectedDevices.usbDevices === "number", compare: deviceChanges },
+  { id: "systemHealth", label: "System event errors", available: health => typeof health.systemLogs.errorCount === "number", compare: eventLogChanges },
+];
+
+/**
+ * Every change between two snapshots, and the areas that couldn't be compared
+ */
+function diffSnapshots(from, to) {
+  const changes = securityChanges(from, to);
+  const notCompared = [];
+
+  for (const { id, label, available = () => true, compare } of COMPARISONS) {
+    const before = resultOf(from, id);
+    const after = resultOf(to, id);
+    const hasBefore = Boolean(before) && available(before);
+    const hasAfter = Boolean(after) && available(after);
+    if (hasBefore && hasAfter) {
+      changes.push(...compare(before, after));
+    } else {
+      const missingIn = [!hasBefore && `"${from.name}"`, !hasAfter && `"${to.name}"`].filter(Boolean).join(" and ");
+      notCompared.push(`${label}: no data in ${missingIn}`);
+    }
+  }
+
+  // Tool severity changes sum up the specific ones, so they come after them
+  changes.push(...sectionChanges(from, to));
+
+  // Most severe first; the sort is stable so the order above holds within a severity
+  changes.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+  return { changes, notCompared };
+}
+
+/**
+ * Compare two snapshots, or a snapshot with the system now, semantically: severity changes, security
+ * features toggled, disk usage deltas, top processes, interfaces, device counts and event errors
+ * @param {Object} options - Optional configuration
+ * @param {string} options.from - Earlier snapshot (default: the most recent one)
+ * @param {string} options.to - Later snapshot (default: the system now)
+ * @throws {Error} If a named snapshot doesn't exist, or there are none yet
+ */
+export async function compareHealthSnapshots(options = {}) {
+  let fromName = options.from;
+  if (!fromName) {
+    const [latest] = listSnapshots();
+    if (!latest) {
+      throw new Error("No snapshots stored yet - capture one with capture_health_snapshot first");
+    }
+    fromName = latest.name;
+  }
+
+  const from = loadSnapshot(fromName);
+  const to = options.to ? loadSnapshot(options.to) : await takeSnapshot("now");
+  const { changes, notCompared } = diffSnapshots(from, to);
+
+  const severity = changes[0]?.severity ?? "info";
+  const nextStepsToCheck = [...new Set(changes
+    .filter(change => change.severity !== "info")
+    .map(change => AREA_TOOLS[change.area]))]
+    .slice(0, 2);
+
+  const span = `"${from.name}" (${from.takenAt}) and ${options.to ? `"${to.name}"` : "now"}, ${formatElapsed(from.takenAt, to.takenAt)} apart`;
+  const actionableSummary = changes.length > 0
+    ? `${changes.length} change${changes.length !== 1 ? "s" : ""} between ${span}: ${changes.slice(0, 3).map(change => change.change).join("; ")}`
+    : `No changes between ${span}`;
+
+  const recommendations = [];
+  if (from.host.hostname !== to.host.hostname) {
+    recommendations.push(`Snapshots are from different hosts (${from.host.hostname}, ${to.host.hostname}) - differences are not necessarily changes`);
+  }
+  if (changes.length === 0) {
+    recommendations.push("Nothing the health tools track changed - look at software, driver or settings changes since the snapshot");
+  } else if (severity !== "info") {
+    recommendations.push(`Start with: ${changes[0].change}`);
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    severity,
+    from: { name: from.name, takenAt: from.takenAt, host: from.host.hostname },
+    to: { name: to.name, takenAt: to.takenAt, host: to.host.hostname },
+    elapsed: formatElapsed(from.takenAt, to.takenAt),
+    changeCount: changes.length,
+    changes,
+    notCompared,
+    actionableSummary,
+    recommendations,
+    nextStepsToCheck,
+  };
+}
@@ -1,27 +1,46 @@
-import { exec } from "child_process";
-import { promisify } from "util";
+import { getBackend } from "../platform/index.js";
+import { getThresholds, exceeds } from "../policy.js";
+import { getVolumes, getPhysicalDisks } from "./disks.js";
+import { getExposedServices } from "./ports.js";
+import { fromCache } from "../cache.js";
 
-const execPromise = promisify(exec);
+/**
+ * Antivirus state from the backend, cached and shared with get_health_alerts
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Ignore the cached state (default: false)
+ * @throws {Error} If the state can't be read
+ */
+export function queryAntivirus(options = {}) {
+  return fromCache("antivirus", () => getBackend().getAntivirusStatus(), options);
+}
+
+/**
+ * Firewall state from the backend, cached and shared with get_health_alerts
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Ignore the cached state (default: false)
+ * @throws {Error} If the state can't be read
+ */
+export function queryFirewall(options = {}) {
+  return fromCache("firewall", () => getBackend().getFirewallStatus(), options);
+}
 
 /**
- * Check Windows Defender status
+ * Check antivirus status (Windows Defender / ClamAV)
  */
-async function getDefenderStatus() {
+async function getDefenderStatus(forceRefresh) {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-MpPreference | Select-Object -ExpandProperty DisableRealtimeMonitoring"'
-    );
-    
-    const disabled = stdout.trim() === "True";
+    const { product, realTimeMonitoring } = await queryAntivirus({ forceRefresh });
     return {
-      active: !disabled,
-      realTimeMonitoring: !disabled,
+      product,
+      active: realTimeMonitoring,
+      realTimeMonitoring,
     };
   } catch (error) {
     return {
+      product: getBackend().hints.antivirusName,
       active: "Unknown",
       realTimeMonitoring: "Unknown",
-      error: "Unable to determine Defender status",
+      error: "Unable to determine antivirus status",
     };
   }
 }
@@ -29,19 +48,17 @@ async function getDefenderStatus() {
 /**
  * Check Firewall status
  */
-async function getFirewallStatus() {
+async function getFirewallStatus(forceRefresh) {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-NetFirewallProfile | Where-Object {$_.Enabled -eq $true} | Measure-Object | Select-Object -ExpandProperty Count"'
-    );
-    
-    const enabledProfiles = parseInt(stdout.trim());
+    const { product, enabledProfiles } = await queryFirewall({ forceRefresh });
     return {
+      product,
       active: enabledProfiles > 0,
       enabledProfiles: enabledProfiles,
     };
   } catch (error) {
     return {
+      product: getBackend().hints.firewallName,
       active: "Unknown",
       enabledProfiles: "Unknown",
       error: "Unable to determine Firewall status",
@@ -50,46 +67,43 @@ async function getFirewallStatus() {
 }
 
 /**
- * Check for pending Windows updates
+ * Check for pending system updates
  */
 async function getPendingUpdates() {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-WmiObject -Namespace "root\\ccm\\clientSDK" -Class CCM_SoftwareUpdate -Filter CompletionState=0 | Measure-Object | Select-Object -ExpandProperty Count"'
-    );
-    
-    const pendingCount = parseInt(stdout.trim()) || 0;
+    const pendingCount = await getBackend().getPendingUpdateCount();
     return {
       pending: pendingCount > 0,
       count: pendingCount,
     };
   } catch (error) {
-    // Windows Update COM API might not be available
+    // Update APIs might not be available
     return {
       pending: "Unknown",
       count: "N/A",
-      note: "Check Windows Update settings manually",
+      note: "Check system update settings manually",
     };
   }
 }
 
 /**
- * Check system event log for errors (last 24 hours)
+ * Check system event log for errors over the last N hours
  */
-async function getSystemErrors() {
+async function getSystemErrors(hours) {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-EventLog -LogName System -EntryType Error -After (Get-Date).AddHours(-24) | Measure-Object | Select-Object -ExpandProperty Count"'
-    );
-    
-    const errorCount = parseInt(stdout.trim()) || 0;
+    const errorCount = await getBackend().getSystemErrorCount(hours);
+    const { eventErrors } = getThresholds();
     return {
-      errors24h: errorCount,
-      critical: errorCount > 10,
+      windowHours: hours,
+      errorCount,
+      // Warning is inclusive: the default of 5 flags five or more errors
+      warning: eventErrors.warning !== null && errorCount >= eventErrors.warning,
+      critical: exceeds("eventErrors", errorCount, eventErrors.critical),
     };
   } catch (error) {
     return {
-      errors24h: "N/A",
+      windowHours: hours,
+      errorCount: "N/A",
       critical: "Unknown",
       error: "Unable to retrieve system logs",
     };
@@ -97,42 +111,67 @@ async function getSystemErrors() {
 }
 
 /**
- * Get disk space warning
+ * Get space/inode usage for every volume (or the chosen one) plus physical disk SMART health
+ */
+async function getDiskHealth(volume, forceRefresh) {
+  const [volumes, physical] = await Promise.all([
+    getVolumes({ volume, forceRefresh }).catch(() => null),
+    getPhysicalDisks(),
+  ]);
+
+  const disk = {
+    lowestPercentFree: volumes?.length > 0 ? Math.min(...volumes.map(v => v.percentFree)) : "N/A",
+    volumes: volumes ?? [],
+    physicalDisks: physical.disks,
+  };
+  if (!volumes) {
+    disk.error = "Unable to retrieve disk information";
+  }
+  if (!physical.available) {
+    disk.physicalDiskNote = physical.note;
+  }
+  return disk;
+}
+
+/**
+ * Listening sockets reachable from the network, flagging well-known risky services
  */
-async function getDiskHealth() {
+async function getOpenPortsSummary() {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-Volume -DriveLetter C | Select-Object @{Name=\'PercentFree\';Expression={[math]::Round((($_.SizeRemaining/$_.Size)*100), 2)}} | Select-Object -ExpandProperty PercentFree"'
-    );
-    
-    const percentFree = parseFloat(stdout.trim());
-    return {
-      percentFree,
-      warning: percentFree < 20,
-      critical: percentFree < 5,
-    };
+    return await getExposedServices();
   } catch (error) {
     return {
-      percentFree: "N/A",
-      warning: false,
-      critical: false,
-      error: "Unable to retrieve disk information",
+      listening: "N/A",
+      exposed: [],
+      risky: [],
+      error: "Unable to list open ports",
     };
   }
 }
 
 /**
  * Get comprehensive system health status
+ * @param {Object} options - Optional configuration
+ * @param {string} options.volume - Drive letter (Windows) or mount path (Linux) to check (default: system volume)
+ * @param {number} options.eventLogHours - Hours of the system event log to count errors over (default: 24)
+ * @param {boolean} options.forceRefresh - Ignore the cached antivirus, firewall and volume readings (default: false)
  */
-export async function getSystemHealth() {
-  const [defender, firewall, updates, errors, disk] = await Promise.all([
-    getDefenderStatus(),
-    getFirewallStatus(),
+export async function getSystemHealth(options = {}) {
+  const { volume, eventLogHours = 24, forceRefresh = false } = options;
+
+  const [defender, firewall, updates, errors, disk, openPorts] = await Promise.all([
+    getDefenderStatus(forceRefresh),
+    getFirewallStatus(forceRefresh),
     getPendingUpdates(),
-    getSystemErrors(),
-    getDiskHealth(),
+    getSystemErrors(eventLogHours),
+    getDiskHealth(volume, forceRefresh),
+    getOpenPortsSummary(),
   ]);
 
+  const { hints } = getBackend();
+  const volumeIssues = disk.volumes.flatMap(v => v.issues);
+  const physicalIssues = disk.physicalDisks.flatMap(d => d.issues);
+
   // Determine severity based on security and stability
   let severity = "info";
   const recommendations = [];
@@ -143,51 +182,75 @@ export async function getSystemHealth() {
   // Critical security issues
   if (defender.active === false) {
     severity = "critical";
-    criticalIssues.push("Windows Defender is disabled");
-    recommendations.push("⚠️ CRITICAL: Enable Windows Defender immediately");
-    recommendations.push("Run: Set-MpPreference -DisableRealtimeMonitoring $false (as Administrator)");
+    criticalIssues.push(`${defender.product} is disabled`);
+    recommendations.push(`⚠️ CRITICAL: Enable ${defender.product} immediately`);
+    recommendations.push(hints.enableAntivirus);
   }
 
   if (firewall.active === false) {
     severity = "critical";
-    criticalIssues.push("Windows Firewall is disabled");
-    recommendations.push("⚠️ CRITICAL: Enable Windows Firewall");
-    recommendations.push("Run: Set-NetFirewallProfile -Profile Domain,Public,Private -Enabled True");
+    criticalIssues.push(`${firewall.product} is disabled`);
+    recommendations.push(`⚠️ CRITICAL: Enable ${firewall.product}`);
+    recommendations.push(hints.enableFirewall);
   }
 
-  // Critical disk space
-  if (typeof disk.percentFree === "number" && disk.percentFree < 5) {
+  // Critical disk space or inodes, per volume
+  const criticalVolumeIssues = volumeIssues.filter(issue => issue.severity === "critical");
+  if (criticalVolumeIssues.length > 0) {
     severity = "critical";
-    criticalIssues.push(`Disk space critical: ${disk.percentFree}% free`);
+    criticalIssues.push(...criticalVolumeIssues.map(issue => issue.message));
     recommendations.push("⚠️ CRITICAL: Free up disk space immediately");
-    recommendations.push("Run Disk Cleanup (cleanmgr) or delete unnecessary files");
+    recommendations.push(hints.diskCleanup);
+  }
+
+  // Failing physical disks
+  const criticalPhysicalIssues = physicalIssues.filter(issue => issue.severity === "critical");
+  if (criticalPhysicalIssues.length > 0) {
+    severity = "critical";
+    criticalIssues.push(...criticalPhysicalIssues.map(issue => issue.message));
+    recommendations.push("⚠️ CRITICAL: Back up data on the affected disk and plan its replacement");
   }
 
   // Critical system errors
-  if (typeof errors.errors24h === "number" && errors.errors24h > 10) {
+  if (errors.critical === true) {
     if (severity !== "critical") severity = "critical";
-    criticalIssues.push(`High system error count: ${errors.errors24h} in last 24h`);
-    recommendations.push("Review Event Viewer for system stability issues");
+    criticalIssues.push(`High system error count: ${errors.errorCount} in last ${errors.windowHours}h`);
+    recommendations.push(hints.eventLog);
+    nextStepsToCheck.push("get_event_log_summary"); // Which sources keep failing
     nextStepsToCheck.push("get_performance_stats"); // Check if performance issues
   }
 
   // Warnings (if not already critical)
   if (severity !== "critical") {
-    if (typeof disk.percentFree === "number" && disk.percentFree >= 5 && disk.percentFree < 20) {
+    if (volumeIssues.length > 0) {
       severity = "warning";
-      warnings.push(`Low disk space: ${disk.percentFree}% free`);
+      warnings.push(...volumeIssues.map(issue => issue.message));
       recommendations.push("Consider freeing up disk space soon");
     }
 
-    if (typeof errors.errors24h === "number" && errors.errors24h >= 5 && errors.errors24h <= 10) {
+    if (physicalIssues.length > 0) {
+      severity = "warning";
+      warnings.push(...physicalIssues.map(issue => issue.message));
+      recommendations.push("Back up regularly and watch the affected disk's wear, errors and cooling");
+    }
+
+    if (errors.warning === true && errors.critical !== true) {
       if (severity !== "warning") severity = "warning";
-      warnings.push(`Moderate system errors: ${errors.errors24h} in last 24h`);
+      warnings.push(`Moderate system errors: ${errors.errorCount} in last ${errors.windowHours}h`);
       recommendations.push("Monitor system logs for recurring issues");
+      nextStepsToCheck.push("get_event_log_summary");
+    }
+
+    if (openPorts.risky.length > 0) {
+      severity = "warning";
+      warnings.push(...openPorts.risky.map(listener => `${listener.service} exposed on ${listener.address}:${listener.port} (${listener.process})`));
+      recommendations.push("Close or firewall network-exposed services that don't need remote access");
+      nextStepsToCheck.push("get_open_ports");
     }
 
     if (updates.pending === true && updates.count !== "N/A") {
-      warnings.push(`${updates.count} Windows update${updates.count !== 1 ? 's' : ''} pending`);
-      recommendations.push("Install pending Windows updates when convenient");
+      warnings.push(`${updates.count} ${hints.updateSource} update${updates.count !== 1 ? 's' : ''} pending`);
+      recommendations.push(hints.updates);
     }
   }
 
@@ -195,13 +258,19 @@ export async function getSystemHealth() {
   if (severity === "info") {
     recommendations.push("System security and stability look good");
     if (defender.active === true) {
-      recommendations.push("✅ Windows Defender active");
+      recommendations.push(`✅ ${defender.product} active`);
     }
     if (firewall.active === true) {
-      recommendations.push("✅ Windows Firewall active");
+      recommendations.push(`✅ ${firewall.product} active`);
+    }
+    if (disk.volumes.length > 0) {
+      recommendations.push(`✅ Disk space healthy on ${disk.volumes.length} volume${disk.volumes.length !== 1 ? "s" : ""} (lowest ${disk.lowestPercentFree}% free)`);
+    }
+    if (disk.physicalDisks.length > 0) {
+      recommendations.push(`✅ ${disk.physicalDisks.length} physical disk${disk.physicalDisks.length !== 1 ? "s" : ""} healthy`);
     }
-    if (typeof disk.percentFree === "number" && disk.percentFree >= 20) {
-      recommendations.push(`✅ Disk space healthy (${disk.percentFree}% free)`);
+    if (typeof openPorts.listening === "number") {
+      recommendations.push(`✅ No risky services exposed (${openPorts.exposed.length} of ${openPorts.listening} listeners reachable from the network)`);
     }
   }
 
@@ -213,11 +282,11 @@ export async function getSystemHealth() {
     actionableSummary = `🟡 ${warnings.join("; ")}`;
   } else {
     const goodItems = [];
-    if (defender.active === true) goodItems.push("Defender");
+    if (defender.active === true) goodItems.push(defender.product);
     if (firewall.active === true) goodItems.push("Firewall");
     actionableSummary = `✅ System healthy (${goodItems.join(", ")} active`;
-    if (typeof disk.percentFree === "number") {
-      actionableSummary += `, ${disk.percentFree}% disk free`;
+    if (typeof disk.lowestPercentFree === "number") {
+      actionableSummary += `, lowest volume ${disk.lowestPercentFree}% free`;
     }
     actionableSummary += ")";
   }
@@ -226,16 +295,21 @@ export async function getSystemHealth() {
     timestamp: new Date().toISOString(),
     severity,
     antivirus: {
-      status: "Windows Defender",
+      status: defender.product,
       ...defender,
     },
     firewall,
     updates,
     systemLogs: {
-      errors24h: errors.errors24h,
+      // The field clients read before eventLogHours existed, kept for the default window
+      ...(errors.windowHours === 24 ? { errors24h: errors.errorCount } : {}),
+      windowHours: errors.windowHours,
+      errorCount: errors.errorCount,
+      warning: errors.warning,
       critical: errors.critical,
     },
     disk,
+    openPorts,
     actionableSummary,
     recommendations,
     nextStepsToCheck,
@@ -1,81 +1,185 @@
-import { exec } from "child_process";
-import { promisify } from "util";
+import { getBackend } from "../platform/index.js";
+import { getThresholds, exceeds } from "../policy.js";
+import { getCPUUsage } from "./cpu.js";
+import { fromCache } from "../cache.js";
 
-const execPromise = promisify(exec);
+// Policy threshold used for sensors that report no trip points of their own
+const POLICY_METRICS = {
+  cpu: "cpuTemp",
+  gpu: "gpuTemp",
+  storage: "diskTemp",
+};
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+// Window over which frequency, load and throttle counters are sampled
+const THROTTLE_SAMPLE_MS = 1000;
+// CPU load at which the processor should be running near full speed
+const BUSY_PERCENT = 50;
+// Frequency (% of maximum) treated as held back under load; all-core turbo sits below the single-core maximum
+const LOW_FREQUENCY_PERCENT = 70;
+// Power plans that cap processor speed on purpose
+const SAVER_PLANS = /power saver|battery saver|low-power|quiet/i;
 
-// Cache for expensive thermal queries (10s TTL - temps change slowly)
-let thermalCache = null;
-let cacheTimestamp = 0;
-const CACHE_TTL = 10000; // 10 seconds
+/**
+ * Rate one sensor against its own trip points, or against the policy for its kind when it has none
+ */
+function rateSensor(sensor, thresholds) {
+  const rated = { ...sensor, severity: "info" };
+
+  if (sensor.highCelsius !== null || sensor.criticalCelsius !== null) {
+    rated.limitSource = "trip points";
+    if (sensor.criticalCelsius !== null && sensor.celsius >= sensor.criticalCelsius) {
+      rated.severity = "critical";
+      rated.issue = `${sensor.label} at ${sensor.celsius}°C has reached its critical trip point (${sensor.criticalCelsius}°C)`;
+    } else if (sensor.highCelsius !== null && sensor.celsius >= sensor.highCelsius) {
+      rated.severity = "warning";
+      rated.issue = `${sensor.label} at ${sensor.celsius}°C has reached its high trip point (${sensor.highCelsius}°C)`;
+    }
+    return rated;
+  }
+
+  const metric = POLICY_METRICS[sensor.kind];
+  if (!metric) {
+    rated.limitSource = "none";
+    return rated;
+  }
+  rated.limitSource = `policy (${metric})`;
+  for (const level of ["critical", "warning"]) {
+    if (exceeds(metric, sensor.celsius, thresholds[metric][level])) {
+      rated.severity = level;
+      rated.issue = `${sensor.label} at ${sensor.celsius}°C is above the ${thresholds[metric][level]}°C ${level} threshold`;
+      break;
+    }
+  }
+  return rated;
+}
 
 /**
- * Get CPU temperature (Windows)
+ * Every temperature sensor with its own severity, or [] with a note when none is readable
  */
-async function getCPUTemperature() {
+async function getSensors() {
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-WmiObject MSAcpi_ThermalZoneTemperature -Namespace root/wmi | Select-Object -ExpandProperty CurrentTemperature | ForEach-Object {($_ - 2732) / 10}"'
-    );
-    
-    const temps = stdout.trim().split('\n').map(t => parseFloat(t)).filter(t => !isNaN(t));
-    if (temps.length === 0) return "N/A";
-    
-    const avgTemp = Math.round((temps.reduce((a, b) => a + b) / temps.length) * 100) / 100;
-    return avgTemp;
+    const thresholds = getThresholds();
+    return { sensors: (await getBackend().getThermalSensors()).map(sensor => rateSensor(sensor, thresholds)) };
   } catch (error) {
-    return "N/A";
+    return { sensors: [], note: `Temperature sensors unavailable: ${error.message}` };
   }
 }
 
+/**
+ * CPU temperature: the hottest CPU sensor, falling back to generic thermal zones
+ */
+function getCPUTemperature(sensors) {
+  const cpu = sensors.filter(sensor => sensor.kind === "cpu");
+  const candidates = cpu.length > 0 ? cpu : sensors.filter(sensor => sensor.kind === "zone");
+  if (candidates.length === 0) return "N/A";
+
+  return Math.max(...candidates.map(sensor => sensor.celsius));
+}
+
 /**
  * Get GPU temperature (NVIDIA/AMD if available)
  */
 async function getGPUTemperature() {
   try {
-    // Try NVIDIA
-    const { stdout: nvidiaOutput } = await execPromise(
-      'nvidia-smi --query-gpu=temperature.gpu --format=csv,noheader,nounits 2>$null',
-      { shell: "powershell" }
-    ).catch(() => ({ stdout: null }));
-    
-    if (nvidiaOutput) {
-      return parseInt(nvidiaOutput.trim());
-    }
-    
-    return "N/A";
+    const temp = await getBackend().getGPUTemperature();
+    return temp ?? "N/A";
   } catch (error) {
     return "N/A";
   }
 }
 
 /**
- * Check for thermal throttling
+ * Read throttle indicators twice, THROTTLE_SAMPLE_MS apart, alongside CPU load over the same window
  */
-async function checkThermalThrottling() {
+async function sampleThrottling() {
+  const backend = getBackend();
   try {
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-WmiObject Win32_Processor | Select-Object @{Name=\'Throttling\';Expression={$_.CurrentClockSpeed -lt $_.MaxClockSpeed}} | Select-Object -ExpandProperty Throttling"'
-    );
-    
-    return stdout.trim() === "True";
+    const before = await backend.getThrottleState();
+    const [cpu] = await Promise.all([
+      getCPUUsage({ windowMs: THROTTLE_SAMPLE_MS }).catch(() => null),
+      new Promise(resolve => setTimeout(resolve, THROTTLE_SAMPLE_MS)),
+    ]);
+    const after = await backend.getThrottleState();
+    const growth = field => (before[field] !== null && after[field] !== null ? Math.max(0, after[field] - before[field]) : null);
+    const average = field => {
+      const values = [before[field], after[field]].filter(value => value !== null);
+      return values.length > 0 ? Math.round((values.reduce((a, b) => a + b) / values.length) * 10) / 10 : null;
+    };
+
+    return {
+      frequencyPercent: average("frequencyPercent"),
+      performanceLimitPercent: average("performanceLimitPercent"),
+      cpuLoadPercent: cpu?.usagePercent ?? null,
+      thermalEvents: growth("thermalEvents"),
+      powerLimitEvents: growth("powerLimitEvents"),
+    };
   } catch (error) {
-    return "Unknown";
+    return null;
   }
 }
 
+/**
+ * Decide whether the CPU is throttled and why, from the sampled indicators, sensor state and power plan
+ * An idle CPU running slowly is power saving, not throttling, so low frequency only counts under load.
+ * Thermal throttling is confirmed only with a hot CPU sensor or low frequency under load; throttle
+ * counters can tick on a brief spike the sensors never show.
+ */
+function classifyThrottling(sample, sensors, powerPlan) {
+  if (!sample) {
+    return { throttled: "Unknown", reasons: [], note: "Processor frequency and throttle counters unavailable" };
+  }
+
+  const reasons = [];
+  const add = (reason, evidence) => {
+    if (!reasons.some(existing => existing.reason === reason)) {
+      reasons.push({ reason, evidence });
+    }
+  };
+  const hotCpu = sensors.some(sensor => (sensor.kind === "cpu" || sensor.kind === "zone") && sensor.severity !== "info");
+  const window = `${THROTTLE_SAMPLE_MS / 1000}s`;
+
+  if (sample.thermalEvents > 0) {
+    add("thermal", `${sample.thermalEvents} thermal throttle event${sample.thermalEvents !== 1 ? "s" : ""} in ${window}`);
+  }
+  if (sample.powerLimitEvents > 0) {
+    add("power limit", `${sample.powerLimitEvents} power limit event${sample.powerLimitEvents !== 1 ? "s" : ""} in ${window}`);
+  }
+  if (sample.performanceLimitPercent !== null && sample.performanceLimitPercent < 100) {
+    add(hotCpu ? "thermal" : "power limit", `firmware limits performance to ${sample.performanceLimitPercent}%`);
+  }
+
+  const busy = sample.cpuLoadPercent !== null && sample.cpuLoadPercent >= BUSY_PERCENT;
+  const slowUnderLoad = busy && sample.frequencyPercent !== null && sample.frequencyPercent < LOW_FREQUENCY_PERCENT;
+  if (slowUnderLoad) {
+    const evidence = `CPU at ${sample.frequencyPercent}% of maximum frequency under ${sample.cpuLoadPercent}% load`;
+    if (hotCpu || sample.thermalEvents > 0) {
+      add("thermal", evidence);
+    } else if (SAVER_PLANS.test(powerPlan)) {
+      add("battery saver power plan", `${evidence} with the ${powerPlan} plan`);
+    } else {
+      add("power limit", evidence);
+    }
+  }
+
+  return { throttled: reasons.length > 0, reasons, thermalConfirmed: hotCpu || slowUnderLoad };
+}
+
 /**
  * Get fan speeds if available
  */
 async function getFanSpeeds() {
   try {
-    // Windows doesn't expose fan speeds easily, return placeholder
-    const { stdout } = await execPromise(
-      'powershell -Command "Get-WmiObject -Class Win32_SystemEnclosure | Select-Object -ExpandProperty ChassisTypes"'
-    );
-    
+    const fans = await getBackend().getFanSpeeds();
+    if (fans.length === 0) {
+      return {
+        available: false,
+        note: `Fan speed data not available - ${getBackend().hints.sensors}`,
+      };
+    }
+
     return {
-      available: false,
-      note: "Fan speed data not available through standard Windows APIs",
+      available: true,
+      fans,
     };
   } catch (error) {
     return {
@@ -87,56 +191,104 @@ async function getFanSpeeds() {
 
 /**
  * Get comprehensive thermal status
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.forceRefresh - Ignore the cached result (10s by default) and query sensors now (default: false)
  */
-export async function getThermalStatus() {
-  const now = Date.now();
-
-  // Return cached result if fresh
-  if (thermalCache && (now - cacheTimestamp) < CACHE_TTL) {
-    return thermalCache;
-  }
+export async function getThermalStatus(options = {}) {
+  const { forceRefresh = false } = options;
+  return fromCache("thermal", checkThermal, { forceRefresh });
+}
 
-  const [cpuTemp, gpuTemp, throttling, fans] = await Promise.all([
-    getCPUTemperature(),
+/**
+ * Read sensors, throttling and fans, and rate them
+ */
+async function checkThermal() {
+  const [{ sensors, note: sensorsNote }, gpuTemp, throttleSample, fans, powerPlan] = await Promise.all([
+    getSensors(),
     getGPUTemperature(),
-    checkThermalThrottling(),
+    sampleThrottling(),
     getFanSpeeds(),
+    getBackend().getPowerPlan().catch(() => "Unknown"),
   ]);
+  const { thermalConfirmed, ...throttle } = classifyThrottling(throttleSample, sensors, powerPlan);
+  const thermalReason = throttle.reasons.find(reason => reason.reason === "thermal");
+  const otherReasons = throttle.reasons.filter(reason => reason.reason !== "thermal");
+  const throttling = throttle.throttled === "Unknown" ? "Unknown" : Boolean(thermalReason);
+  const cpuTemp = getCPUTemperature(sensors);
+  const hot = sensors
+    .filter(sensor => sensor.severity !== "info")
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.celsius - a.celsius);
+  const criticalSensors = hot.filter(sensor => sensor.severity === "critical");
 
-  // Determine severity based on temperatures and throttling
+  // Determine severity from each sensor's own limits and throttling
   let severity = "info";
   const recommendations = [];
   const nextStepsToCheck = [];
 
+  const thresholds = getThresholds();
+
   // Critical conditions
-  if (typeof cpuTemp === "number" && cpuTemp > 95) {
+  if (criticalSensors.length > 0) {
     severity = "critical";
-    recommendations.push("CPU temperature critical - shut down unnecessary applications immediately");
+    recommendations.push(...criticalSensors.map(sensor => sensor.issue));
+    recommendations.push("Shut down unnecessary applications immediately");
     recommendations.push("Ensure proper ventilation and check for dust buildup");
-    nextStepsToCheck.push("get_performance_stats"); // Check what's causing high CPU usage
-  } else if (throttling === true) {
+    if (criticalSensors.some(sensor => sensor.kind === "cpu" || sensor.kind === "zone")) {
+      nextStepsToCheck.push("get_performance_stats"); // Check what's causing high CPU usage
+    }
+  } else if (thermalReason && thermalConfirmed) {
     severity = "critical";
-    recommendations.push("Thermal throttling detected - performance is being reduced to prevent overheating");
+    recommendations.push(`Thermal throttling detected (${thermalReason.evidence}) - performance is being reduced to prevent overheating`);
     recommendations.push("Close resource-intensive applications and improve cooling");
     nextStepsToCheck.push("get_performance_stats");
+  } else if (exceeds("gpuTemp", gpuTemp, thresholds.gpuTemp.critical)) {
+    severity = "critical";
+    recommendations.push(`GPU temperature critical at ${gpuTemp}°C - close GPU-intensive applications`);
+    recommendations.push("Ensure proper ventilation and check for dust buildup");
   }
   // Warning conditions
-  else if (typeof cpuTemp === "number" && cpuTemp > 85) {
+  else if (hot.length > 0) {
     severity = "warning";
-    recommendations.push(`CPU temperature elevated at ${cpuTemp}°C - monitor closely`);
+    recommendations.push(...hot.map(sensor => sensor.issue));
     recommendations.push("Consider improving airflow or reducing workload");
-  } else if (typeof gpuTemp === "number" && gpuTemp > 85) {
+  } else if (exceeds("gpuTemp", gpuTemp, thresholds.gpuTemp.warning)) {
     severity = "warning";
     recommendations.push(`GPU temperature elevated at ${gpuTemp}°C`);
     recommendations.push("Close GPU-intensive applications if temperature persists");
+  } else if (thermalReason || otherReasons.length > 0) {
+    severity = "warning";
   }
   // Info/normal conditions
-  else if (typeof cpuTemp === "number" && cpuTemp <= 85) {
+  else if (sensors.length > 0) {
     recommendations.push("Thermal status normal");
   } else {
     // Temperature data unavailable
     recommendations.push("Temperature monitoring unavailable - requires WMI access or hardware sensors");
-    recommendations.push("Run PowerShell as Administrator for temperature data");
+    recommendations.push(`${getBackend().hints.elevated} for temperature data`);
+  }
+
+  // Throttle counters rose with cool sensors and no slowdown under load
+  if (thermalReason && !thermalConfirmed) {
+    recommendations.push(`Thermal throttle counters rose (${thermalReason.evidence}) while CPU sensors are within limits - check again under load and watch for repeats`);
+    if (!nextStepsToCheck.includes("get_performance_stats")) {
+      nextStepsToCheck.push("get_performance_stats");
+    }
+  }
+
+  // Throttling for reasons other than heat
+  for (const { reason, evidence } of otherReasons) {
+    recommendations.push(reason === "battery saver power plan"
+      ? `CPU held back by the ${powerPlan} power plan (${evidence}) - switch to Balanced or a performance plan when you need full speed`
+      : `CPU is power-limited (${evidence}) - connect the charger and check that the power adapter is the rated wattage`);
+  }
+  if (otherReasons.length > 0 && !nextStepsToCheck.includes("get_battery_status")) {
+    nextStepsToCheck.push("get_battery_status");
+  }
+
+  // A stopped fan while something runs hot
+  const stoppedFans = fans.available ? fans.fans.filter(fan => fan.rpm === 0) : [];
+  if (severity !== "info" && stoppedFans.length > 0) {
+    recommendations.push(`${stoppedFans.map(fan => fan.label).join(", ")} reporting 0 RPM - check that the fan spins and its vents aren't blocked`);
   }
 
   // Build actionable summary
@@ -146,9 +298,15 @@ export async function getThermalStatus() {
     if (typeof gpuTemp === "number") {
       actionableSummary += `, GPU: ${gpuTemp}°C`;
     }
-    if (throttling === true) {
-      actionableSummary += " ⚠️ THROTTLING";
+    if (throttle.throttled === true) {
+      actionableSummary += ` ⚠️ THROTTLING (${throttle.reasons.map(reason => reason.reason).join(", ")})`;
+    }
+    if (hot.length > 0) {
+      actionableSummary += `; over limit: ${hot.map(sensor => `${sensor.label} ${sensor.celsius}°C`).join(", ")}`;
     }
+  } else if (sensors.length > 0) {
+    const hottest = sensors.reduce((a, b) => (b.celsius > a.celsius ? b : a));
+    actionableSummary = `No CPU sensor; hottest: ${hottest.label} ${hottest.celsius}°C`;
   } else {
     actionableSummary = "Temperature data unavailable (requires elevated privileges or hardware sensors)";
   }
@@ -164,20 +322,27 @@ export async function getThermalStatus() {
       temperatureCelsius: gpuTemp,
       unit: typeof gpuTemp === "number" ? "°C" : "N/A",
     },
+    sensors: sensors.map(({ issue, ...sensor }) => sensor),
     thermalThrottling: throttling,
+    throttling: {
+      ...throttle,
+      frequencyPercent: throttleSample?.frequencyPercent ?? "N/A",
+      cpuLoadPercent: throttleSample?.cpuLoadPercent ?? "N/A",
+      performanceLimitPercent: throttleSample?.performanceLimitPercent ?? "N/A",
+      thermalEvents: throttleSample?.thermalEvents ?? "N/A",
+      powerLimitEvents: throttleSample?.powerLimitEvents ?? "N/A",
+      powerPlan,
+      sampleWindowMs: THROTTLE_SAMPLE_MS,
+    },
     fans,
     actionableSummary,
     recommendations,
     nextStepsToCheck,
-    cacheInfo: {
-      cachedAt: new Date().toISOString(),
-      staleAfter: CACHE_TTL,
-    },
   };
 
-  // Cache the result
-  thermalCache = result;
-  cacheTimestamp = now;
+  if (sensorsNote) {
+    result.sensorsNote = sensorsNote;
+  }
 
   return result;
 }
@@ -0,0 +1,108 @@
+/**
+ * Validate tool arguments against the JSON Schema subset used in tool inputSchemas:
+ * type, properties, required, additionalProperties: false, items, enum, minimum/maximum,
+ * minLength/maxLength, pattern and minItems/maxItems.
+ * @param {Object} schema - Tool inputSchema
+ * @param {*} value - Arguments received from the client
+ * @returns {Array<{ path: string, message: string }>} Problems found (empty when valid)
+ */
+export function validateArguments(schema, value) {
+  const errors = [];
+  check(schema, value, "arguments", errors);
+  return errors;
+}
+
+/**
+ * JSON type name of a value, distinguishing arrays, null and integers
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Whether a value satisfies a schema type
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Check one value against its schema, appending problems to errors
+ */
+function check(schema, value, path, errors) {
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path, message: `must be ${schema.type === "integer" ? "an" : "a"} ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `has an invalid format${schema.patternDescription ? ` (expected ${schema.patternDescription})` : ""}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item${schema.minItems !== 1 ? "s" : ""}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} item${schema.maxItems !== 1 ? "s" : ""}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object" && schema.type === "object") {
+    const properties = schema.properties ?? {};
+
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      // Own properties only, so "constructor" or "__proto__" aren't taken for declared arguments
+      if (Object.hasOwn(properties, key)) {
+        if (item !== undefined) check(properties[key], item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        errors.push({
+          path: `${path}.${key}`,
+          message: `is not a known argument${known.length > 0 ? ` (expected: ${known.join(", ")})` : " (this tool takes no arguments)"}`,
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,162 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import { configureRunner } from "../src/platform/runner.js";
+import { evaluateRules, resetAlertStates } from "../src/system/rules.js";
+import { learnSample, manageHealthBaseline } from "../src/system/baseline.js";
+import { replayFixture, replayNothing, importFresh, mockHost } from "./helpers.js";
+
+afterEach(async () => {
+  mock.restoreAll();
+  configureRunner();
+  resetAlertStates();
+  await manageHealthBaseline({ action: "reset" });
+});
+
+test("healthy system reports no alerts", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.alertCount, { critical: 0, warning: 0, info: 0, total: 0 });
+  assert.equal(result.systemHealthScore.score, 100);
+  assert.equal(result.systemHealthScore.status, "Good");
+  assert.deepEqual(result.systemHealthScore.breakdown, []);
+  assert.deepEqual(result.nextStepsToCheck, []);
+  assert.deepEqual(result.pending, []);
+  assert.deepEqual(result.alertStates, []);
+  assert.match(result.actionableSummary, /^✅ System healthy/);
+});
+
+test("a brief CPU and memory spike stays pending while disk and security alerts fire at once", async () => {
+  replayFixture("windows-critical");
+  mockHost({ cpuPercent: 95, memoryPercent: 93 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, [
+    "⚠️ Disk space critical: 3% free on C:",
+    "⚠️ Windows Defender is disabled",
+    "⚠️ Windows Firewall is disabled",
+  ]);
+  assert.deepEqual(result.pending, [
+    "CPU critically high: 95% (pending - alerts if it lasts 2 min)",
+    "Memory critically high: 93% (pending - alerts if it lasts 1 min)",
+  ]);
+  const cpu = result.alertStates.find(alert => alert.rule === "cpu-critical");
+  assert.equal(cpu.state, "pending");
+  assert.equal(cpu.condition, "above 90%");
+  assert.equal(cpu.clearThreshold, 85);
+  assert.equal(result.alertStates.find(alert => alert.rule === "disk-free-critical").instance, "C:");
+  assert.deepEqual(result.nextStepsToCheck, ["get_system_health"]);
+});
+
+test("critical readings raise critical alerts and point to deep tools", async () => {
+  replayFixture("windows-critical");
+  mockHost({ cpuPercent: 95, memoryPercent: 93 });
+  evaluateRules({ timestamp: Date.now() - 3 * 60000, cpu: 96, memory: 92 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, [
+    "⚠️ CPU critically high: 95%",
+    "⚠️ Memory critically high: 93%",
+    "⚠️ Disk space critical: 3% free on C:",
+    "⚠️ Windows Defender is disabled",
+    "⚠️ Windows Firewall is disabled",
+  ]);
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats", "get_system_health"]);
+  assert.deepEqual(result.info, [
+    "CPU has been above 90% for the last 3 minutes",
+    "Memory has been above 90% for the last 3 minutes",
+  ]);
+  assert.deepEqual(result.pending, []);
+  assert.equal(result.systemHealthScore.status, "Critical");
+  assert.match(result.actionableSummary, /^🔴 CRITICAL/);
+});
+
+test("elevated readings raise warnings", async () => {
+  replayFixture("windows-warning");
+  mockHost({ cpuPercent: 85, memoryPercent: 87 });
+  evaluateRules({ timestamp: Date.now() - 2 * 60000, cpu: 82, memory: 86 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, []);
+  assert.deepEqual(result.warning, [
+    "CPU elevated: 85%",
+    "Memory elevated: 87%",
+    "Low disk space: 12% free on C:",
+  ]);
+  // Penalties grow with the distance past each warning threshold
+  const { score, status, categories, breakdown } = result.systemHealthScore;
+  assert.equal(status, "Fair");
+  assert.equal(score, 76.3);
+  assert.equal(categories.performance.score, 55);
+  assert.equal(categories.security.score, 100);
+  assert.deepEqual(breakdown.map(factor => [factor.factor, factor.points]), [
+    ["CPU usage 85%", 8.9],
+    ["Free space on C: 12% free", 7.6],
+    ["Memory usage 87%", 7.1],
+  ]);
+  assert.match(result.actionableSummary, /^🟡 WARNING/);
+});
+
+test("a firing alert resolves only once the reading drops past its clear threshold", async () => {
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 88 });
+  evaluateRules({ timestamp: Date.now() - 5 * 60000, cpu: 95 });
+  evaluateRules({ timestamp: Date.now() - 2 * 60000, cpu: 97 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const stillFiring = await getHealthAlerts();
+  assert.deepEqual(stillFiring.critical, ["⚠️ CPU critically high: 88%"]);
+  assert.deepEqual(stillFiring.warning, []);
+
+  mockHost({ cpuPercent: 40 });
+  const cleared = await getHealthAlerts({ forceRefresh: true });
+  assert.deepEqual(cleared.critical, []);
+  const cpu = cleared.alertStates.find(alert => alert.rule === "cpu-critical");
+  assert.equal(cpu.state, "resolved");
+  assert.equal(cpu.value, 40);
+  assert.equal(cpu.firingSince, new Date(Date.parse(cpu.since) + 120000).toISOString());
+  assert.ok(cpu.resolvedAt);
+  assert.match(cleared.actionableSummary, /^✅ System healthy/);
+});
+
+test("unavailable platform data does not raise alerts", async () => {
+  replayNothing();
+  mockHost();
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.equal(result.alertCount.total, 0);
+  assert.equal(result.systemHealthScore.score, 100);
+});
+
+test("readings unusual for this host at this hour are reported as anomalies", async () => {
+  replayFixture("windows-healthy");
+  mockHost({ memoryPercent: 40 });
+  // Memory usually sits around 20% at this time of day
+  for (let i = 0; i < 40; i++) {
+    learnSample({ timestamp: Date.now(), memory: i % 2 === 0 ? 19 : 21 });
+  }
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, []);
+  assert.equal(result.warning.length, 1);
+  assert.match(result.warning[0], /^Anomaly: Memory usage 40% is unusually high for \d\d:00-\d\d:00 on this host \(expected 14-26%\)$/);
+  assert.equal(result.anomalies[0].metric, "memory");
+  assert.deepEqual(result.anomalies[0].expected, { low: 14, high: 26 });
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats"]);
+  // Within the absolute thresholds, so the score is unaffected
+  assert.equal(result.systemHealthScore.score, 100);
+});
@@ -0,0 +1,171 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  startBaselineLearning,
+  saveBaseline,
+  learnSample,
+  detectAnomalies,
+  getRecentObservations,
+  manageHealthBaseline,
+} from "../src/system/baseline.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-baseline-"));
+
+/**
+ * Local time on a fixed day
+ */
+function at(hour, minute = 0, day = 19) {
+  return new Date(2026, 9, day, hour, minute).getTime();
+}
+
+/**
+ * Feed 40 samples in the given hour, alternating between the two values of each metric
+ */
+function feedHour(hour, metrics) {
+  for (let i = 0; i < 40; i++) {
+    const sample = { timestamp: at(hour, i) };
+    for (const [metric, [even, odd]] of Object.entries(metrics)) {
+      sample[metric] = i % 2 === 0 ? even : odd;
+    }
+    learnSample(sample);
+  }
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  startBaselineLearning({ persistPath: "" });
+});
+
+test("readings far outside the learned range for the hour are anomalies", () => {
+  startBaselineLearning({ persistPath: "" });
+  // A video-editing laptop: memory sits around 75% in the afternoon, 30% at night
+  feedHour(14, { memory: [74, 76] });
+  feedHour(3, { memory: [29, 31] });
+
+  // Normal for the afternoon, even though it would be unusual at night
+  assert.deepEqual(detectAnomalies({ memory: 78 }, at(14, 30)), []);
+  assert.equal(detectAnomalies({ memory: 78 }, at(3, 30))[0].severity, "warning");
+
+  const [info] = detectAnomalies({ memory: 81 }, at(14, 30));
+  assert.deepEqual(info, {
+    metric: "memory",
+    label: "Memory usage",
+    severity: "info",
+    message: "Anomaly: Memory usage 81% is unusually high for 14:00-15:00 on this host (expected 69-81%)",
+    value: 81,
+    unit: "%",
+    expected: { low: 69, high: 81 },
+    typical: 75,
+    deviations: 3,
+    hour: "14:00-15:00",
+    nextTool: "get_performance_stats",
+  });
+  assert.equal(detectAnomalies({ memory: 83 }, at(14, 30))[0].severity, "warning");
+
+  // Low memory use is not a problem; hours without enough samples are not judged
+  assert.deepEqual(detectAnomalies({ memory: 50 }, at(14, 30)), []);
+  assert.deepEqual(detectAnomalies({ memory: 99 }, at(9, 30)), []);
+});
+
+test("connection counts are flagged when unusually low as well as high", () => {
+  startBaselineLearning({ persistPath: "" });
+  feedHour(10, { connections: [100, 110] });
+
+  const [low] = detectAnomalies({ connections: 40 }, at(10, 5));
+  assert.equal(low.message, "Anomaly: Established TCP connections 40 is unusually low for 10:00-11:00 on this host (expected 90-120)");
+  assert.equal(low.nextTool, "get_open_ports");
+  assert.equal(detectAnomalies({ connections: 150 }, at(10, 5))[0].severity, "warning");
+});
+
+test("disk growth is measured over 15-minute windows, skipping gaps in sampling", async () => {
+  startBaselineLearning({ persistPath: "" });
+
+  learnSample({ timestamp: at(14, 0), diskFree: 50 });
+  learnSample({ timestamp: at(14, 10), diskFree: 49.8 });
+  assert.equal(getRecentObservations(at(14, 10)).diskGrowth, undefined);
+
+  // 0.5% of the volume filled in 15 minutes
+  learnSample({ timestamp: at(14, 15), diskFree: 49.5 });
+  assert.equal(getRecentObservations(at(14, 15)).diskGrowth, 2);
+
+  // After three hours without samples a new window starts instead of averaging over the gap
+  learnSample({ timestamp: at(17, 15), diskFree: 40 });
+  const { metrics } = await manageHealthBaseline({ metric: "diskGrowth" });
+  assert.deepEqual(metrics.diskGrowth.hours, [{ hour: "14:00-15:00", samples: 1, mean: 2, stdDev: 0 }]);
+  assert.equal(getRecentObservations(at(17, 40)).diskGrowth, undefined);
+});
+
+test("the baseline is saved for the next run, but not used on another host", async () => {
+  const persistPath = path.join(tempDir, "baseline.json");
+  startBaselineLearning({ persistPath });
+  feedHour(14, { memory: [74, 76], cpu: [10, 20] });
+  saveBaseline();
+
+  startBaselineLearning({ persistPath });
+  assert.equal(detectAnomalies({ memory: 83 }, at(14, 30)).length, 1);
+
+  const saved = JSON.parse(fs.readFileSync(persistPath, "utf8"));
+  fs.writeFileSync(persistPath, JSON.stringify({ ...saved, host: "other-host" }));
+  const errors = [];
+  mock.method(console, "error", message => errors.push(message));
+  startBaselineLearning({ persistPath });
+
+  assert.deepEqual(detectAnomalies({ memory: 83 }, at(14, 30)), []);
+  assert.deepEqual(errors, [`Ignoring health baseline in ${persistPath}: it was learned on other-host`]);
+});
+
+test("the baseline is saved in the per-user data directory unless HEALTH_CHECK_BASELINE_FILE is set", async () => {
+  const configured = process.env.HEALTH_CHECK_BASELINE_FILE;
+  const stateHome = process.env.XDG_STATE_HOME;
+  delete process.env.HEALTH_CHECK_BASELINE_FILE;
+  process.env.XDG_STATE_HOME = tempDir;
+  mock.method(os, "platform", () => "linux");
+  try {
+    startBaselineLearning();
+    feedHour(14, { memory: [74, 76] });
+    saveBaseline();
+
+    const persistPath = path.join(tempDir, "health_check", "baseline.json");
+    assert.equal((await manageHealthBaseline()).persistedTo, persistPath);
+    assert.equal(JSON.parse(fs.readFileSync(persistPath, "utf8")).host, os.hostname());
+
+    // An empty value keeps it in memory only
+    process.env.HEALTH_CHECK_BASELINE_FILE = "";
+    startBaselineLearning();
+    assert.equal((await manageHealthBaseline()).persistedTo, "Not persisted (HEALTH_CHECK_BASELINE_FILE is empty)");
+  } finally {
+    if (configured === undefined) delete process.env.HEALTH_CHECK_BASELINE_FILE;
+    else process.env.HEALTH_CHECK_BASELINE_FILE = configured;
+    if (stateHome === undefined) delete process.env.XDG_STATE_HOME;
+    else process.env.XDG_STATE_HOME = stateHome;
+  }
+});
+
+test("manage_health_baseline shows the learned hours and resets one metric or all", async () => {
+  startBaselineLearning({ persistPath: "" });
+  feedHour(14, { memory: [74, 76], cpu: [10, 20] });
+
+  const inspected = await manageHealthBaseline({ metric: "memory" });
+  assert.equal(inspected.severity, "info");
+  assert.equal(inspected.learningSince, new Date(at(14, 0)).toISOString());
+  assert.deepEqual(inspected.metrics.memory.hours, [
+    { hour: "14:00-15:00", samples: 40, mean: 75, stdDev: 1, expected: { low: 69, high: 81 } },
+  ]);
+  assert.equal(inspected.metrics.memory.learnedHours, 1);
+  assert.deepEqual(inspected.metrics.memory.latest, { value: 76, at: new Date(at(14, 39)).toISOString() });
+  assert.equal(inspected.actionableSummary, "Learned hours of the day: memory 1/24");
+
+  const reset = await manageHealthBaseline({ action: "reset", metric: "memory" });
+  assert.deepEqual(reset.reset, ["memory"]);
+  assert.deepEqual(detectAnomalies({ memory: 99 }, at(14, 30)), []);
+  assert.equal(detectAnomalies({ cpu: 60 }, at(14, 30)).length, 1);
+
+  await manageHealthBaseline({ action: "reset" });
+  const empty = await manageHealthBaseline();
+  assert.equal(empty.learningSince, "Not started");
+  assert.match(empty.recommendations[0], /^Nothing learned yet/);
+});
@@ -0,0 +1,120 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { configureRunner } from "../src/platform/runner.js";
+import { parseBatteryReport } from "../src/platform/windows.js";
+import { replayFixture, replayNothing, importFresh } from "./helpers.js";
+
+afterEach(() => {
+  configureRunner();
+});
+
+test("charged battery is info", async () => {
+  replayFixture("windows-healthy");
+  const { getBatteryStatus } = await importFresh("battery.js");
+
+  const result = await getBatteryStatus();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.chargePercent, 85);
+  assert.equal(result.status, "AC Power");
+  assert.equal(result.powerPlan, "Balanced");
+  assert.equal(result.method, "WMI Basic");
+  assert.equal(result.healthPercent, 95);
+  assert.equal(result.cycleCount, 87);
+  assert.equal(result.actionableSummary, "Battery: 85% (AC Power), health 95% (87 cycles)");
+});
+
+test("low battery is a warning", async () => {
+  replayFixture("windows-warning");
+  const { getBatteryStatus } = await importFresh("battery.js");
+
+  const result = await getBatteryStatus();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.status, "Discharging");
+  assert.equal(result.healthPercent, 76);
+  assert.equal(result.wearPercent, 24);
+  assert.deepEqual(result.recommendations, [
+    "Consider connecting to power soon",
+    "Battery holds 76% of its design capacity (612 cycles) - expect shorter runtime; plan a replacement if it no longer lasts the day",
+  ]);
+});
+
+test("a failed battery report leaves health unavailable with a note", async () => {
+  replayFixture("windows-critical");
+  const { getBatteryStatus } = await importFresh("battery.js");
+
+  const result = await getBatteryStatus();
+
+  assert.equal(result.healthPercent, "N/A");
+  assert.equal(result.capacityHistory, "N/A");
+  assert.match(result.healthNote, /^Battery capacity unavailable: Command failed/);
+});
+
+test("saved powercfg battery reports parse to capacities, cycles and weekly history", () => {
+  const xml = fs.readFileSync(new URL("./fixtures/battery-report.xml", import.meta.url), "utf8");
+
+  const report = parseBatteryReport(xml);
+
+  assert.equal(report.manufacturer, "SMP");
+  assert.equal(report.chemistry, "LiP");
+  assert.equal(report.designCapacity, 57000);
+  assert.equal(report.fullChargeCapacity, 46170);
+  assert.equal(report.cycleCount, 438);
+  assert.equal(report.history.length, 7);
+  assert.deepEqual(report.history[0], {
+    startDate: "2026-08-31",
+    endDate: "2026-09-07",
+    designCapacity: 57000,
+    fullChargeCapacity: 49020,
+    cycleCount: 392,
+  });
+  // Weeks without a cycle count report 0
+  assert.equal(report.history[6].cycleCount, null);
+  assert.throws(() => parseBatteryReport("<BatteryReport><Batteries /></BatteryReport>"), /lists no batteries/);
+});
+
+test("linux battery wear comes from sysfs charge counters when energy counters are missing", async () => {
+  const battery = "/sys/class/power_supply/BAT0";
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readDir", target: "/sys/class/power_supply", result: ["AC", "BAT0"] },
+        { kind: "readFile", target: "/sys/class/power_supply/AC/type", result: "Mains\n" },
+        { kind: "readFile", target: `${battery}/type`, result: "Battery\n" },
+        { kind: "readFile", target: `${battery}/capacity`, result: "64\n" },
+        { kind: "readFile", target: `${battery}/status`, result: "Discharging\n" },
+        { kind: "readFile", target: `${battery}/technology`, result: "Li-ion\n" },
+        { kind: "readFile", target: `${battery}/charge_full_design`, result: "4000000\n" },
+        { kind: "readFile", target: `${battery}/charge_full`, result: "3100000\n" },
+        { kind: "readFile", target: `${battery}/cycle_count`, result: "0\n" },
+        { kind: "readFile", target: `${battery}/manufacturer`, result: "Sunwoda\n" },
+      ],
+    },
+  });
+  const { getBatteryStatus } = await importFresh("battery.js");
+
+  const result = await getBatteryStatus();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.healthPercent, 77.5);
+  assert.equal(result.designCapacity, "4000 mAh");
+  assert.equal(result.cycleCount, "N/A");
+  assert.equal(result.capacityHistory, "N/A");
+  assert.equal(result.healthMethod, "sysfs");
+  assert.equal(result.actionableSummary, "Battery: 64% (Discharging), health 77.5%");
+});
+
+test("unavailable battery data falls back to power info", async () => {
+  replayNothing();
+  const { getBatteryStatus } = await importFresh("battery.js");
+
+  const result = await getBatteryStatus();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.method, "Fallback");
+  assert.equal(result.chargePercent, "N/A");
+  assert.equal(result.powerPlan, "Unknown");
+});
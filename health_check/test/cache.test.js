@@ -0,0 +1,185 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { loadHealthPolicy, getHealthPolicy } from "../src/policy.js";
+import { fromCache, invalidateCache, trackCacheUse } from "../src/cache.js";
+import { resetAlertStates } from "../src/system/rules.js";
+import { getHealthAlerts } from "../src/system/alerts.js";
+import { getSystemHealth } from "../src/system/systemHealth.js";
+import { replayFixture, mockHost } from "./helpers.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-cache-"));
+
+/**
+ * Write a policy object to a temp file and return its path
+ */
+function writePolicy(name, policy) {
+  const filePath = path.join(tempDir, `${name}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(policy));
+  return filePath;
+}
+
+/**
+ * Loader that counts its queries and answers with the count
+ */
+function counter() {
+  const load = async () => ++load.calls;
+  load.calls = 0;
+  return load;
+}
+
+/**
+ * Status of each lookup made by a call
+ */
+async function statuses(run) {
+  const { cacheInfo } = await trackCacheUse(run);
+  return cacheInfo.lookups.map(lookup => `${lookup.source} ${lookup.status}`);
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+  configureRunner();
+  loadHealthPolicy({ path: null });
+  invalidateCache();
+  resetAlertStates();
+});
+
+test("concurrent lookups share one query, and later ones are hits until the TTL passes", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const load = counter();
+
+  const [first, second] = await Promise.all([
+    trackCacheUse(() => fromCache("antivirus", load)),
+    trackCacheUse(() => fromCache("antivirus", load)),
+  ]);
+  assert.equal(load.calls, 1);
+  assert.equal(first.result, 1);
+  assert.equal(second.result, 1);
+  assert.deepEqual(first.cacheInfo.lookups.map(lookup => lookup.status), ["miss"]);
+  assert.deepEqual(second.cacheInfo, {
+    hits: 1,
+    misses: 0,
+    lookups: [{ source: "antivirus", status: "shared", cachedAt: new Date().toISOString(), ageMs: 0, ttlMs: 30000 }],
+  });
+
+  mock.timers.tick(20000);
+  const { cacheInfo } = await trackCacheUse(() => fromCache("antivirus", load));
+  assert.equal(cacheInfo.lookups[0].status, "hit");
+  assert.equal(cacheInfo.lookups[0].ageMs, 20000);
+
+  // Past the TTL but inside the stale window: the old reading is served while a new one is fetched
+  mock.timers.tick(20000);
+  assert.equal(await fromCache("antivirus", load), 1);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(load.calls, 2);
+  assert.equal(await fromCache("antivirus", load), 2);
+
+  // Past the stale window too: the caller waits for a new reading
+  mock.timers.tick(100000);
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load)), ["antivirus miss"]);
+  assert.equal(load.calls, 3);
+});
+
+test("failed queries are not cached, and forceRefresh and invalidation query again", async () => {
+  let fail = true;
+  const load = async () => {
+    if (fail) throw new Error("Get-MpComputerStatus timed out");
+    return "on";
+  };
+
+  const { cacheInfo } = await trackCacheUse(() => fromCache("antivirus", load).catch(() => null));
+  assert.deepEqual(cacheInfo, {
+    hits: 0,
+    misses: 1,
+    lookups: [{ source: "antivirus", status: "failed", cachedAt: null, ageMs: null, ttlMs: 30000, error: "Get-MpComputerStatus timed out" }],
+  });
+
+  fail = false;
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load)), ["antivirus miss"]);
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load)), ["antivirus hit"]);
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load, { forceRefresh: true })), ["antivirus refreshed"]);
+
+  // Keys are cached separately within a source
+  assert.deepEqual(await statuses(() => fromCache("volumes", async () => 1, { key: "C:" })), ["volumes miss"]);
+  assert.deepEqual(await statuses(() => fromCache("volumes", async () => 2, { key: "D:" })), ["volumes miss"]);
+
+  invalidateCache("antivirus");
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load)), ["antivirus miss"]);
+  assert.deepEqual(await statuses(() => fromCache("volumes", async () => 3, { key: "C:" })), ["volumes hit"]);
+});
+
+test("a source keeps at most 50 keyed readings, dropping the oldest", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  for (let index = 0; index < 50; index++) {
+    await fromCache("connectivity", async () => index, { key: `probes-${index}` });
+    mock.timers.tick(1);
+  }
+  assert.deepEqual(await statuses(() => fromCache("connectivity", async () => 0, { key: "probes-0" })), ["connectivity hit"]);
+
+  await fromCache("connectivity", async () => 50, { key: "probes-50" });
+  assert.deepEqual(await statuses(() => fromCache("connectivity", async () => 0, { key: "probes-0" })), ["connectivity miss"]);
+  assert.deepEqual(await statuses(() => fromCache("connectivity", async () => 2, { key: "probes-2" })), ["connectivity hit"]);
+});
+
+test("alerts and get_system_health share the antivirus, firewall and volume readings", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+
+  assert.deepEqual((await statuses(() => getHealthAlerts())).sort(), [
+    "alerts miss",
+    "antivirus miss",
+    "firewall miss",
+    "volumes miss",
+  ]);
+  assert.deepEqual(await statuses(() => getHealthAlerts()), ["alerts hit"]);
+  assert.deepEqual((await statuses(() => getSystemHealth())).sort(), [
+    "antivirus hit",
+    "firewall hit",
+    "volumes hit",
+  ]);
+
+  const { result, cacheInfo } = await trackCacheUse(() => getSystemHealth({ forceRefresh: true }));
+  assert.equal(result.disk.volumes[0].percentFree, 40);
+  assert.deepEqual(cacheInfo.lookups.map(lookup => lookup.status), ["refreshed", "refreshed", "refreshed"]);
+  assert.equal(cacheInfo.misses, 3);
+});
+
+test("TTLs come from the policy file, profile last, and invalid settings are rejected", async () => {
+  const filePath = writePolicy("cache", {
+    cache: { thermal: { ttlSeconds: 60 }, antivirus: { ttlSeconds: 0, staleSeconds: 0 } },
+    profiles: { laptop: { cache: { thermal: { staleSeconds: 0 } } } },
+  });
+  loadHealthPolicy({ path: filePath, profile: "laptop" });
+
+  const load = counter();
+  await fromCache("antivirus", load);
+  assert.deepEqual(await statuses(() => fromCache("antivirus", load)), ["antivirus miss"]);
+  assert.equal(load.calls, 2);
+
+  const result = await getHealthPolicy();
+  assert.deepEqual(result.cache.thermal, {
+    label: "get_thermal_status result",
+    ttlSeconds: { value: 60, source: `policy file ${filePath}` },
+    staleSeconds: { value: 0, source: `profile "laptop" in ${filePath}` },
+  });
+  assert.deepEqual(result.cache.connectivity.ttlSeconds, { value: 30, source: "built-in default" });
+  assert.match(result.actionableSummary, /, 4 cache settings changed$/);
+
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("unknown-source", { cache: { gpu: { ttlSeconds: 5 } } }) }),
+    /cache\.gpu is not a cache source \(known: alerts, thermal, connectivity, antivirus, firewall, volumes, batteryWear\)/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-ttl", { profiles: { lab: { cache: { alerts: { ttlSeconds: -1 } } } } }) }),
+    /profiles\.lab\.cache\.alerts\.ttlSeconds must be a number of seconds from 0 to 86400/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-setting", { cache: { alerts: { maxEntries: 5 } } }) }),
+    /cache\.alerts\.maxEntries is not a cache setting \(use ttlSeconds or staleSeconds\)/
+  );
+});
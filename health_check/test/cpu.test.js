@@ -0,0 +1,73 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayNothing, importFresh, mockHost } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+});
+
+test("Linux usage comes from /proc/stat deltas with iowait and per-core figures", async () => {
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        {
+          kind: "readFile",
+          target: "/proc/stat",
+          result: "cpu  0 0 0 0 0 0 0 0\ncpu0 100 0 100 800 0 0 0 0\ncpu1 100 0 100 800 0 0 0 0\n",
+        },
+        {
+          kind: "readFile",
+          target: "/proc/stat",
+          result: "cpu  0 0 0 0 0 0 0 0\ncpu0 160 0 120 810 10 0 0 0\ncpu1 110 0 100 890 0 0 0 0\n",
+        },
+      ],
+    },
+  });
+  const { getCPUUsage } = await importFresh("cpu.js");
+
+  const result = await getCPUUsage({ windowMs: 10 });
+
+  assert.equal(result.usagePercent, 45);
+  assert.deepEqual(result.perCore, [
+    { core: 0, usagePercent: 80 },
+    { core: 1, usagePercent: 10 },
+  ]);
+  assert.deepEqual(result.breakdown, {
+    userPercent: 35,
+    systemPercent: 10,
+    idlePercent: 50,
+    iowaitPercent: 5,
+  });
+  assert.ok(result.sampleWindowMs >= 10);
+});
+
+test("Windows usage comes from os.cpus() deltas without iowait", async () => {
+  replayNothing();
+  mockHost({ cpuPercent: 70 });
+  const { getCPUUsage } = await importFresh("cpu.js");
+
+  const result = await getCPUUsage({ windowMs: 10 });
+
+  assert.equal(result.usagePercent, 70);
+  assert.equal(result.perCore.length, 4);
+  assert.equal(result.breakdown.iowaitPercent, "N/A");
+});
+
+test("a recent snapshot is reused as the window start", async () => {
+  replayNothing();
+  mockHost({ cpuPercent: 30 });
+  const { getCPUUsage } = await importFresh("cpu.js");
+
+  await getCPUUsage({ windowMs: 10 });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const started = Date.now();
+  const result = await getCPUUsage({ windowMs: 1000 });
+
+  assert.equal(result.usagePercent, 30);
+  assert.ok(result.sampleWindowMs >= 300);
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,152 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { loadHealthPolicy } from "../src/policy.js";
+import { replayFixture, importFresh } from "./helpers.js";
+
+const GB = 1024 ** 3;
+
+/**
+ * statfs result for a filesystem of the given size (4K blocks)
+ */
+function statFsResult(totalGB, freeGB, files = 1000000, ffree = 900000) {
+  const bsize = 4096;
+  return { bsize, blocks: (totalGB * GB) / bsize, bfree: (freeGB * GB) / bsize, bavail: (freeGB * GB) / bsize, files, ffree };
+}
+
+const linuxEntries = [
+  {
+    kind: "readFile",
+    target: "/proc/self/mounts",
+    result: [
+      "/dev/nvme0n1p2 / ext4 rw,relatime 0 0",
+      "proc /proc proc rw 0 0",
+      "tmpfs /run tmpfs rw 0 0",
+      "/dev/nvme0n1p1 /boot/efi vfat rw 0 0",
+      "/dev/sda1 /mnt/backup\\040disk ext4 rw 0 0",
+      "/dev/nvme0n1p2 /var/lib/docker ext4 rw 0 0",
+      "",
+    ].join("\n"),
+  },
+  { kind: "statFs", target: "/", result: statFsResult(100, 40) },
+  { kind: "statFs", target: "/boot/efi", result: statFsResult(1, 0.5, 0, 0) },
+  { kind: "statFs", target: "/mnt/backup disk", result: statFsResult(500, 200, 1000000, 20000) },
+  { kind: "readDir", target: "/sys/block", result: ["loop0", "nvme0n1", "sda"] },
+  {
+    kind: "exec",
+    target: "smartctl --json -a /dev/nvme0n1",
+    result: {
+      stdout: JSON.stringify({
+        device: { type: "nvme" },
+        model_name: "WD Black SN850",
+        nvme_total_capacity: 1000204886016,
+        smart_status: { passed: true },
+        nvme_smart_health_information_log: { percentage_used: 12 },
+        temperature: { current: 41 },
+      }),
+      stderr: "",
+    },
+  },
+  {
+    kind: "exec",
+    target: "smartctl --json -a /dev/sda",
+    error: {
+      message: "Command failed: smartctl --json -a /dev/sda",
+      code: 8,
+      stdout: JSON.stringify({
+        model_name: "ST2000DM008",
+        rotation_rate: 7200,
+        user_capacity: { bytes: 2000398934016 },
+        smart_status: { passed: false },
+        ata_smart_attributes: { table: [{ id: 5, value: 80, raw: { value: 120 } }] },
+        temperature: { current: 45 },
+      }),
+      stderr: "",
+    },
+  },
+];
+
+afterEach(() => {
+  configureRunner();
+  loadHealthPolicy({ path: null });
+});
+
+test("linux volumes come from mounts with inode usage, skipping pseudo filesystems and bind mounts", async () => {
+  configureRunner({ fixture: { platform: "linux", entries: linuxEntries } });
+  const { getVolumes } = await importFresh("disks.js");
+
+  const volumes = await getVolumes();
+
+  assert.deepEqual(volumes.map(v => [v.volume, v.percentFree, v.inodesPercentFree, v.severity]), [
+    ["/mnt/backup disk", 40, 2, "critical"],
+    ["/", 40, 90, "info"],
+    ["/boot/efi", 50, "N/A", "info"],
+  ]);
+  assert.deepEqual(volumes[0].issues, [{ severity: "critical", message: "Inodes critical: 2% free on /mnt/backup disk" }]);
+  assert.equal(volumes[1].label, "/dev/nvme0n1p2");
+});
+
+test("smartctl reports are mapped to SMART status, wear and reallocated sectors", async () => {
+  configureRunner({ fixture: { platform: "linux", entries: linuxEntries } });
+  const { getPhysicalDisks } = await importFresh("disks.js");
+
+  const { available, disks } = await getPhysicalDisks();
+
+  assert.equal(available, true);
+  assert.deepEqual(disks.map(d => [d.name, d.mediaType, d.smartStatus, d.wearPercentUsed, d.reallocatedSectors, d.severity]), [
+    ["nvme0n1", "SSD", "Passed", 12, "N/A", "info"],
+    ["sda", "HDD", "Failed", "N/A", 120, "critical"],
+  ]);
+  assert.deepEqual(disks[1].issues.map(issue => issue.message), [
+    "Disk ST2000DM008 (sda) SMART status: FAILED - back up now",
+    "Disk ST2000DM008 (sda) has 120 reallocated sectors",
+  ]);
+});
+
+test("missing smartctl leaves physical disk health unavailable with a note", async () => {
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readDir", target: "/sys/block", result: ["sda"] },
+        { kind: "exec", target: "smartctl --json -a /dev/sda", error: { message: "smartctl: not found", code: 127, stdout: "", stderr: "smartctl: not found" } },
+      ],
+    },
+  });
+  const { getPhysicalDisks } = await importFresh("disks.js");
+
+  const result = await getPhysicalDisks();
+
+  assert.equal(result.available, false);
+  assert.deepEqual(result.disks, []);
+  assert.match(result.note, /smartctl not installed/);
+});
+
+test("failing disk in get_system_health is critical", async () => {
+  configureRunner({ fixture: { platform: "linux", entries: linuxEntries } });
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth();
+
+  assert.equal(result.severity, "critical");
+  assert.ok(result.actionableSummary.includes("Inodes critical: 2% free on /mnt/backup disk"));
+  assert.ok(result.actionableSummary.includes("Disk ST2000DM008 (sda) SMART status: FAILED - back up now"));
+  assert.ok(result.recommendations.includes("⚠️ CRITICAL: Back up data on the affected disk and plan its replacement"));
+});
+
+test("per-volume policy overrides apply only to that volume", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-disks-"));
+  const filePath = path.join(tempDir, "policy.json");
+  fs.writeFileSync(filePath, JSON.stringify({ volumes: { "d": { diskFree: { warning: 70 } } } }));
+  loadHealthPolicy({ path: filePath });
+  replayFixture("windows-healthy");
+  const { getVolumes } = await importFresh("disks.js");
+
+  const volumes = await getVolumes();
+
+  assert.deepEqual(volumes.map(v => [v.volume, v.severity]), [["D:", "warning"], ["C:", "info"]]);
+  assert.deepEqual(volumes[0].issues, [{ severity: "warning", message: "Low disk space: 60% free on D:" }]);
+});
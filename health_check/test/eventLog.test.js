@@ -0,0 +1,168 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureRunner } from "../src/platform/runner.js";
+import { importFresh } from "./helpers.js";
+
+/**
+ * Get-WinEvent query the Windows backend runs
+ */
+function windowsEventsCommand(hours, logs, levels) {
+  return `powershell -Command "Get-WinEvent -FilterHashtable @{LogName=${logs}; Level=${levels}; StartTime=(Get-Date).AddHours(-${hours})} -MaxEvents 2000 -ErrorAction SilentlyContinue | Select-Object TimeCreated, LogName, Level, ProviderName, Id, @{Name='Message';Expression={($_.Message -split '\\r?\\n')[0]}} | ConvertTo-Json"`;
+}
+
+/**
+ * Event as ConvertTo-Json prints it
+ */
+function windowsEvent(time, log, level, source, id, message) {
+  return { TimeCreated: `/Date(${Date.parse(time)})/`, LogName: log, Level: level, ProviderName: source, Id: id, Message: message };
+}
+
+/**
+ * journalctl -o json line
+ */
+function journalEntry(time, priority, fields) {
+  return JSON.stringify({ __REALTIME_TIMESTAMP: String(Date.parse(time) * 1000), PRIORITY: String(priority), ...fields });
+}
+
+afterEach(() => {
+  configureRunner();
+});
+
+test("windows events are grouped by source and event ID with counts and first/last occurrence", async () => {
+  const events = [
+    windowsEvent("2026-10-18T09:40:00Z", "System", 2, "disk", 7, "The device, \\Device\\Harddisk1\\DR3, has a bad block."),
+    windowsEvent("2026-10-18T09:10:00Z", "Application", 2, "Application Error", 1000, "Faulting application name: Teams.exe, version: 1.6.0.1"),
+    windowsEvent("2026-10-18T08:55:00Z", "System", 2, "disk", 7, "The device, \\Device\\Harddisk1\\DR3, has a bad block."),
+    windowsEvent("2026-10-18T07:30:00Z", "System", 3, "Microsoft-Windows-Time-Service", 129, "NtpClient was unable to set a domain peer."),
+    windowsEvent("2026-10-18T06:00:00Z", "System", 2, "disk", 7, "The device, \\Device\\Harddisk1\\DR2, has a bad block."),
+    windowsEvent("2026-10-18T05:00:00Z", "System", 1, "Microsoft-Windows-Kernel-Power", 41, ""),
+  ];
+  configureRunner({
+    fixture: {
+      platform: "win32",
+      entries: [
+        { kind: "exec", target: windowsEventsCommand(24, "'System','Application'", "1,2,3"), result: { stdout: JSON.stringify(events), stderr: "" } },
+      ],
+    },
+  });
+  const { getEventLogSummary } = await importFresh("eventLog.js");
+
+  const result = await getEventLogSummary();
+
+  assert.deepEqual(result.counts, { critical: 1, error: 4, warning: 1, total: 6 });
+  assert.equal(result.uniqueIssues, 4);
+  assert.deepEqual(result.topIssues.map(group => [group.source, group.eventId, group.level, group.count]), [
+    ["Microsoft-Windows-Kernel-Power", 41, "critical", 1],
+    ["disk", 7, "error", 3],
+    ["Application Error", 1000, "error", 1],
+    ["Microsoft-Windows-Time-Service", 129, "warning", 1],
+  ]);
+  const disk = result.topIssues[1];
+  assert.equal(disk.firstSeen, "2026-10-18T06:00:00.000Z");
+  assert.equal(disk.lastSeen, "2026-10-18T09:40:00.000Z");
+  assert.equal(disk.sampleMessage, "The device, \\Device\\Harddisk1\\DR3, has a bad block.");
+  assert.equal(result.topIssues[0].sampleMessage, "N/A");
+  // 4 System errors are under the threshold; the Kernel-Power critical event makes it a warning
+  assert.equal(result.severity, "warning");
+  assert.equal(result.actionableSummary, "🟡 5 errors, 1 warning in the last 24h (System, Application); top issue: Microsoft-Windows-Kernel-Power (event 41) ×1");
+  assert.equal(
+    result.recommendations[1],
+    "disk (event 7) logged 3 errors (last 2026-10-18T09:40:00.000Z): \"The device, \\Device\\Harddisk1\\DR3, has a bad block.\" - look up this source and message, then update or reconfigure the component behind it"
+  );
+  assert.deepEqual(result.nextStepsToCheck, ["get_system_health"]);
+});
+
+test("the eventErrors threshold counts System log errors only, as get_system_health does", async () => {
+  const crashes = Array.from({ length: 12 }, (_, index) =>
+    windowsEvent(`2026-10-18T0${Math.floor(index / 2)}:${index % 2 ? "30" : "00"}:00Z`, "Application", 2, "Application Error", 1000, "Faulting application name: Teams.exe, version: 1.6.0.1"));
+  const diskErrors = Array.from({ length: 5 }, (_, index) =>
+    windowsEvent(`2026-10-18T0${index}:15:00Z`, "System", 2, "disk", 7, "The device, \\Device\\Harddisk1\\DR3, has a bad block."));
+  configureRunner({
+    fixture: {
+      platform: "win32",
+      entries: [
+        { kind: "exec", target: windowsEventsCommand(24, "'System','Application'", "1,2,3"), result: { stdout: JSON.stringify(crashes), stderr: "" } },
+        { kind: "exec", target: windowsEventsCommand(24, "'System','Application'", "1,2,3"), result: { stdout: JSON.stringify([...crashes, ...diskErrors]), stderr: "" } },
+      ],
+    },
+  });
+  const { getEventLogSummary } = await importFresh("eventLog.js");
+
+  // 12 application crashes alone stay info
+  let result = await getEventLogSummary();
+  assert.equal(result.counts.error, 12);
+  assert.equal(result.severity, "info");
+
+  // 5 System errors reach the inclusive warning threshold
+  result = await getEventLogSummary();
+  assert.equal(result.severity, "warning");
+});
+
+test("an empty window and the error-only level are reported plainly", async () => {
+  configureRunner({
+    fixture: {
+      platform: "win32",
+      entries: [{ kind: "exec", target: windowsEventsCommand(2, "'Application'", "1,2"), result: { stdout: "", stderr: "" } }],
+    },
+  });
+  const { getEventLogSummary } = await importFresh("eventLog.js");
+
+  const result = await getEventLogSummary({ hours: 2, logs: ["Application"], level: "error" });
+
+  assert.equal(result.severity, "info");
+  assert.deepEqual(result.topIssues, []);
+  assert.equal(result.actionableSummary, "0 errors in the last 2h (Application)");
+  assert.deepEqual(result.recommendations, ["No errors logged in the last 2h"]);
+});
+
+test("journald entries are grouped by unit and message template", async () => {
+  const lines = [
+    journalEntry("2026-10-18T09:00:00Z", 3, { _SYSTEMD_UNIT: "NetworkManager.service", MESSAGE: "dhcp4 (wlp2s0): request timed out after 45 seconds" }),
+    journalEntry("2026-10-18T08:00:00Z", 3, { _TRANSPORT: "kernel", SYSLOG_IDENTIFIER: "kernel", MESSAGE: "nvme0n1: I/O 512 QID 3 timeout, aborting" }),
+    journalEntry("2026-10-18T07:00:00Z", 3, { _SYSTEMD_UNIT: "NetworkManager.service", MESSAGE: "dhcp4 (wlp2s0): request timed out after 30 seconds" }),
+    journalEntry("2026-10-18T06:30:00Z", 4, { _SYSTEMD_USER_UNIT: "pipewire.service", _SYSTEMD_UNIT: "user@1000.service", MESSAGE: [99, 97, 102, 195, 169] }),
+    journalEntry("2026-10-18T06:00:00Z", 2, { _SYSTEMD_UNIT: "systemd-coredump@0.service", SYSLOG_IDENTIFIER: "systemd-coredump", MESSAGE_ID: "fc2e22bc6ee647b6b90729ab34a250b1", MESSAGE: "Process 4211 (firefox) dumped core." }),
+  ];
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        {
+          kind: "exec",
+          target: "journalctl -p warning --since \"24 hours ago\" -n 2000 -r -q --no-pager -o json",
+          result: { stdout: `${lines.join("\n")}\n`, stderr: "" },
+        },
+      ],
+    },
+  });
+  const { getEventLogSummary } = await importFresh("eventLog.js");
+
+  const result = await getEventLogSummary();
+
+  assert.deepEqual(result.topIssues.map(group => [group.log, group.source, group.level, group.count]), [
+    ["System", "systemd-coredump@0.service", "critical", 1],
+    ["System", "NetworkManager.service", "error", 2],
+    ["System", "kernel", "error", 1],
+    ["Application", "pipewire.service", "warning", 1],
+  ]);
+  assert.equal(result.topIssues[0].eventId, "fc2e22bc6ee647b6b90729ab34a250b1");
+  assert.equal(result.topIssues[1].firstSeen, "2026-10-18T07:00:00.000Z");
+  assert.equal(result.topIssues[3].sampleMessage, "café");
+  assert.deepEqual(result.nextStepsToCheck, ["get_network_status", "get_system_health"]);
+  assert.equal(result.actionableSummary, "🟡 4 errors, 1 warning in the last 24h (System, Application); top issue: systemd-coredump@0.service ×1");
+});
+
+test("linux log names select the system or user journals", async () => {
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [{ kind: "exec", target: "journalctl --system -p err --since \"6 hours ago\" -n 2000 -r -q --no-pager -o json", result: { stdout: "", stderr: "" } }],
+    },
+  });
+  const { getEventLogSummary } = await importFresh("eventLog.js");
+
+  const result = await getEventLogSummary({ hours: 6, logs: ["System", "System"], level: "error" });
+
+  assert.deepEqual(result.logs, ["System"]);
+  assert.equal(result.counts.total, 0);
+});
@@ -0,0 +1,35 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayFixture, replayNothing, importFresh, mockHost } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+});
+
+test("full report includes system volume and process count", async () => {
+  replayFixture("windows-healthy");
+  mockHost({ memoryPercent: 50 });
+  const { getFullHealthReport } = await importFresh("health.js");
+
+  const result = await getFullHealthReport();
+
+  assert.equal(result.memory.usagePercent, 50);
+  assert.equal(result.disk.usagePercent, 60);
+  assert.deepEqual(result.disk.volumes.map(v => [v.volume, v.percentFree]), [["C:", 40], ["D:", 60]]);
+  assert.equal(result.processes.count, 214);
+});
+
+test("unavailable disk and process data degrade to N/A", async () => {
+  replayNothing();
+  mockHost();
+  const { getFullHealthReport } = await importFresh("health.js");
+
+  const result = await getFullHealthReport();
+
+  assert.equal(result.disk.totalDiskGB, "N/A");
+  assert.deepEqual(result.disk.volumes, []);
+  assert.equal(result.processes.count, "N/A");
+});
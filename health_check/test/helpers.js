@@ -0,0 +1,79 @@
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { mock } from "node:test";
+import { configureRunner } from "../src/platform/runner.js";
+import { invalidateCache } from "../src/cache.js";
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+let importCounter = 0;
+// Cumulative CPU times keep growing across tests so any two snapshots yield a valid delta
+const cpuTimes = { user: 0, idle: 0 };
+
+/**
+ * Replay a recorded fixture from test/fixtures
+ */
+export function replayFixture(name) {
+  configureRunner({ replay: path.join(testDir, "fixtures", `${name}.json`) });
+}
+
+/**
+ * Replay a fixture with no entries - every command fails as if unavailable
+ */
+export function replayNothing(platform = "win32") {
+  configureRunner({ fixture: { platform, entries: [] } });
+}
+
+/**
+ * Import a fresh copy of a system module so its module-level state and the shared cache start empty
+ */
+export function importFresh(modulePath) {
+  invalidateCache();
+  const url = new URL(`../src/system/${modulePath}`, import.meta.url);
+  url.searchParams.set("fresh", String(++importCounter));
+  return import(url.href);
+}
+
+/**
+ * Pin CPU and memory usage reported by the os module
+ * Each os.cpus() call advances every core by 100ms of which cpuPercent is busy.
+ */
+export function mockHost({ cpuPercent = 10, memoryPercent = 40 } = {}) {
+  const cores = 4;
+  const totalMemory = 16 * 1024 ** 3;
+  // Jump the counters at the new ratio so a sampling window begun in an earlier test still reads cpuPercent
+  cpuTimes.user += cpuPercent * 1e6;
+  cpuTimes.idle += (100 - cpuPercent) * 1e6;
+  mock.method(os, "cpus", () => {
+    cpuTimes.user += cpuPercent;
+    cpuTimes.idle += 100 - cpuPercent;
+    return Array.from({ length: cores }, () => ({
+      model: "Test CPU",
+      speed: 2400,
+      times: { user: cpuTimes.user, nice: 0, sys: 0, idle: cpuTimes.idle, irq: 0 },
+    }));
+  });
+  mock.method(os, "totalmem", () => totalMemory);
+  mock.method(os, "freemem", () => totalMemory * (1 - memoryPercent / 100));
+}
+
+/**
+ * Run a call on a fake clock that moves stepMs forward whenever the call is left waiting on a timer
+ * Windows process sampling measures its window by elapsed time, so replayed windows then last exactly stepMs.
+ */
+export async function withFakeClock(run, stepMs = 1000) {
+  mock.timers.enable({ apis: ["Date", "setTimeout"], now: Date.now() });
+  let settled = false;
+  const pending = run().finally(() => {
+    settled = true;
+  });
+  try {
+    while (!settled) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!settled) mock.timers.tick(stepMs);
+    }
+    return await pending;
+  } finally {
+    mock.timers.reset();
+  }
+}
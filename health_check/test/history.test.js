@@ -0,0 +1,113 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { startHistorySampler, stopHistorySampler, recordSample, getMetricHistory } from "../src/system/history.js";
+import { getVolumes } from "../src/system/disks.js";
+import { invalidateCache, trackCacheUse } from "../src/cache.js";
+import { replayFixture, replayNothing, importFresh, mockHost } from "./helpers.js";
+
+afterEach(() => {
+  stopHistorySampler();
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+  mock.restoreAll();
+  configureRunner();
+});
+
+/**
+ * Write a history file with one CPU sample per minute ending now
+ */
+function writeHistory(cpuValues) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "history-")), "history.ndjson");
+  const now = Date.now();
+  const lines = cpuValues.map((cpu, index) => JSON.stringify({
+    timestamp: now - (cpuValues.length - 1 - index) * 60000,
+    cpu,
+    memory: 50,
+    diskFree: 40,
+    cpuTemp: null,
+    batteryCharge: null,
+    connectivity: 1,
+  }));
+  fs.writeFileSync(filePath, lines.join("\n") + "\n");
+  return filePath;
+}
+
+test("persisted history is summarized with min/max/avg/p95", async () => {
+  const persistPath = writeHistory([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]);
+  startHistorySampler({ intervalSeconds: 0, persistPath });
+
+  const result = await getMetricHistory({ metrics: ["cpu", "cpuTemp"], windowMinutes: 30, resolutionSeconds: 120 });
+
+  assert.deepEqual(result.metrics.cpu.summary, {
+    min: 10,
+    max: 100,
+    avg: 55,
+    p95: 100,
+    latest: 100,
+    samples: 10,
+  });
+  assert.ok(result.metrics.cpu.series.length >= 5 && result.metrics.cpu.series.length <= 6);
+  assert.equal(result.metrics.cpuTemp.summary, "N/A - no samples in window");
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats"]);
+  assert.equal(result.sampler.storedSamples, 10);
+});
+
+test("unknown metrics are rejected", async () => {
+  await assert.rejects(getMetricHistory({ metrics: ["gpu"] }), /Unknown metric\(s\): gpu/);
+});
+
+test("recorded samples are appended to the history file", async () => {
+  const persistPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "history-")), "history.ndjson");
+  startHistorySampler({ intervalSeconds: 0, persistPath });
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 20, memoryPercent: 30 });
+
+  const sample = await recordSample();
+
+  assert.equal(sample.memory, 30);
+  assert.equal(sample.diskFree, 40);
+  assert.equal(sample.cpuTemp, 52.5);
+  assert.equal(sample.batteryCharge, 85);
+  assert.equal(sample.connectivity, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(persistPath, "utf8")), sample);
+});
+
+test("the sampler reads the system volume through the shared cache", async () => {
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+  invalidateCache();
+  replayFixture("windows-healthy");
+  mockHost();
+
+  const sampled = await trackCacheUse(() => recordSample());
+  assert.deepEqual(sampled.cacheInfo.lookups.filter(lookup => lookup.source === "volumes").map(lookup => lookup.status), ["miss"]);
+
+  const { result, cacheInfo } = await trackCacheUse(() => getVolumes({ volume: "C" }));
+  assert.equal(result[0].percentFree, 40);
+  assert.deepEqual(cacheInfo.lookups.map(lookup => lookup.status), ["hit"]);
+});
+
+test("connectivity is not recorded as down when no probe could run", async () => {
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+  replayNothing();
+  mockHost();
+  invalidateCache();
+
+  const sample = await recordSample();
+
+  assert.equal(sample.connectivity, null);
+});
+
+test("alerts mention how long CPU has been critically high", async () => {
+  startHistorySampler({ intervalSeconds: 0, persistPath: writeHistory([40, 95, 96, 97, 95, 98, 99, 97]) });
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 95 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.info, ["CPU has been above 90% for the last 6 minutes"]);
+});
@@ -0,0 +1,149 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { createServer } from "../src/server.js";
+import { startHttpServer, getHttpConfig } from "../src/http.js";
+
+const TOKEN = "test-secret";
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+let running = null;
+const clients = [];
+
+/**
+ * Start the HTTP transport on a free loopback port
+ */
+async function start(options = {}) {
+  running = await startHttpServer({ createServer, token: TOKEN, host: "127.0.0.1", port: 0, ...options });
+  return running;
+}
+
+/**
+ * Connect an SDK client over the given transport
+ */
+async function connect(transport) {
+  const client = new Client({ name: "http-test", version: "1.0.0" });
+  await client.connect(transport);
+  clients.push(client);
+  return client;
+}
+
+afterEach(async () => {
+  await Promise.all(clients.splice(0).map(client => client.close().catch(() => {})));
+  await running?.close();
+  running = null;
+});
+
+test("streamable HTTP client lists tools and calls one with a valid token", async () => {
+  const { url, sessionCount } = await start();
+  const client = await connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: { headers: auth } }));
+
+  const { tools } = await client.listTools();
+  assert.ok(tools.some(tool => tool.name === "get_health_alerts"));
+  assert.equal(sessionCount(), 1);
+
+  const result = await client.callTool({ name: "get_health_policy", arguments: {} });
+  assert.equal(JSON.parse(result.content[0].text).severity, "info");
+});
+
+test("requests without the right bearer token are rejected", async () => {
+  const { url } = await start();
+
+  const missing = await fetch(`${url}/mcp`, { method: "POST", body: "{}" });
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+
+  const wrong = await fetch(`${url}/sse`, { headers: { Authorization: "Bearer nope" } });
+  assert.equal(wrong.status, 401);
+});
+
+test("non-initialize requests need a known session", async () => {
+  const { url } = await start();
+  const headers = { ...auth, "Content-Type": "application/json", Accept: "application/json, text/event-stream" };
+  const body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+
+  const noSession = await fetch(`${url}/mcp`, { method: "POST", headers, body });
+  assert.equal(noSession.status, 400);
+
+  const unknown = await fetch(`${url}/mcp`, { method: "POST", headers: { ...headers, "Mcp-Session-Id": "missing" }, body });
+  assert.equal(unknown.status, 404);
+
+  const badJson = await fetch(`${url}/mcp`, { method: "POST", headers, body: "{" });
+  assert.equal(badJson.status, 400);
+  assert.equal((await badJson.json()).error.code, -32700);
+});
+
+test("a rejected initialize does not leave its server open", async () => {
+  let opened = 0;
+  let closed = 0;
+  const { url, sessionCount } = await start({
+    createServer: () => {
+      const server = createServer();
+      opened++;
+      server.onclose = () => closed++;
+      return server;
+    },
+  });
+  const body = JSON.stringify({
+    jsonrpc: "2.0",
+    id: 1,
+    method: "initialize",
+    params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "http-test", version: "1.0.0" } },
+  });
+
+  // Without text/event-stream in Accept the transport refuses the request before a session starts
+  const response = await fetch(`${url}/mcp`, { method: "POST", headers: { ...auth, "Content-Type": "application/json", Accept: "application/json" }, body });
+  assert.equal(response.status, 406);
+  assert.equal(sessionCount(), 0);
+  assert.equal(opened, 1);
+  assert.equal(closed, 1);
+});
+
+test("terminating a session removes it", async () => {
+  const { url, sessionCount } = await start();
+  const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: { headers: auth } });
+  await connect(transport);
+  assert.equal(sessionCount(), 1);
+
+  await transport.terminateSession();
+  assert.equal(sessionCount(), 0);
+});
+
+test("legacy SSE clients can connect with the token", async () => {
+  const { url, sessionCount } = await start();
+  const fetchWithAuth = (input, init = {}) => fetch(input, { ...init, headers: { ...init.headers, ...auth } });
+  const client = await connect(new SSEClientTransport(new URL(`${url}/sse`), {
+    eventSourceInit: { fetch: fetchWithAuth },
+    requestInit: { headers: auth },
+  }));
+
+  const { resources } = await client.listResources();
+  assert.ok(resources.some(resource => resource.uri === "health://alerts"));
+  assert.equal(sessionCount(), 1);
+});
+
+test("close ends open sessions and stops listening", async () => {
+  const { url, sessionCount } = await start();
+  await connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: { headers: auth } }));
+
+  await running.close();
+  running = null;
+
+  assert.equal(sessionCount(), 0);
+  await assert.rejects(fetch(`${url}/mcp`, { headers: auth }));
+});
+
+test("HTTP config requires a token and validates the port and session timeout", () => {
+  assert.throws(() => getHttpConfig({}), /requires HEALTH_CHECK_HTTP_TOKEN/);
+  assert.throws(() => getHttpConfig({ HEALTH_CHECK_HTTP_TOKEN: "x", HEALTH_CHECK_HTTP_PORT: "abc" }), /Invalid HEALTH_CHECK_HTTP_PORT/);
+  assert.throws(() => getHttpConfig({ HEALTH_CHECK_HTTP_TOKEN: "x", HEALTH_CHECK_HTTP_SESSION_TIMEOUT: "abc" }), /Invalid HEALTH_CHECK_HTTP_SESSION_TIMEOUT: abc/);
+  assert.throws(() => getHttpConfig({ HEALTH_CHECK_HTTP_TOKEN: "x", HEALTH_CHECK_HTTP_SESSION_TIMEOUT: "-5" }), /Invalid HEALTH_CHECK_HTTP_SESSION_TIMEOUT: -5/);
+  assert.deepEqual(getHttpConfig({ HEALTH_CHECK_HTTP_TOKEN: "x" }), {
+    host: "127.0.0.1",
+    port: 8765,
+    token: "x",
+    sessionTimeoutSeconds: 1800,
+  });
+});
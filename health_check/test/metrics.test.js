@@ -0,0 +1,77 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import os from "os";
+import { configureRunner } from "../src/platform/runner.js";
+import { getMetricsConfig, startMetricsServer } from "../src/metrics.js";
+import { resetAlertStates } from "../src/system/rules.js";
+import { replayFixture, replayNothing, mockHost } from "./helpers.js";
+
+let running = null;
+
+afterEach(async () => {
+  mock.restoreAll();
+  configureRunner();
+  resetAlertStates();
+  await running?.close();
+  running = null;
+});
+
+test("/metrics exports gauges in OpenMetrics format with a host label", async () => {
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 12, memoryPercent: 40 });
+  running = await startMetricsServer({ host: "127.0.0.1", port: 0 });
+
+  const response = await fetch(running.url);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "application/openmetrics-text; version=1.0.0; charset=utf-8");
+
+  const body = await response.text();
+  const host = `host="${os.hostname()}"`;
+  assert.match(body, /^# HELP health_cpu_usage_percent /);
+  assert.match(body, /# TYPE health_cpu_usage_percent gauge\n/);
+  assert.ok(body.includes(`health_memory_usage_percent{${host}} 40\n`));
+  assert.ok(body.includes(`health_volume_free_percent{${host},volume="C:"} 40\n`));
+  // Backslashes in label values are escaped
+  assert.ok(body.includes(`health_temperature_celsius{${host},sensor="ACPI\\\\ThermalZone\\\\CPUZ_0",label="CPUZ",kind="cpu"} 52.5\n`));
+  assert.ok(body.includes(`health_connectivity_up{${host}} 1\n`));
+  assert.ok(body.includes(`health_security_feature_enabled{${host},feature="firewall",product="Windows Firewall"} 1\n`));
+  assert.ok(body.includes(`health_alerts{${host},severity="critical"} 0\n`));
+  assert.ok(body.includes(`health_score{${host}} 100\n`));
+  assert.ok(body.includes(`health_category_score{${host},category="security"} 100\n`));
+  assert.ok(body.endsWith("\n# EOF\n"));
+
+  // Every sample line carries the host label
+  const samples = body.split("\n").filter(line => line && !line.startsWith("#"));
+  assert.ok(samples.every(line => line.includes(`{${host}`)));
+
+  // A second scrape is answered from the tools' caches without running anything
+  replayNothing();
+  const again = await (await fetch(running.url)).text();
+  assert.ok(again.includes(`health_volume_free_percent{${host},volume="C:"} 40\n`));
+  assert.ok(again.includes(`health_source_up{${host},source="thermal"} 1\n`));
+});
+
+test("a bearer token is required when configured, and only /metrics is served", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+  running = await startMetricsServer({ host: "127.0.0.1", port: 0, token: "scrape-secret" });
+
+  assert.equal((await fetch(running.url)).status, 401);
+  assert.equal((await fetch(running.url, { headers: { Authorization: "Bearer nope" } })).status, 401);
+
+  const auth = { Authorization: "Bearer scrape-secret" };
+  assert.equal((await fetch(running.url, { headers: auth })).status, 200);
+  assert.equal((await fetch(running.url.replace("/metrics", "/mcp"), { headers: auth })).status, 404);
+  assert.equal((await fetch(running.url, { method: "POST", headers: auth })).status, 405);
+});
+
+test("the exporter is off unless a port is configured", () => {
+  assert.equal(getMetricsConfig({}), null);
+  assert.deepEqual(getMetricsConfig({ HEALTH_CHECK_METRICS_PORT: "9464" }), { host: "127.0.0.1", port: 9464, token: null });
+  assert.deepEqual(
+    getMetricsConfig({ HEALTH_CHECK_METRICS_PORT: "9464", HEALTH_CHECK_METRICS_HOST: "0.0.0.0", HEALTH_CHECK_METRICS_TOKEN: "s" }),
+    { host: "0.0.0.0", port: 9464, token: "s" }
+  );
+  assert.throws(() => getMetricsConfig({ HEALTH_CHECK_METRICS_PORT: "http" }), /Invalid HEALTH_CHECK_METRICS_PORT: http/);
+});
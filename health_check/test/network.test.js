@@ -0,0 +1,404 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import dgram from "dgram";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { loadHealthPolicy } from "../src/policy.js";
+import { trackCacheUse } from "../src/cache.js";
+import { replayFixture, replayNothing, importFresh } from "./helpers.js";
+
+const WINDOWS_PING = host =>
+  `powershell -Command "$r = (New-Object System.Net.NetworkInformation.Ping).Send('${host}', 3000); if ($r.Status -eq 'Success') { $r.RoundtripTime } else { $r.Status }"`;
+
+const servers = [];
+
+/**
+ * Start a server on a free localhost port and stop it after the test
+ */
+async function listen(server) {
+  servers.push(server);
+  if (server instanceof dgram.Socket) {
+    await new Promise(resolve => server.bind(0, "127.0.0.1", resolve));
+  } else {
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  }
+  return server.address().port;
+}
+
+/**
+ * Minimal DNS server: answers A queries for known names, NXDOMAIN for the rest
+ */
+function dnsServer(records) {
+  const server = dgram.createSocket("udp4");
+  server.on("message", (query, client) => {
+    // The question starts after the 12-byte header: length-prefixed labels, then type and class
+    let offset = 12;
+    const labels = [];
+    while (query[offset] !== 0) {
+      labels.push(query.toString("ascii", offset + 1, offset + 1 + query[offset]));
+      offset += query[offset] + 1;
+    }
+    const question = query.subarray(12, offset + 5);
+    const address = records[labels.join(".")];
+
+    const header = Buffer.from([0, 0, 0x81, address ? 0x80 : 0x83, 0, 1, 0, address ? 1 : 0, 0, 0, 0, 0]);
+    query.copy(header, 0, 0, 2);
+    const answer = address
+      ? Buffer.from([0xc0, 12, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4, ...address.split(".").map(Number)])
+      : Buffer.alloc(0);
+    server.send(Buffer.concat([header, question, answer]), client.port, client.address);
+  });
+  return server;
+}
+
+/**
+ * Windows-style network interfaces with or without a non-loopback address
+ */
+function mockInterfaces(withLink = true) {
+  const interfaces = { "Loopback Pseudo-Interface 1": [{ address: "127.0.0.1", family: "IPv4", mac: "00:00:00:00:00:00", internal: true }] };
+  if (withLink) {
+    interfaces["Wi-Fi"] = [{ address: "192.168.1.20", family: "IPv4", mac: "aa:bb:cc:dd:ee:01", internal: false }];
+    interfaces["vEthernet (WSL)"] = [{ address: "172.29.64.1", family: "IPv4", mac: "00:15:5d:aa:bb:01", internal: false }];
+  }
+  mock.method(os, "networkInterfaces", () => interfaces);
+}
+
+afterEach(async () => {
+  mock.restoreAll();
+  configureRunner();
+  loadHealthPolicy({ path: null });
+  await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(() => resolve()))));
+});
+
+test("connected network with devices is info", async () => {
+  replayFixture("windows-healthy");
+  mockInterfaces();
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.internetConnectivity.connected, true);
+  assert.equal(result.internetConnectivity.verdict, "online");
+  assert.equal(result.internetConnectivity.probeSource, "built-in defaults");
+  assert.deepEqual(result.internetConnectivity.probes.map(probe => [probe.type, probe.name, probe.ok, probe.latencyMs]), [
+    ["dns", "connectivitycheck.gstatic.com", true, 9],
+    ["tcp", "Cloudflare", true, 14],
+    ["http", "http://connectivitycheck.gstatic.com/generate_204", true, 38],
+    ["icmp", "Google DNS", true, 12],
+  ]);
+  assert.deepEqual(result.connectedDevices, {
+    usbDevices: 6,
+    bluetoothDevices: 2,
+    totalConnectedDevices: 8,
+    method: "Get-PnpDevice",
+  });
+});
+
+test("every probe failing with a network link up is critical", async () => {
+  replayFixture("windows-critical");
+  mockInterfaces(true);
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.severity, "critical");
+  assert.equal(result.internetConnectivity.connected, false);
+  assert.equal(result.internetConnectivity.verdict, "no_internet");
+  assert.deepEqual(result.internetConnectivity.probes.map(probe => probe.reason), [
+    "Timed out",
+    "Timed out",
+    "Timed out",
+    "No ICMP reply (TimedOut)",
+  ]);
+  assert.equal(result.actionableSummary, "❌ No internet connectivity - 1 interface detected but unreachable");
+  assert.ok(result.recommendations.includes("No internet connectivity detected"));
+  assert.deepEqual(result.defaultRoute, { interface: "Wi-Fi", gateway: "192.168.1.1", reachable: false, latencyMs: "N/A" });
+  assert.ok(result.recommendations.includes("Default gateway 192.168.1.1 on Wi-Fi is not answering - restart the router or reconnect to the network"));
+});
+
+test("interfaces report link state, speed, throughput and counters with virtual adapters set aside", async () => {
+  replayFixture("windows-healthy");
+  mockInterfaces();
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.deepEqual(result.interfaces.map(entry => [entry.name, entry.kind, entry.status, entry.speedMbps, entry.ipv4]), [
+    ["Wi-Fi", "physical", "up", 866.7, "192.168.1.20"],
+    ["Ethernet", "physical", "down", "N/A", "N/A"],
+  ]);
+  const [wifi] = result.interfaces;
+  assert.equal(wifi.description, "Intel(R) Wi-Fi 6 AX201 160MHz");
+  assert.equal(wifi.mac, "AA:BB:CC:DD:EE:01");
+  // 256KB received and 64KB sent over a ~1s window
+  assert.ok(Math.abs(wifi.rxBytesPerSec - 262144) < 262144 * 0.1);
+  assert.ok(Math.abs(wifi.txBytesPerSec - 65536) < 65536 * 0.1);
+  assert.deepEqual(wifi.errors, { received: 0, sent: 0 });
+  assert.deepEqual(wifi.dropped, { received: 14, sent: 0 });
+  assert.deepEqual(result.hiddenInterfaces, [
+    { name: "vEthernet (WSL)", kind: "vm" },
+    { name: "Loopback Pseudo-Interface 1", kind: "loopback" },
+  ]);
+  assert.deepEqual(result.defaultRoute, { interface: "Wi-Fi", gateway: "192.168.1.1", reachable: true, latencyMs: 2 });
+  assert.equal(result.actionableSummary, "✅ Internet connected (1 active interface). 8 devices");
+
+  replayFixture("windows-healthy");
+  const all = await getNetworkStatus({ includeVirtual: true });
+  assert.deepEqual(all.interfaces.map(entry => [entry.name, entry.virtual]), [
+    ["Wi-Fi", false],
+    ["Ethernet", false],
+    ["vEthernet (WSL)", true],
+    ["Loopback Pseudo-Interface 1", true],
+  ]);
+  assert.deepEqual(all.hiddenInterfaces, []);
+});
+
+test("packet errors during the sample window are a warning", async () => {
+  replayFixture("windows-warning");
+  mockInterfaces();
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.interfaces[0].errorsDuringSample, 12);
+  assert.deepEqual(result.interfaces[0].errors, { received: 15, sent: 0 });
+  assert.ok(result.recommendations.includes("Wi-Fi reported 12 packet errors in 1s - check the cable, Wi-Fi signal or adapter driver"));
+});
+
+test("linux interfaces come from sysfs, /proc/net/dev and /proc/net/route", async () => {
+  const netDev = counters => [
+    "Inter-|   Receive                                                |  Transmit",
+    " face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed",
+    ...Object.entries(counters).map(([name, [rx, tx]]) => `${name.padStart(6)}: ${rx} 100 0 2 0 0 0 0 ${tx} 80 0 0 0 0 0 0`),
+    "",
+  ].join("\n");
+  const sysfs = (name, { operstate, speed = null, address, devicePath }) => [
+    { kind: "readFile", target: `/sys/class/net/${name}/operstate`, result: `${operstate}\n` },
+    { kind: "readFile", target: `/sys/class/net/${name}/flags`, result: "0x1003\n" },
+    speed === null
+      ? { kind: "readFile", target: `/sys/class/net/${name}/speed`, error: { message: "EINVAL: invalid argument, read", code: "EINVAL" } }
+      : { kind: "readFile", target: `/sys/class/net/${name}/speed`, result: `${speed}\n` },
+    { kind: "readFile", target: `/sys/class/net/${name}/address`, result: `${address}\n` },
+    { kind: "readLink", target: `/sys/class/net/${name}`, result: devicePath },
+  ];
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readDir", target: "/sys/class/net", result: ["docker0", "enp3s0", "lo", "wg0"] },
+        ...sysfs("docker0", { operstate: "down", address: "02:42:ac:11:00:01", devicePath: "../../devices/virtual/net/docker0" }),
+        ...sysfs("enp3s0", { operstate: "up", speed: 1000, address: "52:54:00:12:34:56", devicePath: "../../devices/pci0000:00/0000:00:1c.0/0000:03:00.0/net/enp3s0" }),
+        ...sysfs("lo", { operstate: "unknown", address: "00:00:00:00:00:00", devicePath: "../../devices/virtual/net/lo" }),
+        ...sysfs("wg0", { operstate: "unknown", address: "", devicePath: "../../devices/virtual/net/wg0" }),
+        { kind: "readFile", target: "/proc/net/dev", result: netDev({ lo: [5000, 5000], enp3s0: [1000000, 200000], docker0: [0, 0], wg0: [300, 400] }) },
+        { kind: "readFile", target: "/proc/net/dev", result: netDev({ lo: [5000, 5000], enp3s0: [2048576, 200000], docker0: [0, 0], wg0: [300, 400] }) },
+        {
+          kind: "readFile",
+          target: "/proc/net/route",
+          result: [
+            "Iface\tDestination\tGateway \tFlags\tRefCnt\tUse\tMetric\tMask\t\tMTU\tWindow\tIRTT",
+            "wg0\t00000000\t00000000\t0001\t0\t0\t200\t00000000\t0\t0\t0",
+            "enp3s0\t00000000\t0101A8C0\t0003\t0\t0\t100\t00000000\t0\t0\t0",
+            "enp3s0\t0001A8C0\t00000000\t0001\t0\t0\t100\t00FFFFFF\t0\t0\t0",
+            "",
+          ].join("\n"),
+        },
+        { kind: "exec", target: "ping -c 1 -W 1 192.168.1.1", result: { stdout: "64 bytes from 192.168.1.1: icmp_seq=1 ttl=64 time=0.84 ms\n", stderr: "" } },
+      ],
+    },
+  });
+  mock.method(os, "networkInterfaces", () => ({
+    lo: [{ address: "127.0.0.1", family: "IPv4", mac: "00:00:00:00:00:00", internal: true }],
+    enp3s0: [{ address: "192.168.1.30", family: "IPv4", mac: "52:54:00:12:34:56", internal: false }],
+  }));
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({ probes: [{ type: "icmp", host: "192.168.1.1" }], includeVirtual: true });
+
+  assert.deepEqual(result.interfaces.map(entry => [entry.name, entry.kind, entry.status, entry.speedMbps]), [
+    ["docker0", "container", "down", "N/A"],
+    ["enp3s0", "physical", "up", 1000],
+    ["lo", "loopback", "up", "N/A"],
+    ["wg0", "vpn", "up", "N/A"],
+  ]);
+  const enp3s0 = result.interfaces[1];
+  assert.ok(Math.abs(enp3s0.rxBytesPerSec - 1048576) < 1048576 * 0.1);
+  assert.equal(enp3s0.txBytesPerSec, 0);
+  assert.deepEqual(enp3s0.dropped, { received: 2, sent: 0 });
+  assert.deepEqual(result.defaultRoute, { interface: "enp3s0", gateway: "192.168.1.1", reachable: true, latencyMs: 0.84 });
+});
+
+test("without a non-loopback interface the verdict is no_link", async () => {
+  replayFixture("windows-critical");
+  mockInterfaces(false);
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.internetConnectivity.verdict, "no_link");
+  assert.equal(result.actionableSummary, "❌ No internet connectivity - no active network interface");
+});
+
+test("connectivity result is cached between calls", async () => {
+  replayFixture("windows-healthy");
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  await getNetworkStatus();
+  const { cacheInfo } = await trackCacheUse(() => getNetworkStatus());
+
+  assert.deepEqual(cacheInfo.lookups.map(lookup => [lookup.source, lookup.status]), [["connectivity", "hit"]]);
+});
+
+test("unavailable device enumeration is N/A", async () => {
+  replayNothing();
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.connectedDevices.usbDevices, "N/A");
+  assert.equal(result.internetConnectivity.error, "Unable to verify connectivity");
+  // Probes that could not run are not a critical outage; only the device enumeration warns
+  assert.equal(result.internetConnectivity.verdict, "unknown");
+  assert.equal(result.internetConnectivity.connected, "Unknown");
+  assert.equal(result.severity, "warning");
+  assert.match(result.actionableSummary, /^⚪ Internet connectivity not checked/);
+});
+
+test("forceRefresh bypasses the connectivity cache", async () => {
+  replayFixture("windows-healthy");
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  await getNetworkStatus();
+  const { cacheInfo } = await trackCacheUse(() => getNetworkStatus({ forceRefresh: true }));
+
+  assert.deepEqual(cacheInfo.lookups.map(lookup => [lookup.source, lookup.status]), [["connectivity", "refreshed"]]);
+});
+
+test("legacy targets are pinged and any reply counts as connected", async () => {
+  configureRunner({
+    fixture: {
+      platform: "win32",
+      entries: [
+        { kind: "exec", target: WINDOWS_PING("10.0.0.1"), result: { stdout: "TimedOut\r\n", stderr: "" } },
+        { kind: "exec", target: WINDOWS_PING("example.com"), result: { stdout: "23\r\n", stderr: "" } },
+      ],
+    },
+  });
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({ targets: ["10.0.0.1", "example.com"] });
+
+  assert.equal(result.internetConnectivity.connected, true);
+  assert.equal(result.internetConnectivity.verdict, "partial");
+  assert.deepEqual(result.internetConnectivity.probes, [
+    { name: "10.0.0.1", type: "icmp", target: "10.0.0.1", ok: false, latencyMs: "N/A", reason: "No ICMP reply (TimedOut)" },
+    { name: "example.com", type: "icmp", target: "example.com", ok: true, latencyMs: 23 },
+  ]);
+});
+
+test("only ICMP failing means ping is blocked, not offline", async () => {
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "tcp", target: "example.com:443", result: { latencyMs: 20 } },
+        { kind: "exec", target: "ping -c 1 -W 3 8.8.8.8", error: { message: "Command failed: ping -c 1 -W 3 8.8.8.8", code: 1, stdout: "", stderr: "" } },
+      ],
+    },
+  });
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({ probes: [{ type: "tcp", host: "example.com", port: 443 }, { type: "icmp", host: "8.8.8.8" }] });
+
+  assert.equal(result.internetConnectivity.verdict, "icmp_blocked");
+  assert.equal(result.internetConnectivity.connected, true);
+  assert.match(result.actionableSummary, /^✅ Internet connected \(\d+ active interfaces?\), ping blocked/);
+});
+
+test("failing DNS with working TCP is dns_broken", async () => {
+  const dnsPort = await listen(dnsServer({}));
+  const tcpPort = await listen(net.createServer(socket => socket.end()));
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({
+    probes: [
+      { type: "dns", host: "example.com", server: `127.0.0.1:${dnsPort}` },
+      { type: "tcp", name: "gateway", host: "127.0.0.1", port: tcpPort },
+    ],
+  });
+
+  assert.equal(result.severity, "critical");
+  assert.equal(result.internetConnectivity.verdict, "dns_broken");
+  assert.deepEqual(result.internetConnectivity.probes.map(probe => [probe.ok, probe.errorCode ?? null]), [[false, "ENOTFOUND"], [true, null]]);
+  assert.equal(result.actionableSummary, `❌ DNS not working - example.com via 127.0.0.1:${dnsPort}: DNS lookup failed (name not found)`);
+  assert.match(result.recommendations[1], /resolvectl flush-caches/);
+});
+
+test("a redirected check URL points at a captive portal", async () => {
+  const dnsPort = await listen(dnsServer({ "connectivity.test": "127.0.0.1" }));
+  const httpPort = await listen(http.createServer((request, response) => {
+    response.writeHead(302, { Location: "http://portal.hotel.test/login" });
+    response.end();
+  }));
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({
+    probes: [
+      { type: "dns", host: "connectivity.test", server: `127.0.0.1:${dnsPort}` },
+      { type: "http", name: "check", url: `http://127.0.0.1:${httpPort}/generate_204`, expectStatus: [204] },
+    ],
+  });
+
+  const [dns, web] = result.internetConnectivity.probes;
+  assert.deepEqual(dns.addresses, ["127.0.0.1"]);
+  assert.equal(web.status, 302);
+  assert.equal(result.severity, "warning");
+  assert.equal(result.internetConnectivity.verdict, "proxy_or_captive_portal");
+  assert.equal(result.actionableSummary, "🟡 Possible captive portal or proxy - check: Unexpected HTTP 302 redirecting to http://portal.hotel.test/login");
+  assert.match(result.recommendations[0], /redirected to http:\/\/portal\.hotel\.test\/login/);
+});
+
+test("a refused connection alongside working probes is partial", async () => {
+  const openPort = await listen(net.createServer(socket => socket.end()));
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+  const closedPort = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+  const { getNetworkStatus } = await importFresh("network.js");
+
+  const result = await getNetworkStatus({
+    probes: [
+      { type: "tcp", name: "web", host: "127.0.0.1", port: openPort },
+      { type: "tcp", name: "vpn", host: "127.0.0.1", port: closedPort },
+    ],
+  });
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.internetConnectivity.verdict, "partial");
+  assert.equal(result.actionableSummary, "🟡 Internet partially reachable - vpn: Connection refused");
+});
+
+test("probes come from the policy file and incomplete probe arguments are rejected", async () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-network-"));
+  const filePath = path.join(tempDir, "policy.json");
+  fs.writeFileSync(filePath, JSON.stringify({ connectivityProbes: [{ type: "tcp", name: "intranet", host: "intranet.corp", port: 443 }] }));
+  loadHealthPolicy({ path: filePath });
+  configureRunner({ fixture: { platform: "linux", entries: [{ kind: "tcp", target: "intranet.corp:443", result: { latencyMs: 4 } }] } });
+  const { getNetworkStatus, checkConnectivity } = await importFresh("network.js");
+
+  const result = await getNetworkStatus();
+
+  assert.equal(result.internetConnectivity.probeSource, "policy");
+  assert.deepEqual(result.internetConnectivity.probes, [
+    { name: "intranet", type: "tcp", target: "intranet.corp:443", ok: true, latencyMs: 4 },
+  ]);
+  await assert.rejects(checkConnectivity({ probes: [{ type: "http" }] }), /probes\[0\]: http probes need url/);
+  await assert.rejects(checkConnectivity({ probes: [{ type: "http", url: "https://[::1" }] }), /probes\[0\]: url is not a valid URL/);
+});
@@ -0,0 +1,90 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayFixture, replayNothing, importFresh, mockHost, withFakeClock } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+});
+
+test("normal load is info with top processes", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats());
+
+  assert.equal(result.severity, "info");
+  assert.deepEqual(result.diskIO, { readMBps: 2, writeMBps: 1 });
+  assert.equal(result.topProcesses.length, 5);
+  assert.equal(result.topProcesses[0].name, "chrome");
+  assert.equal(result.topProcesses[0].cpuPercent, 2.5);
+  assert.equal(result.processesRankedBy, "cpu");
+  assert.ok(result.actionableSummary.endsWith("Top process by cpu: chrome (PID 8800, 2.5% CPU, 1220.7MB)"));
+  assert.deepEqual(result.recommendations, []);
+  assert.deepEqual(result.nextStepsToCheck, []);
+});
+
+test("high CPU and memory are critical and point to thermal status", async () => {
+  replayFixture("windows-critical");
+  mockHost({ cpuPercent: 95, memoryPercent: 92 });
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats());
+
+  assert.equal(result.severity, "critical");
+  assert.deepEqual(result.recommendations, [
+    "Check top processes for CPU-intensive tasks",
+    "Close unused applications to free memory",
+  ]);
+  assert.deepEqual(result.nextStepsToCheck, ["get_thermal_status"]);
+});
+
+test("elevated memory is a warning", async () => {
+  replayFixture("windows-warning");
+  mockHost({ memoryPercent: 87 });
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats());
+
+  assert.equal(result.severity, "warning");
+  assert.deepEqual(result.nextStepsToCheck, []);
+});
+
+test("unavailable counters degrade to N/A", async () => {
+  replayNothing();
+  mockHost();
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats({ processLimit: 3 }));
+
+  assert.equal(result.diskIO.readMBps, "N/A");
+  assert.deepEqual(result.topProcesses, []);
+});
+
+test("processes can be ranked by memory with a custom limit", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats({ processLimit: 2, sortBy: "memory" }));
+
+  assert.deepEqual(result.topProcesses.map(process => process.name), ["chrome", "Code"]);
+  assert.equal(result.processesRankedBy, "memory");
+});
+
+test("a busy compile outranks processes with more cumulative CPU time", async () => {
+  replayFixture("windows-critical");
+  mockHost({ cpuPercent: 95 });
+  const { getPerformanceStats } = await importFresh("performance.js");
+
+  const result = await withFakeClock(() => getPerformanceStats({ processLimit: 3 }));
+
+  assert.deepEqual(result.topProcesses.map(process => [process.name, process.cpuPercent]), [
+    ["cl", 81],
+    ["chrome", 7.5],
+    ["MsMpEng", 3],
+  ]);
+});
@@ -0,0 +1,136 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { loadHealthPolicy, getHealthPolicy, getThresholds } from "../src/policy.js";
+import { evaluateRules, resetAlertStates } from "../src/system/rules.js";
+import { replayFixture, importFresh, mockHost } from "./helpers.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-policy-"));
+const missingPath = path.join(tempDir, "does-not-exist.json");
+
+/**
+ * Write a policy object to a temp file and return its path
+ */
+function writePolicy(name, policy) {
+  const filePath = path.join(tempDir, `${name}.json`);
+  fs.writeFileSync(filePath, typeof policy === "string" ? policy : JSON.stringify(policy));
+  return filePath;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+  loadHealthPolicy({ path: null });
+  resetAlertStates();
+});
+
+test("defaults apply when no policy file is configured", async () => {
+  loadHealthPolicy({ path: null });
+
+  assert.deepEqual(getThresholds().cpu, { warning: 80, critical: 90 });
+  assert.deepEqual(getThresholds().diskFree, { warning: 20, critical: 5 });
+
+  const result = await getHealthPolicy();
+  assert.equal(result.policyFile, "None (built-in defaults)");
+  assert.deepEqual(result.thresholds.cpu.warning, { value: 80, source: "built-in default" });
+  assert.match(result.actionableSummary, /built-in default thresholds/);
+});
+
+test("policy file overrides are reported with their source", async () => {
+  const filePath = writePolicy("override", { thresholds: { cpu: { warning: 70 }, batteryCharge: { critical: 10 } } });
+  loadHealthPolicy({ path: filePath });
+
+  const result = await getHealthPolicy();
+  assert.deepEqual(result.thresholds.cpu.warning, { value: 70, source: `policy file ${filePath}` });
+  assert.deepEqual(result.thresholds.cpu.critical, { value: 90, source: "built-in default" });
+  assert.deepEqual(result.thresholds.batteryCharge.critical, { value: 10, source: `policy file ${filePath}` });
+  assert.match(result.actionableSummary, /2 thresholds overridden/);
+});
+
+test("profiles are selected by name or by hostname pattern", async () => {
+  const filePath = writePolicy("profiles", {
+    thresholds: { cpu: { warning: 70 } },
+    profiles: {
+      "build-server": { hosts: ["ci-*"], thresholds: { cpu: { warning: 95, critical: 99 } } },
+      laptop: { thresholds: { batteryCharge: { warning: 40 } } },
+    },
+  });
+
+  loadHealthPolicy({ path: filePath, profile: "laptop" });
+  assert.equal(getThresholds().batteryCharge.warning, 40);
+  assert.equal(getThresholds().cpu.warning, 70);
+
+  mock.method(os, "hostname", () => "CI-runner-07");
+  loadHealthPolicy({ path: filePath });
+  const result = await getHealthPolicy();
+  assert.deepEqual(result.profile, { name: "build-server", selectedBy: "hostname CI-runner-07" });
+  assert.deepEqual(result.thresholds.cpu.warning, { value: 95, source: `profile "build-server" in ${filePath}` });
+});
+
+test("missing file, bad JSON and invalid values fail with a clear error", () => {
+  assert.throws(() => loadHealthPolicy({ path: missingPath }), /Invalid health policy .*unable to read file \(ENOENT\)/);
+  assert.throws(() => loadHealthPolicy({ path: writePolicy("bad-json", "{ cpu: 80") }), /not valid JSON/);
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("unknown-metric", { thresholds: { gpu: { warning: 80 } } }) }),
+    /thresholds\.gpu is not a known metric/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-value", { thresholds: { cpu: { warning: "80" } } }) }),
+    /thresholds\.cpu\.warning must be a number or null/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("misordered", { thresholds: { diskFree: { warning: 5, critical: 10 } } }) }),
+    /diskFree: warning \(5\) must be at or above critical \(10\)/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-profile", { profile: "nope" }) }),
+    /profile "nope" is not defined under profiles/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-probe", { connectivityProbes: [{ type: "tcp", host: "example.com" }] }) }),
+    /connectivityProbes\[0\]: tcp probes need port/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-probe-url", { connectivityProbes: [{ type: "http", url: "http://[bad" }] }) }),
+    /connectivityProbes\[0\]: url is not a valid URL/
+  );
+  assert.throws(
+    () => loadHealthPolicy({ path: writePolicy("bad-probe-type", { profiles: { lab: { connectivityProbes: [{ type: "smtp", host: "mail" }] } } }) }),
+    /profiles\.lab\.connectivityProbes\[0\]\.type must be one of: dns, tcp, http, icmp/
+  );
+});
+
+test("alerts honor raised thresholds from the active profile", async () => {
+  const filePath = writePolicy("quiet-cpu", {
+    profiles: { "build-server": { thresholds: { cpu: { warning: 95, critical: 99 } } } },
+  });
+  loadHealthPolicy({ path: filePath, profile: "build-server" });
+
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 92 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, []);
+  assert.deepEqual(result.warning, []);
+});
+
+test("a null critical threshold disables that severity", async () => {
+  const filePath = writePolicy("no-critical-cpu", { thresholds: { cpu: { critical: null } } });
+  loadHealthPolicy({ path: filePath });
+
+  replayFixture("windows-healthy");
+  mockHost({ cpuPercent: 95 });
+  evaluateRules({ timestamp: Date.now() - 5 * 60000, cpu: 95 });
+  const { getHealthAlerts } = await importFresh("alerts.js");
+
+  const result = await getHealthAlerts();
+
+  assert.deepEqual(result.critical, []);
+  assert.deepEqual(result.warning, ["CPU elevated: 95%"]);
+});
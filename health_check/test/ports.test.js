@@ -0,0 +1,144 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayFixture, replayNothing, importFresh } from "./helpers.js";
+
+afterEach(() => {
+  configureRunner();
+});
+
+test("listening sockets and connections are listed with owners and exposure", async () => {
+  replayFixture("windows-healthy");
+  const { getOpenPorts } = await importFresh("ports.js");
+
+  const result = await getOpenPorts();
+
+  assert.equal(result.severity, "info");
+  assert.deepEqual(result.listening.map(l => [l.protocol, l.address, l.port, l.process, l.exposed]), [
+    ["tcp", "0.0.0.0", 135, "svchost", true],
+    ["tcp", "::", 135, "svchost", true],
+    ["tcp", "0.0.0.0", 445, "System", true],
+    ["tcp", "127.0.0.1", 3000, "node", false],
+    ["udp", "0.0.0.0", 5353, "chrome", true],
+  ]);
+  assert.deepEqual(result.connections[0], {
+    protocol: "tcp",
+    localAddress: "192.168.1.20",
+    localPort: 52110,
+    remoteAddress: "142.250.74.35",
+    remotePort: 443,
+    state: "ESTABLISHED",
+    pid: 8800,
+    process: "chrome",
+  });
+  assert.deepEqual(result.counts.byState, { LISTEN: 5, ESTABLISHED: 3, CLOSE_WAIT: 1, TIME_WAIT: 1 });
+  assert.deepEqual(result.topProcessesByConnections[0], { process: "chrome", pid: 8800, connections: 3 });
+  assert.equal(result.actionableSummary, "5 listening (4 exposed beyond localhost), 5 connections; most connections: chrome (PID 8800, 3)");
+});
+
+test("state, port, process and protocol filters narrow the listing", async () => {
+  replayFixture("windows-healthy");
+  const { getOpenPorts } = await importFresh("ports.js");
+
+  const established = await getOpenPorts({ state: "established", process: "Chrome.exe" });
+  assert.deepEqual(established.connections.map(c => c.localPort), [52110, 52111]);
+  assert.deepEqual(established.listening, []);
+  assert.deepEqual(established.filters, { state: "established", port: "any", process: "Chrome.exe", protocol: "both" });
+
+  const byPort = await getOpenPorts({ port: 3000 });
+  assert.equal(byPort.listening.length, 1);
+  assert.equal(byPort.connections.length, 1);
+
+  const udp = await getOpenPorts({ protocol: "udp" });
+  assert.deepEqual(udp.listening.map(l => l.port), [5353]);
+
+  const limited = await getOpenPorts({ limit: 2 });
+  assert.equal(limited.connections.length, 2);
+  assert.equal(limited.connectionsNote, "Showing 2 of 5 connections; narrow with state, port or process");
+});
+
+test("risky services reachable from the network are a warning", async () => {
+  replayFixture("windows-critical");
+  const { getOpenPorts } = await importFresh("ports.js");
+
+  const result = await getOpenPorts({ state: "listen" });
+
+  assert.equal(result.severity, "warning");
+  assert.deepEqual(result.listening.filter(l => l.service).map(l => [l.service, l.port, l.process]), [
+    ["Remote Desktop", 3389, "svchost"],
+    ["VNC", 5900, "tvnserver"],
+  ]);
+  assert.ok(result.recommendations.includes(
+    "Remote Desktop (port 3389/tcp) is listening on 0.0.0.0 (svchost, PID 1240) - bind it to 127.0.0.1 or block it in the firewall if remote access isn't needed"
+  ));
+  assert.match(result.actionableSummary, /^🟡 Remote Desktop exposed on 0\.0\.0\.0:3389; VNC exposed on 0\.0\.0\.0:5900\. /);
+  assert.deepEqual(result.nextStepsToCheck, ["get_process_details"]);
+});
+
+test("linux sockets come from /proc/net tables with owners from /proc/<pid>/fd", async () => {
+  const header = "  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode";
+  const row = (local, remote, state, inode) => `   0: ${local} ${remote} ${state} 00000000:00000000 00:00000000 00000000  1000        0 ${inode} 1 0000000000000000 100 0 0 10 0`;
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        {
+          kind: "readFile",
+          target: "/proc/net/tcp",
+          result: [
+            header,
+            row("0100007F:1538", "00000000:0000", "0A", "1001"),
+            row("00000000:0016", "00000000:0000", "0A", "1002"),
+            row("1401A8C0:CD8A", "234AFA8E:01BB", "01", "1003"),
+            row("1401A8C0:CD8B", "234AFA8E:01BB", "06", "0"),
+          ].join("\n"),
+        },
+        {
+          kind: "readFile",
+          target: "/proc/net/tcp6",
+          result: [header, row("00000000000000000000000001000000:18EB", "00000000000000000000000000000000:0000", "0A", "1004")].join("\n"),
+        },
+        {
+          kind: "readFile",
+          target: "/proc/net/udp",
+          result: [header, row("00000000:14E9", "00000000:0000", "07", "1005")].join("\n"),
+        },
+        { kind: "readFile", target: "/proc/net/udp6", error: { message: "ENOENT: no such file or directory", code: "ENOENT" } },
+        { kind: "readDir", target: "/proc", result: ["1", "812", "4242", "self"] },
+        { kind: "readDir", target: "/proc/1/fd", error: { message: "EACCES: permission denied", code: "EACCES" } },
+        { kind: "readDir", target: "/proc/812/fd", result: ["3"] },
+        { kind: "readLink", target: "/proc/812/fd/3", result: "socket:[1005]" },
+        { kind: "readDir", target: "/proc/4242/fd", result: ["0", "21", "22", "23"] },
+        { kind: "readLink", target: "/proc/4242/fd/0", result: "/dev/null" },
+        { kind: "readLink", target: "/proc/4242/fd/21", result: "socket:[1001]" },
+        { kind: "readLink", target: "/proc/4242/fd/22", result: "socket:[1003]" },
+        { kind: "readLink", target: "/proc/4242/fd/23", result: "socket:[1004]" },
+        { kind: "readFile", target: "/proc/812/comm", result: "avahi-daemon\n" },
+        { kind: "readFile", target: "/proc/4242/comm", result: "node\n" },
+      ],
+    },
+  });
+  const { getOpenPorts } = await importFresh("ports.js");
+
+  const result = await getOpenPorts();
+
+  assert.deepEqual(result.listening.map(l => [l.protocol, l.address, l.port, l.process, l.exposed]), [
+    ["tcp", "0.0.0.0", 22, "N/A", true],
+    ["udp", "0.0.0.0", 5353, "avahi-daemon", true],
+    ["tcp", "127.0.0.1", 5432, "node", false],
+    ["tcp", "::1", 6379, "node", false],
+  ]);
+  assert.deepEqual(result.connections.map(c => [c.remoteAddress, c.remotePort, c.state, c.process]), [
+    ["142.250.74.35", 443, "TIME_WAIT", "N/A"],
+    ["142.250.74.35", 443, "ESTABLISHED", "node"],
+  ]);
+  // The sshd listener belongs to root, whose descriptors were unreadable
+  assert.ok(result.recommendations.includes("1 socket has no known owner - Run the server with sudo to see every process"));
+});
+
+test("open ports are unavailable without socket data", async () => {
+  replayNothing("linux");
+  const { getOpenPorts } = await importFresh("ports.js");
+
+  await assert.rejects(getOpenPorts(), /No socket tables readable/);
+});
@@ -0,0 +1,208 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import { configureRunner } from "../src/platform/runner.js";
+import { importFresh, mockHost, withFakeClock } from "./helpers.js";
+
+/**
+ * Detail query the Windows backend runs for one PID
+ */
+function windowsDetailsCommand(pid) {
+  return `powershell -Command "Get-CimInstance Win32_Process -Filter 'ProcessId = ${pid}' | ForEach-Object { $o = Invoke-CimMethod -InputObject $_ -MethodName GetOwner; [PSCustomObject]@{ CommandLine = $_.CommandLine; ExecutablePath = $_.ExecutablePath; CreationDate = $_.CreationDate; User = if ($o.User) { $o.Domain + '\\' + $o.User } else { $null } } } | ConvertTo-Json"`;
+}
+
+/**
+ * Replay a recorded Windows fixture with extra entries appended
+ */
+function replayWindows(name, extraEntries = []) {
+  const fixture = JSON.parse(fs.readFileSync(new URL(`./fixtures/windows-${name}.json`, import.meta.url), "utf8"));
+  configureRunner({ fixture: { ...fixture, entries: [...fixture.entries, ...extraEntries] } });
+}
+
+/**
+ * Replay two Windows process snapshots, each given as [pid, name, cpuSeconds]
+ */
+function replayWindowsSnapshots(before, after) {
+  const target = 'powershell -Command "Get-CimInstance Win32_Process | Select-Object ProcessId, ParentProcessId, Name, KernelModeTime, UserModeTime, WorkingSetSize, PrivatePageCount, HandleCount, ThreadCount, ReadTransferCount, WriteTransferCount | ConvertTo-Json"';
+  const snapshot = processes => ({
+    kind: "exec",
+    target,
+    result: {
+      stdout: JSON.stringify(processes.map(([pid, name, cpuSeconds]) => ({
+        ProcessId: pid,
+        ParentProcessId: 4,
+        Name: `${name}.exe`,
+        KernelModeTime: 0,
+        UserModeTime: cpuSeconds * 1e7,
+        WorkingSetSize: 104857600,
+        PrivatePageCount: 52428800,
+        HandleCount: 100,
+        ThreadCount: 4,
+        ReadTransferCount: 0,
+        WriteTransferCount: 0,
+      }))),
+      stderr: "",
+    },
+  });
+  configureRunner({ fixture: { platform: "win32", entries: [snapshot(before), snapshot(after)] } });
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+});
+
+test("processes can be ranked by I/O rate and handle count", async () => {
+  replayWindows("critical");
+  mockHost();
+  const { getTopProcesses } = await importFresh("processes.js");
+
+  assert.deepEqual((await withFakeClock(() => getTopProcesses(2, "io"))).map(process => [process.name, process.ioMBps]), [["cl", 24], ["MsMpEng", 2]]);
+
+  replayWindows("critical");
+  assert.deepEqual((await withFakeClock(() => getTopProcesses(2, "handles"))).map(process => [process.name, process.handles]), [["System", 4500], ["explorer", 3200]]);
+});
+
+test("a long-running process exiting during the window does not zero everyone else", async () => {
+  // sqlservr used 10000 CPU seconds over its life and is gone from the second snapshot
+  replayWindowsSnapshots(
+    [[600, "sqlservr", 10000], [700, "backup", 100]],
+    [[700, "backup", 102]]
+  );
+  mockHost();
+  const { getTopProcesses } = await importFresh("processes.js");
+
+  const top = await withFakeClock(() => getTopProcesses(5));
+
+  // 2 CPU seconds in a 1 s window on 4 cores
+  assert.deepEqual(top.map(process => [process.name, process.cpuPercent]), [["backup", 50]]);
+});
+
+test("a process started during the window is not charged its lifetime CPU", async () => {
+  // The PowerShell taking the second snapshot has already used 1.5 CPU seconds
+  replayWindowsSnapshots(
+    [[700, "backup", 100], [800, "idle-app", 5]],
+    [[700, "backup", 100.4], [800, "idle-app", 5], [9000, "powershell", 1.5]]
+  );
+  mockHost();
+  const { getTopProcesses } = await importFresh("processes.js");
+
+  const top = await withFakeClock(() => getTopProcesses(3));
+
+  assert.deepEqual(top.map(process => [process.name, process.cpuPercent]), [["backup", 10], ["idle-app", 0], ["powershell", 0]]);
+  assert.equal(top.find(process => process.name === "powershell").ioMBps, "N/A");
+});
+
+test("process details by name include command line, owner, memory split and tree", async () => {
+  replayWindows("healthy", [
+    {
+      kind: "exec",
+      target: windowsDetailsCommand(8800),
+      result: {
+        stdout: JSON.stringify({
+          CommandLine: "\"C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe\"",
+          ExecutablePath: "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
+          CreationDate: "/Date(1792300000000)/",
+          User: "CONTOSO\\alex",
+        }),
+        stderr: "",
+      },
+    },
+    { kind: "exec", target: windowsDetailsCommand(8900), result: { stdout: "", stderr: "" } },
+  ]);
+  mockHost();
+  const { getProcessDetails } = await importFresh("processes.js");
+
+  const result = await withFakeClock(() => getProcessDetails({ name: "Chrome.exe" }));
+
+  assert.equal(result.found, true);
+  assert.equal(result.matchCount, 2);
+  assert.equal(result.severity, "info");
+  const [main, renderer] = result.processes;
+  assert.equal(main.pid, 8800);
+  assert.equal(main.user, "CONTOSO\\alex");
+  assert.equal(main.startTime, "2026-10-18T05:06:40.000Z");
+  assert.deepEqual(main.memory, { workingSetMB: 1220.7, privateMB: 980.2 });
+  assert.equal(main.openFiles, "N/A");
+  assert.match(main.openFilesNote, /handle\.exe/);
+  assert.deepEqual(main.parent, { pid: 5120, name: "explorer" });
+  assert.deepEqual(main.children, [{ pid: 8900, name: "chrome", cpuPercent: 1.5, memoryMB: 420.5, children: [] }]);
+  assert.equal(renderer.commandLine, "N/A");
+  assert.match(renderer.note, /No process with PID 8900/);
+  assert.equal(
+    result.actionableSummary,
+    "2 processes match name \"Chrome.exe\". Busiest: chrome (PID 8800): 2.5% CPU, 1220.7MB working set (980.2MB private), 40 threads, user CONTOSO\\alex"
+  );
+});
+
+test("a process using most of the CPU is a warning", async () => {
+  replayWindows("critical");
+  mockHost();
+  const { getProcessDetails } = await importFresh("processes.js");
+
+  const result = await withFakeClock(() => getProcessDetails({ pid: 9700 }));
+
+  assert.equal(result.severity, "warning");
+  assert.deepEqual(result.processes[0].ancestors, [{ pid: 9100, name: "Code" }, { pid: 5120, name: "explorer" }]);
+  assert.ok(result.recommendations.includes("cl (PID 9700) is using 81% of total CPU - end or restart it if it shouldn't be busy"));
+});
+
+test("unknown processes and missing arguments are reported", async () => {
+  replayWindows("healthy");
+  mockHost();
+  const { getProcessDetails } = await importFresh("processes.js");
+
+  const result = await withFakeClock(() => getProcessDetails({ name: "nonexistent" }));
+  assert.equal(result.found, false);
+  assert.equal(result.actionableSummary, "No running process matches name \"nonexistent\"");
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats"]);
+
+  await assert.rejects(getProcessDetails({}), /Provide either pid or name/);
+});
+
+test("linux snapshots and details come from procfs", async () => {
+  const stat = (pid, name, ppid, ticks) =>
+    `${pid} (${name}) S ${ppid} 1 1 0 -1 4194560 100 0 0 0 ${ticks} 0 0 0 20 0 3 0 5000 100000000 2560 18446744073709551615`;
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readFile", target: "/proc/stat", result: "cpu  1000 0 500 8500 0 0 0 0 0 0\nbtime 1792300000\n" },
+        { kind: "readFile", target: "/proc/stat", result: "cpu  1300 0 500 8600 0 0 0 0 0 0\nbtime 1792300000\n" },
+        { kind: "readDir", target: "/proc", result: ["1", "42", "self"] },
+        { kind: "readFile", target: "/proc/1/stat", result: stat(1, "systemd", 0, 300) },
+        { kind: "readFile", target: "/proc/42/stat", result: stat(42, "node server.js", 1, 1000) },
+        { kind: "readFile", target: "/proc/42/stat", result: stat(42, "node server.js", 1, 1300) },
+        { kind: "readFile", target: "/proc/42/statm", result: "100000 2560 512 10 0 3000 0" },
+        { kind: "readFile", target: "/proc/42/io", result: "rchar: 1\nwchar: 1\nread_bytes: 1048576\nwrite_bytes: 0\n" },
+        { kind: "readDir", target: "/proc/42/fd", result: ["0", "1", "2"] },
+        { kind: "readLink", target: "/proc/42/fd/0", result: "/dev/null" },
+        { kind: "readLink", target: "/proc/42/fd/1", result: "socket:[1234]" },
+        { kind: "readLink", target: "/proc/42/fd/2", result: "/var/log/app.log" },
+        { kind: "readLink", target: "/proc/42/exe", result: "/usr/bin/node" },
+        { kind: "readFile", target: "/proc/42/cmdline", result: "node\0server.js\0--port\u00008080\0" },
+        { kind: "readFile", target: "/proc/42/status", result: "Name:\tnode\nUid:\t1000\t1000\t1000\t1000\nRssFile:\t2048 kB\nRssShmem:\t0 kB\nVmSwap:\t512 kB\n" },
+        { kind: "readFile", target: "/etc/passwd", result: "root:x:0:0::/root:/bin/bash\nalex:x:1000:1000::/home/alex:/bin/bash\n" },
+      ],
+    },
+  });
+  mockHost();
+  const { getProcessDetails } = await importFresh("processes.js");
+
+  const result = await withFakeClock(() => getProcessDetails({ pid: 42 }));
+
+  const [node] = result.processes;
+  assert.equal(node.name, "node server.js");
+  // 300 of 400 ticks across the machine
+  assert.equal(node.cpuPercent, 75);
+  assert.equal(node.commandLine, "node server.js --port 8080");
+  assert.equal(node.executablePath, "/usr/bin/node");
+  assert.equal(node.user, "alex");
+  assert.equal(node.startTime, "2026-10-18T05:07:30.000Z");
+  assert.equal(node.handles, 3);
+  assert.equal(node.threads, 3);
+  assert.deepEqual(node.openFiles, ["/dev/null", "/var/log/app.log"]);
+  assert.deepEqual(node.memory, { workingSetMB: 10, privateMB: 8, sharedMB: 2, swapMB: 0.5 });
+  assert.deepEqual(node.parent, { pid: 1, name: "systemd" });
+});
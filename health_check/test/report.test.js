@@ -0,0 +1,146 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { resetAlertStates } from "../src/system/rules.js";
+import { generateHealthReport } from "../src/system/report.js";
+import { validateArguments } from "../src/validation.js";
+import { TOOLS } from "../src/server.js";
+import { replayFixture, replayNothing, mockHost } from "./helpers.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-report-"));
+
+afterEach(() => {
+  delete process.env.HEALTH_CHECK_REPORT_DIR;
+  mock.restoreAll();
+  configureRunner();
+  resetAlertStates();
+});
+
+test("markdown report has an executive summary, a badge and tables per section, and every recommendation", async () => {
+  replayFixture("windows-critical");
+  mockHost({ cpuPercent: 12, memoryPercent: 40 });
+
+  const result = await generateHealthReport({ forceRefresh: true });
+
+  assert.equal(result.format, "markdown");
+  assert.equal(result.severity, "critical");
+  assert.deepEqual(result.sections.map(section => [section.id, section.status, section.severity]), [
+    ["alerts", "ok", "critical"],
+    ["performance", "ok", "info"],
+    ["battery", "ok", "warning"],
+    ["thermal", "ok", "critical"],
+    ["network", "ok", "critical"],
+    ["systemHealth", "ok", "critical"],
+  ]);
+
+  const { report } = result;
+  assert.match(report, /^# System health report - /);
+  assert.ok(report.includes("## Executive summary\n\n- **Overall status:** 🔴 CRITICAL\n- **Health score:** 48.1/100 (Poor)"));
+  assert.ok(report.includes("| Battery and power | 🟡 WARNING | Battery: 8% (Low) |"));
+  assert.ok(report.includes("## 2. Performance - 🟢 OK"));
+  assert.ok(report.includes("| C: | Windows | NTFS | 3% | 476.84 GB | critical |"));
+  assert.ok(report.includes("| Reasons | thermal (firmware limits performance to 62%) |"));
+  assert.ok(report.includes("- Remote Desktop on 0.0.0.0:3389 (svchost)"));
+
+  // Recommendations of the most severe sections come first, each listed once
+  assert.equal(result.recommendations[0], "CPUZ at 98°C has reached its critical trip point (97°C)");
+  assert.equal(result.recommendations.at(-1), "Consider connecting to power soon");
+  assert.equal(new Set(result.recommendations).size, result.recommendations.length);
+  assert.ok(report.includes("- Consider connecting to power soon _(Battery and power)_"));
+  assert.deepEqual(result.nextStepsToCheck, ["get_system_health", "get_performance_stats", "get_event_log_summary"]);
+});
+
+test("sections whose tool failed or had no data say why", async () => {
+  replayNothing();
+  mockHost();
+  mock.method(os, "totalmem", () => {
+    throw new Error("sysinfo failed");
+  });
+
+  const result = await generateHealthReport({ format: "json", forceRefresh: true });
+
+  assert.deepEqual(result.sections.slice(0, 4), [
+    { id: "alerts", title: "Alerts and health score", status: "failed", severity: null, reason: "sysinfo failed" },
+    { id: "performance", title: "Performance", status: "failed", severity: null, reason: "sysinfo failed" },
+    {
+      id: "battery",
+      title: "Battery and power",
+      status: "unavailable",
+      severity: null,
+      reason: "Limited battery data available. System may restrict battery telemetry.",
+    },
+    {
+      id: "thermal",
+      title: "Thermal",
+      status: "unavailable",
+      severity: null,
+      reason: "Temperature sensors unavailable: No temperature sensors readable",
+    },
+  ]);
+  assert.match(result.actionableSummary, /4 section\(s\) not reported: alerts \(failed\), performance \(failed\), battery \(unavailable\), thermal \(unavailable\)$/);
+
+  // The JSON document carries each tool's full result alongside the summary
+  const { report } = result;
+  assert.equal(report.executiveSummary.healthScore, null);
+  assert.equal(report.executiveSummary.notReported[0], "Alerts and health score: sysinfo failed");
+  const network = report.sections.find(section => section.id === "network");
+  assert.equal(network.result.internetConnectivity.verdict, "unknown");
+  assert.equal(network.result.internetConnectivity.connected, "Unknown");
+});
+
+test("html report is a standalone page written to a new file in outputDir", async () => {
+  process.env.HEALTH_CHECK_REPORT_DIR = tempDir;
+  replayFixture("windows-healthy");
+  mockHost();
+  mock.method(os, "hostname", () => "lab<1>&co");
+
+  const result = await generateHealthReport({ format: "html", outputDir: "tickets/1234", forceRefresh: true });
+
+  assert.equal(result.report, undefined);
+  assert.equal(path.dirname(result.path), path.join(tempDir, "tickets", "1234"));
+  assert.match(path.basename(result.path), /^health-report-lab-1--co-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.html$/);
+  assert.match(result.actionableSummary, /^🟢 OK: System health report - lab<1>&co, score 100\/100\. Saved to /);
+
+  const html = fs.readFileSync(result.path, "utf8");
+  assert.equal(result.bytes, Buffer.byteLength(html));
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes("<title>System health report - lab&lt;1&gt;&amp;co</title>"));
+  assert.ok(!/<(link|script|img)\b/.test(html));
+  assert.ok(html.includes('<h2 id="thermal">4. Thermal <span class="badge" style="background:#2e7d32">🟢 OK</span></h2>'));
+  assert.ok(html.includes("<tr><td>CPU Package</td><td>cpu</td><td>55°C</td><td>N/A</td><td>N/A</td><td>info</td></tr>"));
+});
+
+test("reports go to the per-user data directory unless HEALTH_CHECK_REPORT_DIR is set", async () => {
+  const stateHome = process.env.XDG_STATE_HOME;
+  process.env.XDG_STATE_HOME = tempDir;
+  mock.method(os, "platform", () => "linux");
+  replayFixture("windows-healthy");
+  mockHost();
+  try {
+    const result = await generateHealthReport({ format: "json", outputDir: "escalations", forceRefresh: true });
+    assert.equal(path.dirname(result.path), path.join(tempDir, "health_check", "reports", "escalations"));
+  } finally {
+    if (stateHome === undefined) delete process.env.XDG_STATE_HOME;
+    else process.env.XDG_STATE_HOME = stateHome;
+  }
+});
+
+test("outputDir cannot lead out of the reports directory", async () => {
+  process.env.HEALTH_CHECK_REPORT_DIR = tempDir;
+
+  const outside = `${tempDir}-elsewhere`;
+  for (const outputDir of [`../${path.basename(outside)}`, `tickets/../../${path.basename(outside)}`, outside]) {
+    await assert.rejects(generateHealthReport({ outputDir }), /outputDir must be a directory inside the reports directory/);
+  }
+  assert.ok(!fs.existsSync(outside));
+
+  const schema = TOOLS.find(tool => tool.name === "generate_health_report").inputSchema;
+  assert.deepEqual(validateArguments(schema, { outputDir: "tickets/1234" }), []);
+  for (const outputDir of ["../elsewhere", "/etc", "tickets/./x", "C:\\reports"]) {
+    assert.match(validateArguments(schema, { outputDir })[0].message, /has an invalid format/, outputDir);
+  }
+});
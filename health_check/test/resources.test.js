@@ -0,0 +1,88 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { configureRunner } from "../src/platform/runner.js";
+import { registerResources } from "../src/resources.js";
+import { replayFixture, mockHost } from "./helpers.js";
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+  configureRunner();
+});
+
+/**
+ * Connect a client to a server with the resource handlers registered
+ */
+async function connect() {
+  const server = new Server(
+    { name: "test", version: "1.0.0" },
+    { capabilities: { resources: { subscribe: true } } }
+  );
+  const handle = registerResources(server, { watchIntervalSeconds: 0 });
+  const client = new Client({ name: "test-client", version: "1.0.0" });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  return { client, handle };
+}
+
+test("resources are listed and read as tool JSON", async () => {
+  replayFixture("windows-healthy");
+  mockHost();
+  const { client, handle } = await connect();
+
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), [
+    "health://alerts",
+    "health://performance",
+    "health://battery",
+    "health://thermal",
+    "health://network",
+    "health://system",
+  ]);
+
+  const { contents } = await client.readResource({ uri: "health://thermal" });
+  assert.equal(contents[0].mimeType, "application/json");
+  assert.equal(JSON.parse(contents[0].text).cpu.temperatureCelsius, 55);
+
+  await assert.rejects(client.readResource({ uri: "health://gpu" }), /Unknown resource/);
+  handle.close();
+});
+
+test("subscribers are notified when the alert set changes severity", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  replayFixture("windows-healthy");
+  mockHost();
+  const { client, handle } = await connect();
+  const updates = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+    updates.push(notification.params.uri);
+  });
+
+  await client.subscribeResource({ uri: "health://alerts" });
+  await handle.checkSubscriptions();
+
+  // Same alert set - no notification
+  mock.timers.tick(5000);
+  await handle.checkSubscriptions();
+  assert.deepEqual(updates, []);
+
+  // A critical alert appears
+  replayFixture("windows-critical");
+  mock.timers.tick(5000);
+  await handle.checkSubscriptions();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(updates, ["health://alerts"]);
+
+  // ...and clears after unsubscribing - no further notification
+  await client.unsubscribeResource({ uri: "health://alerts" });
+  replayFixture("windows-healthy");
+  mock.timers.tick(5000);
+  await handle.checkSubscriptions();
+  assert.deepEqual(updates, ["health://alerts"]);
+  handle.close();
+});
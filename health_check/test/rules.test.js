@@ -0,0 +1,192 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { loadHealthPolicy, getHealthPolicy } from "../src/policy.js";
+import { evaluateRules, getAlertStates, resetAlertStates, onAlertTransition } from "../src/system/rules.js";
+import { startHistorySampler, recordSample } from "../src/system/history.js";
+import { replayFixture, mockHost } from "./helpers.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "alert-rules-"));
+const start = Date.parse("2026-10-18T10:00:00Z");
+
+/**
+ * Write a policy with the given alert rules and load it
+ */
+function loadRules(name, alertRules) {
+  const filePath = path.join(tempDir, `${name}.json`);
+  fs.writeFileSync(filePath, JSON.stringify({ alertRules }));
+  loadHealthPolicy({ path: filePath });
+  return filePath;
+}
+
+/**
+ * Feed one reading per minute, the first fromMinute minutes after start
+ */
+function feed(metric, values, fromMinute = 0) {
+  values.forEach((value, index) => evaluateRules({ timestamp: start + (fromMinute + index) * 60000, [metric]: value }));
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+  loadHealthPolicy({ path: null });
+  resetAlertStates();
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+});
+
+test("a user rule goes pending, fires after its duration and clears with hysteresis", () => {
+  loadRules("hot-cpu", [{
+    id: "cpu-hot",
+    metric: "cpuTemp",
+    comparator: ">=",
+    threshold: 90,
+    clearThreshold: 80,
+    severity: "warning",
+    forSeconds: 180,
+    message: "CPU running hot: {value}{unit} (limit {threshold}{unit})",
+    nextTool: "get_thermal_status",
+  }]);
+
+  feed("cpuTemp", [92, 91]);
+  let [alert] = getAlertStates(start + 60000);
+  assert.equal(alert.state, "pending");
+  assert.equal(alert.since, "2026-10-18T10:00:00.000Z");
+
+  feed("cpuTemp", [95, 93], 2);
+  [alert] = getAlertStates(start + 3 * 60000);
+  assert.deepEqual(alert, {
+    rule: "cpu-hot",
+    metric: "cpuTemp",
+    state: "firing",
+    severity: "warning",
+    message: "CPU running hot: 93°C (limit 90°C)",
+    condition: "at or above 90°C",
+    value: 93,
+    threshold: 90,
+    clearThreshold: 80,
+    forSeconds: 180,
+    since: "2026-10-18T10:00:00.000Z",
+    firingSince: "2026-10-18T10:03:00.000Z",
+    nextTool: "get_thermal_status",
+  });
+
+  // Below the threshold but above the clear threshold: still firing
+  evaluateRules({ timestamp: start + 4 * 60000, cpuTemp: 85 });
+  assert.equal(getAlertStates(start + 4 * 60000)[0].state, "firing");
+
+  evaluateRules({ timestamp: start + 5 * 60000, cpuTemp: 78 });
+  [alert] = getAlertStates(start + 5 * 60000);
+  assert.equal(alert.state, "resolved");
+  assert.equal(alert.resolvedAt, "2026-10-18T10:05:00.000Z");
+
+  // Resolved alerts are kept for an hour
+  assert.deepEqual(getAlertStates(start + 66 * 60000), []);
+});
+
+test("a spike shorter than the duration never fires", () => {
+  loadRules("offline", [{ id: "offline", metric: "connectivity", comparator: "==", threshold: 0, severity: "critical", forSeconds: 120 }]);
+
+  feed("connectivity", [0, 1, 0, 1]);
+
+  assert.deepEqual(getAlertStates(start + 3 * 60000), []);
+});
+
+test("alerts on a drive or product that stops reporting resolve", () => {
+  const resolved = [];
+  onAlertTransition(alert => {
+    if (alert.state === "resolved") resolved.push(`${alert.rule}@${alert.instance}`);
+  });
+  const onE = now => getAlertStates(now).filter(alert => alert.instance === "E:").map(alert => [alert.rule, alert.state]);
+
+  evaluateRules({ timestamp: start, diskFree: { "C:": 50, "E:": 2 } });
+  assert.deepEqual(onE(start), [["disk-free-critical", "firing"], ["disk-free-warning", "firing"]]);
+
+  // A sample without diskFree at all leaves the disk alerts alone
+  evaluateRules({ timestamp: start + 60000, memory: 40 });
+  assert.deepEqual(onE(start + 60000), [["disk-free-critical", "firing"], ["disk-free-warning", "firing"]]);
+
+  // E: is unplugged
+  evaluateRules({ timestamp: start + 2 * 60000, diskFree: { "C:": 50 } });
+  assert.deepEqual(onE(start + 2 * 60000), [["disk-free-critical", "resolved"], ["disk-free-warning", "resolved"]]);
+  assert.deepEqual(resolved, ["disk-free-critical@E:", "disk-free-warning@E:"]);
+  assert.deepEqual(onE(start + 5 * 60 * 60000), []);
+});
+
+test("built-in rules can be tuned or turned off by id", async () => {
+  const filePath = loadRules("tuned", [
+    { id: "cpu-critical", forSeconds: 600 },
+    { id: "memory-warning", threshold: 70 },
+    { id: "firewall-disabled", enabled: false },
+  ]);
+
+  evaluateRules({ timestamp: start, cpu: 95, memory: 75, firewallEnabled: { "Windows Firewall": 0 } });
+  evaluateRules({ timestamp: start + 5 * 60000, cpu: 95, memory: 75, firewallEnabled: { "Windows Firewall": 0 } });
+
+  assert.deepEqual(
+    getAlertStates(start + 5 * 60000).map(alert => [alert.rule, alert.state]),
+    [["cpu-critical", "pending"], ["cpu-warning", "firing"], ["memory-warning", "firing"]]
+  );
+
+  const policy = await getHealthPolicy();
+  const memoryWarning = policy.alertRules.find(rule => rule.id === "memory-warning");
+  assert.equal(memoryWarning.threshold, 70);
+  assert.equal(memoryWarning.clearThreshold, undefined);
+  assert.equal(memoryWarning.source, `policy file ${filePath}`);
+  const cpuWarning = policy.alertRules.find(rule => rule.id === "cpu-warning");
+  assert.equal(cpuWarning.threshold, 80);
+  assert.equal(cpuWarning.clearThreshold, 75);
+  assert.equal(cpuWarning.thresholdFrom, "warning threshold for cpu");
+  assert.match(policy.actionableSummary, /3 alert rules added or overridden/);
+});
+
+test("background samples advance alerts between calls", async () => {
+  loadRules("battery", [{ id: "battery-low", metric: "batteryCharge", comparator: "<", threshold: 90, severity: "info", forSeconds: 0 }]);
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+  replayFixture("windows-healthy");
+  mockHost();
+
+  await recordSample();
+
+  const [alert] = getAlertStates();
+  assert.equal(alert.rule, "battery-low");
+  assert.equal(alert.state, "firing");
+  assert.equal(alert.message, "Battery charge below 90%: 85%");
+});
+
+test("a breach already in the history dates from its first sample, not from the latest one", () => {
+  loadRules("cpu", [{ id: "cpu-busy", metric: "cpu", comparator: ">", threshold: 90, severity: "warning", forSeconds: 3600 }]);
+  // Nine busy samples from 10 to 2 minutes before the reading, after a quiet one
+  const persistPath = path.join(tempDir, "busy-history.ndjson");
+  const samples = [50, 95, 95, 95, 95, 95, 95, 95, 95, 95].map((cpu, index) => ({ timestamp: start - (11 - index) * 60000, cpu }));
+  fs.writeFileSync(persistPath, samples.map(sample => JSON.stringify(sample)).join("\n") + "\n");
+  startHistorySampler({ intervalSeconds: 0, persistPath });
+
+  evaluateRules({ timestamp: start, cpu: 95 });
+
+  const alert = getAlertStates(start).find(state => state.rule === "cpu-busy");
+  assert.equal(alert.state, "pending");
+  assert.equal(alert.since, "2026-10-18T09:50:00.000Z");
+});
+
+test("invalid alert rules fail with a clear error", () => {
+  assert.throws(
+    () => loadRules("incomplete", [{ id: "gpu-hot", metric: "cpuTemp", threshold: 90 }]),
+    /alertRules: rule "gpu-hot" needs comparator, severity \(only built-in rules can be partly overridden\)/
+  );
+  assert.throws(
+    () => loadRules("bad-clear", [{ id: "hot", metric: "cpuTemp", comparator: ">", threshold: 90, clearThreshold: 95, severity: "warning" }]),
+    /clearThreshold \(95\) must be at or below threshold \(90\)/
+  );
+  assert.throws(
+    () => loadRules("bad-metric", [{ id: "gpu", metric: "gpuTemp", comparator: ">", threshold: 90, severity: "warning" }]),
+    /alertRules\[0\]\.metric must be one of: cpu, memory/
+  );
+  assert.throws(
+    () => loadRules("duplicate", [{ id: "cpu-critical", forSeconds: 0 }, { id: "cpu-critical", enabled: false }]),
+    /alertRules\[1\]: rule "cpu-critical" is listed twice/
+  );
+});
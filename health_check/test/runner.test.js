@@ -0,0 +1,51 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner, getRunnerMode, runCommand, readFile } from "../src/platform/runner.js";
+import { getPlatformName } from "../src/platform/index.js";
+
+afterEach(() => {
+  configureRunner();
+});
+
+test("record mode captures output and failures that replay serves back", async () => {
+  const fixturePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "runner-")), "fixture.json");
+  configureRunner({ record: fixturePath });
+
+  assert.equal(getRunnerMode(), "record");
+  await runCommand("echo recorded");
+  await assert.rejects(runCommand("exit 3"));
+  await assert.rejects(readFile(path.join(os.tmpdir(), "does-not-exist")));
+
+  configureRunner({ replay: fixturePath });
+
+  assert.equal(getRunnerMode(), "replay");
+  assert.deepEqual(await runCommand("echo recorded"), { stdout: "recorded\n", stderr: "" });
+  await assert.rejects(runCommand("exit 3"), error => error.code === 3);
+  await assert.rejects(readFile(path.join(os.tmpdir(), "does-not-exist")), { code: "ENOENT" });
+});
+
+test("replay serves repeated calls in order and repeats the last entry", async () => {
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readFile", target: "/proc/stat", result: "first" },
+        { kind: "readFile", target: "/proc/stat", result: "second" },
+      ],
+    },
+  });
+
+  assert.equal(await readFile("/proc/stat"), "first");
+  assert.equal(await readFile("/proc/stat"), "second");
+  assert.equal(await readFile("/proc/stat"), "second");
+});
+
+test("unrecorded calls fail and the fixture platform selects the backend", async () => {
+  configureRunner({ fixture: { platform: "win32", entries: [] } });
+
+  await assert.rejects(runCommand("powershell -Command Get-Date"), { code: "ENOFIXTURE" });
+  assert.equal(getPlatformName(), "win32");
+});
@@ -0,0 +1,97 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadHealthPolicy, getHealthPolicy } from "../src/policy.js";
+import { startHistorySampler, stopHistorySampler } from "../src/system/history.js";
+import { calculateHealthScore } from "../src/system/score.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-score-"));
+
+const healthy = {
+  cpu: 20,
+  memory: 40,
+  diskFree: { "C:": 50 },
+  inodeFree: { "C:": "N/A" },
+  antivirusEnabled: { "Windows Defender": 1 },
+  firewallEnabled: { "Windows Firewall": 1 },
+};
+
+/**
+ * Write a policy file with the given content and load it
+ */
+function loadPolicy(name, policy) {
+  const filePath = path.join(tempDir, `${name}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(policy));
+  loadHealthPolicy({ path: filePath });
+  return filePath;
+}
+
+afterEach(() => {
+  loadHealthPolicy({ path: null });
+  stopHistorySampler();
+  startHistorySampler({ intervalSeconds: 0, persistPath: null });
+});
+
+test("penalties grow with the distance past the warning threshold", () => {
+  const slightly = calculateHealthScore({ ...healthy, cpu: 81 });
+  assert.equal(slightly.categories.performance.score, 95);
+  assert.deepEqual(slightly.breakdown, [{
+    category: "performance",
+    factor: "CPU usage 81%",
+    detail: "1 above the 80% warning threshold, critical at 90%",
+    categoryPoints: 5,
+    points: 1.8,
+  }]);
+  assert.equal(slightly.score, 98.2);
+
+  // At the critical threshold the category loses half its points, and more beyond it
+  assert.equal(calculateHealthScore({ ...healthy, cpu: 90 }).categories.performance.score, 50);
+  assert.equal(calculateHealthScore({ ...healthy, cpu: 99 }).categories.performance.score, 5);
+
+  // A disabled firewall outweighs a CPU just past its warning threshold
+  const firewallOff = calculateHealthScore({ ...healthy, firewallEnabled: { "Windows Firewall": 0 } });
+  assert.equal(firewallOff.categories.security.score, 40);
+  assert.equal(firewallOff.breakdown[0].factor, "Windows Firewall disabled");
+  assert.ok(firewallOff.breakdown[0].points > slightly.breakdown[0].points * 10);
+  assert.match(firewallOff.explanation, /^78\.6\/100 from performance 100, storage 100, security 40; biggest impact: Windows Firewall disabled \(-21\.4\)$/);
+});
+
+test("thermal, power and network come from a recent background sample", () => {
+  const persistPath = path.join(tempDir, "history.ndjson");
+  const timestamp = Date.now();
+  fs.writeFileSync(persistPath, JSON.stringify({ timestamp, cpu: 20, memory: 40, diskFree: 50, cpuTemp: 90, batteryCharge: 10, connectivity: 0 }) + "\n");
+  startHistorySampler({ intervalSeconds: 0, persistPath });
+
+  const result = calculateHealthScore(healthy, timestamp);
+  assert.equal(result.categories.thermal.score, 75);
+  assert.equal(result.categories.power.score, 70);
+  assert.equal(result.categories.network.score, 0);
+  assert.deepEqual(result.breakdown.map(factor => factor.category), ["network", "power", "thermal"]);
+  assert.equal(result.score, 84.5);
+
+  // An old sample no longer counts
+  const later = calculateHealthScore(healthy, timestamp + 10 * 60000);
+  assert.equal(later.categories.network.score, null);
+  assert.equal(later.categories.network.note, "No reading available");
+  assert.equal(later.score, 100);
+});
+
+test("score weights come from the policy and weight 0 leaves a category out", async () => {
+  const filePath = loadPolicy("weights", { scoreWeights: { security: 0, storage: 60 } });
+
+  const result = calculateHealthScore({ ...healthy, diskFree: { "C:": 12 }, firewallEnabled: { "Windows Firewall": 0 } });
+  assert.equal(result.categories.security.score, 40);
+  assert.equal(result.categories.security.note, "Weight 0 - not counted");
+  assert.deepEqual(result.breakdown.map(factor => [factor.factor, factor.points]), [["Free space on C: 12% free", 18.8]]);
+  assert.equal(result.score, 81.2);
+
+  const policy = await getHealthPolicy();
+  assert.deepEqual(policy.scoreWeights.storage, { value: 60, source: `policy file ${filePath}` });
+  assert.deepEqual(policy.scoreWeights.performance, { value: 25, source: "built-in default" });
+  assert.match(policy.actionableSummary, /2 score weights changed/);
+
+  assert.throws(() => loadPolicy("bad-category", { scoreWeights: { gpu: 10 } }), /scoreWeights\.gpu is not a score category \(known: performance, storage/);
+  assert.throws(() => loadPolicy("bad-weight", { profiles: { laptop: { scoreWeights: { power: -1 } } } }), /profiles\.laptop\.scoreWeights\.power must be a number from 0 to 100/);
+});
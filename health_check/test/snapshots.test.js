@@ -0,0 +1,183 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mock } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { configureRunner } from "../src/platform/runner.js";
+import { resetAlertStates } from "../src/system/rules.js";
+import { captureHealthSnapshot, compareHealthSnapshots } from "../src/system/snapshots.js";
+import { replayFixture, replayNothing, mockHost, withFakeClock } from "./helpers.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "health-snapshots-"));
+let storeCounter = 0;
+
+/**
+ * Keep snapshots in a new empty directory
+ */
+function useEmptyStore() {
+  const directory = path.join(tempDir, `store-${++storeCounter}`);
+  process.env.HEALTH_CHECK_SNAPSHOT_DIR = directory;
+  return directory;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+  resetAlertStates();
+  delete process.env.HEALTH_CHECK_SNAPSHOT_DIR;
+});
+
+test("snapshots are stored by name and never overwritten unless asked", async () => {
+  const directory = useEmptyStore();
+  replayFixture("windows-healthy");
+  mockHost();
+
+  const captured = await captureHealthSnapshot({ name: "before-update" });
+  assert.equal(captured.snapshot.path, path.join(directory, "before-update.json"));
+  assert.equal(captured.actionableSummary, 'Snapshot "before-update" saved with 6 of 6 tools');
+  const stored = JSON.parse(fs.readFileSync(captured.snapshot.path, "utf8"));
+  assert.equal(stored.name, "before-update");
+  assert.equal(stored.host.hostname, os.hostname());
+  assert.equal(stored.sections.find(section => section.id === "systemHealth").result.disk.volumes[0].percentFree, 40);
+
+  await assert.rejects(captureHealthSnapshot({ name: "before-update" }), /Snapshot "before-update" already exists/);
+  await captureHealthSnapshot({ name: "before-update", replace: true });
+
+  const unnamed = await captureHealthSnapshot();
+  assert.match(unnamed.snapshot.name, /^snapshot-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/);
+  assert.deepEqual(unnamed.storedSnapshots.map(snapshot => snapshot.name), [unnamed.snapshot.name, "before-update"]);
+});
+
+test("comparing with now reports what changed semantically, most severe first", async () => {
+  useEmptyStore();
+  replayFixture("windows-healthy");
+  mockHost();
+  await withFakeClock(() => captureHealthSnapshot({ name: "yesterday" }));
+
+  replayFixture("windows-critical");
+  const result = await withFakeClock(() => compareHealthSnapshots());
+
+  assert.equal(result.severity, "critical");
+  assert.equal(result.from.name, "yesterday");
+  assert.equal(result.to.name, "now");
+  assert.deepEqual(result.notCompared, []);
+
+  const changes = Object.fromEntries(result.changes.map(change => [change.change, change.severity]));
+  assert.equal(result.changes[0].change, "Antivirus: Windows Defender turned off");
+  assert.equal(changes["Firewall: Windows Firewall turned off"], "critical");
+  assert.equal(changes["New alert: ⚠️ Disk space critical: 3% free on C:"], "critical");
+  assert.equal(changes["C: free space 40% → 3% (-176.4 GB)"], "critical");
+  assert.equal(changes["Volume D: removed"], "info");
+  assert.equal(changes["Internet connectivity lost (online → no_internet)"], "critical");
+  assert.equal(changes["System errors in the last 24h 2 → 14 (+12)"], "critical");
+  assert.equal(changes["Newly exposed: Remote Desktop on 0.0.0.0:3389"], "warning");
+  assert.equal(changes["Health score 100 → 48.1 (-51.9)"], "warning");
+  assert.equal(changes["Thermal severity info → critical"], "critical");
+  assert.equal(changes["New in top processes (by cpu): cl (PID 9700, 81% CPU, 1500.6 MB)"], "info");
+  assert.equal(changes["No longer in top processes: System"], "info");
+
+  assert.equal(result.changeCount, result.changes.length);
+  assert.deepEqual(result.nextStepsToCheck, ["get_system_health", "get_health_alerts"]);
+  assert.deepEqual(result.recommendations, ["Start with: Antivirus: Windows Defender turned off"]);
+
+  // Nothing changed since a snapshot taken just now
+  await captureHealthSnapshot({ name: "broken" });
+  const unchanged = await compareHealthSnapshots({ from: "broken" });
+  assert.deepEqual(unchanged.changes, []);
+  assert.match(unchanged.actionableSummary, /^No changes between "broken" \(.+\) and now, 0 min apart$/);
+});
+
+test("two stored snapshots compare what both have, and unknown names are listed", async () => {
+  useEmptyStore();
+  await assert.rejects(compareHealthSnapshots(), /No snapshots stored yet - capture one with capture_health_snapshot first/);
+
+  replayFixture("windows-healthy");
+  mockHost();
+  await captureHealthSnapshot({ name: "monday" });
+  replayNothing();
+  await captureHealthSnapshot({ name: "tuesday" });
+
+  const result = await compareHealthSnapshots({ from: "monday", to: "tuesday" });
+  assert.equal(result.to.name, "tuesday");
+  assert.deepEqual(result.notCompared, [
+    'Disk usage: no data in "tuesday"',
+    'Connected devices: no data in "tuesday"',
+    'System event errors: no data in "tuesday"',
+  ]);
+  const changes = result.changes.map(change => change.change);
+  assert.ok(changes.includes("Interface Wi-Fi removed"));
+  // Probes that could not run are not reported as lost connectivity
+  assert.ok(!changes.some(change => change.startsWith("Internet connectivity")));
+  assert.ok(changes.includes("Thermal: no data (Temperature sensors unavailable: No temperature sensors readable)"));
+  // Security state unknown in one snapshot is not reported as turned off
+  assert.ok(!changes.some(change => change.includes("turned off")));
+
+  await assert.rejects(compareHealthSnapshots({ from: "sunday" }), /No snapshot named "sunday" \(stored: tuesday, monday\)/);
+});
+
+/**
+ * Store a copy of a stored snapshot under a new name, with one tool's result edited
+ */
+function storeEdited(directory, from, name, id, edit) {
+  const snapshot = JSON.parse(fs.readFileSync(path.join(directory, `${from}.json`), "utf8"));
+  const section = snapshot.sections.find(candidate => candidate.id === id);
+  section.result = edit(section.result);
+  fs.writeFileSync(path.join(directory, `${name}.json`), JSON.stringify({ ...snapshot, name }));
+}
+
+/**
+ * A firing alert as listed in alertStates
+ */
+function firing(rule, metric, severity, message, value, instance) {
+  return { rule, metric, state: "firing", severity, message, value, ...(instance ? { instance } : {}) };
+}
+
+test("event errors rising into the warning range are a warning", async () => {
+  useEmptyStore();
+  replayFixture("windows-healthy");
+  mockHost();
+  await captureHealthSnapshot({ name: "monday" });
+  replayFixture("windows-warning");
+  await captureHealthSnapshot({ name: "tuesday" });
+
+  const result = await compareHealthSnapshots({ from: "monday", to: "tuesday" });
+
+  assert.deepEqual(result.changes.filter(change => change.area === "eventLog").map(change => [change.change, change.severity]), [
+    ["System errors in the last 24h 2 → 7 (+5)", "warning"],
+  ]);
+});
+
+test("alerts are matched by rule and instance, not by their text", async () => {
+  const directory = useEmptyStore();
+  replayFixture("windows-healthy");
+  mockHost();
+  await captureHealthSnapshot({ name: "base" });
+  const alertsWith = (alertStates, info, anomalies = []) => alerts => ({ ...alerts, alertStates, info, anomalies });
+  const anomaly = { metric: "memory", label: "Memory", severity: "warning", message: "Anomaly: Memory 70% is unusually high", value: 70, unit: "%", expected: { low: 14, high: 26 } };
+  storeEdited(directory, "base", "monday", "alerts", alertsWith([
+    firing("cpu-warning", "cpu", "warning", "CPU elevated: 85%", 85),
+    firing("disk-free-warning", "diskFree", "warning", "Low disk space: 15% free on C:", 15, "C:"),
+    firing("memory-warning", "memory", "warning", "Memory elevated: 88%", 88),
+  ], ["CPU has been above 80% for the last 3 minutes"]));
+  storeEdited(directory, "base", "tuesday", "alerts", alertsWith([
+    firing("cpu-warning", "cpu", "warning", "CPU elevated: 92%", 92),
+    // Made critical by a policy change
+    firing("disk-free-warning", "diskFree", "critical", "Low disk space: 15% free on C:", 15, "C:"),
+    firing("disk-free-warning", "diskFree", "warning", "Low disk space: 12% free on D:", 12, "D:"),
+    // Outranked by the warning on the same metric, so not listed
+    firing("memory-info", "memory", "info", "Memory above 60%: 70%", 70),
+    firing("memory-warning-2", "memory", "warning", "Memory high: 70%", 70),
+  ], ["CPU has been above 80% for the last 9 minutes"], [anomaly]));
+
+  const result = await compareHealthSnapshots({ from: "monday", to: "tuesday" });
+
+  assert.deepEqual(result.changes.filter(change => change.area === "alerts").map(change => [change.change, change.severity]), [
+    ["Alert warning → critical: ⚠️ Low disk space: 15% free on C:", "critical"],
+    ["New alert: Low disk space: 12% free on D:", "warning"],
+    ["New alert: Memory high: 70%", "warning"],
+    ["New anomaly: Memory 70% (expected 14-26%)", "warning"],
+    ["Still firing: CPU elevated: 92% (was 85%)", "info"],
+    ["Alert cleared: Memory elevated: 88%", "info"],
+  ]);
+});
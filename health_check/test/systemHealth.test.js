@@ -0,0 +1,98 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayFixture, replayNothing, importFresh } from "./helpers.js";
+
+afterEach(() => {
+  configureRunner();
+});
+
+test("protected system with space is info", async () => {
+  replayFixture("windows-healthy");
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.antivirus.active, true);
+  assert.equal(result.firewall.enabledProfiles, 3);
+  assert.equal(result.disk.lowestPercentFree, 40);
+  assert.deepEqual(result.disk.volumes.map(v => [v.volume, v.label, v.severity]), [["C:", "Windows", "info"], ["D:", "Data", "info"]]);
+  assert.equal(result.disk.physicalDisks[0].smartStatus, "Passed");
+  assert.equal(result.disk.physicalDisks[0].mediaType, "SSD");
+  assert.deepEqual(result.systemLogs, { errors24h: 2, windowHours: 24, errorCount: 2, warning: false, critical: false });
+  assert.ok(result.recommendations.includes("✅ Windows Defender active"));
+  assert.ok(result.recommendations.includes("✅ No risky services exposed (4 of 5 listeners reachable from the network)"));
+});
+
+test("low disk space, errors and updates are warnings", async () => {
+  replayFixture("windows-warning");
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(
+    result.actionableSummary,
+    "🟡 Low disk space: 12% free on C:; Moderate system errors: 7 in last 24h; Remote Desktop exposed on 0.0.0.0:3389 (svchost); 3 Windows updates pending"
+  );
+  assert.deepEqual(result.openPorts.risky.map(listener => [listener.service, listener.pid]), [["Remote Desktop", 1240]]);
+  assert.ok(result.nextStepsToCheck.includes("get_open_ports"));
+});
+
+test("disabled protection, full disk and error storm are critical", async () => {
+  replayFixture("windows-critical");
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth();
+
+  assert.equal(result.severity, "critical");
+  assert.equal(
+    result.actionableSummary,
+    "🔴 CRITICAL: Windows Defender is disabled; Windows Firewall is disabled; Disk space critical: 3% free on C:; High system error count: 14 in last 24h"
+  );
+  assert.deepEqual(result.nextStepsToCheck, ["get_event_log_summary", "get_performance_stats"]);
+});
+
+test("unavailable security queries are reported as unknown", async () => {
+  replayNothing();
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.antivirus.active, "Unknown");
+  assert.equal(result.firewall.active, "Unknown");
+  assert.equal(result.updates.count, "N/A");
+  assert.equal(result.disk.lowestPercentFree, "N/A");
+  assert.equal(result.disk.error, "Unable to retrieve disk information");
+  assert.match(result.disk.physicalDiskNote, /Physical disk health unavailable/);
+});
+
+test("selected volume and event log window are queried and named", async () => {
+  configureRunner({
+    fixture: {
+      platform: "win32",
+      entries: [
+        {
+          kind: "exec",
+          target: 'powershell -Command "Get-Volume -DriveLetter D | Select-Object Size, SizeRemaining | ConvertTo-Json"',
+          result: { stdout: '{"Size":1000,"SizeRemaining":100}\n', stderr: "" },
+        },
+        {
+          kind: "exec",
+          target: 'powershell -Command "Get-EventLog -LogName System -EntryType Error -After (Get-Date).AddHours(-72) | Measure-Object | Select-Object -ExpandProperty Count"',
+          result: { stdout: "6\n", stderr: "" },
+        },
+      ],
+    },
+  });
+  const { getSystemHealth } = await importFresh("systemHealth.js");
+
+  const result = await getSystemHealth({ volume: "d:", eventLogHours: 72 });
+
+  assert.deepEqual(result.disk.volumes.map(v => [v.volume, v.percentFree]), [["D:", 10]]);
+  assert.deepEqual(result.systemLogs, { windowHours: 72, errorCount: 6, warning: true, critical: false });
+  assert.ok(result.actionableSummary.includes("Low disk space: 10% free on D:"));
+  assert.ok(result.actionableSummary.includes("Moderate system errors: 6 in last 72h"));
+});
@@ -0,0 +1,273 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { configureRunner } from "../src/platform/runner.js";
+import { replayFixture, replayNothing, importFresh, mockHost } from "./helpers.js";
+
+/**
+ * Replay the healthy Windows fixture with the processor counters and power plan replaced
+ */
+function replayWithCounters({ performance, limit }, powerPlan) {
+  const fixture = JSON.parse(fs.readFileSync(new URL("./fixtures/windows-healthy.json", import.meta.url), "utf8"));
+  const entries = fixture.entries.map(entry => {
+    if (entry.target.includes("Get-Counter '\\Processor Information")) {
+      const samples = [
+        { Path: "\\\\laptop\\processor information(_total)\\% processor performance", CookedValue: performance },
+        { Path: "\\\\laptop\\processor information(_total)\\% performance limit", CookedValue: limit },
+      ];
+      return { ...entry, result: { stdout: JSON.stringify(samples), stderr: "" } };
+    }
+    if (entry.target.includes("Win32_PowerPlan")) {
+      return { ...entry, result: { stdout: `${powerPlan}\n`, stderr: "" } };
+    }
+    return entry;
+  });
+  configureRunner({ fixture: { ...fixture, entries } });
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  configureRunner();
+});
+
+test("normal temperatures are info", async () => {
+  replayFixture("windows-healthy");
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "info");
+  // Hottest CPU sensor, not an average of every zone
+  assert.equal(result.cpu.temperatureCelsius, 55);
+  assert.equal(result.gpu.temperatureCelsius, "N/A");
+  assert.equal(result.thermalThrottling, false);
+  assert.deepEqual(result.recommendations, ["Thermal status normal"]);
+  assert.deepEqual(result.sensors.map(s => [s.label, s.kind, s.celsius, s.highCelsius, s.criticalCelsius, s.limitSource]), [
+    ["CPUZ", "cpu", 52.5, 90, 100, "trip points"],
+    ["TZ00", "zone", 48.5, null, 105, "trip points"],
+    ["CPU Package", "cpu", 55, null, null, "policy (cpuTemp)"],
+    ["CPU Core #1", "cpu", 53, null, null, "policy (cpuTemp)"],
+    ["Composite Temperature", "storage", 41, null, null, "policy (diskTemp)"],
+  ]);
+  assert.deepEqual(result.fans, { available: true, fans: [{ label: "CPU Fan", rpm: 2150 }] });
+  assert.equal(result.throttling.throttled, false);
+  assert.equal(result.throttling.frequencyPercent, 112.4);
+});
+
+test("elevated CPU temperature is a warning", async () => {
+  replayFixture("windows-warning");
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.cpu.temperatureCelsius, 90);
+  assert.deepEqual(result.recommendations, [
+    "CPUZ at 90°C has reached its high trip point (90°C)",
+    "Consider improving airflow or reducing workload",
+  ]);
+  assert.deepEqual(result.nextStepsToCheck, []);
+  assert.equal(result.actionableSummary, "CPU: 90°C; over limit: CPUZ 90°C");
+  assert.equal(result.fans.available, false);
+  assert.match(result.fans.note, /LibreHardwareMonitor/);
+});
+
+test("critical CPU temperature points to performance stats", async () => {
+  replayFixture("windows-critical");
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "critical");
+  assert.equal(result.cpu.temperatureCelsius, 98);
+  // TZ00 at 96°C is below its own 105°C critical trip point
+  assert.deepEqual(result.sensors.map(s => [s.label, s.severity]), [["CPUZ", "critical"], ["TZ00", "info"]]);
+  assert.equal(result.recommendations[0], "CPUZ at 98°C has reached its critical trip point (97°C)");
+  assert.equal(result.thermalThrottling, true);
+  assert.deepEqual(result.throttling.reasons, [{ reason: "thermal", evidence: "firmware limits performance to 62%" }]);
+  assert.equal(result.actionableSummary, "CPU: 98°C ⚠️ THROTTLING (thermal); over limit: CPUZ 98°C");
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats"]);
+});
+
+test("missing sensors report unavailable temperatures", async () => {
+  replayNothing();
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.cpu.temperatureCelsius, "N/A");
+  assert.equal(result.thermalThrottling, "Unknown");
+  assert.equal(result.fans.available, false);
+  assert.match(result.actionableSummary, /unavailable/);
+});
+
+test("an idle CPU at low frequency is power saving, not throttling", async () => {
+  replayWithCounters({ performance: 31, limit: 100 }, "Balanced");
+  mockHost({ cpuPercent: 5 });
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "info");
+  assert.equal(result.throttling.throttled, false);
+  assert.equal(result.thermalThrottling, false);
+});
+
+test("low frequency under load on a cool CPU is a power limit, or the power plan when it saves battery", async () => {
+  replayWithCounters({ performance: 48, limit: 100 }, "Balanced");
+  mockHost({ cpuPercent: 90 });
+  let { getThermalStatus } = await importFresh("thermal.js");
+
+  let result = await getThermalStatus();
+
+  assert.equal(result.severity, "warning");
+  assert.equal(result.thermalThrottling, false);
+  assert.deepEqual(result.throttling.reasons, [{ reason: "power limit", evidence: "CPU at 48% of maximum frequency under 90% load" }]);
+  assert.deepEqual(result.recommendations, [
+    "CPU is power-limited (CPU at 48% of maximum frequency under 90% load) - connect the charger and check that the power adapter is the rated wattage",
+  ]);
+  assert.deepEqual(result.nextStepsToCheck, ["get_battery_status"]);
+
+  replayWithCounters({ performance: 48, limit: 100 }, "Power saver");
+  ({ getThermalStatus } = await importFresh("thermal.js"));
+
+  result = await getThermalStatus();
+
+  assert.equal(result.throttling.reasons[0].reason, "battery saver power plan");
+  assert.match(result.recommendations[0], /^CPU held back by the Power saver power plan/);
+});
+
+test("linux sensors come from hwmon and thermal zones, throttling from thermal_throttle counters", async () => {
+  const coretemp = "/sys/class/hwmon/hwmon1";
+  const nvme = "/sys/class/hwmon/hwmon2";
+  const zone = "/sys/class/thermal/thermal_zone1";
+  const cpu0 = "/sys/devices/system/cpu/cpu0";
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readDir", target: "/sys/class/hwmon", result: ["hwmon0", "hwmon1", "hwmon2"] },
+        { kind: "readFile", target: "/sys/class/hwmon/hwmon0/name", result: "acpitz\n" },
+        { kind: "readDir", target: "/sys/class/hwmon/hwmon0", result: ["name", "temp1_input", "temp1_crit"] },
+        { kind: "readFile", target: "/sys/class/hwmon/hwmon0/temp1_input", result: "45000\n" },
+        { kind: "readFile", target: "/sys/class/hwmon/hwmon0/temp1_crit", result: "110000\n" },
+        { kind: "readFile", target: `${coretemp}/name`, result: "coretemp\n" },
+        { kind: "readDir", target: coretemp, result: ["name", "temp1_input", "temp1_label", "temp1_max", "temp1_crit", "temp2_input", "temp2_label", "temp2_max", "temp2_crit"] },
+        { kind: "readFile", target: `${coretemp}/temp1_input`, result: "83000\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_label`, result: "Package id 0\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_max`, result: "80000\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_crit`, result: "100000\n" },
+        { kind: "readFile", target: `${coretemp}/temp2_input`, result: "79000\n" },
+        { kind: "readFile", target: `${coretemp}/temp2_label`, result: "Core 0\n" },
+        { kind: "readFile", target: `${coretemp}/temp2_max`, result: "80000\n" },
+        { kind: "readFile", target: `${coretemp}/temp2_crit`, result: "100000\n" },
+        { kind: "readFile", target: `${nvme}/name`, result: "nvme\n" },
+        { kind: "readDir", target: nvme, result: ["name", "temp1_input", "temp1_label"] },
+        { kind: "readFile", target: `${nvme}/temp1_input`, result: "38850\n" },
+        { kind: "readFile", target: `${nvme}/temp1_label`, result: "Composite\n" },
+        { kind: "readDir", target: "/sys/class/thermal", result: ["cooling_device0", "thermal_zone0", "thermal_zone1"] },
+        { kind: "readFile", target: "/sys/class/thermal/thermal_zone0/type", result: "acpitz\n" },
+        { kind: "readFile", target: `${zone}/type`, result: "x86_pkg_temp\n" },
+        { kind: "readFile", target: `${zone}/temp`, result: "83000\n" },
+        { kind: "readDir", target: zone, result: ["temp", "type", "trip_point_0_temp", "trip_point_0_type", "trip_point_1_temp", "trip_point_1_type"] },
+        { kind: "readFile", target: `${zone}/trip_point_0_type`, result: "passive\n" },
+        { kind: "readFile", target: `${zone}/trip_point_0_temp`, result: "90000\n" },
+        { kind: "readFile", target: `${zone}/trip_point_1_type`, result: "active\n" },
+        { kind: "readFile", target: `${zone}/trip_point_1_temp`, result: "60000\n" },
+        { kind: "readDir", target: "/sys/devices/system/cpu", result: ["cpu0", "cpufreq", "cpuidle"] },
+        { kind: "readFile", target: `${cpu0}/cpufreq/scaling_cur_freq`, result: "1800000\n" },
+        { kind: "readFile", target: `${cpu0}/cpufreq/cpuinfo_max_freq`, result: "4600000\n" },
+        { kind: "readFile", target: `${cpu0}/thermal_throttle/core_throttle_count`, result: "10\n" },
+        { kind: "readFile", target: `${cpu0}/thermal_throttle/core_throttle_count`, result: "14\n" },
+        { kind: "readFile", target: `${cpu0}/thermal_throttle/package_throttle_count`, result: "3\n" },
+      ],
+    },
+  });
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "critical");
+  assert.equal(result.cpu.temperatureCelsius, 83);
+  assert.deepEqual(result.sensors.map(s => [s.name, s.label, s.kind, s.highCelsius, s.criticalCelsius, s.severity]), [
+    ["acpitz/temp1", "acpitz temp1", "zone", null, 110, "info"],
+    ["coretemp/temp1", "Package id 0", "cpu", 80, 100, "warning"],
+    ["coretemp/temp2", "Core 0", "cpu", 80, 100, "info"],
+    ["nvme/temp1", "Composite", "storage", null, null, "info"],
+    // The active trip only switches fan stages; the acpitz zone is already listed under hwmon
+    ["thermal_zone1", "x86_pkg_temp", "cpu", 90, null, "info"],
+  ]);
+  assert.equal(result.sensors[1].issue, undefined);
+  // Counter growth over the window, not the totals since boot
+  assert.equal(result.throttling.thermalEvents, 4);
+  assert.equal(result.throttling.powerLimitEvents, "N/A");
+  assert.equal(result.throttling.frequencyPercent, 39.1);
+  assert.equal(result.recommendations[0], "Thermal throttling detected (4 thermal throttle events in 1s) - performance is being reduced to prevent overheating");
+  assert.match(result.actionableSummary, /THROTTLING \(thermal\); over limit: Package id 0 83°C/);
+});
+
+/**
+ * Replay a busy Linux host with one cool package sensor and two CPUs in one package, whose
+ * package throttle counter (shown on both CPUs) rises by one over the window
+ */
+function replayLinuxPackageThrottle(curFreq) {
+  const coretemp = "/sys/class/hwmon/hwmon0";
+  const cpu = index => `/sys/devices/system/cpu/cpu${index}`;
+  const cpuEntries = index => [
+    { kind: "readFile", target: `${cpu(index)}/cpufreq/scaling_cur_freq`, result: `${curFreq}\n` },
+    { kind: "readFile", target: `${cpu(index)}/cpufreq/cpuinfo_max_freq`, result: "4600000\n" },
+    { kind: "readFile", target: `${cpu(index)}/thermal_throttle/core_throttle_count`, result: "7\n" },
+    { kind: "readFile", target: `${cpu(index)}/topology/physical_package_id`, result: "0\n" },
+    { kind: "readFile", target: `${cpu(index)}/thermal_throttle/package_throttle_count`, result: "5\n" },
+    { kind: "readFile", target: `${cpu(index)}/thermal_throttle/package_throttle_count`, result: "6\n" },
+  ];
+  configureRunner({
+    fixture: {
+      platform: "linux",
+      entries: [
+        { kind: "readDir", target: "/sys/class/hwmon", result: ["hwmon0"] },
+        { kind: "readFile", target: `${coretemp}/name`, result: "coretemp\n" },
+        { kind: "readDir", target: coretemp, result: ["name", "temp1_input", "temp1_label", "temp1_max", "temp1_crit"] },
+        { kind: "readFile", target: `${coretemp}/temp1_input`, result: "61000\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_label`, result: "Package id 0\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_max`, result: "80000\n" },
+        { kind: "readFile", target: `${coretemp}/temp1_crit`, result: "100000\n" },
+        // 90% busy over the window
+        { kind: "readFile", target: "/proc/stat", result: "cpu0 1000 0 0 1000 0 0 0 0\n" },
+        { kind: "readFile", target: "/proc/stat", result: "cpu0 1090 0 0 1010 0 0 0 0\n" },
+        { kind: "readDir", target: "/sys/devices/system/cpu", result: ["cpu0", "cpu1"] },
+        ...cpuEntries(0),
+        ...cpuEntries(1),
+      ],
+    },
+  });
+}
+
+test("a package throttle event is counted once per package, and alone is only a warning", async () => {
+  replayLinuxPackageThrottle(4000000);
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.throttling.thermalEvents, 1);
+  assert.equal(result.severity, "warning");
+  assert.equal(result.thermalThrottling, true);
+  assert.deepEqual(result.throttling.reasons, [{ reason: "thermal", evidence: "1 thermal throttle event in 1s" }]);
+  assert.deepEqual(result.recommendations, [
+    "Thermal throttle counters rose (1 thermal throttle event in 1s) while CPU sensors are within limits - check again under load and watch for repeats",
+  ]);
+  assert.deepEqual(result.nextStepsToCheck, ["get_performance_stats"]);
+});
+
+test("throttle events with low frequency under load are critical even with cool sensors", async () => {
+  replayLinuxPackageThrottle(1800000);
+  const { getThermalStatus } = await importFresh("thermal.js");
+
+  const result = await getThermalStatus();
+
+  assert.equal(result.severity, "critical");
+  // The slowdown is put down to the throttle events rather than a power limit
+  assert.deepEqual(result.throttling.reasons, [{ reason: "thermal", evidence: "1 thermal throttle event in 1s" }]);
+  assert.equal(result.recommendations[0], "Thermal throttling detected (1 thermal throttle event in 1s) - performance is being reduced to prevent overheating");
+});
@@ -0,0 +1,114 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { validateArguments } from "../src/validation.js";
+import { createServer, TOOLS } from "../src/server.js";
+
+const schemaOf = name => TOOLS.find(tool => tool.name === name).inputSchema;
+
+let client = null;
+
+/**
+ * Connect a client to a fresh server over an in-memory transport
+ */
+async function connect() {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "validation-test", version: "1.0.0" });
+  await client.connect(clientTransport);
+  return client;
+}
+
+afterEach(async () => {
+  await client?.close();
+  client = null;
+});
+
+test("every tool declares a closed object schema", () => {
+  for (const tool of TOOLS) {
+    assert.equal(tool.inputSchema.type, "object", tool.name);
+    assert.equal(tool.inputSchema.additionalProperties, false, tool.name);
+  }
+});
+
+test("valid arguments pass", () => {
+  assert.deepEqual(validateArguments(schemaOf("get_performance_stats"), { processLimit: 10, sortBy: "memory" }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_network_status"), { targets: ["1.1.1.1", "example.com"] }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_network_status"), {
+    probes: [
+      { type: "dns", host: "example.com", server: "9.9.9.9" },
+      { type: "http", url: "https://example.com/health", expectStatus: [200, 204], timeoutMs: 5000 },
+    ],
+  }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_system_health"), { volume: "D:", eventLogHours: 72 }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_system_health"), { volume: "/home" }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_thermal_status"), {}), []);
+  assert.deepEqual(validateArguments(schemaOf("get_process_details"), { pid: 4321 }), []);
+  assert.deepEqual(validateArguments(schemaOf("get_process_details"), { name: "chrome.exe" }), []);
+});
+
+test("wrong types, ranges, enums and unknown keys are reported by path", () => {
+  assert.deepEqual(validateArguments(schemaOf("get_performance_stats"), { processLimit: 0, sortBy: "threads", extra: 1 }), [
+    { path: "arguments.processLimit", message: "must be >= 1" },
+    { path: "arguments.sortBy", message: "must be one of: cpu, memory, io, handles" },
+    { path: "arguments.extra", message: "is not a known argument (expected: includeProcesses, processLimit, sortBy)" },
+  ]);
+  assert.deepEqual(validateArguments(schemaOf("get_performance_stats"), { processLimit: 2.5 }), [
+    { path: "arguments.processLimit", message: "must be an integer, got number" },
+  ]);
+  assert.deepEqual(validateArguments(schemaOf("get_thermal_status"), { forceRefresh: "yes" }), [
+    { path: "arguments.forceRefresh", message: "must be a boolean, got string" },
+  ]);
+  assert.deepEqual(validateArguments(schemaOf("get_full_health_report"), { verbose: true }), [
+    { path: "arguments.verbose", message: "is not a known argument (this tool takes no arguments)" },
+  ]);
+});
+
+test("argument names inherited from Object.prototype are unknown arguments", () => {
+  const schema = { type: "object", properties: { limit: { type: "number" } }, additionalProperties: false };
+
+  assert.deepEqual(validateArguments(schema, JSON.parse('{"constructor": 5, "toString": "x", "__proto__": {}}')), [
+    { path: "arguments.constructor", message: "is not a known argument (expected: limit)" },
+    { path: "arguments.toString", message: "is not a known argument (expected: limit)" },
+    { path: "arguments.__proto__", message: "is not a known argument (expected: limit)" },
+  ]);
+});
+
+test("probe targets and volumes that could reach a shell are rejected", () => {
+  const targetErrors = validateArguments(schemaOf("get_network_status"), { targets: ["8.8.8.8; rm -rf /"] });
+  assert.deepEqual(targetErrors.map(error => error.path), ["arguments.targets[0]"]);
+  assert.match(targetErrors[0].message, /expected a hostname or IP address/);
+
+  assert.equal(validateArguments(schemaOf("get_system_health"), { volume: "C; Stop-Computer" }).length, 1);
+  assert.equal(validateArguments(schemaOf("get_network_status"), { targets: [] }).length, 1);
+  assert.deepEqual(
+    validateArguments(schemaOf("get_network_status"), { probes: [{ type: "icmp", host: "8.8.8.8 -n 1000" }, { type: "http", url: "file:///etc/passwd" }] })
+      .map(error => error.path),
+    ["arguments.probes[0].host", "arguments.probes[1].url"]
+  );
+});
+
+test("invalid tool arguments return a structured validation error", async () => {
+  await connect();
+
+  const result = await client.callTool({ name: "get_performance_stats", arguments: { processLimit: "ten" } });
+
+  assert.equal(result.isError, true);
+  assert.deepEqual(JSON.parse(result.content[0].text), {
+    error: "Invalid arguments",
+    tool: "get_performance_stats",
+    validationErrors: [{ path: "arguments.processLimit", message: "must be an integer, got string" }],
+  });
+});
+
+test("valid arguments reach the tool", async () => {
+  await connect();
+
+  const result = await client.callTool({ name: "get_health_policy", arguments: {} });
+
+  assert.equal(result.isError, undefined);
+  assert.equal(JSON.parse(result.content[0].text).severity, "info");
+  // Every tool result says which cached readings it used
+  assert.deepEqual(JSON.parse(result.content[0].text).cacheInfo, { hits: 0, misses: 0, lookups: [] });
+});